@@ -0,0 +1,169 @@
+'use strict';
+
+const { isValidDate } = require('./validation');
+
+// Refunds, partial refunds and cancellations of sales (see migrations/010_sale_adjustments.js).
+//
+// An adjustment reduces what a sale earned, in the sale's currency: a partial refund by the amount given,
+// a refund or a cancellation by whatever is left of the sale. A sale's status follows its adjustments
+// (completed, partially_refunded, refunded or cancelled), and refunded or cancelled sales take no more.
+//
+// Analytics revenue is net of adjustments. By default an adjustment counts in the period of the sale it
+// adjusts, so a month's figures change when one of its sales is refunded later. With the 'adjustment'
+// period it counts when it was made instead, and past periods stay as they were reported.
+
+const ADJUSTMENT_TYPES = ['refund', 'partial_refund', 'cancellation'];
+const ADJUSTMENT_PERIODS = ['sale', 'adjustment'];
+const DEFAULT_ADJUSTMENT_PERIOD = 'sale';
+
+// Sales that can't be adjusted any further
+const CLOSED_STATUSES = ['refunded', 'cancelled'];
+
+const MAX_AMOUNT = 2147483647; // sale_adjustments.amount is a Postgres INTEGER
+const MAX_REASON_LENGTH = 500;
+
+// Validates an adjustment payload ({ type, amount?, date, reason? }). Only partial refunds take an amount;
+// the other types adjust the rest of the sale. Returns a list of { field, message } errors.
+function validateAdjustment(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { type, amount, date, reason } = body;
+
+  if (!ADJUSTMENT_TYPES.includes(type)) {
+    errors.push({ field: 'type', message: `must be one of ${ADJUSTMENT_TYPES.join(', ')}` });
+  }
+  if (type === 'partial_refund') {
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT) {
+      errors.push({ field: 'amount', message: `must be an integer between 1 and ${MAX_AMOUNT}` });
+    }
+  } else if (amount !== undefined && ADJUSTMENT_TYPES.includes(type)) {
+    errors.push({ field: 'amount', message: `must be omitted for a ${type}, which adjusts the rest of the sale` });
+  }
+  if (!isValidDate(date)) {
+    errors.push({ field: 'date', message: 'must be a valid date in YYYY-MM-DD format' });
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    errors.push({ field: 'reason', message: `must be a string of at most ${MAX_REASON_LENGTH} characters` });
+  }
+
+  return errors;
+}
+
+const invalid = details => ({ status: 400, body: { error: 'Invalid request', details } });
+const conflict = details => ({ status: 409, body: { error: 'Conflict', details } });
+const notFound = () => ({ status: 404, body: { error: 'Not found' } });
+
+function formatAdjustment(row) {
+  return {
+    id: row.id,
+    saleId: row.sale_id,
+    type: row.type,
+    amount: row.amount,
+    date: row.date,
+    reason: row.reason,
+    recordedBy: row.recorded_by,
+    createdAt: row.created_at
+  };
+}
+
+function formatSale(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    amount: row.amount,
+    currency: row.currency,
+    date: row.date,
+    status: row.status,
+    adjustedAmount: row.adjusted_amount,
+    netAmount: row.amount - row.adjusted_amount
+  };
+}
+
+const SALE_COLUMNS = `id, user_id, amount, currency, to_char(date, 'YYYY-MM-DD') as date, status, adjusted_amount`;
+const ADJUSTMENT_COLUMNS = `id, sale_id, type, amount, to_char(date, 'YYYY-MM-DD') as date, reason, recorded_by, created_at`;
+
+// Returns the sale with its adjustments, oldest first, or null if it doesn't exist
+async function loadSale(client, saleId) {
+  const sale = await client.query(`SELECT ${SALE_COLUMNS} FROM sales WHERE id = $1;`, [saleId]);
+  if (sale.rows.length === 0) {
+    return null;
+  }
+  const adjustments = await client.query(
+    `SELECT ${ADJUSTMENT_COLUMNS} FROM sale_adjustments WHERE sale_id = $1 ORDER BY date ASC, id ASC;`,
+    [saleId]
+  );
+  return { ...formatSale(sale.rows[0]), adjustments: adjustments.rows.map(formatAdjustment) };
+}
+
+// Records an adjustment (validated by validateAdjustment) against a sale. Returns { status, body }: 201
+// with the adjustment and the updated sale, 400 if it's dated before the sale or refunds more than is left
+// of it, 404, or 409 if the sale is already refunded or cancelled. The sale is locked until the adjustment
+// commits, so concurrent refunds can't add up to more than the sale.
+async function recordAdjustment(client, saleId, { type, amount, date, reason }, { recordedBy = null } = {}) {
+  await client.query('BEGIN');
+  try {
+    const saleResult = await client.query(`SELECT ${SALE_COLUMNS} FROM sales WHERE id = $1 FOR UPDATE;`, [saleId]);
+    const sale = saleResult.rows[0];
+    const remaining = sale ? sale.amount - sale.adjusted_amount : 0;
+
+    let outcome = null;
+    if (!sale) {
+      outcome = notFound();
+    } else if (CLOSED_STATUSES.includes(sale.status)) {
+      outcome = conflict([{ field: 'saleId', message: `the sale is ${sale.status} and can't be adjusted further` }]);
+    } else if (date < sale.date) {
+      outcome = invalid([{ field: 'date', message: `must be on or after the sale's date (${sale.date})` }]);
+    } else if (type === 'partial_refund' && amount > remaining) {
+      outcome = invalid([{ field: 'amount', message: `must be at most the ${remaining} left of the sale` }]);
+    }
+    if (outcome) {
+      await client.query('ROLLBACK');
+      return outcome;
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO sale_adjustments (sale_id, type, amount, date, reason, recorded_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${ADJUSTMENT_COLUMNS};
+    `, [saleId, type, type === 'partial_refund' ? amount : remaining, date, reason === undefined ? null : reason, recordedBy]);
+    // The trigger on sale_adjustments has updated the sale's adjusted amount and status
+    const updated = await client.query(`SELECT ${SALE_COLUMNS} FROM sales WHERE id = $1;`, [saleId]);
+
+    await client.query('COMMIT');
+    return { status: 201, body: { data: { ...formatAdjustment(inserted.rows[0]), sale: formatSale(updated.rows[0]) } } };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+const roundMoney = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Gross revenue, adjustments and net revenue of the rows of a converted sales table (see
+// currency.salesIn) matching SQL conditions on s and their users u
+async function revenueSummary(db, salesTable, conditions, params) {
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(s.gross_amount), 0) as gross,
+      COALESCE(SUM(s.adjustment_amount), 0) as adjustments,
+      COALESCE(SUM(s.amount), 0) as net
+    FROM ${salesTable} s
+    JOIN users u ON s.user_id = u.id
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''};
+  `, params);
+  const row = result.rows[0];
+  return { gross: roundMoney(row.gross), adjustments: roundMoney(row.adjustments), net: roundMoney(row.net) };
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  ADJUSTMENT_PERIODS,
+  DEFAULT_ADJUSTMENT_PERIOD,
+  validateAdjustment,
+  loadSale,
+  recordAdjustment,
+  revenueSummary
+};
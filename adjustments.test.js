@@ -0,0 +1,133 @@
+'use strict';
+
+const adjustments = require('./adjustments');
+
+describe('Sale adjustments', () => {
+    let mockClient;
+
+    beforeEach(() => {
+        mockClient = {
+            query: jest.fn(),
+            release: jest.fn(),
+        };
+    });
+
+    const saleRow = (overrides = {}) => ({
+        id: 5, user_id: 1, amount: 1000, currency: 'USD', date: '2021-03-15', status: 'completed', adjusted_amount: 0,
+        ...overrides
+    });
+
+    describe('validateAdjustment', () => {
+        test('should accept each type, with an amount only for partial refunds', () => {
+            expect(adjustments.validateAdjustment({ type: 'refund', date: '2021-04-01', reason: 'Chargeback' })).toEqual([]);
+            expect(adjustments.validateAdjustment({ type: 'partial_refund', amount: 250, date: '2021-04-01' })).toEqual([]);
+            expect(adjustments.validateAdjustment({ type: 'cancellation', date: '2021-04-01' })).toEqual([]);
+        });
+
+        test('should require an amount for partial refunds and refuse one otherwise', () => {
+            expect(adjustments.validateAdjustment({ type: 'partial_refund', date: '2021-04-01' })).toEqual([
+                { field: 'amount', message: expect.any(String) }
+            ]);
+            expect(adjustments.validateAdjustment({ type: 'refund', amount: 100, date: '2021-04-01' })).toEqual([
+                { field: 'amount', message: 'must be omitted for a refund, which adjusts the rest of the sale' }
+            ]);
+        });
+
+        test('should report every invalid field', () => {
+            const errors = adjustments.validateAdjustment({ type: 'chargeback', date: '2021-02-30', reason: 42 });
+
+            expect(errors.map(e => e.field)).toEqual(['type', 'date', 'reason']);
+        });
+
+        test('should reject a body that is not an object', () => {
+            expect(adjustments.validateAdjustment([])).toEqual([{ field: 'body', message: 'must be an object' }]);
+        });
+    });
+
+    describe('recordAdjustment', () => {
+        test('should refund what is left of the sale and return the updated sale', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockResolvedValueOnce({ rows: [saleRow({ status: 'partially_refunded', adjusted_amount: 300 })] })
+                .mockResolvedValueOnce({ rows: [{ id: 2, sale_id: 5, type: 'refund', amount: 700, date: '2021-04-01', reason: null, recorded_by: 2, created_at: 'now' }] })
+                .mockResolvedValueOnce({ rows: [saleRow({ status: 'refunded', adjusted_amount: 1000 })] })
+                .mockResolvedValueOnce({}); // COMMIT
+
+            const result = await adjustments.recordAdjustment(mockClient, 5, { type: 'refund', date: '2021-04-01' }, { recordedBy: 2 });
+
+            expect(result.status).toBe(201);
+            expect(result.body.data).toMatchObject({ id: 2, saleId: 5, type: 'refund', amount: 700, recordedBy: 2 });
+            expect(result.body.data.sale).toMatchObject({ status: 'refunded', adjustedAmount: 1000, netAmount: 0 });
+            expect(mockClient.query.mock.calls[2][1]).toEqual([5, 'refund', 700, '2021-04-01', null, 2]);
+            const queries = mockClient.query.mock.calls.map(([sql]) => sql);
+            expect(queries[1]).toContain('FOR UPDATE');
+            expect(queries[4]).toBe('COMMIT');
+        });
+
+        test('should refuse to refund more than is left of the sale', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({})
+                .mockResolvedValueOnce({ rows: [saleRow({ status: 'partially_refunded', adjusted_amount: 900 })] })
+                .mockResolvedValueOnce({});
+
+            const result = await adjustments.recordAdjustment(mockClient, 5, { type: 'partial_refund', amount: 200, date: '2021-04-01' });
+
+            expect(result).toEqual({
+                status: 400,
+                body: { error: 'Invalid request', details: [{ field: 'amount', message: 'must be at most the 100 left of the sale' }] }
+            });
+            expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual([expect.any(String), expect.any(String), 'ROLLBACK']);
+        });
+
+        test('should refuse adjustments dated before the sale', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({})
+                .mockResolvedValueOnce({ rows: [saleRow()] })
+                .mockResolvedValueOnce({});
+
+            const result = await adjustments.recordAdjustment(mockClient, 5, { type: 'cancellation', date: '2021-03-14' });
+
+            expect(result.status).toBe(400);
+            expect(result.body.details[0].field).toBe('date');
+        });
+
+        test('should return a conflict for sales already refunded or cancelled', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({})
+                .mockResolvedValueOnce({ rows: [saleRow({ status: 'cancelled', adjusted_amount: 1000 })] })
+                .mockResolvedValueOnce({});
+
+            const result = await adjustments.recordAdjustment(mockClient, 5, { type: 'refund', date: '2021-04-01' });
+
+            expect(result.status).toBe(409);
+            expect(result.body.error).toBe('Conflict');
+        });
+
+        test('should return 404 for a missing sale and roll back on errors', async () => {
+            mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({});
+            expect((await adjustments.recordAdjustment(mockClient, 99, { type: 'refund', date: '2021-04-01' })).status).toBe(404);
+
+            mockClient.query.mockReset();
+            mockClient.query
+                .mockResolvedValueOnce({})
+                .mockRejectedValueOnce(new Error('connection lost'))
+                .mockResolvedValueOnce({});
+            await expect(adjustments.recordAdjustment(mockClient, 5, { type: 'refund', date: '2021-04-01' })).rejects.toThrow('connection lost');
+            expect(mockClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+        });
+    });
+
+    describe('revenueSummary', () => {
+        test('should sum gross revenue, adjustments and net revenue of the matching rows', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ gross: '1500.004', adjustments: '300', net: '1200.004' }] });
+
+            const summary = await adjustments.revenueSummary(mockClient, "sales_in('USD', 'sale')", ['s.date BETWEEN $1 AND $2'], ['2021-01-01', '2021-12-31']);
+
+            expect(summary).toEqual({ gross: 1500, adjustments: 300, net: 1200 });
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain("FROM sales_in('USD', 'sale') s");
+            expect(sql).toContain('WHERE s.date BETWEEN $1 AND $2');
+            expect(params).toEqual(['2021-01-01', '2021-12-31']);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+// Outlier detection for the anomalies endpoint.
+//
+// Each user or group is compared with its own baseline over the requested window: its per-period revenue
+// and sale counts, and the amounts of its individual sales. Two methods are supported:
+// - zscore: flags values more than `threshold` standard deviations from the mean (default 3)
+// - iqr: flags values more than `threshold` interquartile ranges below the lower or above the upper
+//   quartile (Tukey's fences, default 1.5). More robust when the outliers themselves skew the mean.
+// The flagged value is part of its own baseline. Baselines without spread (e.g. every period identical)
+// flag nothing.
+
+const METHODS = ['zscore', 'iqr'];
+
+const DEFAULT_THRESHOLDS = {
+  zscore: 3,
+  iqr: 1.5
+};
+
+const TYPES = ['revenue_spike', 'revenue_drop', 'inactivity', 'extreme_sale'];
+
+// SQL select-list columns (named `${prefix}_mean` etc.) describing the baseline of valueColumn
+function baselineColumns(valueColumn, prefix) {
+  return [
+    `AVG(${valueColumn}) as ${prefix}_mean`,
+    `stddev_samp(${valueColumn}) as ${prefix}_sd`,
+    `percentile_cont(0.25) WITHIN GROUP (ORDER BY ${valueColumn}) as ${prefix}_q1`,
+    `percentile_cont(0.5) WITHIN GROUP (ORDER BY ${valueColumn}) as ${prefix}_median`,
+    `percentile_cont(0.75) WITHIN GROUP (ORDER BY ${valueColumn}) as ${prefix}_q3`
+  ].join(',\n');
+}
+
+// SQL expressions comparing valueColumn with the baseline columns from baselineColumns:
+// { expected, spread, lower, upper, score }. The score is signed (negative below the baseline): the
+// z-score, or for iqr the number of IQRs beyond the nearest quartile (0 between the quartiles).
+function checks(method, valueColumn, prefix, thresholdParam) {
+  const col = name => `${prefix}_${name}`;
+  if (method === 'iqr') {
+    const iqr = `(${col('q3')} - ${col('q1')})`;
+    return {
+      expected: col('median'),
+      spread: iqr,
+      lower: `${col('q1')} - ${thresholdParam} * ${iqr}`,
+      upper: `${col('q3')} + ${thresholdParam} * ${iqr}`,
+      score: `CASE
+        WHEN ${valueColumn} > ${col('q3')} THEN (${valueColumn} - ${col('q3')}) / NULLIF(${iqr}, 0)
+        WHEN ${valueColumn} < ${col('q1')} THEN (${valueColumn} - ${col('q1')}) / NULLIF(${iqr}, 0)
+        ELSE 0
+      END`
+    };
+  }
+  return {
+    expected: col('mean'),
+    spread: col('sd'),
+    lower: `${col('mean')} - ${thresholdParam} * ${col('sd')}`,
+    upper: `${col('mean')} + ${thresholdParam} * ${col('sd')}`,
+    score: `(${valueColumn} - ${col('mean')}) / NULLIF(${col('sd')}, 0)`
+  };
+}
+
+const format = value => (Math.round(value * 100) / 100).toLocaleString('en-US');
+
+// Explains why an anomaly was raised, e.g. "Revenue of 84,000 is 3.4 standard deviations above this
+// user's mean of 40,000 per week". `anomaly` has { type, value, expected, score }.
+function reason(anomaly, { method, by, interval }) {
+  const strength = Math.abs(anomaly.score).toFixed(1);
+  const direction = anomaly.score > 0 ? 'above' : 'below';
+  const baseline = method === 'iqr'
+    ? `${strength} interquartile ranges ${direction} this ${by}'s ${anomaly.score > 0 ? 'upper' : 'lower'} quartile (median ${format(anomaly.expected)}`
+    : `${strength} standard deviations ${direction} this ${by}'s mean (${format(anomaly.expected)}`;
+
+  switch (anomaly.type) {
+    case 'revenue_spike':
+    case 'revenue_drop':
+      return `Revenue of ${format(anomaly.value)} is ${baseline} per ${interval})`;
+    case 'inactivity':
+      return `No sales, ${baseline} sales per ${interval})`;
+    default:
+      return `Sale amount of ${format(anomaly.value)} is ${baseline} per sale)`;
+  }
+}
+
+module.exports = {
+  METHODS,
+  DEFAULT_THRESHOLDS,
+  TYPES,
+  baselineColumns,
+  checks,
+  reason
+};
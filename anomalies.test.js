@@ -0,0 +1,49 @@
+'use strict';
+
+const anomalies = require('./anomalies');
+
+describe('Anomaly detection', () => {
+    const collapse = sql => sql.replace(/\s+/g, ' ').trim();
+
+    describe('checks', () => {
+        test('should bound z-scores by standard deviations around the mean', () => {
+            const checks = anomalies.checks('zscore', 'ps.total_revenue', 'revenue', '$3::numeric');
+
+            expect(checks.upper).toBe('revenue_mean + $3::numeric * revenue_sd');
+            expect(checks.score).toBe('(ps.total_revenue - revenue_mean) / NULLIF(revenue_sd, 0)');
+        });
+
+        test('should use Tukey fences for IQR', () => {
+            const checks = anomalies.checks('iqr', 'es.amount', 'amount', '$3::numeric');
+
+            expect(checks.expected).toBe('amount_median');
+            expect(checks.lower).toBe('amount_q1 - $3::numeric * (amount_q3 - amount_q1)');
+            expect(collapse(checks.score)).toContain('WHEN es.amount < amount_q1 THEN (es.amount - amount_q1) / NULLIF((amount_q3 - amount_q1), 0)');
+        });
+    });
+
+    describe('reason', () => {
+        const options = { method: 'zscore', by: 'user', interval: 'week' };
+
+        test('should explain revenue spikes', () => {
+            const text = anomalies.reason({ type: 'revenue_spike', value: 311770, expected: 107776.89, score: 3.3 }, options);
+
+            expect(text).toBe("Revenue of 311,770 is 3.3 standard deviations above this user's mean (107,776.89 per week)");
+        });
+
+        test('should explain inactivity against the median for IQR', () => {
+            const text = anomalies.reason(
+                { type: 'inactivity', value: 0, expected: 5, score: -2.5 },
+                { ...options, method: 'iqr', by: 'group' }
+            );
+
+            expect(text).toBe("No sales, 2.5 interquartile ranges below this group's lower quartile (median 5 sales per week)");
+        });
+
+        test('should explain extreme sales', () => {
+            const text = anomalies.reason({ type: 'extreme_sale', value: 990000, expected: 25000, score: 12.04 }, options);
+
+            expect(text).toBe("Sale amount of 990,000 is 12.0 standard deviations above this user's mean (25,000 per sale)");
+        });
+    });
+});
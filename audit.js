@@ -0,0 +1,125 @@
+'use strict';
+
+const crypto = require('crypto');
+const pagination = require('./pagination');
+
+// Audit log of changes to users, groups, memberships, sales and their adjustments, targets, commissions,
+// reports and exchange rates (see migrations/011_audit_log.js).
+//
+// Triggers record every row a change inserts, updates or deletes, with the row before and after, in the
+// same transaction as the change. They read who made it from the audit.context setting of the connection,
+// which the API sets for each request that changes data: the caller's id and the request (its id, method,
+// path, IP address and user agent). The setting lasts for the session, so it also covers changes made
+// outside a transaction, and is cleared when the connection is next taken from the pool.
+
+const ENTITY_TYPES = [
+  'user', 'group', 'membership', 'sale', 'sale_adjustment', 'target', 'commission_plan',
+  'commission_assignment', 'commission_statement', 'report', 'exchange_rate'
+];
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Entries are listed newest first; cursors are issued for this order (see pagination.js)
+const ORDER = { sortBy: 'id', order: 'desc' };
+
+const MAX_REQUEST_ID_LENGTH = 100;
+
+// Connections whose audit context has been set
+const withContext = new WeakSet();
+
+// The audit context of a request by an authenticated caller. The request id is the caller's X-Request-Id,
+// if any, so entries can be matched with the caller's own logs.
+function requestContext(req) {
+  const requestId = req.get('X-Request-Id');
+  return {
+    actorId: req.user.id,
+    request: {
+      id: requestId && requestId.length <= MAX_REQUEST_ID_LENGTH ? requestId : crypto.randomUUID(),
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    }
+  };
+}
+
+// Attributes the changes made on a connection to a request's context (see requestContext)
+async function setContext(client, context) {
+  await client.query(`SELECT set_config('audit.context', $1, false);`, [JSON.stringify(context)]);
+  withContext.add(client);
+}
+
+// Pool 'acquire' listener clearing the audit context left by the connection's previous request. Queries
+// run in the order they're sent, so this runs before any of the new borrower's.
+function forgetContext(client) {
+  if (withContext.delete(client)) {
+    client.query(`SELECT set_config('audit.context', '', false);`).catch(err => console.error(err));
+  }
+}
+
+// Cross-field validation rule: a cursor only makes sense for the order entries are listed in
+function cursorMatchesOrder(values) {
+  return pagination.cursorMatchesSort({ ...values, ...ORDER });
+}
+
+function formatEntry(row) {
+  return {
+    id: row.id,
+    occurredAt: row.occurred_at,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before,
+    after: row.after,
+    request: row.request
+  };
+}
+
+// Lists entries, newest first, optionally of one entity type and id, actor or action, and made between two
+// dates (inclusive, in UTC). Returns { rows, nextCursor }.
+async function listEntries(client, { entityType, entityId, actorId, action, startDate, endDate, cursor, limit }) {
+  const params = [];
+  const conditions = [];
+  const filter = (value, condition) => {
+    if (value !== undefined) {
+      params.push(value);
+      conditions.push(condition(`$${params.length}`));
+    }
+  };
+
+  filter(entityType, param => `a.entity_type = ${param}`);
+  filter(entityId, param => `a.entity_id = ${param}`);
+  filter(actorId, param => `a.actor_id = ${param}`);
+  filter(action, param => `a.action = ${param}`);
+  filter(startDate, param => `a.occurred_at >= ${param}::date::timestamp AT TIME ZONE 'UTC'`);
+  filter(endDate, param => `a.occurred_at < (${param}::date + 1)::timestamp AT TIME ZONE 'UTC'`);
+  if (cursor) {
+    conditions.push(pagination.afterCursor(cursor, params, 'a.id', 'a.id'));
+  }
+  // One extra row tells whether there is a next page
+  params.push(limit + 1);
+
+  const result = await client.query(`
+    SELECT a.id, a.occurred_at, a.actor_id, u.name as actor_name, a.action, a.entity_type, a.entity_id,
+      a.before, a.after, a.request
+    FROM audit_log a
+    LEFT JOIN users u ON u.id = a.actor_id
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY a.id DESC
+    LIMIT $${params.length};
+  `, params);
+
+  const page = pagination.paginate(result.rows, { limit, ...ORDER }, row => ({ value: row.id, id: row.id }));
+  return { rows: page.rows.map(formatEntry), nextCursor: page.nextCursor };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIONS,
+  requestContext,
+  setContext,
+  forgetContext,
+  cursorMatchesOrder,
+  listEntries
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const audit = require('./audit');
+const pagination = require('./pagination');
+
+describe('Audit log', () => {
+    let mockClient;
+
+    beforeEach(() => {
+        mockClient = {
+            query: jest.fn().mockResolvedValue({ rows: [] }),
+        };
+    });
+
+    const mockRequest = (headers = {}) => ({
+        user: { id: 2 },
+        method: 'POST',
+        originalUrl: '/api/sales?dryRun=false',
+        ip: '10.0.0.1',
+        get: name => headers[name]
+    });
+
+    describe('requestContext', () => {
+        test('should record the caller and the request', () => {
+            const context = audit.requestContext(mockRequest({ 'X-Request-Id': 'abc-123', 'User-Agent': 'curl/8.0' }));
+
+            expect(context).toEqual({
+                actorId: 2,
+                request: { id: 'abc-123', method: 'POST', path: '/api/sales?dryRun=false', ip: '10.0.0.1', userAgent: 'curl/8.0' }
+            });
+        });
+
+        test('should generate a request id when the caller sends none or an overlong one', () => {
+            const generated = audit.requestContext(mockRequest()).request;
+            const overlong = audit.requestContext(mockRequest({ 'X-Request-Id': 'x'.repeat(101) })).request;
+
+            expect(generated.id).toMatch(/^[0-9a-f-]{36}$/);
+            expect(generated.userAgent).toBeNull();
+            expect(overlong.id).toMatch(/^[0-9a-f-]{36}$/);
+        });
+    });
+
+    describe('setContext and forgetContext', () => {
+        test('should set the context for the session and clear it when the connection is reused', async () => {
+            const context = { actorId: 2, request: { id: 'abc-123' } };
+            await audit.setContext(mockClient, context);
+
+            expect(mockClient.query.mock.calls[0]).toEqual([
+                `SELECT set_config('audit.context', $1, false);`, [JSON.stringify(context)]
+            ]);
+
+            audit.forgetContext(mockClient);
+            audit.forgetContext(mockClient);
+
+            expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual([
+                `SELECT set_config('audit.context', $1, false);`,
+                `SELECT set_config('audit.context', '', false);`
+            ]);
+        });
+
+        test('should not query connections that never had a context', () => {
+            audit.forgetContext(mockClient);
+
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listEntries', () => {
+        const entryRow = id => ({
+            id, occurred_at: '2021-06-01T10:00:00.000Z', actor_id: 2, actor_name: 'Bob', action: 'update',
+            entity_type: 'sale', entity_id: '5', before: { amount: 100 }, after: { amount: 120 }, request: { method: 'PATCH' }
+        });
+
+        test('should filter by entity, actor, action and UTC dates, newest first', async () => {
+            mockClient.query.mockResolvedValue({ rows: [entryRow(9)] });
+
+            const result = await audit.listEntries(mockClient, {
+                entityType: 'sale', entityId: '5', actorId: 2, action: 'update', startDate: '2021-06-01', endDate: '2021-06-30', limit: 50
+            });
+
+            expect(result).toEqual({
+                rows: [{
+                    id: 9, occurredAt: '2021-06-01T10:00:00.000Z', actorId: 2, actorName: 'Bob', action: 'update',
+                    entityType: 'sale', entityId: '5', before: { amount: 100 }, after: { amount: 120 }, request: { method: 'PATCH' }
+                }],
+                nextCursor: null
+            });
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('a.entity_type = $1 AND a.entity_id = $2 AND a.actor_id = $3 AND a.action = $4');
+            expect(sql).toContain(`a.occurred_at >= $5::date::timestamp AT TIME ZONE 'UTC'`);
+            expect(sql).toContain(`a.occurred_at < ($6::date + 1)::timestamp AT TIME ZONE 'UTC'`);
+            expect(sql).toContain('ORDER BY a.id DESC');
+            expect(params).toEqual(['sale', '5', 2, 'update', '2021-06-01', '2021-06-30', 51]);
+        });
+
+        test('should page through entries with cursors', async () => {
+            mockClient.query.mockResolvedValue({ rows: [entryRow(9), entryRow(8), entryRow(7)] });
+
+            const first = await audit.listEntries(mockClient, { limit: 2 });
+
+            expect(first.rows.map(row => row.id)).toEqual([9, 8]);
+            expect(mockClient.query.mock.calls[0][0]).not.toContain('WHERE');
+            const cursor = pagination.decodeCursor(first.nextCursor);
+            expect(cursor).toEqual({ sortBy: 'id', order: 'desc', value: '8', id: 8 });
+
+            await audit.listEntries(mockClient, { limit: 2, cursor });
+
+            const [sql, params] = mockClient.query.mock.calls[1];
+            expect(sql).toContain('WHERE (a.id, a.id) < ($1::numeric, $2::int)');
+            expect(params).toEqual(['8', 8, 3]);
+        });
+    });
+
+    test('should only accept cursors issued for the audit log order', () => {
+        const cursor = { sortBy: 'totalRevenue', order: 'desc', value: '10', id: 3 };
+
+        expect(audit.cursorMatchesOrder({ cursor })).toEqual([
+            { field: 'cursor', message: 'was issued for a different sortBy or order' }
+        ]);
+        expect(audit.cursorMatchesOrder({ cursor: { ...cursor, sortBy: 'id' } })).toEqual([]);
+    });
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const { memberOn } = require('./directory');
+
+// Authentication and role-based data scoping.
+//
+// Requests carry `Authorization: Bearer <token>`, where the token is an HS256 JWT signed with AUTH_SECRET
+// whose subject is a users.id. Access depends on users.role:
+// - Admin: sees everything
+// - Group Lead: sees the groups they belong to and those groups' members
+// - Any other role (Call Center Agent, Retail Agent, ...): sees only their own sales
+// Group membership here means membership today (see directory.js); past members drop out of a lead's scope.
+
+const ROLES = {
+  ADMIN: 'Admin',
+  GROUP_LEAD: 'Group Lead'
+};
+
+const TOKEN_ALGORITHM = 'HS256';
+const DEFAULT_TOKEN_TTL = '8h';
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_SECRET must be set');
+  }
+  return secret;
+}
+
+// Mints a token for a user. Used by the CLI below and by tests.
+function signToken(userId, { expiresIn = DEFAULT_TOKEN_TTL } = {}) {
+  return jwt.sign({}, getSecret(), { algorithm: TOKEN_ALGORITHM, subject: String(userId), expiresIn });
+}
+
+// Returns the user id a token was issued for, or null if the token is invalid or expired
+function verifyToken(token) {
+  try {
+    const payload = jwt.verify(token, getSecret(), { algorithms: [TOKEN_ALGORITHM] });
+    const userId = Number(payload.sub);
+    return Number.isInteger(userId) && userId > 0 ? userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Middleware that verifies the bearer token and loads the caller into req.user as
+// { id, name, role, groupIds }. Answers 401 if the token is missing, invalid or for an unknown user.
+function authenticate(pool) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const userId = scheme === 'Bearer' && token ? verifyToken(token) : null;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      const result = await client.query(`
+        SELECT
+          u.id,
+          u.name,
+          u.role,
+          COALESCE(array_agg(ug.group_id) FILTER (WHERE ug.group_id IS NOT NULL), '{}') as group_ids
+        FROM users u
+        LEFT JOIN user_groups ug ON u.id = ug.user_id AND ${memberOn('ug', 'CURRENT_DATE')}
+        WHERE u.id = $1
+        GROUP BY u.id, u.name, u.role;
+      `, [userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const row = result.rows[0];
+      req.user = { id: row.id, name: row.name, role: row.role, groupIds: row.group_ids };
+      next();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+}
+
+function isAdmin(user) {
+  return user.role === ROLES.ADMIN;
+}
+
+function isGroupLead(user) {
+  return user.role === ROLES.GROUP_LEAD;
+}
+
+// Returns true if every user in userIds belongs to at least one of the lead's groups
+async function membersOfGroups(client, userIds, groupIds) {
+  const result = await client.query(
+    `SELECT DISTINCT user_id FROM user_groups ug
+     WHERE user_id = ANY($1::int[]) AND group_id = ANY($2::int[]) AND ${memberOn('ug', 'CURRENT_DATE')};`,
+    [userIds, groupIds]
+  );
+  return result.rows.length === new Set(userIds).size;
+}
+
+// Works out which sales the caller may see for a request filtered to the given user and/or group ids.
+// Returns { userIds, groupIds } where a non-null list restricts the data to sales by those users or by
+// members of those groups, or null if the caller asked for data outside their scope (answer 403).
+async function resolveScope(client, user, { userIds = [], groupIds = [] } = {}) {
+  if (isAdmin(user)) {
+    return { userIds: null, groupIds: null };
+  }
+
+  const otherUserIds = userIds.filter(id => id !== user.id);
+
+  if (isGroupLead(user)) {
+    if (!groupIds.every(id => user.groupIds.includes(id))) {
+      return null;
+    }
+    if (otherUserIds.length > 0 && !(await membersOfGroups(client, otherUserIds, user.groupIds))) {
+      return null;
+    }
+    return { userIds: null, groupIds: groupIds.length ? groupIds : user.groupIds };
+  }
+
+  // Agents only ever see their own figures
+  if (groupIds.length > 0 || otherUserIds.length > 0) {
+    return null;
+  }
+  return { userIds: [user.id], groupIds: null };
+}
+
+// Returns true if the caller may record or change sales for every user in userIds
+async function canActForUsers(client, user, userIds) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const others = userIds.filter(id => id !== user.id);
+  if (others.length === 0) {
+    return true;
+  }
+  return isGroupLead(user) && membersOfGroups(client, others, user.groupIds);
+}
+
+// Returns true if the caller may set targets for the given users and groups: admins for anyone, group
+// leads for their own groups and those groups' members. Agents can't set targets, not even their own.
+async function canManage(client, user, { userIds = [], groupIds = [] } = {}) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  if (!isGroupLead(user) || !groupIds.every(id => user.groupIds.includes(id))) {
+    return false;
+  }
+  return userIds.length === 0 || membersOfGroups(client, userIds, user.groupIds);
+}
+
+// Group ids whose summaries the caller may see, or null for all groups
+function visibleGroupIds(user) {
+  return isAdmin(user) ? null : user.groupIds;
+}
+
+// Turns a scope from resolveScope into SQL conditions on `userColumn`, appending their values to params.
+// An empty list matches nothing (e.g. a group lead who belongs to no groups).
+function scopeConditions(scope, params, userColumn) {
+  const conditions = [];
+  if (scope.userIds) {
+    params.push(scope.userIds);
+    conditions.push(`${userColumn} = ANY($${params.length}::int[])`);
+  }
+  if (scope.groupIds) {
+    params.push(scope.groupIds);
+    const members = `SELECT user_id FROM user_groups ug WHERE group_id = ANY($${params.length}::int[]) AND ${memberOn('ug', 'CURRENT_DATE')}`;
+    conditions.push(`${userColumn} IN (${members})`);
+  }
+  return conditions;
+}
+
+// CLI: node auth.js token <userId> [--expires 8h]
+// Prints a token for local development and testing.
+if (require.main === module) {
+  const [command, userId, flag, expiresIn] = process.argv.slice(2);
+  if (command !== 'token' || !/^\d+$/.test(userId || '')) {
+    console.error('Usage: node auth.js token <userId> [--expires 8h]');
+    process.exit(1);
+  }
+  try {
+    console.log(signToken(parseInt(userId), flag === '--expires' ? { expiresIn } : {}));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ROLES,
+  signToken,
+  verifyToken,
+  authenticate,
+  isAdmin,
+  isGroupLead,
+  resolveScope,
+  canActForUsers,
+  canManage,
+  visibleGroupIds,
+  scopeConditions
+};
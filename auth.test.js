@@ -0,0 +1,154 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const auth = require('./auth');
+
+describe('Authentication and scoping', () => {
+    const originalEnv = process.env;
+    let pool;
+    let mockClient;
+    let app;
+
+    const users = {
+        1: { id: 1, name: 'Alice', role: 'Call Center Agent', group_ids: [1, 3] },
+        2: { id: 2, name: 'Bob', role: 'Admin', group_ids: [2] },
+        21: { id: 21, name: 'Uma', role: 'Group Lead', group_ids: [1] }
+    };
+
+    // Members of each group, as in the seed data
+    const memberships = { 1: [1, 3, 5, 7], 2: [2, 4, 6], 3: [1, 10, 13] };
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, AUTH_SECRET: 'test-secret' };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        mockClient = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.includes('FROM users u')) {
+                    const user = users[params[0]];
+                    return { rows: user ? [user] : [] };
+                }
+                if (sql.includes('SELECT DISTINCT user_id FROM user_groups')) {
+                    const [userIds, groupIds] = params;
+                    const members = new Set(groupIds.flatMap(id => memberships[id] || []));
+                    return { rows: userIds.filter(id => members.has(id)).map(user_id => ({ user_id })) };
+                }
+                return { rows: [] };
+            }),
+            release: jest.fn(),
+        };
+        pool = { connect: jest.fn().mockResolvedValue(mockClient) };
+
+        app = express();
+        app.use('/api', auth.authenticate(pool));
+        app.get('/api/whoami', (req, res) => res.json(req.user));
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    describe('authenticate', () => {
+        test('should load the caller from a locally minted token', async () => {
+            const response = await request(app)
+                .get('/api/whoami')
+                .set('Authorization', `Bearer ${auth.signToken(1)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ id: 1, name: 'Alice', role: 'Call Center Agent', groupIds: [1, 3] });
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+
+        test('should reject requests without a token', async () => {
+            const response = await request(app).get('/api/whoami');
+
+            expect(response.status).toBe(401);
+            expect(response.body).toEqual({ error: 'Unauthorized' });
+        });
+
+        test('should reject tokens signed with another secret', async () => {
+            const forged = jwt.sign({}, 'other-secret', { subject: '2' });
+
+            const response = await request(app).get('/api/whoami').set('Authorization', `Bearer ${forged}`);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should reject expired tokens', async () => {
+            const expired = auth.signToken(2, { expiresIn: -10 });
+
+            const response = await request(app).get('/api/whoami').set('Authorization', `Bearer ${expired}`);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should reject tokens for users that no longer exist', async () => {
+            const response = await request(app)
+                .get('/api/whoami')
+                .set('Authorization', `Bearer ${auth.signToken(99)}`);
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('resolveScope', () => {
+        const caller = id => ({ id, name: users[id].name, role: users[id].role, groupIds: users[id].group_ids });
+
+        test('should give admins full access', async () => {
+            expect(await auth.resolveScope(mockClient, caller(2), { groupIds: [3] })).toEqual({ userIds: null, groupIds: null });
+        });
+
+        test('should restrict agents to their own sales', async () => {
+            expect(await auth.resolveScope(mockClient, caller(1), {})).toEqual({ userIds: [1], groupIds: null });
+            expect(await auth.resolveScope(mockClient, caller(1), { userIds: [1] })).toEqual({ userIds: [1], groupIds: null });
+        });
+
+        test('should forbid agents from asking for other users or groups', async () => {
+            expect(await auth.resolveScope(mockClient, caller(1), { userIds: [7] })).toBeNull();
+            expect(await auth.resolveScope(mockClient, caller(1), { groupIds: [1] })).toBeNull();
+        });
+
+        test('should restrict group leads to their groups', async () => {
+            expect(await auth.resolveScope(mockClient, caller(21), {})).toEqual({ userIds: null, groupIds: [1] });
+            expect(await auth.resolveScope(mockClient, caller(21), { userIds: [7] })).toEqual({ userIds: null, groupIds: [1] });
+        });
+
+        test('should forbid group leads from other groups and their members', async () => {
+            expect(await auth.resolveScope(mockClient, caller(21), { groupIds: [2] })).toBeNull();
+            expect(await auth.resolveScope(mockClient, caller(21), { userIds: [4] })).toBeNull();
+            expect(await auth.resolveScope(mockClient, caller(21), { userIds: [3, 4] })).toBeNull();
+        });
+
+        test('should only let agents act for themselves', async () => {
+            expect(await auth.canActForUsers(mockClient, caller(1), [1])).toBe(true);
+            expect(await auth.canActForUsers(mockClient, caller(1), [1, 3])).toBe(false);
+            expect(await auth.canActForUsers(mockClient, caller(21), [3, 5])).toBe(true);
+            expect(await auth.canActForUsers(mockClient, caller(21), [3, 4])).toBe(false);
+        });
+
+        test('should let admins and group leads manage targets within their scope', async () => {
+            expect(await auth.canManage(mockClient, caller(2), { groupIds: [3] })).toBe(true);
+            expect(await auth.canManage(mockClient, caller(21), { groupIds: [1] })).toBe(true);
+            expect(await auth.canManage(mockClient, caller(21), { userIds: [5] })).toBe(true);
+            expect(await auth.canManage(mockClient, caller(21), { groupIds: [2] })).toBe(false);
+            expect(await auth.canManage(mockClient, caller(21), { userIds: [4] })).toBe(false);
+            expect(await auth.canManage(mockClient, caller(1), { userIds: [1] })).toBe(false);
+        });
+    });
+
+    describe('scopeConditions', () => {
+        test('should turn a scope into parameterized SQL conditions on current memberships', () => {
+            const params = ['2021-01-01', '2021-12-31'];
+
+            const conditions = auth.scopeConditions({ userIds: null, groupIds: [1, 3] }, params, 's.user_id');
+
+            expect(conditions).toEqual([
+                's.user_id IN (SELECT user_id FROM user_groups ug WHERE group_id = ANY($3::int[]) ' +
+                "AND daterange(ug.valid_from, ug.valid_to, '[]') @> (CURRENT_DATE)::date)"
+            ]);
+            expect(params[2]).toEqual([1, 3]);
+        });
+    });
+});
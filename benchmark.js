@@ -0,0 +1,147 @@
+'use strict';
+
+const { Client } = require('pg');
+const { connectionConfig } = require('./db');
+const periods = require('./periods');
+const directory = require('./directory');
+const rollups = require('./rollups');
+const currency = require('./currency');
+
+// Benchmark: node benchmark.js [--runs 5] [--scale 1]
+//
+// Times queries shaped like those of the time-series, users, groups and trends endpoints, each reading
+// raw sales and then the daily rollups, and checks both return the same rows. With --scale N, N - 1 extra
+// copies of every sale are inserted first, inside a transaction that is rolled back at the end, to see how
+// each grows with the data (the rollup triggers run for every copy, so large scales take a while to load).
+
+// Queries over the whole history ($1-$2); each takes a source from rollups.sourceFor, in USD
+const QUERIES = {
+  'time-series (month)': source => `
+    SELECT ${periods.bucketOf('month', 's.date')} as bucket, ${source.saleCount('s')} as sale_count,
+      ${source.revenue('s')} as total_revenue, (${source.averageRevenue('s')})::numeric(10,2) as avg_revenue,
+      COUNT(DISTINCT s.user_id) as active_users
+    FROM ${source.table} s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.date BETWEEN $1 AND $2
+    GROUP BY 1 ORDER BY 1;
+  `,
+  'time-series (week, by group)': source => `
+    SELECT ug.group_id, ${periods.bucketOf('week', 's.date')} as bucket, ${source.saleCount('s')} as sale_count,
+      ${source.revenue('s')} as total_revenue, COUNT(DISTINCT s.user_id) as active_users
+    FROM ${source.table} s
+    JOIN user_groups ug ON ug.user_id = s.user_id AND ${directory.memberOn('ug', 's.date')}
+    WHERE s.date BETWEEN $1 AND $2
+    GROUP BY 1, 2 ORDER BY 1, 2;
+  `,
+  users: source => `
+    SELECT u.id, ${source.saleCount('s')} as sale_count, COALESCE(${source.revenue('s')}, 0) as total_revenue,
+      COALESCE(${source.averageRevenue('s')}, 0)::numeric(10,2) as avg_revenue, COUNT(DISTINCT s.date) as active_days
+    FROM users u
+    LEFT JOIN ${source.table} s ON s.user_id = u.id AND s.date BETWEEN $1 AND $2
+    GROUP BY u.id ORDER BY total_revenue DESC, u.id;
+  `,
+  'groups (split)': source => (source.name === 'daily'
+    ? `
+      SELECT g.id, COALESCE(SUM(sg.sale_count), 0) as sale_count, ROUND(COALESCE(SUM(sg.split_revenue), 0), 2) as total_revenue
+      FROM groups g
+      LEFT JOIN ${source.groupTable} sg ON sg.group_id = g.id AND sg.date BETWEEN $1 AND $2
+      GROUP BY g.id ORDER BY g.id;
+    `
+    : `
+      WITH ${directory.saleGroupsCte('s.date BETWEEN $1 AND $2', currency.salesIn(source.currency))}
+      SELECT g.id, COUNT(sg.sale_id) as sale_count, ROUND(COALESCE(SUM(sg.amount * (1.0 / sg.group_count)), 0), 2) as total_revenue
+      FROM groups g
+      LEFT JOIN sale_groups sg ON sg.group_id = g.id
+      GROUP BY g.id ORDER BY g.id;
+    `),
+  'trends (quarter)': source => `
+    SELECT ${periods.bucketOf('quarter', 's.date')} as bucket, ${source.revenue('s')} as total_revenue,
+      ${source.saleCount('s')} as sale_count
+    FROM ${source.table} s
+    WHERE s.date BETWEEN $1 AND $2
+    GROUP BY 1 ORDER BY 1;
+  `
+};
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Runs a query `runs` times after one warm-up run. Returns the median time in milliseconds and the rows.
+async function time(client, query, params, runs) {
+  const result = await client.query(query, params);
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await client.query(query, params);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { ms: median(times), rows: result.rows };
+}
+
+function parseArgs(args) {
+  const options = { runs: 5, scale: 1 };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = parseInt(args[i + 1]);
+    if (!(name in options) || !(value >= 1)) {
+      throw new Error('Usage: node benchmark.js [--runs 5] [--scale 1]');
+    }
+    options[name] = value;
+  }
+  return options;
+}
+
+async function main(args) {
+  const { runs, scale } = parseArgs(args);
+  const client = new Client(connectionConfig);
+  await client.connect();
+  try {
+    await client.query('BEGIN');
+    if (scale > 1) {
+      console.log(`Adding ${scale - 1} copies of every sale...`);
+      await client.query(`
+        INSERT INTO sales (user_id, amount, date, currency)
+        SELECT s.user_id, s.amount, s.date, s.currency FROM sales s CROSS JOIN generate_series(2, $1);
+      `, [scale]);
+      await client.query('ANALYZE sales; ANALYZE daily_user_sales; ANALYZE daily_group_sales;');
+    }
+
+    const range = await client.query(`
+      SELECT COUNT(*) as sales, to_char(MIN(date), 'YYYY-MM-DD') as start_date, to_char(MAX(date), 'YYYY-MM-DD') as end_date
+      FROM sales;
+    `);
+    const { sales, start_date: startDate, end_date: endDate } = range.rows[0];
+    const userDays = await client.query('SELECT COUNT(*) as count FROM daily_user_sales;');
+    console.log(`${sales} sales, ${userDays.rows[0].count} user days, ${startDate} to ${endDate}; median of ${runs} runs\n`);
+
+    const rows = [];
+    for (const [name, build] of Object.entries(QUERIES)) {
+      const raw = await time(client, build(rollups.sourceFor({ enabled: false })), [startDate, endDate], runs);
+      const daily = await time(client, build(rollups.sourceFor()), [startDate, endDate], runs);
+      rows.push({
+        query: name,
+        'raw (ms)': raw.ms.toFixed(2),
+        'rollup (ms)': daily.ms.toFixed(2),
+        speedup: (raw.ms / daily.ms).toFixed(1) + 'x',
+        'same rows': JSON.stringify(raw.rows) === JSON.stringify(daily.rows) ? 'yes' : 'NO'
+      });
+    }
+    console.table(rows);
+    if (rows.some(row => row['same rows'] !== 'yes')) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await client.query('ROLLBACK');
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,169 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// In-process cache for analytics responses.
+//
+// Entries are keyed on the route, its validated (so normalized, defaults filled in) query parameters and
+// the caller's scope, and remember the range of sale dates the response was computed from. Recording or
+// changing sales invalidates the entries whose range covers any of the sales' dates; entries without a
+// range (e.g. lifetime figures) are invalidated by any sale. Changes that affect every response, such as
+// group memberships, clear the cache. Entries also expire after a TTL, as a backstop for data changed
+// outside the API (seeding, manual SQL).
+//
+// Responses carry an ETag (a hash of the body) and `Cache-Control: private, no-cache`, so clients keep
+// them but revalidate on each use; a matching If-None-Match is answered with 304 and no body.
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_TTL_SECONDS = 300;
+
+const CACHE_CONTROL = 'private, no-cache';
+
+const etagOf = body => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+// Builds a cache key from a route, a scope key and query values: undefined values are left out and keys
+// are sorted, so equivalent requests share an entry however their query strings were written
+function cacheKey(route, scopeKey, values) {
+  const normalized = Object.keys(values || {})
+    .filter(name => values[name] !== undefined)
+    .sort()
+    .map(name => [name, values[name]]);
+  return JSON.stringify([route, scopeKey, normalized]);
+}
+
+// Returns true if a { startDate, endDate } range (YYYY-MM-DD, inclusive) covers any of the dates.
+// A null range covers everything.
+function rangeCovers(range, dates) {
+  if (!range) {
+    return true;
+  }
+  return dates.some(date => date >= range.startDate && date <= range.endDate);
+}
+
+// Creates a cache holding at most `maxEntries` responses (least recently used are evicted first) for
+// `ttlSeconds` each. `now` returns the time in milliseconds, for tests.
+function createCache({ maxEntries = DEFAULT_MAX_ENTRIES, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
+  // Bumped on every invalidation, so responses computed while data was changing aren't stored
+  let version = 0;
+
+  // Returns the entry ({ body, etag, range }) for a key, or null, counting the hit or miss
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      entries.delete(key);
+      stats.misses++;
+      return null;
+    }
+    // Re-insert to mark it as the most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return entry;
+  }
+
+  // Stores a serialized response body unless the cache was invalidated since `sinceVersion`.
+  // Returns the entry, or null if it wasn't stored.
+  function set(key, body, { range = null, sinceVersion = version } = {}) {
+    if (sinceVersion !== version) {
+      return null;
+    }
+    const entry = { body, etag: etagOf(body), range, expiresAt: now() + ttlSeconds * 1000 };
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+    return entry;
+  }
+
+  // Drops the entries whose range covers any of the sale dates. Returns the number dropped.
+  function invalidateDates(dates) {
+    version++;
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+      if (rangeCovers(entry.range, dates)) {
+        entries.delete(key);
+        dropped++;
+      }
+    }
+    stats.invalidations += dropped;
+    return dropped;
+  }
+
+  function clear() {
+    version++;
+    stats.invalidations += entries.size;
+    entries.clear();
+  }
+
+  return {
+    get,
+    set,
+    invalidateDates,
+    clear,
+    version: () => version,
+    stats: () => ({ ...stats, entries: entries.size, maxEntries, ttlSeconds })
+  };
+}
+
+// Middleware caching the JSON responses of a GET route. Goes after `validate`, as the key is built from
+// req.validated. Options:
+// - scopeKey(req): what the response depends on about the caller (required)
+// - range(values): the sale dates the response is computed from, as { startDate, endDate }, or null if it
+//   depends on all of them. Defaults to values.startDate..values.endDate.
+// - cacheable(req): false to bypass the cache, e.g. for CSV exports
+// Only 200 responses sent with res.json are stored; everything else passes through untouched.
+function middleware(cache, { scopeKey, range = values => values, cacheable = () => true }) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' || !cacheable(req)) {
+      return next();
+    }
+
+    const values = req.validated || {};
+    const key = cacheKey(req.baseUrl + req.route.path + ':' + JSON.stringify(req.params), scopeKey(req), values);
+    res.set('Cache-Control', CACHE_CONTROL);
+
+    const cached = cache.get(key);
+    if (cached) {
+      res.set('ETag', cached.etag);
+      res.set('X-Cache', 'HIT');
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      return res.type('json').send(cached.body);
+    }
+
+    const sinceVersion = cache.version();
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode !== 200) {
+        return json(body);
+      }
+      const serialized = JSON.stringify(body);
+      const { startDate, endDate } = range(values) || {};
+      const entry = cache.set(key, serialized, {
+        range: startDate && endDate ? { startDate, endDate } : null,
+        sinceVersion
+      });
+      res.set('ETag', entry ? entry.etag : etagOf(serialized));
+      res.set('X-Cache', 'MISS');
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      return res.type('json').send(serialized);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ENTRIES,
+  DEFAULT_TTL_SECONDS,
+  cacheKey,
+  rangeCovers,
+  createCache,
+  middleware
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const cache = require('./cache');
+
+describe('Response cache', () => {
+    describe('cacheKey', () => {
+        test('should not depend on the order or absence of query values', () => {
+            expect(cache.cacheKey('/groups', 'admin', { startDate: '2024-01-01', endDate: '2024-03-31', compareTo: undefined }))
+                .toBe(cache.cacheKey('/groups', 'admin', { endDate: '2024-03-31', startDate: '2024-01-01' }));
+        });
+
+        test('should tell routes, scopes and values apart', () => {
+            const key = cache.cacheKey('/groups', 'admin', { groupId: [1, 2] });
+            expect(cache.cacheKey('/users', 'admin', { groupId: [1, 2] })).not.toBe(key);
+            expect(cache.cacheKey('/groups', 'user:1', { groupId: [1, 2] })).not.toBe(key);
+            expect(cache.cacheKey('/groups', 'admin', { groupId: [1] })).not.toBe(key);
+        });
+    });
+
+    describe('rangeCovers', () => {
+        test('should match dates within the range, inclusive', () => {
+            const range = { startDate: '2024-01-01', endDate: '2024-03-31' };
+            expect(cache.rangeCovers(range, ['2024-03-31'])).toBe(true);
+            expect(cache.rangeCovers(range, ['2023-12-31', '2024-04-01'])).toBe(false);
+            expect(cache.rangeCovers(null, ['1999-01-01'])).toBe(true);
+        });
+    });
+
+    describe('createCache', () => {
+        let time;
+        let store;
+
+        beforeEach(() => {
+            time = 0;
+            store = cache.createCache({ maxEntries: 2, ttlSeconds: 60, now: () => time });
+        });
+
+        test('should count hits and misses and give entries an ETag', () => {
+            expect(store.get('a')).toBeNull();
+            const entry = store.set('a', '{"data":[]}');
+            expect(entry.etag).toMatch(/^"[\w-]+"$/);
+            expect(store.get('a')).toEqual(entry);
+            expect(store.stats()).toMatchObject({ hits: 1, misses: 1, entries: 1 });
+        });
+
+        test('should expire entries after the TTL', () => {
+            store.set('a', '1');
+            time = 60 * 1000;
+            expect(store.get('a')).toBeNull();
+        });
+
+        test('should evict the least recently used entry', () => {
+            store.set('a', '1');
+            store.set('b', '2');
+            store.get('a');
+            store.set('c', '3');
+            expect(store.get('b')).toBeNull();
+            expect(store.get('a')).not.toBeNull();
+            expect(store.stats().evictions).toBe(1);
+        });
+
+        test('should invalidate the entries covering new sales', () => {
+            store.set('q1', '1', { range: { startDate: '2024-01-01', endDate: '2024-03-31' } });
+            store.set('lifetime', '2');
+            expect(store.invalidateDates(['2024-05-02'])).toBe(1);
+            expect(store.get('q1')).not.toBeNull();
+            expect(store.get('lifetime')).toBeNull();
+
+            store.clear();
+            expect(store.stats()).toMatchObject({ entries: 0, invalidations: 2 });
+        });
+
+        test('should not store responses computed before an invalidation', () => {
+            const version = store.version();
+            store.invalidateDates(['2024-01-15']);
+            expect(store.set('a', '1', { sinceVersion: version })).toBeNull();
+            expect(store.get('a')).toBeNull();
+        });
+    });
+
+    describe('middleware', () => {
+        let store;
+        let app;
+        let handled;
+        // Called by the route before it responds, e.g. to change data mid-request
+        let beforeResponse;
+
+        beforeEach(() => {
+            store = cache.createCache();
+            handled = 0;
+            beforeResponse = () => {};
+            app = express();
+            // Stands in for validate, which the middleware goes after
+            const validated = (req, res, next) => {
+                req.validated = { startDate: req.query.startDate, endDate: req.query.endDate };
+                next();
+            };
+            app.get('/items/:id', validated, cache.middleware(store, { scopeKey: req => req.get('X-Scope') || 'admin' }), (req, res) => {
+                handled++;
+                beforeResponse();
+                if (req.params.id === '404') {
+                    return res.status(404).json({ error: 'Not found' });
+                }
+                res.json({ id: req.params.id });
+            });
+        });
+
+        test('should store a response and answer again from the cache', async () => {
+            const first = await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31');
+            expect(first.status).toBe(200);
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(first.headers['cache-control']).toBe('private, no-cache');
+            expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+
+            const second = await request(app).get('/items/1?endDate=2024-03-31&startDate=2024-01-01');
+            expect(second.status).toBe(200);
+            expect(second.headers['x-cache']).toBe('HIT');
+            expect(second.headers['cache-control']).toBe('private, no-cache');
+            expect(second.headers.etag).toBe(first.headers.etag);
+            expect(second.body).toEqual({ id: '1' });
+            expect(handled).toBe(1);
+
+            // Other scopes and routes get their own entries
+            expect((await request(app).get('/items/1').set('X-Scope', 'user:1')).headers['x-cache']).toBe('MISS');
+            expect((await request(app).get('/items/2')).headers['x-cache']).toBe('MISS');
+        });
+
+        test('should answer a matching If-None-Match with 304 and no body', async () => {
+            const first = await request(app).get('/items/1');
+            expect((await request(app).get('/items/1').set('If-None-Match', '"stale"')).status).toBe(200);
+
+            const hit = await request(app).get('/items/1').set('If-None-Match', first.headers.etag);
+            expect(hit.status).toBe(304);
+            expect(hit.text).toBe('');
+            expect(hit.headers.etag).toBe(first.headers.etag);
+            expect(hit.headers['x-cache']).toBe('HIT');
+
+            // A freshly computed response is compared too
+            store.clear();
+            const recomputed = await request(app).get('/items/1').set('If-None-Match', first.headers.etag);
+            expect(recomputed.status).toBe(304);
+            expect(recomputed.headers['x-cache']).toBe('MISS');
+            expect(handled).toBe(2);
+        });
+
+        test('should pass responses other than 200 through without storing them', async () => {
+            const first = await request(app).get('/items/404');
+            expect(first.status).toBe(404);
+            expect(first.body).toEqual({ error: 'Not found' });
+            expect(first.headers['x-cache']).toBeUndefined();
+
+            await request(app).get('/items/404');
+            expect(handled).toBe(2);
+            expect(store.stats().entries).toBe(0);
+        });
+
+        test('should not store a response when the cache is invalidated while it is computed', async () => {
+            beforeResponse = () => store.invalidateDates(['2024-02-01']);
+            const first = await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31');
+            expect(first.status).toBe(200);
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+            expect(store.stats().entries).toBe(0);
+
+            beforeResponse = () => {};
+            expect((await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31')).headers['x-cache']).toBe('MISS');
+            expect((await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31')).headers['x-cache']).toBe('HIT');
+            expect(handled).toBe(2);
+        });
+
+        test('should invalidate stored responses by the dates they cover', async () => {
+            await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31');
+            store.invalidateDates(['2024-05-02']);
+            expect((await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31')).headers['x-cache']).toBe('HIT');
+            store.invalidateDates(['2024-03-31']);
+            expect((await request(app).get('/items/1?startDate=2024-01-01&endDate=2024-03-31')).headers['x-cache']).toBe('MISS');
+        });
+    });
+});
@@ -0,0 +1,587 @@
+'use strict';
+
+const targets = require('./targets');
+const currency = require('./currency');
+
+// Commission plans and payout statements.
+//
+// A plan pays a percentage of revenue in marginal tiers: { from, rate } pays `rate` percent on the part of
+// the period's revenue from `from` up to the next tier's `from` (a flat plan has a single tier from 0).
+// With an accelerator, the rates are multiplied by it on revenue above the user's quota, which is their
+// revenue target for the period (see targets.js). Users are paid under the plan assigned to them, or else
+// the default plan for their role.
+//
+// Statements are calculated per user and month or quarter. Sales are applied in date order, so the
+// commission on each sale (its line item) depends on the revenue before it in the period. Once a period
+// is closed its statements only change when a recalculation is explicitly requested with a reason, and
+// each such recalculation is recorded.
+//
+// Plans, tiers and quotas are in USD. Commission is paid on each sale's amount less its refunds, converted
+// into USD at the rate for its date; cancelled sales earn nothing, and sales without a rate are left out
+// and counted on the statement. Refunds made after a period is closed only count if it's recalculated.
+
+const MAX_TIERS = 20;
+const MAX_RATE = 100;
+const MAX_ACCELERATOR = 10;
+const MAX_NAME_LENGTH = 100;
+const MAX_REASON_LENGTH = 1000;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumberBetween = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+const round = value => Math.round(value * 100) / 100;
+
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    return [{ field: 'tiers', message: `must be a non-empty array of at most ${MAX_TIERS} tiers` }];
+  }
+  const errors = [];
+  tiers.forEach((tier, i) => {
+    if (!isPlainObject(tier)) {
+      errors.push({ field: `tiers[${i}]`, message: 'must be an object' });
+      return;
+    }
+    const previous = tiers[i - 1];
+    if (i === 0 ? tier.from !== 0 : !Number.isSafeInteger(tier.from) || !(isPlainObject(previous) && tier.from > previous.from)) {
+      errors.push({
+        field: `tiers[${i}].from`,
+        message: i === 0 ? 'must be 0' : 'must be an integer greater than the previous tier\'s'
+      });
+    }
+    if (!isNumberBetween(tier.rate, 0, MAX_RATE)) {
+      errors.push({ field: `tiers[${i}].rate`, message: `must be a percentage between 0 and ${MAX_RATE}` });
+    }
+  });
+  return errors;
+}
+
+// Validates a plan payload: { name, role?, rate | tiers, accelerator? }. Returns a list of { field, message }
+// errors (empty if valid). With `partial` (updates), every field is optional.
+function validatePlan(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { name, role, rate, tiers, accelerator } = body;
+  const given = field => body[field] !== undefined;
+
+  if ((!partial || given('name')) && (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH)) {
+    errors.push({ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (given('role') && role !== null && (typeof role !== 'string' || role === '' || role.length > 50)) {
+    errors.push({ field: 'role', message: 'must be a role name of at most 50 characters, or null' });
+  }
+
+  if (given('rate') && given('tiers')) {
+    errors.push({ field: 'rate', message: 'give either rate or tiers, not both' });
+  } else if (given('rate')) {
+    if (!isNumberBetween(rate, 0, MAX_RATE)) {
+      errors.push({ field: 'rate', message: `must be a percentage between 0 and ${MAX_RATE}` });
+    }
+  } else if (given('tiers')) {
+    errors.push(...validateTiers(tiers));
+  } else if (!partial) {
+    errors.push({ field: 'rate', message: 'rate (flat plans) or tiers (tiered plans) is required' });
+  }
+
+  if (given('accelerator') && accelerator !== null && !isNumberBetween(accelerator, 1, MAX_ACCELERATOR)) {
+    errors.push({ field: 'accelerator', message: `must be a number between 1 and ${MAX_ACCELERATOR}, or null` });
+  }
+
+  if (partial && errors.length === 0 && !['name', 'role', 'rate', 'tiers', 'accelerator'].some(given)) {
+    errors.push({ field: 'body', message: 'must include at least one of name, role, rate, tiers and accelerator' });
+  }
+
+  return errors;
+}
+
+// Validates a statement calculation or close request: { periodType, periodStart, userIds?, recalculate?, reason? }
+function validatePeriodRequest(body, { calculate = false } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { periodType, periodStart, userIds, recalculate, reason } = body;
+
+  if (!targets.PERIOD_TYPES.includes(periodType)) {
+    errors.push({ field: 'periodType', message: `must be one of: ${targets.PERIOD_TYPES.join(', ')}` });
+  } else if (typeof periodStart !== 'string' || !/^\d{4}-\d{2}-01$/.test(periodStart) || !targets.isPeriodStart(periodType, periodStart)) {
+    errors.push({ field: 'periodStart', message: `must be the first day of a ${periodType} in YYYY-MM-DD format` });
+  }
+
+  if (!calculate) {
+    return errors;
+  }
+
+  if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0 ||
+      !userIds.every(id => Number.isInteger(id) && id >= 1 && id <= 2147483647))) {
+    errors.push({ field: 'userIds', message: 'must be a non-empty array of positive integers' });
+  }
+  if (recalculate !== undefined && typeof recalculate !== 'boolean') {
+    errors.push({ field: 'recalculate', message: 'must be true or false' });
+  }
+  if (recalculate === true && (typeof reason !== 'string' || reason.trim() === '' || reason.length > MAX_REASON_LENGTH)) {
+    errors.push({ field: 'reason', message: `is required to recalculate closed statements (at most ${MAX_REASON_LENGTH} characters)` });
+  }
+  return errors;
+}
+
+// Stored tiers for a validated plan payload
+const tiersOf = ({ rate, tiers }) => (rate !== undefined ? [{ from: 0, rate }] : tiers);
+
+function formatPlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    type: row.tiers.length === 1 ? 'flat' : 'tiered',
+    tiers: row.tiers,
+    accelerator: row.accelerator === null ? null : parseFloat(row.accelerator)
+  };
+}
+
+// Calculates the commission on a user's sales for a period (sorted by date, with amounts in USD) under
+// `plan` ({ tiers, accelerator }), given their quota (null if they have no target). Returns
+// { saleCount, revenue, commission, lineItems }, where each line item breaks its commission down into
+// the parts of the sale paid at each rate.
+function calculateCommission(plan, sales, quota) {
+  const tiers = plan.tiers;
+  const accelerator = plan.accelerator && quota !== null ? plan.accelerator : null;
+
+  let revenue = 0;
+  let commission = 0;
+  const lineItems = sales.map(sale => {
+    const breakdown = [];
+    let position = revenue;
+    // Converted amounts have cents; rounding keeps the running revenue from drifting
+    const end = round(revenue + sale.amount);
+
+    while (position < end) {
+      const tierIndex = tiers.reduce((found, tier, i) => (tier.from <= position ? i : found), 0);
+      const nextTier = tierIndex + 1 < tiers.length ? tiers[tierIndex + 1].from : Infinity;
+      const accelerated = accelerator !== null && position >= quota;
+      const nextBoundary = Math.min(end, nextTier, accelerator !== null && !accelerated ? quota : Infinity);
+      const rate = tiers[tierIndex].rate * (accelerated ? accelerator : 1);
+      const amount = round(nextBoundary - position);
+
+      breakdown.push({ tierFrom: tiers[tierIndex].from, accelerated, rate, amount, commission: amount * rate / 100 });
+      position = nextBoundary;
+    }
+
+    revenue = end;
+    const saleCommission = round(breakdown.reduce((sum, part) => sum + part.commission, 0));
+    commission += saleCommission;
+    return {
+      saleId: sale.id,
+      date: sale.date,
+      amount: sale.amount,
+      currency: sale.currency,
+      originalAmount: sale.originalAmount,
+      adjustedAmount: sale.adjustedAmount,
+      commission: saleCommission,
+      breakdown: breakdown.map(part => ({ ...part, rate: Math.round(part.rate * 1000) / 1000, commission: round(part.commission) }))
+    };
+  });
+
+  return { saleCount: sales.length, revenue, commission: round(commission), lineItems };
+}
+
+const PLAN_COLUMNS = 'id, name, role, tiers, accelerator';
+
+// Constraint violated by a conflicting insert or update -> error detail
+const PLAN_CONFLICTS = {
+  commission_plans_name_key: { field: 'name', message: 'a plan with this name already exists' },
+  commission_plans_role_key: { field: 'role', message: 'the role already has a default plan' }
+};
+
+const planConflict = err => ({ status: 409, body: { error: 'Conflict', details: [PLAN_CONFLICTS[err.constraint]] } });
+
+async function listPlans(client) {
+  const result = await client.query(`SELECT ${PLAN_COLUMNS} FROM commission_plans ORDER BY id ASC;`);
+  return result.rows.map(formatPlan);
+}
+
+// Creates a plan. Returns { status, body }: 201 with the plan, or 409 if its name or role is taken.
+async function createPlan(client, body) {
+  try {
+    const result = await client.query(`
+      INSERT INTO commission_plans (name, role, tiers, accelerator)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${PLAN_COLUMNS};
+    `, [body.name, body.role || null, JSON.stringify(tiersOf(body)), body.accelerator || null]);
+    return { status: 201, body: { data: formatPlan(result.rows[0]) } };
+  } catch (err) {
+    if (err.code === '23505' && PLAN_CONFLICTS[err.constraint]) {
+      return planConflict(err);
+    }
+    throw err;
+  }
+}
+
+// Updates the given fields of a plan. Returns { status, body }: 200 with the plan, 404, or 409 if the new
+// name or role is taken. Statements already calculated keep the plan they were calculated with.
+async function updatePlan(client, id, body) {
+  const params = [id];
+  const set = [];
+  const assign = (column, value) => {
+    params.push(value);
+    set.push(`${column} = $${params.length}`);
+  };
+  if (body.name !== undefined) {
+    assign('name', body.name);
+  }
+  if (body.role !== undefined) {
+    assign('role', body.role);
+  }
+  if (body.rate !== undefined || body.tiers !== undefined) {
+    assign('tiers', JSON.stringify(tiersOf(body)));
+  }
+  if (body.accelerator !== undefined) {
+    assign('accelerator', body.accelerator);
+  }
+
+  try {
+    const result = await client.query(`
+      UPDATE commission_plans SET ${set.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${PLAN_COLUMNS};
+    `, params);
+    if (result.rows.length === 0) {
+      return { status: 404, body: { error: 'Not found' } };
+    }
+    return { status: 200, body: { data: formatPlan(result.rows[0]) } };
+  } catch (err) {
+    if (err.code === '23505' && PLAN_CONFLICTS[err.constraint]) {
+      return planConflict(err);
+    }
+    throw err;
+  }
+}
+
+// Assigns a plan to a user, or with a null planId reverts them to their role's default plan.
+// Returns { status, body }: 200 with the user's effective plan (null if none), or 400 if the user or plan
+// doesn't exist.
+async function assignPlan(client, userId, planId) {
+  const found = await client.query(
+    'SELECT (SELECT 1 FROM users WHERE id = $1) as user_exists, (SELECT 1 FROM commission_plans WHERE id = $2) as plan_exists;',
+    [userId, planId]
+  );
+  const details = [];
+  if (!found.rows[0].user_exists) {
+    details.push({ field: 'userId', message: 'user does not exist' });
+  }
+  if (planId !== null && !found.rows[0].plan_exists) {
+    details.push({ field: 'planId', message: 'plan does not exist' });
+  }
+  if (details.length > 0) {
+    return { status: 400, body: { error: 'Invalid request', details } };
+  }
+
+  if (planId === null) {
+    await client.query('DELETE FROM commission_plan_assignments WHERE user_id = $1;', [userId]);
+  } else {
+    await client.query(`
+      INSERT INTO commission_plan_assignments (user_id, plan_id) VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET plan_id = EXCLUDED.plan_id, created_at = NOW();
+    `, [userId, planId]);
+  }
+
+  const plans = await effectivePlans(client, [userId]);
+  const { plan, assigned } = plans[0];
+  return { status: 200, body: { data: { userId, assigned, plan } } };
+}
+
+// The plan each user is paid under: their assigned plan, else their role's default (null if neither).
+// Returns [{ userId, role, assigned, plan }] in user id order; userIds null means every user.
+async function effectivePlans(client, userIds) {
+  const result = await client.query(`
+    SELECT
+      u.id as user_id,
+      u.role as user_role,
+      a.plan_id IS NOT NULL as assigned,
+      p.id, p.name, p.role, p.tiers, p.accelerator
+    FROM users u
+    LEFT JOIN commission_plan_assignments a ON a.user_id = u.id
+    LEFT JOIN commission_plans p ON p.id = a.plan_id OR (a.plan_id IS NULL AND p.role = u.role)
+    WHERE $1::int[] IS NULL OR u.id = ANY($1::int[])
+    ORDER BY u.id ASC;
+  `, [userIds]);
+  return result.rows.map(row => ({
+    userId: row.user_id,
+    role: row.user_role,
+    assigned: row.assigned,
+    plan: row.id === null ? null : formatPlan(row)
+  }));
+}
+
+// Calculates (or refreshes) the statements of a period for the given users (null for every user with a
+// plan), in one transaction. Returns { status, body }:
+// - 200 with the statements and the ids of users skipped for having no plan. Each statement counts the
+//   sales left out for having no rate into USD in unconvertedSales.
+// - 400 if some of the users don't exist
+// - 409 if some of the statements are closed and `recalculate` wasn't requested. With it, closed
+//   statements are recalculated, stay closed, and the change is recorded with `reason` and `actorId`.
+async function calculateStatements(client, { periodType, periodStart, userIds = null, recalculate = false, reason, actorId }) {
+  const periodEnd = targets.periodEnd(periodType, periodStart);
+
+  await client.query('BEGIN');
+  try {
+    const plans = await effectivePlans(client, userIds);
+
+    if (userIds) {
+      const found = new Set(plans.map(entry => entry.userId));
+      const missing = userIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        await client.query('ROLLBACK');
+        return {
+          status: 400,
+          body: { error: 'Invalid request', details: missing.map(id => ({ field: 'userIds', message: `user ${id} does not exist` })) }
+        };
+      }
+    }
+
+    const payees = plans.filter(entry => entry.plan);
+    const payeeIds = payees.map(entry => entry.userId);
+
+    // Lock the period's existing statements so concurrent calculations and closes queue up
+    const existing = await client.query(`
+      SELECT user_id, status, revenue, commission
+      FROM commission_statements
+      WHERE period_type = $1 AND period_start = $2 AND user_id = ANY($3::int[])
+      FOR UPDATE;
+    `, [periodType, periodStart, payeeIds]);
+    const previous = new Map(existing.rows.map(row => [row.user_id, row]));
+
+    const closedUserIds = existing.rows.filter(row => row.status === 'closed').map(row => row.user_id);
+    if (closedUserIds.length > 0 && !recalculate) {
+      await client.query('ROLLBACK');
+      return {
+        status: 409,
+        body: {
+          error: 'Conflict',
+          details: [{
+            field: 'recalculate',
+            message: `the ${periodType} is closed for users ${closedUserIds.join(', ')}; set recalculate and give a reason to recalculate it`
+          }]
+        }
+      };
+    }
+
+    // Each sale net of its adjustments, in USD at its date's rate (converted_amount is null without one)
+    const salesResult = await client.query(`
+      SELECT
+        s.id, s.user_id, s.currency, s.amount as original_amount, s.adjusted_amount,
+        ROUND((s.amount - s.adjusted_amount) * exchange_factor(s.currency, '${currency.BASE_CURRENCY}', s.date), 2) as converted_amount,
+        to_char(s.date, 'YYYY-MM-DD') as date
+      FROM sales s
+      WHERE s.user_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3 AND s.status <> 'cancelled'
+      ORDER BY s.user_id, s.date, s.id;
+    `, [payeeIds, periodStart, periodEnd]);
+    const quotas = await client.query(`
+      SELECT user_id, revenue_target
+      FROM targets
+      WHERE user_id = ANY($1::int[]) AND period_type = $2 AND period_start = $3;
+    `, [payeeIds, periodType, periodStart]);
+    const quotaOf = new Map(quotas.rows.map(row => [row.user_id, parseInt(row.revenue_target)]));
+
+    const statementIds = [];
+    for (const { userId, plan } of payees) {
+      const quota = quotaOf.has(userId) ? quotaOf.get(userId) : null;
+      const userSales = salesResult.rows.filter(sale => sale.user_id === userId);
+      const unconverted = userSales.filter(sale => sale.converted_amount === null);
+      const result = calculateCommission(plan, userSales.filter(sale => sale.converted_amount !== null).map(sale => ({
+        id: sale.id,
+        date: sale.date,
+        amount: parseFloat(sale.converted_amount),
+        currency: sale.currency,
+        originalAmount: sale.original_amount,
+        adjustedAmount: sale.adjusted_amount
+      })), quota);
+      const unconvertedCurrencies = [...new Set(unconverted.map(sale => sale.currency))].sort();
+
+      const statement = await client.query(`
+        INSERT INTO commission_statements
+          (user_id, plan_id, plan, period_type, period_start, quota, sale_count, revenue, commission,
+           unconverted_sale_count, unconverted_currencies)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (user_id, period_type, period_start) DO UPDATE SET
+          plan_id = EXCLUDED.plan_id,
+          plan = EXCLUDED.plan,
+          quota = EXCLUDED.quota,
+          sale_count = EXCLUDED.sale_count,
+          revenue = EXCLUDED.revenue,
+          commission = EXCLUDED.commission,
+          unconverted_sale_count = EXCLUDED.unconverted_sale_count,
+          unconverted_currencies = EXCLUDED.unconverted_currencies,
+          calculated_at = NOW()
+        RETURNING id;
+      `, [
+        userId, plan.id, JSON.stringify(plan), periodType, periodStart, quota, result.saleCount, result.revenue, result.commission,
+        unconverted.length, unconvertedCurrencies
+      ]);
+      const statementId = statement.rows[0].id;
+      statementIds.push(statementId);
+
+      await client.query('DELETE FROM commission_line_items WHERE statement_id = $1;', [statementId]);
+      await client.query(`
+        INSERT INTO commission_line_items
+          (statement_id, sale_id, amount, currency, original_amount, adjusted_amount, commission, breakdown)
+        SELECT $1, sale_id, amount, currency, original_amount, adjusted_amount, commission, breakdown
+        FROM UNNEST($2::int[], $3::numeric[], $4::text[], $5::int[], $6::int[], $7::numeric[], $8::jsonb[])
+          AS t(sale_id, amount, currency, original_amount, adjusted_amount, commission, breakdown);
+      `, [
+        statementId,
+        result.lineItems.map(item => item.saleId),
+        result.lineItems.map(item => item.amount),
+        result.lineItems.map(item => item.currency),
+        result.lineItems.map(item => item.originalAmount),
+        result.lineItems.map(item => item.adjustedAmount),
+        result.lineItems.map(item => item.commission),
+        result.lineItems.map(item => JSON.stringify(item.breakdown))
+      ]);
+
+      const before = previous.get(userId);
+      if (before && before.status === 'closed') {
+        await client.query(`
+          INSERT INTO commission_recalculations
+            (statement_id, recalculated_by, reason, previous_revenue, previous_commission, revenue, commission)
+          VALUES ($1, $2, $3, $4, $5, $6, $7);
+        `, [statementId, actorId, reason, before.revenue, before.commission, result.revenue, result.commission]);
+      }
+    }
+
+    const statements = await listStatements(client, ['cs.id = ANY($1::int[])'], [statementIds]);
+    await client.query('COMMIT');
+    return {
+      status: 200,
+      body: {
+        periodType,
+        periodStart,
+        periodEnd,
+        data: statements,
+        skippedUserIds: plans.filter(entry => !entry.plan).map(entry => entry.userId)
+      }
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Closes the open statements of a period. Returns the number closed.
+async function closePeriod(client, { periodType, periodStart, actorId }) {
+  const result = await client.query(`
+    UPDATE commission_statements
+    SET status = 'closed', closed_at = NOW(), closed_by = $3
+    WHERE period_type = $1 AND period_start = $2 AND status = 'open';
+  `, [periodType, periodStart, actorId]);
+  return result.rowCount;
+}
+
+// Statements matching SQL conditions on commission_statements cs, by period then user
+function statementsQuery(conditions) {
+  return `
+    SELECT
+      cs.id, cs.user_id, u.name as user_name, cs.plan, cs.period_type,
+      to_char(cs.period_start, 'YYYY-MM-DD') as period_start,
+      cs.quota, cs.sale_count, cs.revenue, cs.commission, cs.unconverted_sale_count, cs.unconverted_currencies, cs.status,
+      cs.calculated_at, cs.closed_at, cs.closed_by
+    FROM commission_statements cs
+    JOIN users u ON u.id = cs.user_id
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY cs.period_start ASC, cs.period_type ASC, cs.user_id ASC;
+  `;
+}
+
+function formatStatement(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    plan: row.plan,
+    periodType: row.period_type,
+    periodStart: row.period_start,
+    periodEnd: targets.periodEnd(row.period_type, row.period_start),
+    quota: row.quota === null ? null : parseInt(row.quota),
+    saleCount: row.sale_count,
+    revenue: parseFloat(row.revenue),
+    commission: parseFloat(row.commission),
+    unconvertedSales: { count: row.unconverted_sale_count, currencies: row.unconverted_currencies },
+    status: row.status,
+    calculatedAt: row.calculated_at,
+    closedAt: row.closed_at,
+    closedBy: row.closed_by
+  };
+}
+
+async function listStatements(client, conditions, params) {
+  const result = await client.query(statementsQuery(conditions), params);
+  return result.rows.map(formatStatement);
+}
+
+// A statement with its line items, each traced to its sale, and its recalculation history.
+// Returns null if it doesn't exist.
+async function getStatement(client, id) {
+  const statements = await listStatements(client, ['cs.id = $1'], [id]);
+  if (statements.length === 0) {
+    return null;
+  }
+
+  const lineItems = await client.query(`
+    SELECT li.sale_id, to_char(s.date, 'YYYY-MM-DD') as date, li.amount, li.currency, li.original_amount,
+      li.adjusted_amount, li.commission, li.breakdown
+    FROM commission_line_items li
+    JOIN sales s ON s.id = li.sale_id
+    WHERE li.statement_id = $1
+    ORDER BY li.id ASC;
+  `, [id]);
+  const recalculations = await client.query(`
+    SELECT recalculated_by, reason, previous_revenue, previous_commission, revenue, commission, created_at
+    FROM commission_recalculations
+    WHERE statement_id = $1
+    ORDER BY id ASC;
+  `, [id]);
+
+  return {
+    ...statements[0],
+    lineItems: lineItems.rows.map(row => ({
+      saleId: row.sale_id,
+      date: row.date,
+      amount: parseFloat(row.amount),
+      currency: row.currency,
+      originalAmount: row.original_amount,
+      adjustedAmount: row.adjusted_amount,
+      commission: parseFloat(row.commission),
+      breakdown: row.breakdown
+    })),
+    recalculations: recalculations.rows.map(row => ({
+      recalculatedBy: row.recalculated_by,
+      reason: row.reason,
+      previousRevenue: parseFloat(row.previous_revenue),
+      previousCommission: parseFloat(row.previous_commission),
+      revenue: parseFloat(row.revenue),
+      commission: parseFloat(row.commission),
+      recalculatedAt: row.created_at
+    }))
+  };
+}
+
+module.exports = {
+  validatePlan,
+  validatePeriodRequest,
+  formatPlan,
+  calculateCommission,
+  listPlans,
+  createPlan,
+  updatePlan,
+  assignPlan,
+  effectivePlans,
+  calculateStatements,
+  closePeriod,
+  statementsQuery,
+  formatStatement,
+  listStatements,
+  getStatement
+};
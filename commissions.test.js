@@ -0,0 +1,160 @@
+'use strict';
+
+const commissions = require('./commissions');
+
+describe('Commissions', () => {
+    const tiered = { tiers: [{ from: 0, rate: 5 }, { from: 10000, rate: 10 }], accelerator: null };
+    const sale = (id, amount) => ({ id, amount, date: `2024-06-0${id}` });
+
+    describe('validatePlan', () => {
+        test('should accept flat and tiered plans', () => {
+            expect(commissions.validatePlan({ name: 'Flat', rate: 4 })).toEqual([]);
+            expect(commissions.validatePlan({ name: 'Tiered', role: 'Call Center Agent', ...tiered, accelerator: 1.5 })).toEqual([]);
+        });
+
+        test('should require either a rate or tiers', () => {
+            expect(commissions.validatePlan({ name: 'Plan' })).toEqual([
+                { field: 'rate', message: 'rate (flat plans) or tiers (tiered plans) is required' }
+            ]);
+        });
+
+        test('should require tiers to start at 0 and ascend', () => {
+            const errors = commissions.validatePlan({ name: 'Plan', tiers: [{ from: 0, rate: 5 }, { from: 0, rate: 101 }] });
+
+            expect(errors).toEqual([
+                { field: 'tiers[1].from', message: 'must be an integer greater than the previous tier\'s' },
+                { field: 'tiers[1].rate', message: 'must be a percentage between 0 and 100' }
+            ]);
+        });
+
+        test('should reject empty updates', () => {
+            expect(commissions.validatePlan({}, { partial: true })).toEqual([
+                { field: 'body', message: 'must include at least one of name, role, rate, tiers and accelerator' }
+            ]);
+        });
+    });
+
+    describe('validatePeriodRequest', () => {
+        test('should require a reason to recalculate', () => {
+            const errors = commissions.validatePeriodRequest(
+                { periodType: 'quarter', periodStart: '2024-04-01', recalculate: true },
+                { calculate: true }
+            );
+
+            expect(errors.map(error => error.field)).toEqual(['reason']);
+        });
+
+        test('should require periods to start on a period boundary', () => {
+            expect(commissions.validatePeriodRequest({ periodType: 'quarter', periodStart: '2024-05-01' }).map(error => error.field))
+                .toEqual(['periodStart']);
+        });
+    });
+
+    describe('calculateCommission', () => {
+        test('should pay marginal tier rates in sale order', () => {
+            const result = commissions.calculateCommission(tiered, [sale(1, 6000), sale(2, 6000), sale(3, 1000)], null);
+
+            expect(result.revenue).toBe(13000);
+            expect(result.commission).toBe(800);
+            expect(result.lineItems.map(item => item.commission)).toEqual([300, 400, 100]);
+            expect(result.lineItems[1].breakdown).toEqual([
+                { tierFrom: 0, accelerated: false, rate: 5, amount: 4000, commission: 200 },
+                { tierFrom: 10000, accelerated: false, rate: 10, amount: 2000, commission: 200 }
+            ]);
+        });
+
+        test('should accelerate revenue above quota', () => {
+            const plan = { tiers: [{ from: 0, rate: 4 }], accelerator: 1.5 };
+
+            const result = commissions.calculateCommission(plan, [sale(1, 8000), sale(2, 4000)], 10000);
+
+            expect(result.lineItems[1].breakdown).toEqual([
+                { tierFrom: 0, accelerated: false, rate: 4, amount: 2000, commission: 80 },
+                { tierFrom: 0, accelerated: true, rate: 6, amount: 2000, commission: 120 }
+            ]);
+            expect(result.commission).toBe(520);
+        });
+
+        test('should not accelerate without a quota', () => {
+            const plan = { tiers: [{ from: 0, rate: 4 }], accelerator: 1.5 };
+
+            expect(commissions.calculateCommission(plan, [sale(1, 12000)], null).commission).toBe(480);
+        });
+
+        test('should round each line item to cents', () => {
+            const plan = { tiers: [{ from: 0, rate: 3.333 }], accelerator: null };
+
+            const result = commissions.calculateCommission(plan, [sale(1, 1001), sale(2, 1001)], null);
+
+            expect(result.lineItems.map(item => item.commission)).toEqual([33.36, 33.36]);
+            expect(result.commission).toBe(66.72);
+        });
+
+        test('should keep converted amounts to the cent', () => {
+            const result = commissions.calculateCommission(tiered, [sale(1, 0.1), sale(2, 0.2), sale(3, 9999.7)], null);
+
+            expect(result.revenue).toBe(10000);
+            expect(result.lineItems[2].breakdown).toEqual([
+                { tierFrom: 0, accelerated: false, rate: 5, amount: 9999.7, commission: 499.99 }
+            ]);
+        });
+    });
+
+    describe('calculateStatements', () => {
+        let mockClient;
+
+        beforeEach(() => {
+            mockClient = {
+                query: jest.fn(async sql => {
+                    if (sql.includes('FROM users u')) {
+                        return {
+                            rows: [{ user_id: 1, user_role: 'Call Center Agent', assigned: true, id: 3, name: 'Tiered', role: null, ...tiered }]
+                        };
+                    }
+                    if (sql.includes('exchange_factor')) {
+                        return {
+                            rows: [
+                                { id: 10, user_id: 1, currency: 'EUR', original_amount: 1000, adjusted_amount: 0, converted_amount: '1150.00', date: '2024-06-03' },
+                                { id: 11, user_id: 1, currency: 'GBP', original_amount: 500, adjusted_amount: 0, converted_amount: null, date: '2024-06-04' },
+                                { id: 12, user_id: 1, currency: 'USD', original_amount: 9500, adjusted_amount: 500, converted_amount: '9000.00', date: '2024-06-05' }
+                            ]
+                        };
+                    }
+                    if (sql.includes('INSERT INTO commission_statements')) {
+                        return { rows: [{ id: 7 }] };
+                    }
+                    return { rows: [] };
+                })
+            };
+        });
+
+        const callTo = text => mockClient.query.mock.calls.find(([sql]) => sql.includes(text));
+
+        test('should pay on sales net of adjustments in USD and count those without a rate', async () => {
+            const result = await commissions.calculateStatements(mockClient, { periodType: 'month', periodStart: '2024-06-01' });
+
+            expect(result.status).toBe(200);
+            const [salesSql] = callTo('exchange_factor');
+            expect(salesSql).toContain(`ROUND((s.amount - s.adjusted_amount) * exchange_factor(s.currency, 'USD', s.date), 2)`);
+            expect(salesSql).toContain(`s.status <> 'cancelled'`);
+            const [, statementParams] = callTo('INSERT INTO commission_statements');
+            // sale count, revenue and commission, then the unconverted sales
+            expect(statementParams.slice(6)).toEqual([2, 10150, 515, 1, ['GBP']]);
+            const [, lineItemParams] = callTo('INSERT INTO commission_line_items');
+            expect(lineItemParams.slice(1, 7)).toEqual([[10, 12], [1150, 9000], ['EUR', 'USD'], [1000, 9500], [0, 500], [57.5, 457.5]]);
+            expect(mockClient.query.mock.calls[mockClient.query.mock.calls.length - 1][0]).toBe('COMMIT');
+        });
+    });
+
+    test('should format statements with their unconverted sales', () => {
+        const statement = commissions.formatStatement({
+            id: 7, user_id: 1, user_name: 'Alice', plan: tiered, period_type: 'month', period_start: '2024-06-01',
+            quota: null, sale_count: 2, revenue: '10150.00', commission: '515.00',
+            unconverted_sale_count: 1, unconverted_currencies: ['GBP'], status: 'open'
+        });
+
+        expect(statement).toMatchObject({
+            periodEnd: '2024-06-30', revenue: 10150, commission: 515, unconvertedSales: { count: 1, currencies: ['GBP'] }
+        });
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { isValidDate, isValidCurrency } = require('./validation');
+const { ADJUSTMENT_PERIODS, DEFAULT_ADJUSTMENT_PERIOD } = require('./adjustments');
+
+// Sale currencies and exchange rates (see migrations/009_currencies.js).
+//
+// Every sale is in a currency, USD unless recorded otherwise. exchange_rates holds the value in USD of one
+// unit of each other currency per date; a sale converts at the latest rate from the 7 days up to its date.
+// The analytics queries read sales converted into a reporting currency, each at its own date's rate, before
+// summing and averaging. Sales without a rate for that date can't be converted and are left out; the
+// responses count them (see unconvertedSales, and unconvertedAdjustments for adjustments counted on their
+// own dates) so the gap is visible.
+
+const BASE_CURRENCY = 'USD';
+const DEFAULT_CURRENCY = BASE_CURRENCY;
+
+// Limits for the rates API
+const MAX_RATES = 1000;
+const MIN_RATE = 1e-10; // exchange_rates.rate is NUMERIC(20, 10)
+const MAX_RATE = 1e10;
+
+// SQL string literal for a currency code. Codes are validated first, so they need no escaping; a literal
+// rather than a parameter lets the tables below go into queries whatever their parameter numbering.
+function literal(code) {
+  if (!isValidCurrency(code)) {
+    throw new Error(`Invalid currency code: ${code}`);
+  }
+  return `'${code}'`;
+}
+
+// SQL tables reading sales and the daily rollups converted into a currency, with the same columns (amounts
+// and revenue as numeric). Use them in place of sales, daily_user_sales and daily_group_sales. Amounts and
+// revenue are net of adjustments; salesIn counts them in `adjustmentPeriod` (see adjustments.js), the
+// rollups always in the sale's.
+function salesIn(code, adjustmentPeriod = DEFAULT_ADJUSTMENT_PERIOD) {
+  if (!ADJUSTMENT_PERIODS.includes(adjustmentPeriod)) {
+    throw new Error(`Invalid adjustment period: ${adjustmentPeriod}`);
+  }
+  return `sales_in(${literal(code)}, '${adjustmentPeriod}')`;
+}
+const dailyUserSalesIn = code => `daily_user_sales_in(${literal(code)})`;
+const dailyGroupSalesIn = code => `daily_group_sales_in(${literal(code)})`;
+
+// The rows of `table` (with user_id, date and currency columns) matching SQL conditions (on the rows s and
+// their users u) that have no rate to convert them into `code`: { count, currencies }
+async function countUnconverted(db, code, table, conditions, params) {
+  const result = await db.query(`
+    SELECT COUNT(*) as count, COALESCE(array_agg(DISTINCT s.currency::text ORDER BY s.currency::text), '{}') as currencies
+    FROM ${table} s
+    JOIN users u ON s.user_id = u.id
+    WHERE exchange_factor(s.currency, ${literal(code)}, s.date) IS NULL
+      ${conditions.map(condition => 'AND ' + condition).join(' ')};
+  `, params);
+  return { count: parseInt(result.rows[0].count), currencies: result.rows[0].currencies };
+}
+
+// The sales matching SQL conditions (on sales s and their users u) that have no rate to convert them into
+// `code`: { count, currencies }, listing the currencies they are in
+function unconvertedSales(db, code, conditions, params) {
+  return countUnconverted(db, code, 'sales', conditions, params);
+}
+
+// The same for adjustments, which salesIn's 'adjustment' period converts at the rate for the day they were
+// made rather than with their sale. Conditions apply to them as s, dated when they were made, with their
+// sale's user and currency.
+function unconvertedAdjustments(db, code, conditions, params) {
+  return countUnconverted(db, code, `(
+      SELECT a.id, sa.user_id, a.date, sa.currency
+      FROM sale_adjustments a
+      JOIN sales sa ON sa.id = a.sale_id
+    )`, conditions, params);
+}
+
+// Validates the body of a rates update ({ rates: [{ currency, date, rate }] }). Rates are the value in
+// USD of one unit of the currency.
+function validateRates(body) {
+  const rates = body && body.rates;
+  if (!Array.isArray(rates) || rates.length === 0) {
+    return [{ field: 'rates', message: 'must be a non-empty array' }];
+  }
+  if (rates.length > MAX_RATES) {
+    return [{ field: 'rates', message: `must contain at most ${MAX_RATES} rates` }];
+  }
+  const seen = new Set();
+  return rates.flatMap((rate, i) => {
+    const prefix = `rates[${i}].`;
+    if (rate === null || typeof rate !== 'object' || Array.isArray(rate)) {
+      return [{ field: `rates[${i}]`, message: 'must be an object' }];
+    }
+    const errors = [];
+    if (!isValidCurrency(rate.currency)) {
+      errors.push({ field: prefix + 'currency', message: 'must be a three-letter ISO 4217 currency code, e.g. EUR' });
+    } else if (rate.currency === BASE_CURRENCY) {
+      errors.push({ field: prefix + 'currency', message: `must not be ${BASE_CURRENCY}, which rates are quoted in` });
+    }
+    if (!isValidDate(rate.date)) {
+      errors.push({ field: prefix + 'date', message: 'must be a valid date in YYYY-MM-DD format' });
+    }
+    if (typeof rate.rate !== 'number' || !Number.isFinite(rate.rate) || rate.rate < MIN_RATE || rate.rate >= MAX_RATE) {
+      errors.push({ field: prefix + 'rate', message: `must be a number of at least ${MIN_RATE} and less than ${MAX_RATE}` });
+    }
+    // One statement can't set the same rate twice
+    const key = `${rate.currency} ${rate.date}`;
+    if (errors.length === 0 && seen.has(key)) {
+      errors.push({ field: `rates[${i}]`, message: `repeats the ${rate.currency} rate for ${rate.date}` });
+    }
+    seen.add(key);
+    return errors;
+  });
+}
+
+function formatRate(row) {
+  return {
+    currency: row.currency,
+    date: row.date,
+    rate: parseFloat(row.rate)
+  };
+}
+
+const RATE_COLUMNS = `currency, to_char(date, 'YYYY-MM-DD') as date, rate`;
+
+// Lists the rates between two dates, optionally of one currency, by currency then date
+async function listRates(db, { currency, startDate, endDate }) {
+  const result = await db.query(`
+    SELECT ${RATE_COLUMNS}
+    FROM exchange_rates
+    WHERE date BETWEEN $1 AND $2 AND ($3::text IS NULL OR currency = $3)
+    ORDER BY currency ASC, date ASC;
+  `, [startDate, endDate, currency || null]);
+  return result.rows.map(formatRate);
+}
+
+// Adds rates, replacing any already set for the same currency and date. Returns the rates as stored.
+async function upsertRates(db, rates) {
+  const result = await db.query(`
+    INSERT INTO exchange_rates (currency, date, rate)
+    SELECT * FROM UNNEST($1::text[], $2::date[], $3::numeric[])
+    ON CONFLICT (currency, date) DO UPDATE SET rate = EXCLUDED.rate
+    RETURNING ${RATE_COLUMNS};
+  `, [rates.map(rate => rate.currency), rates.map(rate => rate.date), rates.map(rate => rate.rate)]);
+  return result.rows.map(formatRate).sort((a, b) => a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date));
+}
+
+// Returns true if a rate was deleted
+async function deleteRate(db, currency, date) {
+  const result = await db.query('DELETE FROM exchange_rates WHERE currency = $1 AND date = $2;', [currency, date]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCY,
+  MAX_RATES,
+  literal,
+  salesIn,
+  dailyUserSalesIn,
+  dailyGroupSalesIn,
+  unconvertedSales,
+  unconvertedAdjustments,
+  validateRates,
+  listRates,
+  upsertRates,
+  deleteRate
+};
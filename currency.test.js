@@ -0,0 +1,71 @@
+'use strict';
+
+const currency = require('./currency');
+
+describe('Currencies', () => {
+    describe('literal', () => {
+        test('should quote valid codes and refuse anything else', () => {
+            expect(currency.literal('EUR')).toBe("'EUR'");
+            expect(currency.salesIn('GBP')).toBe("sales_in('GBP', 'sale')");
+            expect(currency.salesIn('GBP', 'adjustment')).toBe("sales_in('GBP', 'adjustment')");
+            expect(() => currency.salesIn('GBP', 'refund')).toThrow('Invalid adjustment period');
+            expect(() => currency.literal("USD'; --")).toThrow('Invalid currency code');
+            expect(() => currency.literal('usd')).toThrow('Invalid currency code');
+        });
+    });
+
+    describe('validateRates', () => {
+        const rate = { currency: 'EUR', date: '2021-11-08', rate: 1.15 };
+
+        test('should accept rates of currencies other than USD', () => {
+            expect(currency.validateRates({ rates: [rate, { ...rate, currency: 'GBP', rate: 1.34 }] })).toEqual([]);
+        });
+
+        test('should report every invalid field with the index of the rate', () => {
+            const errors = currency.validateRates({ rates: [rate, { currency: 'USD', date: '2021-02-30', rate: 0 }, 'EUR'] });
+
+            expect(errors.map(e => e.field)).toEqual(['rates[1].currency', 'rates[1].date', 'rates[1].rate', 'rates[2]']);
+        });
+
+        test('should reject the same currency and date twice', () => {
+            expect(currency.validateRates({ rates: [rate, { ...rate, rate: 1.2 }] })).toEqual([
+                { field: 'rates[1]', message: 'repeats the EUR rate for 2021-11-08' }
+            ]);
+        });
+
+        test('should reject an empty or oversized list', () => {
+            expect(currency.validateRates({})).toEqual([{ field: 'rates', message: 'must be a non-empty array' }]);
+            expect(currency.validateRates({ rates: Array(currency.MAX_RATES + 1).fill(rate) })).toEqual([
+                { field: 'rates', message: expect.any(String) }
+            ]);
+        });
+    });
+
+    describe('unconvertedSales', () => {
+        test('should count the sales without a rate, within the given conditions', async () => {
+            const mockClient = { query: jest.fn().mockResolvedValue({ rows: [{ count: '3', currencies: ['EUR', 'GBP'] }] }) };
+
+            const result = await currency.unconvertedSales(mockClient, 'USD', ['s.date BETWEEN $1 AND $2'], ['2021-01-01', '2021-12-31']);
+
+            expect(result).toEqual({ count: 3, currencies: ['EUR', 'GBP'] });
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain("exchange_factor(s.currency, 'USD', s.date) IS NULL");
+            expect(sql).toContain('AND s.date BETWEEN $1 AND $2');
+            expect(params).toEqual(['2021-01-01', '2021-12-31']);
+        });
+    });
+
+    describe('unconvertedAdjustments', () => {
+        test('should count the adjustments without a rate on their own date, in their sale\'s currency', async () => {
+            const mockClient = { query: jest.fn().mockResolvedValue({ rows: [{ count: '2', currencies: ['EUR'] }] }) };
+
+            const result = await currency.unconvertedAdjustments(mockClient, 'USD', ['s.date BETWEEN $1 AND $2'], ['2021-01-01', '2021-12-31']);
+
+            expect(result).toEqual({ count: 2, currencies: ['EUR'] });
+            const [sql] = mockClient.query.mock.calls[0];
+            const normalized = sql.replace(/\s+/g, ' ');
+            expect(normalized).toContain('SELECT a.id, sa.user_id, a.date, sa.currency FROM sale_adjustments a JOIN sales sa ON sa.id = a.sale_id');
+            expect(normalized).toContain("exchange_factor(s.currency, 'USD', s.date) IS NULL AND s.date BETWEEN $1 AND $2");
+        });
+    });
+});
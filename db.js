@@ -0,0 +1,16 @@
+'use strict';
+
+// Connection settings shared by the server, the migration CLI and the seeder.
+// Defaults match docker-compose.yml; the standard PG* variables override them (e.g. PGHOST=localhost
+// to run the CLIs from outside the api container).
+const connectionConfig = {
+  host: process.env.PGHOST || 'db',
+  port: process.env.PGPORT || '5432',
+  user: process.env.PGUSER || 'user',
+  password: process.env.PGPASSWORD || 'pass',
+  database: process.env.PGDATABASE || 'actifai'
+};
+
+module.exports = {
+  connectionConfig
+};
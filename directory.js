@@ -0,0 +1,317 @@
+'use strict';
+
+const { isValidDate } = require('./validation');
+
+// Users, groups and group memberships.
+//
+// Memberships are effective-dated: valid_from and valid_to are the first and last day of the membership
+// (inclusive), and NULL leaves that end open. A sale is credited to the groups its user belonged to on
+// the day of the sale, so moving an agent to another group doesn't move their past sales with them.
+// Access control (which members a group lead manages) follows current memberships.
+
+const MAX_NAME_LENGTH = 50; // users.name, users.role and groups.name are VARCHAR(50)
+
+// SQL condition: membership `alias` (a user_groups row) was in effect on the date expression
+function memberOn(alias, dateExpression) {
+  return `daterange(${alias}.valid_from, ${alias}.valid_to, '[]') @> (${dateExpression})::date`;
+}
+
+// SQL condition: membership `alias` was in effect on at least one day between two date expressions
+function memberDuring(alias, startExpression, endExpression) {
+  return `daterange(${alias}.valid_from, ${alias}.valid_to, '[]') && daterange((${startExpression})::date, (${endExpression})::date, '[]')`;
+}
+
+// SQL condition: sale `saleAlias` was made while its user belonged to one of the groups in the int[]
+// expression. Each matching sale counts once, however many of the groups it is credited to.
+function soldInGroups(saleAlias, groupIdsExpression) {
+  return `EXISTS (
+    SELECT 1 FROM user_groups m
+    WHERE m.user_id = ${saleAlias}.user_id AND m.group_id = ANY(${groupIdsExpression}) AND ${memberOn('m', saleAlias + '.date')}
+  )`;
+}
+
+// SQL CTE `sale_groups` crediting each sale matching `salesCondition` (on sales s, read from `salesTable`,
+// e.g. sales converted into a currency by currency.salesIn) to the groups its user belonged to on the
+// sale's date: one row per sale and group, with the number of groups the sale is credited to (group_count)
+// for split attribution. Sales by users in no group on the day are left out. Adjustments listed as rows of
+// their own (see adjustments.js) have a NULL sale_id and go to the groups of the day they were made.
+// sale_count is the source's: 0 for adjustments and for cancelled and refunded sales, which don't count.
+function saleGroupsCte(salesCondition, salesTable) {
+  return `sale_groups AS (
+  SELECT
+    s.id as sale_id,
+    s.sale_count,
+    s.user_id,
+    s.amount,
+    s.gross_amount,
+    s.adjustment_amount,
+    s.date,
+    ug.group_id,
+    COUNT(*) OVER (PARTITION BY s.id, s.adjustment_id) as group_count
+  FROM ${salesTable} s
+  JOIN user_groups ug ON ug.user_id = s.user_id AND ${memberOn('ug', 's.date')}
+  WHERE ${salesCondition}
+)`;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isName = value => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_NAME_LENGTH;
+const isId = value => Number.isInteger(value) && value >= 1 && value <= 2147483647;
+
+// Validates a user ({ name, role }) or, with `partial`, the fields of one to update
+function validateUser(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+  const errors = [];
+  for (const field of ['name', 'role']) {
+    if ((!partial || body[field] !== undefined) && !isName(body[field])) {
+      errors.push({ field, message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+  }
+  if (partial && errors.length === 0 && body.name === undefined && body.role === undefined) {
+    errors.push({ field: 'body', message: 'must include name or role' });
+  }
+  return errors;
+}
+
+// Validates a group ({ name })
+function validateGroup(body) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+  return isName(body.name)
+    ? []
+    : [{ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` }];
+}
+
+// Validates a membership ({ userId, groupId, validFrom?, validTo? }) or, with `partial`, its dates.
+// Dates are YYYY-MM-DD or null for an open end.
+function validateMembership(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+  const errors = [];
+  if (partial) {
+    for (const field of ['userId', 'groupId']) {
+      if (body[field] !== undefined) {
+        errors.push({ field, message: 'cannot be changed; end the membership and create a new one' });
+      }
+    }
+    if (body.validFrom === undefined && body.validTo === undefined) {
+      errors.push({ field: 'body', message: 'must include validFrom or validTo' });
+    }
+  } else {
+    for (const field of ['userId', 'groupId']) {
+      if (!isId(body[field])) {
+        errors.push({ field, message: 'must be a positive integer' });
+      }
+    }
+  }
+  for (const field of ['validFrom', 'validTo']) {
+    if (body[field] !== undefined && body[field] !== null && !isValidDate(body[field])) {
+      errors.push({ field, message: 'must be a valid date in YYYY-MM-DD format, or null' });
+    }
+  }
+  if (errors.length === 0 && body.validFrom && body.validTo && body.validFrom > body.validTo) {
+    errors.push({ field: 'validTo', message: 'must be on or after validFrom' });
+  }
+  return errors;
+}
+
+const invalid = details => ({ status: 400, body: { error: 'Invalid request', details } });
+const conflict = details => ({ status: 409, body: { error: 'Conflict', details } });
+const notFound = () => ({ status: 404, body: { error: 'Not found' } });
+
+const formatUser = row => ({ id: row.id, name: row.name, role: row.role });
+const formatGroup = row => ({ id: row.id, name: row.name });
+const formatMembership = row => ({
+  id: row.id,
+  userId: row.user_id,
+  groupId: row.group_id,
+  validFrom: row.valid_from,
+  validTo: row.valid_to
+});
+
+const MEMBERSHIP_COLUMNS = `id, user_id, group_id,
+  to_char(valid_from, 'YYYY-MM-DD') as valid_from, to_char(valid_to, 'YYYY-MM-DD') as valid_to`;
+
+// Users matching SQL conditions on users u, by id
+async function listUsers(client, conditions, params) {
+  const result = await client.query(`
+    SELECT u.id, u.name, u.role FROM users u
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY u.id ASC;
+  `, params);
+  return result.rows.map(formatUser);
+}
+
+async function getUser(client, id) {
+  const users = await listUsers(client, ['u.id = $1'], [id]);
+  return users[0] || null;
+}
+
+async function createUser(client, { name, role }) {
+  const result = await client.query('INSERT INTO users (name, role) VALUES ($1, $2) RETURNING id, name, role;', [name, role]);
+  return formatUser(result.rows[0]);
+}
+
+// Returns the updated user, or null if it doesn't exist
+async function updateUser(client, id, { name, role }) {
+  const result = await client.query(`
+    UPDATE users SET name = COALESCE($2, name), role = COALESCE($3, role)
+    WHERE id = $1
+    RETURNING id, name, role;
+  `, [id, name === undefined ? null : name, role === undefined ? null : role]);
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+// Deletes a user with their memberships and targets. Returns { status, body }: 204, 404, or 409 if sales
+// or commission statements still reference them (their history has to be kept).
+async function deleteUser(client, id) {
+  try {
+    const result = await client.query('DELETE FROM users WHERE id = $1;', [id]);
+    return result.rowCount > 0 ? { status: 204 } : notFound();
+  } catch (err) {
+    if (err.code === '23503') {
+      return conflict([{ field: 'id', message: 'the user has sales or commission statements and cannot be deleted' }]);
+    }
+    throw err;
+  }
+}
+
+// Groups matching SQL conditions on groups g, by id
+async function listGroups(client, conditions, params) {
+  const result = await client.query(`
+    SELECT g.id, g.name FROM groups g
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY g.id ASC;
+  `, params);
+  return result.rows.map(formatGroup);
+}
+
+async function getGroup(client, id) {
+  const groups = await listGroups(client, ['g.id = $1'], [id]);
+  return groups[0] || null;
+}
+
+async function createGroup(client, { name }) {
+  const result = await client.query('INSERT INTO groups (name) VALUES ($1) RETURNING id, name;', [name]);
+  return formatGroup(result.rows[0]);
+}
+
+// Returns the updated group, or null if it doesn't exist
+async function updateGroup(client, id, { name }) {
+  const result = await client.query('UPDATE groups SET name = $2 WHERE id = $1 RETURNING id, name;', [id, name]);
+  return result.rows[0] ? formatGroup(result.rows[0]) : null;
+}
+
+// Deletes a group with its memberships and targets. Returns true if it existed.
+async function deleteGroup(client, id) {
+  const result = await client.query('DELETE FROM groups WHERE id = $1;', [id]);
+  return result.rowCount > 0;
+}
+
+// Memberships matching SQL conditions on user_groups ug, earliest first
+async function listMemberships(client, conditions, params) {
+  const result = await client.query(`
+    SELECT ${MEMBERSHIP_COLUMNS} FROM user_groups ug
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY ug.valid_from ASC NULLS FIRST, ug.group_id ASC, ug.user_id ASC, ug.id ASC;
+  `, params);
+  return result.rows.map(formatMembership);
+}
+
+async function getMembership(client, id) {
+  const memberships = await listMemberships(client, ['ug.id = $1'], [id]);
+  return memberships[0] || null;
+}
+
+// Maps constraint violations on user_groups to { status, body }, or rethrows
+function membershipError(err) {
+  if (err.code === '23P01') {
+    return conflict([{ field: 'validFrom', message: 'the user is already a member of the group during these dates' }]);
+  }
+  if (err.code === '23514') {
+    return invalid([{ field: 'validTo', message: 'must be on or after validFrom' }]);
+  }
+  throw err;
+}
+
+// Creates a membership. Returns { status, body }: 201, 400 if the user or group doesn't exist or the
+// dates are inverted, or 409 if it overlaps another membership of the user in the same group.
+async function createMembership(client, { userId, groupId, validFrom = null, validTo = null }) {
+  const found = await client.query(
+    'SELECT EXISTS (SELECT 1 FROM users WHERE id = $1) as user_exists, EXISTS (SELECT 1 FROM groups WHERE id = $2) as group_exists;',
+    [userId, groupId]
+  );
+  const details = [];
+  if (!found.rows[0].user_exists) {
+    details.push({ field: 'userId', message: 'user does not exist' });
+  }
+  if (!found.rows[0].group_exists) {
+    details.push({ field: 'groupId', message: 'group does not exist' });
+  }
+  if (details.length > 0) {
+    return invalid(details);
+  }
+
+  try {
+    const result = await client.query(`
+      INSERT INTO user_groups (user_id, group_id, valid_from, valid_to) VALUES ($1, $2, $3, $4)
+      RETURNING ${MEMBERSHIP_COLUMNS};
+    `, [userId, groupId, validFrom, validTo]);
+    return { status: 201, body: { data: formatMembership(result.rows[0]) } };
+  } catch (err) {
+    return membershipError(err);
+  }
+}
+
+// Changes the dates of a membership, e.g. setting validTo to end it. Returns { status, body }: 200, 404,
+// or 400/409 as for createMembership.
+async function updateMembership(client, id, body) {
+  try {
+    const result = await client.query(`
+      UPDATE user_groups SET
+        valid_from = CASE WHEN $2::boolean THEN $3::date ELSE valid_from END,
+        valid_to = CASE WHEN $4::boolean THEN $5::date ELSE valid_to END
+      WHERE id = $1
+      RETURNING ${MEMBERSHIP_COLUMNS};
+    `, [id, body.validFrom !== undefined, body.validFrom || null, body.validTo !== undefined, body.validTo || null]);
+    return result.rows[0] ? { status: 200, body: { data: formatMembership(result.rows[0]) } } : notFound();
+  } catch (err) {
+    return membershipError(err);
+  }
+}
+
+// Deletes a membership outright, as if it never existed (to end one, set validTo instead).
+// Returns true if it existed.
+async function deleteMembership(client, id) {
+  const result = await client.query('DELETE FROM user_groups WHERE id = $1;', [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  memberOn,
+  memberDuring,
+  soldInGroups,
+  saleGroupsCte,
+  validateUser,
+  validateGroup,
+  validateMembership,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  listMemberships,
+  getMembership,
+  createMembership,
+  updateMembership,
+  deleteMembership
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const directory = require('./directory');
+
+describe('Directory', () => {
+    describe('membership SQL', () => {
+        test('should test a membership against a date, inclusive of both ends', () => {
+            expect(directory.memberOn('ug', 's.date')).toBe(
+                "daterange(ug.valid_from, ug.valid_to, '[]') @> (s.date)::date"
+            );
+        });
+
+        test('should test a membership against a window', () => {
+            expect(directory.memberDuring('ug', '$1', '$2')).toBe(
+                "daterange(ug.valid_from, ug.valid_to, '[]') && daterange(($1)::date, ($2)::date, '[]')"
+            );
+        });
+
+        test('should credit sales to the groups their user was in on the day', () => {
+            const condition = directory.soldInGroups('s', '$3::int[]');
+            expect(condition).toContain('m.user_id = s.user_id AND m.group_id = ANY($3::int[])');
+            expect(condition).toContain("daterange(m.valid_from, m.valid_to, '[]') @> (s.date)::date");
+
+            const cte = directory.saleGroupsCte('s.date BETWEEN $1 AND $2', "sales_in('EUR', 'sale')");
+            expect(cte).toMatch(/^sale_groups AS \(/);
+            expect(cte).toContain("FROM sales_in('EUR', 'sale') s");
+            expect(cte).toContain("JOIN user_groups ug ON ug.user_id = s.user_id AND daterange(ug.valid_from, ug.valid_to, '[]') @> (s.date)::date");
+            expect(cte).toContain('COUNT(*) OVER (PARTITION BY s.id, s.adjustment_id) as group_count');
+            expect(cte).toContain('WHERE s.date BETWEEN $1 AND $2');
+        });
+    });
+
+    describe('validateUser', () => {
+        test('should accept a valid user', () => {
+            expect(directory.validateUser({ name: 'Zoe', role: 'Retail Agent' })).toEqual([]);
+        });
+
+        test('should require a name and a role of at most 50 characters', () => {
+            expect(directory.validateUser({ name: ' ', role: 'x'.repeat(51) })).toEqual([
+                { field: 'name', message: 'must be a non-empty string of at most 50 characters' },
+                { field: 'role', message: 'must be a non-empty string of at most 50 characters' }
+            ]);
+            expect(directory.validateUser(null)).toEqual([{ field: 'body', message: 'must be an object' }]);
+        });
+
+        test('should accept partial updates with at least one field', () => {
+            expect(directory.validateUser({ role: 'Group Lead' }, { partial: true })).toEqual([]);
+            expect(directory.validateUser({}, { partial: true })).toEqual([
+                { field: 'body', message: 'must include name or role' }
+            ]);
+        });
+    });
+
+    describe('validateGroup', () => {
+        test('should require a name', () => {
+            expect(directory.validateGroup({ name: 'Inside Sales' })).toEqual([]);
+            expect(directory.validateGroup({})).toEqual([
+                { field: 'name', message: 'must be a non-empty string of at most 50 characters' }
+            ]);
+        });
+    });
+
+    describe('validateMembership', () => {
+        test('should accept open-ended and dated memberships', () => {
+            expect(directory.validateMembership({ userId: 1, groupId: 2 })).toEqual([]);
+            expect(directory.validateMembership({ userId: 1, groupId: 2, validFrom: '2024-07-01', validTo: null })).toEqual([]);
+            expect(directory.validateMembership({ userId: 1, groupId: 2, validFrom: '2024-07-01', validTo: '2024-07-01' })).toEqual([]);
+        });
+
+        test('should reject bad ids and dates', () => {
+            expect(directory.validateMembership({ userId: 0, groupId: '2', validFrom: '2024-02-30' })).toEqual([
+                { field: 'userId', message: 'must be a positive integer' },
+                { field: 'groupId', message: 'must be a positive integer' },
+                { field: 'validFrom', message: 'must be a valid date in YYYY-MM-DD format, or null' }
+            ]);
+        });
+
+        test('should reject a membership ending before it starts', () => {
+            expect(directory.validateMembership({ userId: 1, groupId: 2, validFrom: '2024-07-01', validTo: '2024-06-30' })).toEqual([
+                { field: 'validTo', message: 'must be on or after validFrom' }
+            ]);
+        });
+
+        test('should only change the dates of an existing membership', () => {
+            expect(directory.validateMembership({ validTo: '2024-06-30' }, { partial: true })).toEqual([]);
+            expect(directory.validateMembership({ groupId: 3, validTo: null }, { partial: true })).toEqual([
+                { field: 'groupId', message: 'cannot be changed; end the membership and create a new one' }
+            ]);
+            expect(directory.validateMembership({}, { partial: true })).toEqual([
+                { field: 'body', message: 'must include validFrom or validTo' }
+            ]);
+        });
+    });
+});
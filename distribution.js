@@ -0,0 +1,52 @@
+'use strict';
+
+// Sale-amount distribution statistics.
+//
+// AVG(s.amount) is pulled up by a few very large deals, so these describe the whole distribution:
+// continuous (interpolated) percentiles, min/max and sample standard deviation, plus equal-width histograms.
+
+const PERCENTILES = {
+  p25: 0.25,
+  median: 0.5,
+  p75: 0.75,
+  p90: 0.9
+};
+
+const MAX_BINS = 100;
+
+// SQL select-list columns (named dist_*) with distribution statistics of amountColumn, aggregated over
+// the rows matching `filter` (an SQL condition) or over all rows
+function statsColumns(amountColumn, filter = null) {
+  const where = filter ? ` FILTER (WHERE ${filter})` : '';
+  return [
+    ...Object.entries(PERCENTILES).map(([name, fraction]) => (
+      `percentile_cont(${fraction}) WITHIN GROUP (ORDER BY ${amountColumn})${where} as dist_${name}`
+    )),
+    `MIN(${amountColumn})${where} as dist_min`,
+    `MAX(${amountColumn})${where} as dist_max`,
+    `stddev_samp(${amountColumn})${where} as dist_std_dev`
+  ].join(',\n');
+}
+
+const round = value => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100);
+
+// Maps the statsColumns of a row to { median, p25, p75, p90, min, max, stdDev }. Values are null when
+// there are no sales (stdDev also with a single sale).
+function mapStats(row) {
+  return {
+    median: round(row.dist_median),
+    p25: round(row.dist_p25),
+    p75: round(row.dist_p75),
+    p90: round(row.dist_p90),
+    min: round(row.dist_min),
+    max: round(row.dist_max),
+    stdDev: round(row.dist_std_dev)
+  };
+}
+
+module.exports = {
+  PERCENTILES,
+  MAX_BINS,
+  statsColumns,
+  mapStats
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+const distribution = require('./distribution');
+
+describe('Sale-amount distribution', () => {
+    test('should build filtered percentile columns', () => {
+        const sql = distribution.statsColumns('s.amount', 's.date BETWEEN $1 AND $2');
+
+        expect(sql).toContain('percentile_cont(0.5) WITHIN GROUP (ORDER BY s.amount) FILTER (WHERE s.date BETWEEN $1 AND $2) as dist_median');
+        expect(sql).toContain('stddev_samp(s.amount) FILTER (WHERE s.date BETWEEN $1 AND $2) as dist_std_dev');
+    });
+
+    test('should aggregate over all rows without a filter', () => {
+        expect(distribution.statsColumns('f.amount')).not.toContain('FILTER');
+    });
+
+    test('should round statistics to cents and keep missing ones null', () => {
+        const stats = distribution.mapStats({
+            dist_p25: 12966.5,
+            dist_median: '25450',
+            dist_p75: 37392.5,
+            dist_p90: 44228.2000001,
+            dist_min: 1061,
+            dist_max: 49976,
+            dist_std_dev: null
+        });
+
+        expect(stats).toEqual({ median: 25450, p25: 12966.5, p75: 37392.5, p90: 44228.2, min: 1061, max: 49976, stdDev: null });
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const Cursor = require('pg-cursor');
+
+// Rows fetched from the server-side cursor per round trip
+const BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+const FORMATS = Object.keys(CONTENT_TYPES);
+
+// Picks the response format for an analytics request.
+// An explicit `format` query parameter wins; otherwise the Accept header is used, falling back to JSON.
+// Returns null if `format` names an unsupported format.
+function negotiateFormat(req) {
+  const { format } = req.query;
+  if (format) {
+    return FORMATS.includes(format) ? format : null;
+  }
+
+  const accepted = req.accepts(Object.values(CONTENT_TYPES));
+  const match = FORMATS.find(f => CONTENT_TYPES[f] === accepted);
+  return match || 'json';
+}
+
+// Formats a single value for a CSV cell. Arrays of plain values (e.g. group names) are joined with "; ",
+// other objects (e.g. per-group percentiles) are written as JSON.
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    text = value.join('; ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  // Quote cells containing delimiters, quotes or line breaks, doubling any embedded quotes
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// Writes a chunk, waiting for the socket to drain if its buffer is full.
+// Resolves early if the client goes away so a disconnected export doesn't hang. Whichever event fires,
+// both listeners are removed, so long exports don't pile up listeners on the response.
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.once('drain', done);
+      res.once('close', done);
+    });
+  }
+}
+
+// Streams the result of `query` to `res` as CSV or NDJSON using a server-side cursor,
+// so large exports are never buffered in memory.
+//
+// - `mapRow` converts a database row to the same shape the JSON response uses
+// - `columns` lists the fields of the mapped rows in CSV column order; the header is written from it, so
+//   exports without rows still have one
+// - `filename` (without extension) is used for the Content-Disposition header
+//
+// Errors before the first batch is read are thrown so the handler can answer with a normal 500.
+// Once headers are sent an error can only be signalled by aborting the response.
+async function streamQuery(client, res, { query, params, mapRow, columns, format, filename }) {
+  const cursor = client.query(new Cursor(query, params));
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  try {
+    let rows = await cursor.read(BATCH_SIZE);
+
+    res.status(200);
+    res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+    // Filenames are built from query parameters, so keep only characters that are safe in the header
+    const safeFilename = filename.replace(/[^\w.-]/g, '_');
+    res.set('Content-Disposition', `attachment; filename="${safeFilename}.${format}"`);
+
+    try {
+      if (format === 'csv') {
+        await write(res, toCsvLine(columns));
+      }
+      while (rows.length > 0 && !closed) {
+        let chunk = '';
+        for (const row of rows.map(mapRow)) {
+          if (format === 'csv') {
+            chunk += toCsvLine(columns.map(column => row[column]));
+          } else {
+            chunk += JSON.stringify(row) + '\n';
+          }
+        }
+        await write(res, chunk);
+        rows = closed ? [] : await cursor.read(BATCH_SIZE);
+      }
+      res.end();
+    } catch (err) {
+      console.error(err);
+      res.destroy(err);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  toCsvValue,
+  streamQuery
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const { EventEmitter } = require('events');
+
+// Fake server-side cursor that hands out the rows given to the constructor in batches
+jest.mock('pg-cursor', () => jest.fn().mockImplementation((query, params) => {
+    const rows = [...global.mockCursorRows];
+    return {
+        query,
+        params,
+        read: jest.fn(async (count) => rows.splice(0, count)),
+        close: jest.fn(async () => {}),
+    };
+}));
+
+const exporter = require('./exporter');
+
+describe('Analytics export', () => {
+    let app;
+    let mockClient;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // client.query(cursor) returns the cursor itself, as pg does for submittables
+        mockClient = {
+            query: jest.fn(cursor => cursor),
+        };
+
+        global.mockCursorRows = [
+            { id: 1, name: 'Alice', total_revenue: '16872', groups: ['Northeast Sales Team', 'Digital Sales Team'] },
+            { id: 2, name: 'O"Brien, Bob', total_revenue: null, groups: [] }
+        ];
+
+        const mapRow = row => ({
+            userId: row.id,
+            name: row.name,
+            totalRevenue: parseFloat(row.total_revenue) || 0,
+            groups: row.groups
+        });
+
+        app = express();
+        app.get('/export', async (req, res) => {
+            const format = exporter.negotiateFormat(req);
+            if (format === 'json') {
+                return res.json({ data: global.mockCursorRows.map(mapRow) });
+            }
+            await exporter.streamQuery(mockClient, res, {
+                query: 'SELECT 1',
+                params: [],
+                mapRow,
+                columns: ['userId', 'name', 'totalRevenue', 'groups'],
+                format,
+                filename: 'sales-users-2021-01-01-to-2021-12-31'
+            });
+        });
+    });
+
+    afterEach(() => {
+        delete global.mockCursorRows;
+    });
+
+    describe('negotiateFormat', () => {
+        const fakeRequest = (query, accept) => Object.assign(Object.create(express.request), { query, headers: { accept } });
+
+        test('should prefer the format query parameter', () => {
+            expect(exporter.negotiateFormat(fakeRequest({ format: 'csv' }, 'application/json'))).toBe('csv');
+        });
+
+        test('should use the Accept header when no format is given', () => {
+            expect(exporter.negotiateFormat(fakeRequest({}, 'application/x-ndjson'))).toBe('ndjson');
+        });
+
+        test('should default to JSON', () => {
+            expect(exporter.negotiateFormat(fakeRequest({}, '*/*'))).toBe('json');
+        });
+
+        test('should reject unknown formats', () => {
+            expect(exporter.negotiateFormat(fakeRequest({ format: 'xlsx' }, '*/*'))).toBeNull();
+        });
+    });
+
+    describe('toCsvValue', () => {
+        test('should quote values with commas and double embedded quotes', () => {
+            expect(exporter.toCsvValue('O"Brien, Bob')).toBe('"O""Brien, Bob"');
+        });
+
+        test('should render nulls as empty cells', () => {
+            expect(exporter.toCsvValue(null)).toBe('');
+        });
+
+        test('should write arrays of objects as JSON', () => {
+            expect(exporter.toCsvValue([{ groupId: 1, percentile: 50 }])).toBe('"[{""groupId"":1,""percentile"":50}]"');
+        });
+    });
+
+    describe('streamQuery', () => {
+        test('should stream CSV with a header row and attachment filename', async () => {
+            const response = await request(app).get('/export').query({ format: 'csv' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition'])
+                .toBe('attachment; filename="sales-users-2021-01-01-to-2021-12-31.csv"');
+            expect(response.text).toBe(
+                'userId,name,totalRevenue,groups\r\n' +
+                '1,Alice,16872,Northeast Sales Team; Digital Sales Team\r\n' +
+                '2,"O""Brien, Bob",0,\r\n'
+            );
+        });
+
+        test('should write the CSV header when there are no rows', async () => {
+            global.mockCursorRows = [];
+
+            const response = await request(app).get('/export').query({ format: 'csv' });
+
+            expect(response.status).toBe(200);
+            expect(response.text).toBe('userId,name,totalRevenue,groups\r\n');
+        });
+
+        test('should remove its listeners after waiting for the response to drain', async () => {
+            global.mockCursorRows = Array.from({ length: 1200 }, (_, i) => ({ id: i, name: 'User', total_revenue: '1', groups: [] }));
+
+            // A response whose buffer is always full, draining on the next turn
+            const res = Object.assign(new EventEmitter(), {
+                status: jest.fn(),
+                set: jest.fn(),
+                write: jest.fn(() => {
+                    setImmediate(() => res.emit('drain'));
+                    return false;
+                }),
+                end: jest.fn(),
+                destroy: jest.fn()
+            });
+
+            await exporter.streamQuery(mockClient, res, {
+                query: 'SELECT 1',
+                params: [],
+                mapRow: row => ({ userId: row.id }),
+                columns: ['userId'],
+                format: 'csv',
+                filename: 'sales-users'
+            });
+
+            expect(res.write).toHaveBeenCalledTimes(4); // header + 3 batches
+            expect(res.end).toHaveBeenCalled();
+            expect(res.listenerCount('drain')).toBe(0);
+            expect(res.listenerCount('close')).toBe(1); // streamQuery's own
+        });
+
+        test('should stream one JSON object per line for NDJSON', async () => {
+            const response = await request(app)
+                .get('/export')
+                .set('Accept', 'application/x-ndjson');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+            const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+            expect(lines).toHaveLength(2);
+            expect(lines[0]).toEqual({ userId: 1, name: 'Alice', totalRevenue: 16872, groups: ['Northeast Sales Team', 'Digital Sales Team'] });
+        });
+
+        test('should read large results in batches', async () => {
+            global.mockCursorRows = Array.from({ length: 1200 }, (_, i) => ({ id: i, name: 'User', total_revenue: '1', groups: [] }));
+
+            const response = await request(app).get('/export').query({ format: 'ndjson' });
+
+            expect(response.text.trim().split('\n')).toHaveLength(1200);
+            const cursor = mockClient.query.mock.results[0].value;
+            expect(cursor.read).toHaveBeenCalledTimes(4); // 500 + 500 + 200 + final empty read
+            expect(cursor.close).toHaveBeenCalled();
+        });
+    });
+});
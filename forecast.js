@@ -0,0 +1,207 @@
+'use strict';
+
+// In-process forecasting of evenly spaced series (one value per period).
+//
+// Models:
+// - linear: least-squares trend line. Bands are the regression prediction interval.
+// - seasonal: additive Holt-Winters (level, trend and a repeating season, e.g. 12 months), with the
+//   smoothing factors picked by grid search on one-step-ahead errors. Bands widen with the square root of
+//   the horizon from the one-step error.
+// - auto: seasonal when there are at least two full seasons of history and it backtests better than
+//   linear, otherwise linear
+// Bands use normal quantiles, which is an approximation for short series.
+
+const MODELS = ['auto', 'linear', 'seasonal'];
+
+// Two-sided normal quantiles for the supported confidence levels
+const Z_SCORES = {
+  80: 1.2816,
+  90: 1.6449,
+  95: 1.96,
+  99: 2.5758
+};
+
+// Periods per season for each interval. Years have no seasonality to model.
+const SEASON_LENGTHS = {
+  day: 7,
+  week: 52,
+  month: 12,
+  quarter: 4,
+  year: null
+};
+
+const MIN_LINEAR_POINTS = 3;
+
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+const TREND_SMOOTHING_GRID = [0.01, 0.1, 0.3];
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Minimum number of points each model needs to be fitted
+function minimumPoints(model, seasonLength) {
+  return model === 'seasonal' ? 2 * seasonLength : MIN_LINEAR_POINTS;
+}
+
+function canFit(model, values, seasonLength) {
+  if (model === 'seasonal' && !seasonLength) {
+    return false;
+  }
+  return values.length >= minimumPoints(model, seasonLength);
+}
+
+// Returns a function (horizon, z) => [{ value, lower, upper }] projecting the series forward
+function fitLinear(values) {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((y, x) => {
+    sxx += (x - xMean) ** 2;
+    sxy += (x - xMean) * (y - yMean);
+  });
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+
+  const sse = values.reduce((sum, y, x) => sum + (y - (intercept + slope * x)) ** 2, 0);
+  const standardError = Math.sqrt(sse / (n - 2));
+
+  return (horizon, z) => Array.from({ length: horizon }, (_, i) => {
+    const x = n + i;
+    const value = intercept + slope * x;
+    const margin = z * standardError * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx);
+    return { value, lower: value - margin, upper: value + margin };
+  });
+}
+
+// Runs additive Holt-Winters over the series with the given smoothing factors. The first season
+// initializes the level, trend (from the first two seasons) and seasonal offsets.
+// Returns the final state and the sum of squared one-step-ahead errors.
+function holtWinters(values, seasonLength, alpha, beta, gamma) {
+  const firstSeason = values.slice(0, seasonLength);
+  const secondSeason = values.slice(seasonLength, 2 * seasonLength);
+  let level = mean(firstSeason);
+  let trend = (mean(secondSeason) - level) / seasonLength;
+  const seasonals = firstSeason.map(value => value - level);
+
+  let sse = 0;
+  for (let t = seasonLength; t < values.length; t++) {
+    const seasonal = seasonals[t % seasonLength];
+    const error = values[t] - (level + trend + seasonal);
+    sse += error ** 2;
+
+    const previousLevel = level;
+    level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals[t % seasonLength] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+  }
+  return { level, trend, seasonals, sse };
+}
+
+function fitSeasonal(values, seasonLength) {
+  let best = null;
+  for (const alpha of SMOOTHING_GRID) {
+    for (const beta of TREND_SMOOTHING_GRID) {
+      for (const gamma of SMOOTHING_GRID) {
+        const state = holtWinters(values, seasonLength, alpha, beta, gamma);
+        if (!best || state.sse < best.sse) {
+          best = state;
+        }
+      }
+    }
+  }
+
+  const { level, trend, seasonals, sse } = best;
+  const oneStepError = Math.sqrt(sse / (values.length - seasonLength));
+  const n = values.length;
+
+  return (horizon, z) => Array.from({ length: horizon }, (_, i) => {
+    const value = level + (i + 1) * trend + seasonals[(n + i) % seasonLength];
+    const margin = z * oneStepError * Math.sqrt(i + 1);
+    return { value, lower: value - margin, upper: value + margin };
+  });
+}
+
+function fit(model, values, seasonLength) {
+  return model === 'seasonal' ? fitSeasonal(values, seasonLength) : fitLinear(values);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Fits the model on all but the last `holdout` points and scores its forecast of them:
+// mean absolute error, root mean squared error, mean absolute percentage error (over non-zero actuals,
+// null if there are none) and coverage (the percentage of actuals inside the band).
+// Returns null if there isn't enough history to hold out any points.
+function backtest(model, values, { seasonLength, holdout, z }) {
+  const size = Math.min(holdout, values.length - minimumPoints(model, seasonLength));
+  if (size < 1) {
+    return null;
+  }
+
+  const training = values.slice(0, values.length - size);
+  const actuals = values.slice(values.length - size);
+  const predictions = fit(model, training, seasonLength)(size, z);
+
+  const errors = actuals.map((actual, i) => actual - predictions[i].value);
+  const nonZero = actuals.map((actual, i) => [actual, errors[i]]).filter(([actual]) => actual !== 0);
+  const covered = actuals.filter((actual, i) => actual >= predictions[i].lower && actual <= predictions[i].upper);
+
+  return {
+    holdout: size,
+    mae: round(mean(errors.map(Math.abs))),
+    rmse: round(Math.sqrt(mean(errors.map(error => error ** 2)))),
+    mape: nonZero.length ? round(mean(nonZero.map(([actual, error]) => Math.abs(error / actual))) * 100) : null,
+    coverage: round(covered.length / size * 100),
+    points: predictions.map((prediction, i) => ({
+      actual: actuals[i],
+      forecast: round(prediction.value),
+      lower: round(prediction.lower),
+      upper: round(prediction.upper)
+    }))
+  };
+}
+
+// Forecasts the next `horizon` values of a series.
+// options: { model: 'auto' | 'linear' | 'seasonal', horizon, seasonLength, confidence, min }
+// `min` clamps forecasts and bands from below (e.g. 0 for revenue). Returns { model, points, backtest }
+// where model is the one actually used, or null if there isn't enough history for the requested model.
+function forecastSeries(values, { model, horizon, seasonLength, confidence, min = -Infinity }) {
+  const z = Z_SCORES[confidence];
+  const holdout = horizon;
+
+  let chosen = model;
+  let score = null;
+  if (model === 'auto') {
+    const linearScore = backtest('linear', values, { seasonLength, holdout, z });
+    const seasonalScore = canFit('seasonal', values, seasonLength)
+      ? backtest('seasonal', values, { seasonLength, holdout, z })
+      : null;
+    const seasonalWins = seasonalScore && (!linearScore || seasonalScore.mae < linearScore.mae);
+    chosen = seasonalWins ? 'seasonal' : 'linear';
+    score = seasonalWins ? seasonalScore : linearScore;
+  } else {
+    score = canFit(model, values, seasonLength) ? backtest(model, values, { seasonLength, holdout, z }) : null;
+  }
+
+  if (!canFit(chosen, values, seasonLength)) {
+    return null;
+  }
+
+  const clamp = value => round(Math.max(min, value));
+  const points = fit(chosen, values, seasonLength)(horizon, z).map(point => ({
+    value: clamp(point.value),
+    lower: clamp(point.lower),
+    upper: clamp(point.upper)
+  }));
+
+  return { model: chosen, points, backtest: score };
+}
+
+module.exports = {
+  MODELS,
+  Z_SCORES,
+  SEASON_LENGTHS,
+  minimumPoints,
+  backtest,
+  forecastSeries
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+const forecast = require('./forecast');
+
+describe('Forecasting', () => {
+    const options = { model: 'linear', horizon: 2, seasonLength: 4, confidence: '95' };
+
+    // Three years of quarters with a strong Q4 peak on a rising trend
+    const seasonal = Array.from({ length: 12 }, (_, i) => 100 + i * 5 + (i % 4 === 3 ? 60 : 0));
+
+    test('should extend a perfect trend line with zero-width bands', () => {
+        const result = forecast.forecastSeries([10, 20, 30, 40], options);
+
+        expect(result.model).toBe('linear');
+        expect(result.points).toEqual([
+            { value: 50, lower: 50, upper: 50 },
+            { value: 60, lower: 60, upper: 60 }
+        ]);
+    });
+
+    test('should widen linear bands further out', () => {
+        const { points } = forecast.forecastSeries([10, 25, 28, 44, 47, 63], { ...options, horizon: 3 });
+        const widths = points.map(point => point.upper - point.lower);
+
+        expect(widths[0]).toBeGreaterThan(0);
+        expect(widths[2]).toBeGreaterThan(widths[0]);
+        expect(points.every(point => point.lower <= point.value && point.value <= point.upper)).toBe(true);
+    });
+
+    test('should clamp forecasts at the minimum', () => {
+        const { points } = forecast.forecastSeries([30, 20, 10], { ...options, min: 0 });
+
+        expect(points.map(point => point.value)).toEqual([0, 0]);
+    });
+
+    test('should pick the seasonal model when it backtests better', () => {
+        const result = forecast.forecastSeries(seasonal, { ...options, model: 'auto', horizon: 4 });
+
+        expect(result.model).toBe('seasonal');
+        // The next Q4 is forecast as the peak
+        expect(Math.max(...result.points.map(point => point.value))).toBe(result.points[3].value);
+    });
+
+    test('should fall back to linear without two seasons of history', () => {
+        expect(forecast.forecastSeries(seasonal.slice(0, 7), { ...options, model: 'auto' }).model).toBe('linear');
+        expect(forecast.forecastSeries(seasonal.slice(0, 7), { ...options, model: 'seasonal' })).toBeNull();
+        expect(forecast.forecastSeries([1, 2], options)).toBeNull();
+    });
+
+    test('should score a backtest on the held-out periods', () => {
+        const score = forecast.backtest('linear', [10, 20, 30, 40, 55], { seasonLength: 4, holdout: 1, z: 1.96 });
+
+        expect(score).toMatchObject({ holdout: 1, mae: 5, rmse: 5, mape: 9.09, coverage: 0 });
+        expect(score.points).toEqual([{ actual: 55, forecast: 50, lower: 50, upper: 50 }]);
+    });
+
+    test('should skip backtests without enough history', () => {
+        expect(forecast.backtest('linear', [10, 20, 30], { seasonLength: 4, holdout: 2, z: 1.96 })).toBeNull();
+    });
+});
@@ -0,0 +1,795 @@
+'use strict';
+
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLScalarType, GraphQLEnumType, GraphQLList, GraphQLNonNull,
+  GraphQLInt, GraphQLFloat, GraphQLString, GraphQLError, Kind,
+  parse, validate, execute, specifiedRules, getNamedType, getNullableType, isListType, isObjectType,
+  getVariableValues, valueFromAST
+} = require('graphql');
+const auth = require('./auth');
+const periods = require('./periods');
+const directory = require('./directory');
+const rollups = require('./rollups');
+const { DEFAULT_CURRENCY } = require('./currency');
+const { ADJUSTMENT_PERIODS, DEFAULT_ADJUSTMENT_PERIOD } = require('./adjustments');
+const { INTERVALS, isValidDate, isValidTimezone, isValidCurrency, today } = require('./validation');
+
+// GraphQL API over users, groups and their sales (POST /api/graphql).
+//
+// Every user and group the API returns is within the caller's scope, as for the REST endpoints: users the
+// caller may see sales for (see auth.resolveScope), and groups whose summaries they may see. Anything else
+// resolves to null or is left out of lists. Group membership follows the membership dates: `groups` and
+// `members` take an `asOf` date (today by default), and group figures credit each sale to the groups its
+// user belonged to on the day of the sale. Figures are converted into the `currency` argument of the field
+// (USD by default, see currency.js); totals count the sales left out for want of a rate in unconvertedSales.
+// Revenue is net of adjustments, with grossRevenue and adjustments alongside, counted in the
+// `adjustmentPeriod` argument (see adjustments.js).
+//
+// Nested fields are loaded in batches: all the fields of one kind requested at the same level of a query
+// (e.g. the totals of every member of every group) are fetched with one database query, so a query costs a
+// few database queries however many objects it returns. Queries deeper than MAX_DEPTH fields or with an
+// estimated cost above MAX_COMPLEXITY are rejected before anything runs.
+
+const MAX_DEPTH = 6;
+const MAX_COMPLEXITY = 5000;
+// Assumed length of lists without a `limit` argument when estimating a query's cost
+const ESTIMATED_LIST_SIZE = 10;
+const MAX_SALES_LIMIT = 1000;
+
+const roundMoney = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Collects the keys loaded during one turn of the event loop and loads them with a single call to
+// batch(keys), which resolves to their values in the same order. Each key (compared as JSON) is loaded at
+// most once per loader, and loaders live for one request.
+function createLoader(batch) {
+  const loaded = new Map();
+  let queue = [];
+
+  async function dispatch() {
+    const pending = queue;
+    queue = [];
+    try {
+      const values = await batch(pending.map(item => item.key));
+      pending.forEach((item, i) => item.resolve(values[i] === undefined ? null : values[i]));
+    } catch (err) {
+      pending.forEach(item => item.reject(err));
+    }
+  }
+
+  return {
+    load(key) {
+      const id = JSON.stringify(key);
+      if (!loaded.has(id)) {
+        loaded.set(id, new Promise((resolve, reject) => {
+          if (queue.length === 0) {
+            setImmediate(dispatch);
+          }
+          queue.push({ key, resolve, reject });
+        }));
+      }
+      return loaded.get(id);
+    }
+  };
+}
+
+// Splits keys of the form { id, ...args } by their args and calls load(ids, args) once for each distinct
+// set of args. load resolves to a Map from id to value; returns the values in the order of the keys.
+async function loadByArgs(keys, load) {
+  const batches = new Map();
+  for (const { id, ...args } of keys) {
+    const argsKey = JSON.stringify(args);
+    if (!batches.has(argsKey)) {
+      batches.set(argsKey, { args, ids: [] });
+    }
+    batches.get(argsKey).ids.push(id);
+  }
+  const results = new Map();
+  for (const [argsKey, { args, ids }] of batches) {
+    results.set(argsKey, await load(ids, args));
+  }
+  return keys.map(({ id, ...args }) => results.get(JSON.stringify(args)).get(id));
+}
+
+// Groups rows into a Map from row[column] to the list of rows with that value
+function groupRows(rows, column, mapRow) {
+  const grouped = new Map();
+  for (const row of rows) {
+    if (!grouped.has(row[column])) {
+      grouped.set(row[column], []);
+    }
+    grouped.get(row[column]).push(mapRow(row));
+  }
+  return grouped;
+}
+
+const mapTotals = row => ({
+  saleCount: parseInt(row.sale_count) || 0,
+  totalRevenue: roundMoney(row.total_revenue),
+  grossRevenue: roundMoney(row.gross_revenue),
+  adjustments: roundMoney(row.adjustments),
+  averageRevenue: parseFloat(row.avg_revenue) || 0
+});
+
+const EMPTY_TOTALS = { saleCount: 0, totalRevenue: 0, grossRevenue: 0, adjustments: 0, averageRevenue: 0 };
+
+const mapUnconverted = row => ({ count: parseInt(row.count), currencies: row.currencies });
+
+const NO_UNCONVERTED_SALES = { count: 0, currencies: [] };
+
+// Totals with their unconvertedSales, which Totals resolves by loading `key` with `loader` if it is selected
+const withUnconverted = (totals, loader, key) => ({
+  ...totals,
+  unconvertedSales: async () => (await loader.load(key)) || NO_UNCONVERTED_SALES
+});
+
+const mapPeriod = row => ({ period: row.period.toISOString(), ...mapTotals(row) });
+
+// Sales credited to groups, as sg with group_id and date, from the daily rollups or individual sales.
+// Figures are limited to the sales matching `salesCondition` (on s for individual sales, on sg otherwise).
+function groupSales(source, attribution, salesCondition) {
+  if (source.name === 'daily') {
+    const split = attribution === 'split' ? 'split_' : '';
+    return {
+      cte: '',
+      from: `${source.groupTable} sg`,
+      where: salesCondition('sg'),
+      columns: `COALESCE(SUM(sg.sale_count), 0) as sale_count, SUM(sg.${split || 'total_'}revenue) as total_revenue,
+        SUM(sg.${split}gross_revenue) as gross_revenue, SUM(sg.${split}adjustment_total) as adjustments,
+        (SUM(sg.total_revenue)::numeric / NULLIF(SUM(sg.sale_count), 0))::numeric(10,2) as avg_revenue`
+    };
+  }
+  const weight = attribution === 'split' ? '(1.0 / sg.group_count)' : '1';
+  return {
+    cte: `WITH ${directory.saleGroupsCte(salesCondition('s'), source.table)}`,
+    from: 'sale_groups sg',
+    where: 'TRUE',
+    columns: `COALESCE(SUM(sg.sale_count), 0) as sale_count, SUM(sg.amount * ${weight}) as total_revenue,
+      SUM(sg.gross_amount * ${weight}) as gross_revenue, SUM(sg.adjustment_amount * ${weight}) as adjustments,
+      (SUM(sg.amount) / NULLIF(SUM(sg.sale_count), 0))::numeric(10,2) as avg_revenue`
+  };
+}
+
+// Per-request loaders, restricted to what the caller may see. sourceFor({ currency, adjustmentPeriod }) gives
+// where sales figures are read from (see rollups.sourceFor).
+function createLoaders(client, user, scope, sourceFor) {
+  const visibleGroupIds = auth.visibleGroupIds(user);
+
+  // Conditions restricting users u to the caller's scope, appended to params
+  const userScope = params => auth.scopeConditions(scope, params, 'u.id');
+  // Condition restricting groups (by an id column) to those the caller may see, appended to params
+  const groupScope = (params, column) => {
+    if (!visibleGroupIds) {
+      return 'TRUE';
+    }
+    params.push(visibleGroupIds);
+    return `${column} = ANY($${params.length}::int[])`;
+  };
+
+  const salesTotals = (keyColumn, from, where, params, columns) => client.query(`
+    SELECT ${keyColumn} as key, ${columns}
+    FROM ${from}
+    WHERE ${where}
+    GROUP BY ${keyColumn};
+  `, params);
+
+  // Zero-filled series per id: buckets crossed with the ids, left joined to per-id, per-bucket stats
+  const seriesQuery = ({ cte, stats, interval, timezone, startDate, endDate, ids }) => client.query(`
+    ${cte ? cte + ',' : 'WITH'}
+    buckets AS (
+      SELECT ${periods.bucketSeries(interval, '$2', '$3')} as bucket
+    ),
+    stats AS (${stats})
+    SELECT
+      k.id as key,
+      ${periods.periodStart('b.bucket', '$4')} as period,
+      COALESCE(st.sale_count, 0) as sale_count,
+      COALESCE(st.total_revenue, 0) as total_revenue,
+      COALESCE(st.gross_revenue, 0) as gross_revenue,
+      COALESCE(st.adjustments, 0) as adjustments,
+      COALESCE(st.avg_revenue, 0) as avg_revenue
+    FROM unnest($1::int[]) as k(id)
+    CROSS JOIN buckets b
+    LEFT JOIN stats st ON st.key = k.id AND st.bucket = b.bucket
+    ORDER BY k.id, b.bucket;
+  `, [ids, startDate, endDate, timezone]);
+
+  const sourceColumns = source => `${source.saleCount('s')} as sale_count, ${source.revenue('s')} as total_revenue,
+    ${source.grossRevenue('s')} as gross_revenue, ${source.adjustments('s')} as adjustments,
+    (${source.averageRevenue('s')})::numeric(10,2) as avg_revenue`;
+
+  // Sales without a rate into `currency` per id, from the sales (as s) matching `from` and `where`
+  const unconverted = async (keyColumn, from, where, params, currency) => {
+    params.push(currency);
+    const result = await client.query(`
+      SELECT ${keyColumn} as key, COUNT(DISTINCT s.id) as count,
+        array_agg(DISTINCT s.currency::text ORDER BY s.currency::text) as currencies
+      FROM ${from}
+      WHERE ${where} AND exchange_factor(s.currency, $${params.length}, s.date) IS NULL
+      GROUP BY ${keyColumn};
+    `, params);
+    return new Map(result.rows.map(row => [row.key, mapUnconverted(row)]));
+  };
+
+  return {
+    user: createLoader(async ids => {
+      const params = [ids];
+      const users = await directory.listUsers(client, ['u.id = ANY($1::int[])', ...userScope(params)], params);
+      const byId = new Map(users.map(u => [u.id, u]));
+      return ids.map(id => byId.get(id));
+    }),
+
+    group: createLoader(async ids => {
+      const params = [ids];
+      const groups = await directory.listGroups(client, ['g.id = ANY($1::int[])', groupScope(params, 'g.id')], params);
+      const byId = new Map(groups.map(g => [g.id, g]));
+      return ids.map(id => byId.get(id));
+    }),
+
+    // The visible groups each user belonged to on a date
+    groupsOfUser: createLoader(keys => loadByArgs(keys, async (ids, { asOf }) => {
+      const params = [ids, asOf];
+      const result = await client.query(`
+        SELECT ug.user_id, g.id, g.name
+        FROM user_groups ug
+        JOIN groups g ON g.id = ug.group_id
+        WHERE ug.user_id = ANY($1::int[]) AND ${directory.memberOn('ug', '$2')} AND ${groupScope(params, 'g.id')}
+        ORDER BY g.name, g.id;
+      `, params);
+      return groupRows(result.rows, 'user_id', row => ({ id: row.id, name: row.name }));
+    })),
+
+    // The members of each group on a date who are within the caller's scope
+    membersOfGroup: createLoader(keys => loadByArgs(keys, async (ids, { asOf }) => {
+      const params = [ids, asOf];
+      const conditions = ['ug.group_id = ANY($1::int[])', directory.memberOn('ug', '$2'), ...userScope(params)];
+      const result = await client.query(`
+        SELECT ug.group_id, u.id, u.name, u.role
+        FROM user_groups ug
+        JOIN users u ON u.id = ug.user_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY u.name, u.id;
+      `, params);
+      return groupRows(result.rows, 'group_id', row => ({ id: row.id, name: row.name, role: row.role }));
+    })),
+
+    userTotals: createLoader(keys => loadByArgs(keys, async (ids, { startDate, endDate, currency, adjustmentPeriod }) => {
+      const source = sourceFor({ currency, adjustmentPeriod });
+      const result = await salesTotals(
+        's.user_id', `${source.table} s`, 's.user_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3',
+        [ids, startDate, endDate], `${sourceColumns(source)}, COUNT(DISTINCT s.date) as active_days`
+      );
+      return new Map(result.rows.map(row => [row.key, { ...mapTotals(row), activeDays: parseInt(row.active_days) }]));
+    })),
+
+    groupTotals: createLoader(keys => loadByArgs(keys, async (ids, args) => {
+      const { startDate, endDate, currency, adjustmentPeriod, attribution } = args;
+      const source = sourceFor({ currency, adjustmentPeriod });
+      const credited = groupSales(source, attribution, alias => `${alias}.date BETWEEN $2 AND $3`);
+      const result = await client.query(`
+        ${credited.cte}
+        SELECT sg.group_id as key, ${credited.columns}
+        FROM ${credited.from}
+        WHERE sg.group_id = ANY($1::int[]) AND ${credited.where}
+        GROUP BY sg.group_id;
+      `, [ids, startDate, endDate]);
+      return new Map(result.rows.map(row => [row.key, mapTotals(row)]));
+    })),
+
+    userUnconverted: createLoader(keys => loadByArgs(keys, (ids, { startDate, endDate, currency }) => unconverted(
+      's.user_id', 'sales s', 's.user_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3', [ids, startDate, endDate], currency
+    ))),
+
+    // Counted like group figures: once per group the sale is credited to
+    groupUnconverted: createLoader(keys => loadByArgs(keys, (ids, { startDate, endDate, currency }) => unconverted(
+      'ug.group_id',
+      `sales s JOIN user_groups ug ON ug.user_id = s.user_id AND ${directory.memberOn('ug', 's.date')}`,
+      'ug.group_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3', [ids, startDate, endDate], currency
+    ))),
+
+    userSeries: createLoader(keys => loadByArgs(keys, async (ids, args) => {
+      const { startDate, endDate, interval, timezone, currency, adjustmentPeriod } = args;
+      const source = sourceFor({ currency, adjustmentPeriod });
+      const result = await seriesQuery({
+        stats: `
+          SELECT s.user_id as key, ${periods.bucketOf(interval, 's.date')} as bucket, ${sourceColumns(source)}
+          FROM ${source.table} s
+          WHERE s.user_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3
+          GROUP BY 1, 2
+        `,
+        interval, timezone, startDate, endDate, ids
+      });
+      return groupRows(result.rows, 'key', mapPeriod);
+    })),
+
+    groupSeries: createLoader(keys => loadByArgs(keys, async (ids, args) => {
+      const { startDate, endDate, interval, timezone, currency, adjustmentPeriod, attribution } = args;
+      const source = sourceFor({ currency, adjustmentPeriod });
+      const credited = groupSales(source, attribution, alias => `${alias}.date BETWEEN $2 AND $3`);
+      const result = await seriesQuery({
+        cte: credited.cte,
+        stats: `
+          SELECT sg.group_id as key, ${periods.bucketOf(interval, 'sg.date')} as bucket, ${credited.columns}
+          FROM ${credited.from}
+          WHERE sg.group_id = ANY($1::int[]) AND ${credited.where}
+          GROUP BY 1, 2
+        `,
+        interval, timezone, startDate, endDate, ids
+      });
+      return groupRows(result.rows, 'key', mapPeriod);
+    })),
+
+    // Each user's latest sales in a window, newest first
+    salesOfUser: createLoader(keys => loadByArgs(keys, async (ids, { startDate, endDate, limit }) => {
+      const result = await client.query(`
+        SELECT id, user_id, amount, currency, date, status, adjusted_amount
+        FROM (
+          SELECT s.id, s.user_id, s.amount, s.currency, to_char(s.date, 'YYYY-MM-DD') as date, s.status, s.adjusted_amount,
+            ROW_NUMBER() OVER (PARTITION BY s.user_id ORDER BY s.date DESC, s.id DESC) as position
+          FROM sales s
+          WHERE s.user_id = ANY($1::int[]) AND s.date BETWEEN $2 AND $3
+        ) numbered
+        WHERE position <= $4
+        ORDER BY user_id, position;
+      `, [ids, startDate, endDate, limit]);
+      return groupRows(result.rows, 'user_id', mapSale);
+    }))
+  };
+}
+
+const mapSale = row => ({
+  id: row.id,
+  userId: row.user_id,
+  amount: row.amount,
+  currency: row.currency,
+  date: row.date,
+  status: row.status,
+  adjustedAmount: row.adjusted_amount
+});
+
+// Types
+
+const DateType = new GraphQLScalarType({
+  name: 'Date',
+  description: 'A calendar date, YYYY-MM-DD',
+  serialize: value => value,
+  parseValue(value) {
+    if (!isValidDate(value)) {
+      throw new GraphQLError('must be a valid date in YYYY-MM-DD format');
+    }
+    return value;
+  },
+  parseLiteral(ast) {
+    if (ast.kind !== Kind.STRING || !isValidDate(ast.value)) {
+      throw new GraphQLError('must be a valid date in YYYY-MM-DD format', { nodes: ast });
+    }
+    return ast.value;
+  }
+});
+
+const IntervalType = new GraphQLEnumType({
+  name: 'Interval',
+  values: Object.fromEntries(INTERVALS.map(interval => [interval.toUpperCase(), { value: interval }]))
+});
+
+const AttributionType = new GraphQLEnumType({
+  name: 'Attribution',
+  description: 'How the sales of members of several groups are credited to their groups (see /groups)',
+  values: { FULL: { value: 'full' }, SPLIT: { value: 'split' } }
+});
+
+const AdjustmentPeriodType = new GraphQLEnumType({
+  name: 'AdjustmentPeriod',
+  description: 'Whether adjustments count in the period of the sale they adjust or on their own date',
+  values: Object.fromEntries(ADJUSTMENT_PERIODS.map(period => [period.toUpperCase(), { value: period }]))
+});
+
+const nonNull = type => new GraphQLNonNull(type);
+const listOf = type => nonNull(new GraphQLList(nonNull(type)));
+
+// Figures of totals and of the periods of a series
+const figureFields = {
+  saleCount: { type: nonNull(GraphQLInt) },
+  totalRevenue: { type: nonNull(GraphQLFloat), description: 'Net of adjustments' },
+  grossRevenue: { type: nonNull(GraphQLFloat) },
+  adjustments: { type: nonNull(GraphQLFloat) },
+  averageRevenue: { type: nonNull(GraphQLFloat) }
+};
+
+const UnconvertedSalesType = new GraphQLObjectType({
+  name: 'UnconvertedSales',
+  description: 'Sales left out of the figures because they have no rate into the requested currency',
+  fields: {
+    count: { type: nonNull(GraphQLInt) },
+    currencies: { type: listOf(GraphQLString) }
+  }
+});
+
+const TotalsType = new GraphQLObjectType({
+  name: 'Totals',
+  fields: {
+    ...figureFields,
+    unconvertedSales: { type: nonNull(UnconvertedSalesType), resolve: totals => totals.unconvertedSales() }
+  }
+});
+
+const UserTotalsType = new GraphQLObjectType({
+  name: 'UserTotals',
+  fields: {
+    ...TotalsType.toConfig().fields,
+    activeDays: { type: nonNull(GraphQLInt) }
+  }
+});
+
+const PeriodType = new GraphQLObjectType({
+  name: 'Period',
+  fields: {
+    period: { type: nonNull(GraphQLString), description: 'Start of the period, as an ISO timestamp' },
+    ...figureFields
+  }
+});
+
+// Arguments of the analytics fields, and their checks beyond the types
+const windowArgs = {
+  startDate: { type: nonNull(DateType) },
+  endDate: { type: nonNull(DateType) }
+};
+const seriesArgs = {
+  ...windowArgs,
+  interval: { type: IntervalType, defaultValue: 'month' },
+  timezone: { type: GraphQLString, defaultValue: 'UTC' }
+};
+const attributionArgs = { attribution: { type: AttributionType, defaultValue: 'full' } };
+const figureArgs = {
+  currency: { type: GraphQLString, defaultValue: DEFAULT_CURRENCY, description: 'ISO 4217 code to convert figures into' },
+  adjustmentPeriod: { type: AdjustmentPeriodType, defaultValue: DEFAULT_ADJUSTMENT_PERIOD }
+};
+const asOfArgs = { asOf: { type: DateType, description: 'Membership date, today by default' } };
+
+function checkWindow({ startDate, endDate, timezone, currency }) {
+  if (startDate > endDate) {
+    throw new GraphQLError('endDate must be on or after startDate');
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new GraphQLError('timezone must be an IANA timezone name, e.g. America/New_York');
+  }
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    throw new GraphQLError('currency must be a three-letter ISO 4217 currency code, e.g. EUR');
+  }
+}
+
+function checkLimit(limit) {
+  if (limit < 1 || limit > MAX_SALES_LIMIT) {
+    throw new GraphQLError(`limit must be between 1 and ${MAX_SALES_LIMIT}`);
+  }
+}
+
+let UserType;
+let GroupType;
+
+const SaleType = new GraphQLObjectType({
+  name: 'Sale',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    // In the sale's own currency and as made; totals are converted and net of adjustments (see run)
+    amount: { type: GraphQLInt },
+    currency: { type: GraphQLString },
+    date: { type: DateType },
+    // completed, partially_refunded, refunded or cancelled, and the total refunded or cancelled so far
+    status: { type: GraphQLString },
+    adjustedAmount: { type: GraphQLInt },
+    user: { type: UserType, resolve: (sale, args, { loaders }) => loaders.user.load(sale.userId) }
+  })
+});
+
+UserType = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    name: { type: nonNull(GraphQLString) },
+    role: { type: nonNull(GraphQLString) },
+    groups: {
+      type: listOf(GroupType),
+      args: asOfArgs,
+      resolve: async (user, { asOf = today() }, { loaders }) => (await loaders.groupsOfUser.load({ id: user.id, asOf })) || []
+    },
+    totals: {
+      type: nonNull(UserTotalsType),
+      args: { ...windowArgs, ...figureArgs },
+      resolve: async (user, args, { loaders }) => {
+        checkWindow(args);
+        const totals = (await loaders.userTotals.load({ id: user.id, ...args })) || { ...EMPTY_TOTALS, activeDays: 0 };
+        const { adjustmentPeriod, ...window } = args;
+        return withUnconverted(totals, loaders.userUnconverted, { id: user.id, ...window });
+      }
+    },
+    timeSeries: {
+      type: listOf(PeriodType),
+      args: { ...seriesArgs, ...figureArgs },
+      resolve: async (user, args, { loaders }) => {
+        checkWindow(args);
+        return (await loaders.userSeries.load({ id: user.id, ...args })) || [];
+      }
+    },
+    sales: {
+      type: listOf(SaleType),
+      args: { ...windowArgs, limit: { type: GraphQLInt, defaultValue: 100 } },
+      resolve: async (user, args, { loaders }) => {
+        checkWindow(args);
+        checkLimit(args.limit);
+        return (await loaders.salesOfUser.load({ id: user.id, ...args })) || [];
+      }
+    }
+  })
+});
+
+GroupType = new GraphQLObjectType({
+  name: 'Group',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    name: { type: nonNull(GraphQLString) },
+    members: {
+      type: listOf(UserType),
+      args: asOfArgs,
+      resolve: async (group, { asOf = today() }, { loaders }) => (await loaders.membersOfGroup.load({ id: group.id, asOf })) || []
+    },
+    totals: {
+      type: nonNull(TotalsType),
+      args: { ...windowArgs, ...figureArgs, ...attributionArgs },
+      resolve: async (group, args, { loaders }) => {
+        checkWindow(args);
+        const totals = (await loaders.groupTotals.load({ id: group.id, ...args })) || EMPTY_TOTALS;
+        // Attribution and the adjustment period don't change which sales are left out
+        const { attribution, adjustmentPeriod, ...window } = args;
+        return withUnconverted(totals, loaders.groupUnconverted, { id: group.id, ...window });
+      }
+    },
+    timeSeries: {
+      type: listOf(PeriodType),
+      args: { ...seriesArgs, ...figureArgs, ...attributionArgs },
+      resolve: async (group, args, { loaders }) => {
+        checkWindow(args);
+        return (await loaders.groupSeries.load({ id: group.id, ...args })) || [];
+      }
+    }
+  })
+});
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    me: {
+      type: UserType,
+      resolve: (root, args, { user, loaders }) => loaders.user.load(user.id)
+    },
+    user: {
+      type: UserType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { id }, { loaders }) => loaders.user.load(id)
+    },
+    users: {
+      type: listOf(UserType),
+      args: { role: { type: GraphQLString } },
+      resolve: (root, { role }, { client, scope }) => {
+        const params = [];
+        const conditions = auth.scopeConditions(scope, params, 'u.id');
+        if (role !== undefined) {
+          params.push(role);
+          conditions.push(`u.role = $${params.length}`);
+        }
+        return directory.listUsers(client, conditions, params);
+      }
+    },
+    group: {
+      type: GroupType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { id }, { loaders }) => loaders.group.load(id)
+    },
+    groups: {
+      type: listOf(GroupType),
+      resolve: (root, args, { client, user }) => {
+        const visible = auth.visibleGroupIds(user);
+        return directory.listGroups(client, visible ? ['g.id = ANY($1::int[])'] : [], visible ? [visible] : []);
+      }
+    },
+    sales: {
+      type: listOf(SaleType),
+      description: 'Sales in a window, newest first',
+      args: {
+        ...windowArgs,
+        userId: { type: new GraphQLList(nonNull(GraphQLInt)) },
+        limit: { type: GraphQLInt, defaultValue: 100 }
+      },
+      resolve: async (root, { startDate, endDate, userId, limit }, { client, scope }) => {
+        checkWindow({ startDate, endDate });
+        checkLimit(limit);
+        const params = [startDate, endDate];
+        const conditions = ['s.date BETWEEN $1 AND $2', ...auth.scopeConditions(scope, params, 's.user_id')];
+        if (userId) {
+          params.push(userId);
+          conditions.push(`s.user_id = ANY($${params.length}::int[])`);
+        }
+        params.push(limit);
+        const result = await client.query(`
+          SELECT s.id, s.user_id, s.amount, s.currency, to_char(s.date, 'YYYY-MM-DD') as date, s.status, s.adjusted_amount
+          FROM sales s
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY s.date DESC, s.id DESC
+          LIMIT $${params.length};
+        `, params);
+        return result.rows.map(mapSale);
+      }
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+// Query limits, as validation rules
+
+// Calls visit(fieldNode, parentType, visiting) for each field selected directly in a selection set (looking
+// through fragments) and combines the results with `combine`. `visiting` holds the names of the fragments
+// being expanded, which visit passes on when it reduces a field's own selections: a fragment that spreads
+// itself, directly or through others, is skipped rather than expanded forever (NoFragmentCyclesRule reports
+// it).
+function reduceSelections(context, selectionSet, parentType, visit, combine, initial, visiting = new Set()) {
+  let result = initial;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      result = combine(result, visit(selection, parentType, visiting));
+    } else {
+      const name = selection.kind === Kind.FRAGMENT_SPREAD ? selection.name.value : null;
+      const fragment = name ? context.getFragment(name) : selection;
+      if (fragment && !visiting.has(name)) {
+        const fragmentType = fragment.typeCondition
+          ? context.getSchema().getType(fragment.typeCondition.name.value)
+          : parentType;
+        if (name) {
+          visiting.add(name);
+        }
+        result = combine(
+          result, reduceSelections(context, fragment.selectionSet, fragmentType, visit, combine, initial, visiting)
+        );
+        visiting.delete(name);
+      }
+    }
+  }
+  return result;
+}
+
+// The field definition a field node selects on a type, or null (unknown fields are reported by the
+// standard rules)
+function fieldDefinition(parentType, fieldNode) {
+  return isObjectType(parentType) ? parentType.getFields()[fieldNode.name.value] || null : null;
+}
+
+// Rejects operations nesting fields more than maxDepth deep (`groups { members { name } }` has depth 3)
+function depthLimit(maxDepth) {
+  return context => ({
+    OperationDefinition(operation) {
+      const depthOf = (fieldNode, parentType, visiting) => {
+        const definition = fieldDefinition(parentType, fieldNode);
+        if (!fieldNode.selectionSet || !definition) {
+          return 1;
+        }
+        return 1 + reduceSelections(
+          context, fieldNode.selectionSet, getNamedType(definition.type), depthOf, Math.max, 0, visiting
+        );
+      };
+      const depth = reduceSelections(context, operation.selectionSet, context.getSchema().getQueryType(), depthOf, Math.max, 0);
+      if (depth > maxDepth) {
+        context.reportError(new GraphQLError(`Query depth ${depth} exceeds the maximum of ${maxDepth}`, { nodes: operation }));
+      }
+    }
+  });
+}
+
+// Expected length of a list field: its `limit` argument (given as a literal or a variable, or its default),
+// MAX_SALES_LIMIT if that can't be known before running the query, or ESTIMATED_LIST_SIZE for lists without
+// a limit
+function listSize(definition, fieldNode, variableValues) {
+  const argument = definition.args.find(arg => arg.name === 'limit');
+  if (!argument) {
+    return ESTIMATED_LIST_SIZE;
+  }
+  const node = (fieldNode.arguments || []).find(arg => arg.name.value === 'limit');
+  const limit = node ? valueFromAST(node.value, argument.type, variableValues) : argument.defaultValue;
+  return Number.isInteger(limit) ? limit : MAX_SALES_LIMIT;
+}
+
+// Rejects operations whose estimated cost exceeds maxComplexity. Each field costs 1, and the fields under a
+// list are counted once per expected item (see listSize). `variables` are the request's variables.
+function complexityLimit(maxComplexity, variables = {}) {
+  return context => ({
+    OperationDefinition(operation) {
+      // Invalid variables are reported when the query runs; until then their limits are unknown
+      const { coerced } = getVariableValues(context.getSchema(), operation.variableDefinitions || [], variables);
+      const costOf = (fieldNode, parentType, visiting) => {
+        const definition = fieldDefinition(parentType, fieldNode);
+        if (!fieldNode.selectionSet || !definition) {
+          return 1;
+        }
+        const childCost = reduceSelections(
+          context, fieldNode.selectionSet, getNamedType(definition.type), costOf, (a, b) => a + b, 0, visiting
+        );
+        const items = isListType(getNullableType(definition.type)) ? listSize(definition, fieldNode, coerced) : 1;
+        return 1 + items * childCost;
+      };
+      const cost = reduceSelections(
+        context, operation.selectionSet, context.getSchema().getQueryType(), costOf, (a, b) => a + b, 0
+      );
+      if (cost > maxComplexity) {
+        context.reportError(new GraphQLError(
+          `Query complexity ${cost} exceeds the maximum of ${maxComplexity}`, { nodes: operation }
+        ));
+      }
+    }
+  });
+}
+
+// Validation rules for a request with the given variables
+const validationRules = variables => [
+  ...specifiedRules, depthLimit(MAX_DEPTH), complexityLimit(MAX_COMPLEXITY, variables || {})
+];
+
+// Errors thrown by resolvers that aren't GraphQLErrors (e.g. database errors) are logged and reported
+// without their message
+function formatError(error) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    console.error(error.originalError);
+    return { message: 'Internal server error', locations: error.locations, path: error.path };
+  }
+  return error.toJSON();
+}
+
+// Runs a GraphQL request body ({ query, variables, operationName }) for the caller. sourceFor({ currency })
+// gives where sales figures are read from, converted into that currency (see rollups.sourceFor). Returns
+// { status, body }: 400 for malformed, invalid or too expensive queries, otherwise 200 with data and any field
+// errors.
+async function run(client, user, body, { sourceFor = rollups.sourceFor } = {}) {
+  const { query, variables, operationName } = body || {};
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { status: 400, body: { errors: [{ message: 'query must be a non-empty string' }] } };
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return { status: 400, body: { errors: [{ message: 'variables must be an object' }] } };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return { status: 400, body: { errors: [formatError(err)] } };
+  }
+  const validationErrors = validate(schema, document, validationRules(variables));
+  if (validationErrors.length > 0) {
+    return { status: 400, body: { errors: validationErrors.map(formatError) } };
+  }
+
+  const scope = await auth.resolveScope(client, user);
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    contextValue: { client, user, scope, loaders: createLoaders(client, user, scope, sourceFor) }
+  });
+  // Variable errors are reported without data
+  const status = result.data === undefined ? 400 : 200;
+  return {
+    status,
+    body: {
+      ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+      ...(result.data !== undefined ? { data: result.data } : {})
+    }
+  };
+}
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_COMPLEXITY,
+  schema,
+  createLoader,
+  depthLimit,
+  complexityLimit,
+  run
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+const graphqlApi = require('./graphqlApi');
+
+describe('GraphQL API', () => {
+    const admin = { id: 2, role: 'Admin', groupIds: [2] };
+    const agent = { id: 1, role: 'Call Center Agent', groupIds: [1, 3] };
+
+    // Answers the queries the API makes from a few fixed rows, recording each one
+    const createClient = () => {
+        const users = [
+            { id: 1, name: 'Alice', role: 'Call Center Agent' },
+            { id: 3, name: 'Catherine', role: 'Call Center Agent' }
+        ];
+        return {
+            queries: [],
+            async query(sql, params) {
+                this.queries.push({ sql, params });
+                if (sql.includes('FROM groups g')) {
+                    return { rows: [{ id: 1, name: 'Northeast' }, { id: 3, name: 'Digital' }] };
+                }
+                if (sql.includes('FROM user_groups ug\n        JOIN users u')) {
+                    return { rows: params[0].flatMap(groupId => users.map(u => ({ group_id: groupId, ...u }))) };
+                }
+                if (sql.includes('FROM users u')) {
+                    const ids = sql.includes('u.id = ANY($1::int[])') ? params[0] : users.map(u => u.id);
+                    return { rows: users.filter(u => ids.includes(u.id)) };
+                }
+                if (sql.includes('exchange_factor(s.currency')) {
+                    return { rows: params[0].map(id => ({ key: id, count: '1', currencies: ['GBP'] })) };
+                }
+                if (sql.includes('GROUP BY s.user_id')) {
+                    return { rows: params[0].map(id => ({
+                        key: id, sale_count: '2', total_revenue: '300', gross_revenue: '350', adjustments: '50', avg_revenue: '150.00', active_days: '2'
+                    })) };
+                }
+                throw new Error(`Unexpected query: ${sql}`);
+            }
+        };
+    };
+
+    const run = (client, user, query, variables) => graphqlApi.run(client, user, { query, variables });
+
+    describe('createLoader', () => {
+        test('should load the keys requested in the same tick with one call, each once', async () => {
+            const batch = jest.fn(async keys => keys.map(key => key * 10));
+            const loader = graphqlApi.createLoader(batch);
+
+            const values = await Promise.all([loader.load(1), loader.load(2), loader.load(1)]);
+            expect(values).toEqual([10, 20, 10]);
+            expect(batch).toHaveBeenCalledTimes(1);
+            expect(batch).toHaveBeenCalledWith([1, 2]);
+
+            expect(await loader.load(3)).toBe(30);
+            expect(batch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should reject every load in a failed batch', async () => {
+            const loader = graphqlApi.createLoader(async () => {
+                throw new Error('boom');
+            });
+            await expect(Promise.all([loader.load(1), loader.load(2)])).rejects.toThrow('boom');
+        });
+    });
+
+    describe('run', () => {
+        test('should load nested fields with one query per level', async () => {
+            const client = createClient();
+            const result = await run(client, admin, `{
+                groups {
+                    name
+                    members { name totals(startDate: "2021-01-01", endDate: "2021-12-31") { saleCount totalRevenue activeDays } }
+                }
+            }`);
+
+            expect(result.status).toBe(200);
+            expect(result.body.errors).toBeUndefined();
+            expect(result.body.data.groups).toHaveLength(2);
+            expect(result.body.data.groups[0].members[1]).toEqual({
+                name: 'Catherine',
+                totals: { saleCount: 2, totalRevenue: 300, activeDays: 2 }
+            });
+            // Groups, then the members of both groups, then the totals of every member
+            expect(client.queries).toHaveLength(3);
+            expect(client.queries[1].params[0]).toEqual([1, 3]);
+            expect(client.queries[2].params[0]).toEqual([1, 3]);
+        });
+
+        test('should convert totals into the currency given and count the sales left out', async () => {
+            const client = createClient();
+            const result = await run(client, admin, `{
+                user(id: 1) {
+                    totals(startDate: "2021-01-01", endDate: "2021-12-31", currency: "EUR") {
+                        totalRevenue
+                        unconvertedSales { count currencies }
+                    }
+                }
+            }`);
+
+            expect(result.body.errors).toBeUndefined();
+            expect(result.body.data.user.totals).toEqual({ totalRevenue: 300, unconvertedSales: { count: 1, currencies: ['GBP'] } });
+            expect(client.queries[1].sql).toContain("FROM daily_user_sales_in('EUR') s");
+            expect(client.queries[2].params).toEqual([[1], '2021-01-01', '2021-12-31', 'EUR']);
+        });
+
+        test('should break revenue down, counting adjustments in the period given', async () => {
+            const client = createClient();
+            const result = await run(client, admin, `{
+                user(id: 1) {
+                    totals(startDate: "2021-01-01", endDate: "2021-12-31", adjustmentPeriod: ADJUSTMENT) {
+                        totalRevenue grossRevenue adjustments
+                    }
+                }
+            }`);
+
+            expect(result.body.errors).toBeUndefined();
+            expect(result.body.data.user.totals).toEqual({ totalRevenue: 300, grossRevenue: 350, adjustments: 50 });
+            expect(client.queries[1].sql).toContain("FROM sales_in('USD', 'adjustment') s");
+            expect(client.queries[1].sql).toContain('SUM(s.gross_amount) as gross_revenue, SUM(s.adjustment_amount) as adjustments');
+        });
+
+        test('should only count unconverted sales when they are selected', async () => {
+            const client = createClient();
+            await run(client, admin, '{ user(id: 1) { totals(startDate: "2021-01-01", endDate: "2021-12-31") { saleCount } } }');
+
+            expect(client.queries).toHaveLength(2);
+            expect(client.queries[1].sql).toContain("FROM daily_user_sales_in('USD') s");
+        });
+
+        test('should reject invalid currency codes', async () => {
+            const client = createClient();
+            const result = await run(client, admin, `{
+                user(id: 1) { totals(startDate: "2021-01-01", endDate: "2021-12-31", currency: "eur') --") { saleCount } }
+            }`);
+
+            expect(result.body.errors[0].message).toBe('currency must be a three-letter ISO 4217 currency code, e.g. EUR');
+            expect(client.queries).toHaveLength(1);
+        });
+
+        test('should restrict users to the caller\'s scope', async () => {
+            const client = createClient();
+            const result = await run(client, agent, '{ users { id } }');
+
+            expect(result.status).toBe(200);
+            expect(client.queries[0].sql).toContain('u.id = ANY($1::int[])');
+            expect(client.queries[0].params).toEqual([[1]]);
+        });
+
+        test('should reject queries nested too deeply', async () => {
+            const client = createClient();
+            const result = await run(client, admin, '{ groups { members { groups { members { groups { members { id } } } } } } }');
+
+            expect(result.status).toBe(400);
+            expect(result.body.errors[0].message).toBe('Query depth 7 exceeds the maximum of 6');
+            expect(client.queries).toHaveLength(0);
+        });
+
+        test('should reject queries estimated to cost too much', async () => {
+            const result = await run(createClient(), admin, `{
+                users { sales(startDate: "2021-01-01", endDate: "2021-12-31", limit: 1000) { id } }
+            }`);
+
+            expect(result.status).toBe(400);
+            expect(result.body.errors).toEqual([
+                expect.objectContaining({ message: 'Query complexity 10011 exceeds the maximum of 5000' })
+            ]);
+        });
+
+        test('should cost list limits given as variables or left to their default', async () => {
+            const sales = 'sales(startDate: "2021-01-01", endDate: "2021-12-31", limit: $n) { id }';
+            const withVariable = await run(createClient(), admin, `query($n: Int) { users { ${sales} } }`, { n: 1000 });
+            const withDefault = await run(createClient(), admin, `{
+                users { sales(startDate: "2021-01-01", endDate: "2021-12-31") { id amount date currency status } }
+            }`);
+
+            expect(withVariable.body.errors).toEqual([
+                expect.objectContaining({ message: 'Query complexity 10011 exceeds the maximum of 5000' })
+            ]);
+            expect(withDefault.body.errors).toEqual([
+                expect.objectContaining({ message: 'Query complexity 5011 exceeds the maximum of 5000' })
+            ]);
+        });
+
+        test('should report fragment cycles as invalid queries', async () => {
+            const client = createClient();
+            const result = await run(client, admin, `
+                query { users { ...A } }
+                fragment A on User { groups { ...B } }
+                fragment B on Group { members { ...A } }
+            `);
+
+            expect(result.status).toBe(400);
+            expect(result.body.errors[0].message).toBe('Cannot spread fragment "A" within itself via "B".');
+            expect(client.queries).toHaveLength(0);
+        });
+
+        test('should reject malformed queries and invalid dates', async () => {
+            const client = createClient();
+            expect((await graphqlApi.run(client, admin, {})).body).toEqual({
+                errors: [{ message: 'query must be a non-empty string' }]
+            });
+            expect((await run(client, admin, '{ users {')).status).toBe(400);
+
+            const result = await run(client, admin, 'query($d: Date!) { user(id: 1) { totals(startDate: $d, endDate: $d) { saleCount } } }', { d: '2021-02-30' });
+            expect(result.status).toBe(400);
+            expect(result.body.errors[0].message).toContain('must be a valid date in YYYY-MM-DD format');
+            expect(client.queries).toHaveLength(0);
+        });
+
+        test('should hide the messages of unexpected errors', async () => {
+            const client = { query: jest.fn().mockRejectedValue(new Error('connection lost')) };
+            const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const result = await run(client, admin, '{ users { id } }');
+            spy.mockRestore();
+
+            expect(result.status).toBe(200);
+            expect(result.body.errors).toEqual([
+                { message: 'Internal server error', locations: [{ line: 1, column: 3 }], path: ['users'] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,512 @@
+'use strict';
+
+const { Client } = require('pg');
+const { connectionConfig } = require('./db');
+const directory = require('./directory');
+const rollups = require('./rollups');
+const currency = require('./currency');
+
+// Live sales feed over Server-Sent Events (see migrations/008_sales_notify.js and
+// migrations/016_adjustments_notify.js).
+//
+// One connection per server LISTENs for newly recorded sales and for adjustments to sales. Every few hundred
+// milliseconds the sales heard of are loaded in one query and sent to each subscriber that may see them, as
+// `sale` events, and each subscriber whose leaderboard they or the adjusted sales change is sent a
+// recomputed `leaderboard` event: its users ranked by revenue, and its groups' totals, for the current day,
+// week, month, quarter or year to date, in the subscriber's currency (see currency.js). Adjustments send no
+// event of their own. Subscribers sharing a scope, filters and currency share one leaderboard query. Sale
+// events carry each sale's amount in its own currency.
+//
+// Event ids are sale ids: a sale event's own, and for a leaderboard the latest sale the subscriber has been
+// sent (or, before any, the latest the feed had sent out when it subscribed), so resuming from a leaderboard
+// never skips sales still on their way to the subscriber. A client reconnecting with Last-Event-ID is first
+// sent all the sales it may see recorded since, then a fresh leaderboard, and the feed catches up the same way
+// on sales recorded while its own connection was down. Sales committed out of id order may be sent again after
+// a reconnect; their ids identify them.
+
+const CHANNEL = 'sales_recorded';
+const ADJUSTMENTS_CHANNEL = 'sales_adjusted';
+const PERIODS = ['day', 'week', 'month', 'quarter', 'year'];
+const DEFAULT_DEBOUNCE_MS = 250;
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 5000;
+// How long clients should wait before reconnecting after the stream drops (the SSE retry field)
+const CLIENT_RETRY_MS = 3000;
+// Sales loaded per query when catching up after a reconnect
+const REPLAY_PAGE_SIZE = 1000;
+
+const roundMoney = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+const formatDate = date => date.toISOString().split('T')[0];
+
+// The window a leaderboard covers: from the start of the current period to today (UTC)
+function windowFor(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  const starts = {
+    day: () => new Date(Date.UTC(year, month, day)),
+    week: () => new Date(Date.UTC(year, month, day - (now.getUTCDay() + 6) % 7)),
+    month: () => new Date(Date.UTC(year, month, 1)),
+    quarter: () => new Date(Date.UTC(year, month - month % 3, 1)),
+    year: () => new Date(Date.UTC(year, 0, 1))
+  };
+  return { startDate: formatDate(starts[period]()), endDate: formatDate(now) };
+}
+
+// Parses a Last-Event-ID header or query value. Returns the sale id, or null if it is missing or malformed.
+function parseLastEventId(value) {
+  return typeof value === 'string' && /^\d{1,10}$/.test(value.trim()) ? parseInt(value) : null;
+}
+
+// Formats an event for the stream: { id?, event, data }
+function formatEvent({ id, event, data }) {
+  return `${id !== undefined && id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Sales matching SQL conditions on sales s, by id, with their user's name and current groups
+async function loadSales(db, conditions, params, limit = null) {
+  if (limit !== null) {
+    params = [...params, limit];
+  }
+  const result = await db.query(`
+    SELECT s.id, s.user_id, u.name as user_name, s.amount, s.currency, to_char(s.date, 'YYYY-MM-DD') as date,
+      ARRAY(
+        SELECT ug.group_id FROM user_groups ug
+        WHERE ug.user_id = s.user_id AND ${directory.memberOn('ug', 'CURRENT_DATE')}
+        ORDER BY ug.group_id
+      ) as group_ids
+    FROM sales s
+    JOIN users u ON u.id = s.user_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY s.id
+    ${limit !== null ? `LIMIT $${params.length}` : ''};
+  `, params);
+  return result.rows.map(row => ({
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    amount: row.amount,
+    currency: row.currency,
+    date: row.date,
+    groupIds: row.group_ids
+  }));
+}
+
+// Calls onPage(sales) with the sales after a sale id, REPLAY_PAGE_SIZE at a time, in id order. With a
+// subscription, only the sales it may see and asked for (as matches() decides, but in SQL) are loaded.
+async function replaySales(db, after, subscription, onPage) {
+  const params = [];
+  const conditions = [];
+  if (subscription) {
+    const { scope, userIds, groupIds } = subscription;
+    for (const ids of [scope.userIds, userIds.length ? userIds : null].filter(Boolean)) {
+      params.push(ids);
+      conditions.push(`s.user_id = ANY($${params.length + 1}::int[])`);
+    }
+    for (const ids of [scope.groupIds, groupIds.length ? groupIds : null].filter(Boolean)) {
+      params.push(ids);
+      conditions.push(`s.user_id IN (
+        SELECT ug.user_id FROM user_groups ug
+        WHERE ug.group_id = ANY($${params.length + 1}::int[]) AND ${directory.memberOn('ug', 'CURRENT_DATE')}
+      )`);
+    }
+  }
+  for (;;) {
+    const page = await loadSales(db, ['s.id > $1', ...conditions], [after, ...params], REPLAY_PAGE_SIZE);
+    if (page.length) {
+      await onPage(page);
+    }
+    if (page.length < REPLAY_PAGE_SIZE) {
+      return;
+    }
+    after = page[page.length - 1].id;
+  }
+}
+
+const overlaps = (a, b) => a.some(id => b.includes(id));
+
+// Whether a subscriber may see a sale and asked for it. A subscription has the caller's scope (see
+// auth.resolveScope) and optional userIds and groupIds filters; groups are the sale's user's current ones.
+function matches(subscription, sale) {
+  const { scope, userIds, groupIds } = subscription;
+  return (!scope.userIds || scope.userIds.includes(sale.userId))
+    && (!scope.groupIds || overlaps(scope.groupIds, sale.groupIds))
+    && (userIds.length === 0 || userIds.includes(sale.userId))
+    && (groupIds.length === 0 || overlaps(groupIds, sale.groupIds));
+}
+
+// The users and group totals of a subscription's leaderboard, reading sales from `source` (see
+// rollups.sourceFor), with the number of its users' sales left out for want of an exchange rate.
+// Users are its visible users (filtered, and current members of the filtered groups) ranked by revenue
+// among themselves; groups are the visible groups it asked for, each credited with its members' sales on the
+// days they belonged to it.
+async function computeLeaderboard(db, subscription, source, now) {
+  const { scope, userIds, groupIds, visibleGroupIds, period, limit } = subscription;
+  const { startDate, endDate } = windowFor(period, now);
+
+  const userParams = [startDate, endDate];
+  const userConditions = [];
+  if (scope.userIds) {
+    userParams.push(scope.userIds);
+    userConditions.push(`u.id = ANY($${userParams.length}::int[])`);
+  }
+  for (const ids of [scope.groupIds, groupIds.length ? groupIds : null].filter(Boolean)) {
+    userParams.push(ids);
+    userConditions.push(`u.id IN (
+      SELECT ug.user_id FROM user_groups ug
+      WHERE ug.group_id = ANY($${userParams.length}::int[]) AND ${directory.memberOn('ug', 'CURRENT_DATE')}
+    )`);
+  }
+  if (userIds.length) {
+    userParams.push(userIds);
+    userConditions.push(`u.id = ANY($${userParams.length}::int[])`);
+  }
+  const unconverted = await currency.unconvertedSales(
+    db, source.currency, ['s.date BETWEEN $1 AND $2', ...userConditions], [...userParams]
+  );
+  userParams.push(limit);
+  const users = await db.query(`
+    SELECT
+      u.id,
+      u.name,
+      COALESCE(st.sale_count, 0) as sale_count,
+      COALESCE(st.total_revenue, 0) as total_revenue,
+      COALESCE(st.gross_revenue, 0) as gross_revenue,
+      COALESCE(st.adjustments, 0) as adjustments,
+      COALESCE(st.avg_revenue, 0) as avg_revenue,
+      RANK() OVER (ORDER BY COALESCE(st.total_revenue, 0) DESC) as rank
+    FROM users u
+    LEFT JOIN (
+      SELECT s.user_id, ${source.saleCount('s')} as sale_count, ${source.revenue('s')} as total_revenue,
+        ${source.grossRevenue('s')} as gross_revenue, ${source.adjustments('s')} as adjustments,
+        (${source.averageRevenue('s')})::numeric(10,2) as avg_revenue
+      FROM ${source.table} s
+      WHERE s.date BETWEEN $1 AND $2
+      GROUP BY s.user_id
+    ) st ON st.user_id = u.id
+    ${userConditions.length ? 'WHERE ' + userConditions.join(' AND ') : ''}
+    ORDER BY rank, u.id
+    LIMIT $${userParams.length};
+  `, userParams);
+
+  const groupParams = [startDate, endDate];
+  const groupConditions = [];
+  for (const ids of [visibleGroupIds, groupIds.length ? groupIds : null].filter(Boolean)) {
+    groupParams.push(ids);
+    groupConditions.push(`g.id = ANY($${groupParams.length}::int[])`);
+  }
+  const groupWhere = groupConditions.length ? 'WHERE ' + groupConditions.join(' AND ') : '';
+  const groups = await db.query(source.name === 'daily'
+    ? `
+      SELECT g.id, g.name, COALESCE(SUM(sg.sale_count), 0) as sale_count, COALESCE(SUM(sg.total_revenue), 0) as total_revenue,
+        COALESCE(SUM(sg.gross_revenue), 0) as gross_revenue, COALESCE(SUM(sg.adjustment_total), 0) as adjustments
+      FROM groups g
+      LEFT JOIN ${source.groupTable} sg ON sg.group_id = g.id AND sg.date BETWEEN $1 AND $2
+      ${groupWhere}
+      GROUP BY g.id, g.name
+      ORDER BY total_revenue DESC, g.id;
+    `
+    : `
+      WITH ${directory.saleGroupsCte('s.date BETWEEN $1 AND $2', source.table)}
+      SELECT g.id, g.name, COALESCE(SUM(sg.sale_count), 0) as sale_count, COALESCE(SUM(sg.amount), 0) as total_revenue,
+        COALESCE(SUM(sg.gross_amount), 0) as gross_revenue, COALESCE(SUM(sg.adjustment_amount), 0) as adjustments
+      FROM groups g
+      LEFT JOIN sale_groups sg ON sg.group_id = g.id
+      ${groupWhere}
+      GROUP BY g.id, g.name
+      ORDER BY total_revenue DESC, g.id;
+    `, groupParams);
+
+  return {
+    period,
+    startDate,
+    endDate,
+    currency: source.currency,
+    unconvertedSales: unconverted,
+    users: users.rows.map(row => ({
+      rank: parseInt(row.rank),
+      userId: row.id,
+      name: row.name,
+      saleCount: parseInt(row.sale_count),
+      totalRevenue: roundMoney(row.total_revenue),
+      grossRevenue: roundMoney(row.gross_revenue),
+      adjustments: roundMoney(row.adjustments),
+      averageRevenue: parseFloat(row.avg_revenue)
+    })),
+    groups: groups.rows.map(row => ({
+      groupId: row.id,
+      name: row.name,
+      saleCount: parseInt(row.sale_count),
+      totalRevenue: roundMoney(row.total_revenue),
+      grossRevenue: roundMoney(row.gross_revenue),
+      adjustments: roundMoney(row.adjustments)
+    }))
+  };
+}
+
+// The shared feed. `sourceFor(currency)` is where leaderboards in a currency read sales from (see
+// rollups.sourceFor).
+function createFeed({
+  pool,
+  sourceFor = code => rollups.sourceFor({ currency: code }),
+  createClient = () => new Client(connectionConfig),
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  now = () => new Date()
+}) {
+  const subscribers = new Set();
+  const pending = new Set();
+  // Ids of sales adjusted since the last flush
+  const pendingAdjusted = new Set();
+  let listener = null;
+  let stopped = true;
+  let flushTimer = null;
+  let reconnectTimer = null;
+  let flushing = Promise.resolve();
+  // The latest sale id heard of, to catch up on sales recorded while the listener was disconnected
+  let highWater = null;
+
+  // Sends a sale event, recording the latest sale the subscriber has been sent
+  function sendSale(subscriber, sale) {
+    subscriber.send({ id: sale.id, event: 'sale', data: sale });
+    subscriber.lastSaleId = Math.max(subscriber.lastSaleId || 0, sale.id);
+  }
+
+  async function sendLeaderboards(targets) {
+    const byKey = new Map();
+    for (const subscriber of targets) {
+      const { scope, userIds, groupIds, visibleGroupIds, period, limit, currency: code } = subscriber.subscription;
+      const key = JSON.stringify([scope, userIds, groupIds, visibleGroupIds, period, limit, code]);
+      if (!byKey.has(key)) {
+        byKey.set(key, []);
+      }
+      byKey.get(key).push(subscriber);
+    }
+    for (const group of byKey.values()) {
+      const { subscription } = group[0];
+      const leaderboard = await computeLeaderboard(pool, subscription, sourceFor(subscription.currency), now());
+      for (const subscriber of group) {
+        subscriber.send({ id: subscriber.lastSaleId, event: 'leaderboard', data: leaderboard });
+      }
+    }
+  }
+
+  // Sends sales to the subscribers that may see them, adding those whose leaderboards they or the adjusted
+  // sales change to `changed`
+  function deliver(sales, adjusted, changed) {
+    for (const sale of sales) {
+      highWater = Math.max(highWater || 0, sale.id);
+    }
+
+    for (const subscriber of subscribers) {
+      const visible = sales.filter(sale => matches(subscriber.subscription, sale));
+      if (!subscriber.ready) {
+        subscriber.buffer.push(...visible);
+        continue;
+      }
+      for (const sale of visible) {
+        sendSale(subscriber, sale);
+      }
+      const { startDate, endDate } = windowFor(subscriber.subscription.period, now());
+      const inWindow = sale => sale.date >= startDate && sale.date <= endDate;
+      if (visible.some(inWindow) || adjusted.some(sale => inWindow(sale) && matches(subscriber.subscription, sale))) {
+        changed.add(subscriber);
+      }
+    }
+  }
+
+  // Sends newly recorded sales, given by id or (after a reconnect) as all those after a sale id, then the
+  // leaderboards they or the sales adjusted (by id) change
+  async function dispatch({ ids = null, after = null, adjustedIds = [] }) {
+    const byId = saleIds => (saleIds.length ? loadSales(pool, ['s.id = ANY($1::int[])'], [saleIds]) : []);
+    const adjusted = await byId(adjustedIds);
+    const changed = new Set();
+    if (ids) {
+      deliver(await byId(ids), adjusted, changed);
+    } else {
+      await replaySales(pool, after, null, sales => deliver(sales, adjusted, changed));
+    }
+    await sendLeaderboards(changed);
+  }
+
+  // Runs dispatches one at a time, logging failures (a failed batch's sales are not retried)
+  function enqueue(options) {
+    flushing = flushing.then(() => dispatch(options)).catch(err => console.error('Live feed error:', err));
+    return flushing;
+  }
+
+  function flush() {
+    flushTimer = null;
+    const ids = [...pending];
+    const adjustedIds = [...pendingAdjusted];
+    pending.clear();
+    pendingAdjusted.clear();
+    return enqueue({ ids, adjustedIds });
+  }
+
+  function scheduleReconnect() {
+    if (!stopped && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect().catch(err => {
+          console.error('Live feed connection error:', err.message);
+          scheduleReconnect();
+        });
+      }, RECONNECT_MS);
+      reconnectTimer.unref();
+    }
+  }
+
+  async function connect() {
+    const client = createClient();
+    client.on('notification', message => {
+      const id = parseInt(message.payload);
+      const ids = { [CHANNEL]: pending, [ADJUSTMENTS_CHANNEL]: pendingAdjusted }[message.channel];
+      if (ids && id > 0) {
+        ids.add(id);
+        if (!flushTimer) {
+          flushTimer = setTimeout(flush, debounceMs);
+        }
+      }
+    });
+    client.on('error', err => {
+      console.error('Live feed connection error:', err.message);
+      if (listener === client) {
+        listener = null;
+        client.end().catch(() => {});
+        scheduleReconnect();
+      }
+    });
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL};`);
+      await client.query(`LISTEN ${ADJUSTMENTS_CHANNEL};`);
+    } catch (err) {
+      client.end().catch(() => {});
+      throw err;
+    }
+    listener = client;
+
+    if (highWater === null) {
+      const result = await pool.query('SELECT COALESCE(MAX(id), 0) as id FROM sales;');
+      highWater = parseInt(result.rows[0].id);
+    } else {
+      // Sales recorded while disconnected were never notified
+      enqueue({ after: highWater });
+    }
+  }
+
+  return {
+    // Starts listening, retrying in the background if the database can't be reached
+    async start() {
+      stopped = false;
+      try {
+        await connect();
+      } catch (err) {
+        console.error('Live feed connection error:', err.message);
+        scheduleReconnect();
+      }
+    },
+
+    async stop() {
+      stopped = true;
+      clearTimeout(flushTimer);
+      clearTimeout(reconnectTimer);
+      flushTimer = null;
+      reconnectTimer = null;
+      if (listener) {
+        const client = listener;
+        listener = null;
+        await client.end().catch(() => {});
+      }
+      await flushing;
+    },
+
+    // Subscribes send(event) to the feed: first the sales after subscription.lastEventId (if set), then a
+    // leaderboard, then live events. Resolves to a function that unsubscribes.
+    async subscribe(subscription, send) {
+      // Sales up to the feed's high-water mark were sent out before the subscriber joined, and the leaderboard
+      // it is about to be sent includes them. Later ones reach it through its buffer.
+      const subscriber = {
+        subscription,
+        send,
+        ready: false,
+        buffer: [],
+        lastSaleId: subscription.lastEventId !== null ? subscription.lastEventId : highWater
+      };
+      subscribers.add(subscriber);
+      const unsubscribe = () => subscribers.delete(subscriber);
+      try {
+        const sent = new Set();
+        if (subscription.lastEventId !== null) {
+          await replaySales(pool, subscription.lastEventId, subscription, missed => {
+            for (const sale of missed) {
+              sendSale(subscriber, sale);
+              sent.add(sale.id);
+            }
+          });
+        }
+        await sendLeaderboards([subscriber]);
+        // Sales heard of while catching up
+        for (const sale of subscriber.buffer.filter(sale => !sent.has(sale.id))) {
+          sendSale(subscriber, sale);
+        }
+        subscriber.buffer = [];
+        subscriber.ready = true;
+      } catch (err) {
+        unsubscribe();
+        throw err;
+      }
+      return unsubscribe;
+    },
+
+    get subscriberCount() {
+      return subscribers.size;
+    }
+  };
+}
+
+// Streams the feed to an HTTP response until the client disconnects
+async function stream(req, res, feed, subscription) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering events
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const stop = await feed.subscribe(subscription, event => res.write(formatEvent(event)));
+    if (closed) {
+      stop();
+    } else {
+      unsubscribe = stop;
+    }
+  } catch (err) {
+    // The headers are sent, so end the stream; the client reconnects and resumes
+    console.error(err);
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+module.exports = {
+  PERIODS,
+  REPLAY_PAGE_SIZE,
+  windowFor,
+  parseLastEventId,
+  formatEvent,
+  matches,
+  createFeed,
+  stream
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const live = require('./live');
+
+describe('Live sales feed', () => {
+    describe('windowFor', () => {
+        test('should cover the current period to date, in UTC', () => {
+            const now = new Date('2021-11-24T15:00:00Z'); // a Wednesday
+            expect(live.windowFor('day', now)).toEqual({ startDate: '2021-11-24', endDate: '2021-11-24' });
+            expect(live.windowFor('week', now)).toEqual({ startDate: '2021-11-22', endDate: '2021-11-24' });
+            expect(live.windowFor('month', now)).toEqual({ startDate: '2021-11-01', endDate: '2021-11-24' });
+            expect(live.windowFor('quarter', now)).toEqual({ startDate: '2021-10-01', endDate: '2021-11-24' });
+            expect(live.windowFor('year', now)).toEqual({ startDate: '2021-01-01', endDate: '2021-11-24' });
+        });
+    });
+
+    describe('events', () => {
+        test('should format events with an optional id', () => {
+            expect(live.formatEvent({ id: 7, event: 'sale', data: { id: 7 } })).toBe('id: 7\nevent: sale\ndata: {"id":7}\n\n');
+            expect(live.formatEvent({ event: 'leaderboard', data: [] })).toBe('event: leaderboard\ndata: []\n\n');
+        });
+
+        test('should parse last event ids', () => {
+            expect(live.parseLastEventId('42')).toBe(42);
+            expect(live.parseLastEventId(undefined)).toBeNull();
+            expect(live.parseLastEventId('4x')).toBeNull();
+        });
+    });
+
+    describe('matches', () => {
+        const sale = { id: 1, userId: 5, groupIds: [1, 3] };
+        const subscription = (scope, filters = {}) => ({ scope, userIds: [], groupIds: [], ...filters });
+
+        test('should only match sales within the scope', () => {
+            expect(live.matches(subscription({ userIds: null, groupIds: null }), sale)).toBe(true);
+            expect(live.matches(subscription({ userIds: [5], groupIds: null }), sale)).toBe(true);
+            expect(live.matches(subscription({ userIds: [1], groupIds: null }), sale)).toBe(false);
+            expect(live.matches(subscription({ userIds: null, groupIds: [3] }), sale)).toBe(true);
+            expect(live.matches(subscription({ userIds: null, groupIds: [2] }), sale)).toBe(false);
+        });
+
+        test('should apply the user and group filters', () => {
+            const admin = { userIds: null, groupIds: null };
+            expect(live.matches(subscription(admin, { userIds: [5, 6] }), sale)).toBe(true);
+            expect(live.matches(subscription(admin, { userIds: [6] }), sale)).toBe(false);
+            expect(live.matches(subscription(admin, { groupIds: [2, 3] }), sale)).toBe(true);
+            expect(live.matches(subscription(admin, { groupIds: [2] }), sale)).toBe(false);
+        });
+    });
+
+    describe('createFeed', () => {
+        const saleRow = (id, userId, groupIds) => ({
+            id, user_id: userId, user_name: `User ${userId}`, amount: 100, currency: 'USD', date: '2021-11-24', group_ids: groupIds
+        });
+        const sales = [saleRow(10, 1, [1]), saleRow(11, 2, [2])];
+
+        // Answers the feed's queries from `sales`, recording each one
+        const createPool = () => ({
+            queries: [],
+            async query(sql, params) {
+                this.queries.push({ sql, params });
+                if (sql.includes('MAX(id)')) {
+                    return { rows: [{ id: '9' }] };
+                }
+                if (sql.includes('s.id = ANY($1::int[])')) {
+                    return { rows: sales.filter(row => params[0].includes(row.id)) };
+                }
+                if (sql.includes('s.id > $1')) {
+                    return { rows: sales.filter(row => row.id > params[0]) };
+                }
+                if (sql.includes('exchange_factor')) {
+                    return { rows: [{ count: '0', currencies: [] }] };
+                }
+                if (sql.includes('FROM users u')) {
+                    return { rows: [{ id: 1, name: 'User 1', sale_count: '1', total_revenue: '100', gross_revenue: '120', adjustments: '20', avg_revenue: '100.00', rank: '1' }] };
+                }
+                return { rows: [{ id: 1, name: 'North', sale_count: '1', total_revenue: '100', gross_revenue: '120', adjustments: '20' }] };
+            }
+        });
+
+        const createListener = () => Object.assign(new EventEmitter(), {
+            connect: jest.fn().mockResolvedValue(),
+            query: jest.fn().mockResolvedValue({ rows: [] }),
+            end: jest.fn().mockResolvedValue()
+        });
+
+        const agent = {
+            scope: { userIds: [1], groupIds: null },
+            userIds: [],
+            groupIds: [],
+            visibleGroupIds: [1],
+            period: 'month',
+            limit: 10,
+            lastEventId: null
+        };
+        const now = () => new Date('2021-11-24T15:00:00Z');
+
+        test('should send new sales the subscriber may see, then its recomputed leaderboard', async () => {
+            const pool = createPool();
+            const listener = createListener();
+            const feed = live.createFeed({ pool, createClient: () => listener, debounceMs: 1, now });
+            await feed.start();
+            expect(listener.query).toHaveBeenCalledWith('LISTEN sales_recorded;');
+
+            const events = [];
+            await feed.subscribe(agent, event => events.push(event));
+            // Sales up to the latest one sent out so far are in the first leaderboard
+            expect(events.map(event => [event.event, event.id])).toEqual([['leaderboard', 9]]);
+            expect(events[0].data.users[0]).toEqual({
+                rank: 1, userId: 1, name: 'User 1', saleCount: 1, totalRevenue: 100, grossRevenue: 120, adjustments: 20, averageRevenue: 100
+            });
+            expect(events[0].data.groups).toEqual([
+                { groupId: 1, name: 'North', saleCount: 1, totalRevenue: 100, grossRevenue: 120, adjustments: 20 }
+            ]);
+            expect(events[0].data).toMatchObject({ currency: 'USD', unconvertedSales: { count: 0, currencies: [] } });
+
+            const salesQueries = pool.queries.length;
+            listener.emit('notification', { channel: 'sales_recorded', payload: '10' });
+            listener.emit('notification', { channel: 'sales_recorded', payload: '11' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await feed.stop();
+
+            expect(events.slice(1)).toEqual([
+                {
+                    id: 10,
+                    event: 'sale',
+                    data: { id: 10, userId: 1, userName: 'User 1', amount: 100, currency: 'USD', date: '2021-11-24', groupIds: [1] }
+                },
+                // Sale 11 isn't the agent's, so resuming from the leaderboard must not skip past 10
+                expect.objectContaining({ id: 10, event: 'leaderboard' })
+            ]);
+            // Both sales loaded together, then one leaderboard (unconverted sales, users and groups)
+            expect(pool.queries.length - salesQueries).toBe(4);
+            expect(pool.queries[salesQueries].params).toEqual([[10, 11]]);
+        });
+
+        test('should send a recomputed leaderboard, but no sale, when a sale on it is adjusted', async () => {
+            const pool = createPool();
+            const listener = createListener();
+            const feed = live.createFeed({ pool, createClient: () => listener, debounceMs: 1, now });
+            await feed.start();
+            expect(listener.query).toHaveBeenCalledWith('LISTEN sales_adjusted;');
+
+            const events = [];
+            await feed.subscribe(agent, event => events.push(event));
+            // Sale 11 isn't the agent's
+            listener.emit('notification', { channel: 'sales_adjusted', payload: '11' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(events.map(event => event.event)).toEqual(['leaderboard']);
+
+            listener.emit('notification', { channel: 'sales_adjusted', payload: '10' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await feed.stop();
+
+            expect(events.slice(1).map(event => [event.event, event.id])).toEqual([['leaderboard', 9]]);
+        });
+
+        test('should replay the sales after the last event id before the leaderboard', async () => {
+            const feed = live.createFeed({ pool: createPool(), createClient: createListener, now });
+            const events = [];
+            const unsubscribe = await feed.subscribe({ ...agent, scope: { userIds: null, groupIds: null }, lastEventId: 10 }, event => events.push(event));
+
+            expect(events.map(event => [event.event, event.id])).toEqual([['sale', 11], ['leaderboard', 11]]);
+            expect(feed.subscriberCount).toBe(1);
+            unsubscribe();
+            expect(feed.subscriberCount).toBe(0);
+        });
+
+        test('should replay every missed sale the subscriber may see, a page at a time', async () => {
+            // More of the agent's sales than fit in a page, loaded in order after the id given
+            const missed = Array.from({ length: live.REPLAY_PAGE_SIZE + 5 }, (_, i) => saleRow(i + 1, 1, [1]));
+            const pool = createPool();
+            const query = pool.query;
+            pool.query = async function (sql, params) {
+                if (sql.includes('s.id > $1')) {
+                    this.queries.push({ sql, params });
+                    return { rows: missed.filter(row => row.id > params[0]).slice(0, params[params.length - 1]) };
+                }
+                return query.call(this, sql, params);
+            };
+            const feed = live.createFeed({ pool, createClient: createListener, now });
+            const events = [];
+            await feed.subscribe({ ...agent, lastEventId: 0 }, event => events.push(event));
+
+            const replays = pool.queries.filter(({ sql }) => sql.includes('s.id > $1'));
+            // The agent's scope is applied in SQL, not to a company-wide page
+            expect(replays.map(({ params }) => params)).toEqual([
+                [0, [1], live.REPLAY_PAGE_SIZE],
+                [live.REPLAY_PAGE_SIZE, [1], live.REPLAY_PAGE_SIZE]
+            ]);
+            expect(replays[0].sql).toContain('s.user_id = ANY($2::int[])');
+            expect(events.filter(event => event.event === 'sale')).toHaveLength(missed.length);
+            expect(events[events.length - 1]).toMatchObject({ event: 'leaderboard', id: missed.length });
+        });
+    });
+});
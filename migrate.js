@@ -0,0 +1,180 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { connectionConfig } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock, so two servers starting at once don't apply the same migration twice
+const MIGRATION_LOCK_KEY = 4242001;
+
+const createMigrationsTableQuery = `
+    CREATE TABLE IF NOT EXISTS "schema_migrations" (
+      "version" VARCHAR(20) NOT NULL,
+      "name" VARCHAR(255) NOT NULL,
+      "applied_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("version")
+    );`;
+
+// Reads migrations/NNN_description.js files in version order.
+// Each file exports `up` and `down` SQL strings.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const { up, down } = require(path.join(dir, file));
+      return {
+        version: file.split('_')[0],
+        name: path.basename(file, '.js'),
+        up,
+        down
+      };
+    });
+}
+
+async function appliedVersions(client) {
+  await client.query(createMigrationsTableQuery);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version ASC;');
+  return result.rows.map(row => row.version);
+}
+
+// Runs `fn` while holding the migration lock
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+// Runs one migration step and records it, in a single transaction so a failed step leaves no trace
+async function runStep(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(record.query, record.params);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Applies pending migrations in order, optionally stopping after version `to`.
+// Returns the names of the migrations that were applied.
+async function migrateUp(client, { to, migrations = loadMigrations() } = {}) {
+  return withLock(client, async () => {
+    const applied = new Set(await appliedVersions(client));
+    const pending = migrations
+      .filter(m => !applied.has(m.version))
+      .filter(m => to === undefined || parseInt(m.version) <= parseInt(to));
+
+    for (const migration of pending) {
+      await runStep(client, migration.up, {
+        query: 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2);',
+        params: [migration.version, migration.name]
+      });
+      console.log(`Applied migration ${migration.name}.`);
+    }
+
+    return pending.map(m => m.name);
+  });
+}
+
+// Rolls back the most recently applied `steps` migrations.
+// Returns the names of the migrations that were rolled back.
+async function migrateDown(client, { steps = 1, migrations = loadMigrations() } = {}) {
+  return withLock(client, async () => {
+    const applied = await appliedVersions(client);
+    const toRollBack = applied.slice(-steps).reverse();
+    const rolledBack = [];
+
+    for (const version of toRollBack) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing; cannot roll it back`);
+      }
+      await runStep(client, migration.down, {
+        query: 'DELETE FROM schema_migrations WHERE version = $1;',
+        params: [version]
+      });
+      console.log(`Rolled back migration ${migration.name}.`);
+      rolledBack.push(migration.name);
+    }
+
+    return rolledBack;
+  });
+}
+
+// Lists every known migration with whether (and when) it was applied
+async function status(client, { migrations = loadMigrations() } = {}) {
+  await client.query(createMigrationsTableQuery);
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations;');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: appliedAt.has(m.version),
+    appliedAt: appliedAt.get(m.version) || null
+  }));
+}
+
+async function pendingMigrations(client, options) {
+  return (await status(client, options)).filter(m => !m.applied);
+}
+
+// CLI:
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [--steps <n>]
+//   node migrate.js status
+async function main(argv) {
+  const [command = 'up', ...args] = argv;
+  const option = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? undefined : args[i + 1];
+  };
+
+  const client = new Client(connectionConfig);
+  await client.connect();
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(client, { to: option('--to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+    } else if (command === 'down') {
+      const steps = parseInt(option('--steps') || '1');
+      if (!(steps > 0)) {
+        throw new Error('--steps must be a positive integer');
+      }
+      await migrateDown(client, { steps });
+    } else if (command === 'status') {
+      for (const m of await status(client)) {
+        const state = m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+        console.log(`${m.name.padEnd(40)} ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  status,
+  pendingMigrations
+};
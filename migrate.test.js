@@ -0,0 +1,96 @@
+'use strict';
+
+const migrator = require('./migrate');
+
+describe('Schema migrations', () => {
+    let mockClient;
+    let applied;
+
+    const migrations = [
+        { version: '001', name: '001_first', up: 'UP 1', down: 'DOWN 1' },
+        { version: '002', name: '002_second', up: 'UP 2', down: 'DOWN 2' },
+        { version: '003', name: '003_third', up: 'UP 3', down: 'DOWN 3' }
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        // Minimal stand-in for Postgres that tracks rows in schema_migrations
+        applied = [];
+        mockClient = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.startsWith('SELECT version FROM schema_migrations')) {
+                    return { rows: applied.map(version => ({ version })) };
+                }
+                if (sql.startsWith('SELECT version, applied_at')) {
+                    return { rows: applied.map(version => ({ version, applied_at: new Date('2024-01-01T00:00:00Z') })) };
+                }
+                if (sql.startsWith('INSERT INTO schema_migrations')) {
+                    applied.push(params[0]);
+                }
+                if (sql.startsWith('DELETE FROM schema_migrations')) {
+                    applied = applied.filter(version => version !== params[0]);
+                }
+                if (sql === 'UP 2' && mockClient.failOn === 'UP 2') {
+                    throw new Error('syntax error');
+                }
+                return { rows: [] };
+            }),
+        };
+    });
+
+    const executed = () => mockClient.query.mock.calls.map(([sql]) => sql);
+
+    test('should load the migration files in version order', () => {
+        const names = migrator.loadMigrations().map(m => m.name);
+
+        expect(names).toEqual([...names].sort());
+        expect(names[0]).toBe('001_initial_schema');
+    });
+
+    test('should apply pending migrations in order inside transactions', async () => {
+        applied = ['001'];
+
+        const result = await migrator.migrateUp(mockClient, { migrations });
+
+        expect(result).toEqual(['002_second', '003_third']);
+        expect(applied).toEqual(['001', '002', '003']);
+        const steps = executed().filter(sql => ['BEGIN', 'UP 2', 'UP 3', 'COMMIT'].includes(sql));
+        expect(steps).toEqual(['BEGIN', 'UP 2', 'COMMIT', 'BEGIN', 'UP 3', 'COMMIT']);
+    });
+
+    test('should stop at the requested version', async () => {
+        const result = await migrator.migrateUp(mockClient, { migrations, to: '2' });
+
+        expect(result).toEqual(['001_first', '002_second']);
+    });
+
+    test('should roll back a failed migration and release the lock', async () => {
+        mockClient.failOn = 'UP 2';
+
+        await expect(migrator.migrateUp(mockClient, { migrations })).rejects.toThrow('syntax error');
+
+        expect(applied).toEqual(['001']);
+        expect(executed()).toContain('ROLLBACK');
+        expect(executed()[executed().length - 1]).toMatch(/pg_advisory_unlock/);
+    });
+
+    test('should roll back the most recent migrations in reverse order', async () => {
+        applied = ['001', '002', '003'];
+
+        const result = await migrator.migrateDown(mockClient, { migrations, steps: 2 });
+
+        expect(result).toEqual(['003_third', '002_second']);
+        expect(applied).toEqual(['001']);
+        expect(executed().filter(sql => sql.startsWith('DOWN'))).toEqual(['DOWN 3', 'DOWN 2']);
+    });
+
+    test('should report status for every migration', async () => {
+        applied = ['001'];
+
+        const result = await migrator.status(mockClient, { migrations });
+
+        expect(result.map(m => m.applied)).toEqual([true, false, false]);
+        expect(await migrator.pendingMigrations(mockClient, { migrations })).toHaveLength(2);
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+// Schema as originally created by the seeder. IF NOT EXISTS lets this migration adopt databases that
+// were set up before migrations existed, where these tables are already present.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS "users" (
+      "id" SERIAL,
+      "name" VARCHAR(50) NOT NULL,
+      "role" VARCHAR(50) NOT NULL,
+      PRIMARY KEY ("id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "groups" (
+      "id" SERIAL,
+      "name" VARCHAR(50) NOT NULL,
+      PRIMARY KEY ("id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "user_groups" (
+      "user_id" SERIAL,
+      "group_id" SERIAL,
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(group_id) REFERENCES groups(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS "sales" (
+      "id" SERIAL,
+      "user_id" SERIAL,
+      "amount" INTEGER,
+      "date" DATE,
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      PRIMARY KEY ("id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "idempotency_keys" (
+      "key" VARCHAR(255) NOT NULL,
+      "request_hash" CHAR(64) NOT NULL,
+      "status_code" INTEGER,
+      "response" JSONB,
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("key")
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS "idempotency_keys";
+    DROP TABLE IF EXISTS "sales";
+    DROP TABLE IF EXISTS "user_groups";
+    DROP TABLE IF EXISTS "groups";
+    DROP TABLE IF EXISTS "users";
+  `
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+// Fixes to the original schema:
+// - Foreign key columns were declared SERIAL, which gave them their own sequences and defaults.
+//   They are plain INTEGER references now.
+// - user_groups had no primary key, so the same membership could be inserted twice. Duplicates are
+//   removed before adding the key.
+// - sales had no index on date, which every analytics query filters by.
+module.exports = {
+  up: `
+    ALTER TABLE "user_groups" ALTER COLUMN "user_id" DROP DEFAULT;
+    ALTER TABLE "user_groups" ALTER COLUMN "group_id" DROP DEFAULT;
+    ALTER TABLE "sales" ALTER COLUMN "user_id" DROP DEFAULT;
+    DROP SEQUENCE IF EXISTS "user_groups_user_id_seq";
+    DROP SEQUENCE IF EXISTS "user_groups_group_id_seq";
+    DROP SEQUENCE IF EXISTS "sales_user_id_seq";
+
+    DELETE FROM "user_groups" a
+      USING "user_groups" b
+      WHERE a.ctid < b.ctid AND a.user_id = b.user_id AND a.group_id = b.group_id;
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_pkey" PRIMARY KEY ("user_id", "group_id");
+    CREATE INDEX "user_groups_group_id_idx" ON "user_groups" ("group_id");
+
+    CREATE INDEX "sales_date_idx" ON "sales" ("date");
+    CREATE INDEX "sales_user_id_date_idx" ON "sales" ("user_id", "date");
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS "sales_user_id_date_idx";
+    DROP INDEX IF EXISTS "sales_date_idx";
+    DROP INDEX IF EXISTS "user_groups_group_id_idx";
+    ALTER TABLE "user_groups" DROP CONSTRAINT IF EXISTS "user_groups_pkey";
+
+    CREATE SEQUENCE "user_groups_user_id_seq" OWNED BY "user_groups"."user_id";
+    CREATE SEQUENCE "user_groups_group_id_seq" OWNED BY "user_groups"."group_id";
+    CREATE SEQUENCE "sales_user_id_seq" OWNED BY "sales"."user_id";
+    ALTER TABLE "user_groups" ALTER COLUMN "user_id" SET DEFAULT nextval('user_groups_user_id_seq');
+    ALTER TABLE "user_groups" ALTER COLUMN "group_id" SET DEFAULT nextval('user_groups_group_id_seq');
+    ALTER TABLE "sales" ALTER COLUMN "user_id" SET DEFAULT nextval('sales_user_id_seq');
+  `
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+// Sales targets (quotas) per user or per group for a calendar month or quarter.
+// - Exactly one of user_id and group_id is set
+// - period_start is the first day of the month or quarter, so each period has one canonical row
+// - Partial unique indexes allow one target per user (or group) and period
+module.exports = {
+  up: `
+    CREATE TABLE "targets" (
+      "id" SERIAL,
+      "user_id" INTEGER REFERENCES "users" ("id") ON DELETE CASCADE,
+      "group_id" INTEGER REFERENCES "groups" ("id") ON DELETE CASCADE,
+      "period_type" VARCHAR(10) NOT NULL,
+      "period_start" DATE NOT NULL,
+      "revenue_target" BIGINT NOT NULL,
+      "sale_count_target" INTEGER,
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "updated_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("id"),
+      CONSTRAINT "targets_subject_check" CHECK (("user_id" IS NULL) <> ("group_id" IS NULL)),
+      CONSTRAINT "targets_period_type_check" CHECK ("period_type" IN ('month', 'quarter')),
+      CONSTRAINT "targets_period_start_check" CHECK ("period_start" = DATE_TRUNC("period_type", "period_start")::date),
+      CONSTRAINT "targets_revenue_target_check" CHECK ("revenue_target" > 0),
+      CONSTRAINT "targets_sale_count_target_check" CHECK ("sale_count_target" > 0)
+    );
+    CREATE UNIQUE INDEX "targets_user_period_idx" ON "targets" ("user_id", "period_type", "period_start")
+      WHERE "user_id" IS NOT NULL;
+    CREATE UNIQUE INDEX "targets_group_period_idx" ON "targets" ("group_id", "period_type", "period_start")
+      WHERE "group_id" IS NOT NULL;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS "targets";
+  `
+};
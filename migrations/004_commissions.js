@@ -0,0 +1,91 @@
+'use strict';
+
+// Commission plans and payout statements.
+// - commission_plans: percentage rate tiers (JSONB list of { from, rate }, a flat plan has one tier) and an
+//   optional accelerator multiplying the rates on revenue above quota. A plan with a role is the default
+//   plan for users with that role.
+// - commission_plan_assignments: plans assigned to individual users, overriding their role's default
+// - commission_statements: one per user and period, with a snapshot of the plan it was calculated with.
+//   Closed statements are only recalculated on request, and each such recalculation is recorded in
+//   commission_recalculations.
+// - commission_line_items: the commission earned on each sale in a statement
+module.exports = {
+  up: `
+    CREATE TABLE "commission_plans" (
+      "id" SERIAL,
+      "name" VARCHAR(100) NOT NULL,
+      "role" VARCHAR(50),
+      "tiers" JSONB NOT NULL,
+      "accelerator" NUMERIC(6,3),
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "updated_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("id"),
+      CONSTRAINT "commission_plans_name_key" UNIQUE ("name"),
+      CONSTRAINT "commission_plans_role_key" UNIQUE ("role"),
+      CONSTRAINT "commission_plans_accelerator_check" CHECK ("accelerator" >= 1)
+    );
+
+    CREATE TABLE "commission_plan_assignments" (
+      "user_id" INTEGER NOT NULL REFERENCES "users" ("id") ON DELETE CASCADE,
+      "plan_id" INTEGER NOT NULL REFERENCES "commission_plans" ("id"),
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("user_id")
+    );
+
+    CREATE TABLE "commission_statements" (
+      "id" SERIAL,
+      "user_id" INTEGER NOT NULL REFERENCES "users" ("id"),
+      "plan_id" INTEGER NOT NULL REFERENCES "commission_plans" ("id"),
+      "plan" JSONB NOT NULL,
+      "period_type" VARCHAR(10) NOT NULL,
+      "period_start" DATE NOT NULL,
+      "quota" BIGINT,
+      "sale_count" INTEGER NOT NULL,
+      "revenue" BIGINT NOT NULL,
+      "commission" NUMERIC(14,2) NOT NULL,
+      "status" VARCHAR(10) NOT NULL DEFAULT 'open',
+      "calculated_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "closed_at" TIMESTAMPTZ,
+      "closed_by" INTEGER REFERENCES "users" ("id"),
+      PRIMARY KEY ("id"),
+      CONSTRAINT "commission_statements_period_key" UNIQUE ("user_id", "period_type", "period_start"),
+      CONSTRAINT "commission_statements_period_type_check" CHECK ("period_type" IN ('month', 'quarter')),
+      CONSTRAINT "commission_statements_status_check" CHECK ("status" IN ('open', 'closed'))
+    );
+    CREATE INDEX "commission_statements_period_idx" ON "commission_statements" ("period_type", "period_start");
+
+    CREATE TABLE "commission_line_items" (
+      "id" SERIAL,
+      "statement_id" INTEGER NOT NULL REFERENCES "commission_statements" ("id") ON DELETE CASCADE,
+      "sale_id" INTEGER NOT NULL REFERENCES "sales" ("id"),
+      "amount" INTEGER NOT NULL,
+      "commission" NUMERIC(14,2) NOT NULL,
+      "breakdown" JSONB NOT NULL,
+      PRIMARY KEY ("id")
+    );
+    CREATE INDEX "commission_line_items_statement_id_idx" ON "commission_line_items" ("statement_id");
+    CREATE INDEX "commission_line_items_sale_id_idx" ON "commission_line_items" ("sale_id");
+
+    CREATE TABLE "commission_recalculations" (
+      "id" SERIAL,
+      "statement_id" INTEGER NOT NULL REFERENCES "commission_statements" ("id") ON DELETE CASCADE,
+      "recalculated_by" INTEGER NOT NULL REFERENCES "users" ("id"),
+      "reason" TEXT NOT NULL,
+      "previous_revenue" BIGINT NOT NULL,
+      "previous_commission" NUMERIC(14,2) NOT NULL,
+      "revenue" BIGINT NOT NULL,
+      "commission" NUMERIC(14,2) NOT NULL,
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("id")
+    );
+    CREATE INDEX "commission_recalculations_statement_id_idx" ON "commission_recalculations" ("statement_id");
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS "commission_recalculations";
+    DROP TABLE IF EXISTS "commission_line_items";
+    DROP TABLE IF EXISTS "commission_statements";
+    DROP TABLE IF EXISTS "commission_plan_assignments";
+    DROP TABLE IF EXISTS "commission_plans";
+  `
+};
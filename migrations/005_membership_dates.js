@@ -0,0 +1,48 @@
+'use strict';
+
+// Effective-dated group memberships, so moving an agent between groups doesn't move their past sales.
+// - valid_from and valid_to are the first and last day of the membership (inclusive); NULL leaves that
+//   end open. Existing memberships get neither, so they cover all history, as before.
+// - A user can rejoin a group, so memberships get their own id instead of the (user_id, group_id) key
+// - The exclusion constraint keeps a user's memberships of the same group from overlapping
+// - Users and groups can now be deleted through the API; their memberships go with them
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_pkey";
+    ALTER TABLE "user_groups" ADD COLUMN "id" SERIAL PRIMARY KEY;
+    ALTER TABLE "user_groups" ADD COLUMN "valid_from" DATE;
+    ALTER TABLE "user_groups" ADD COLUMN "valid_to" DATE;
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_valid_dates_check"
+      CHECK ("valid_from" IS NULL OR "valid_to" IS NULL OR "valid_from" <= "valid_to");
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_no_overlap"
+      EXCLUDE USING gist ("user_id" WITH =, "group_id" WITH =, daterange("valid_from", "valid_to", '[]') WITH &&);
+
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_user_id_fkey";
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_group_id_fkey";
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_user_id_fkey"
+      FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_group_id_fkey"
+      FOREIGN KEY ("group_id") REFERENCES "groups" ("id") ON DELETE CASCADE;
+  `,
+
+  // Keeps each user's latest membership of each group
+  down: `
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_user_id_fkey";
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_group_id_fkey";
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users" ("id");
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups" ("id");
+
+    DELETE FROM "user_groups" a
+      USING "user_groups" b
+      WHERE a.user_id = b.user_id AND a.group_id = b.group_id
+        AND COALESCE(a.valid_from, '-infinity') < COALESCE(b.valid_from, '-infinity');
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_no_overlap";
+    ALTER TABLE "user_groups" DROP CONSTRAINT "user_groups_valid_dates_check";
+    ALTER TABLE "user_groups" DROP COLUMN "valid_to";
+    ALTER TABLE "user_groups" DROP COLUMN "valid_from";
+    ALTER TABLE "user_groups" DROP COLUMN "id";
+    ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_pkey" PRIMARY KEY ("user_id", "group_id");
+  `
+};
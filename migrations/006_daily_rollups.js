@@ -0,0 +1,148 @@
+'use strict';
+
+// Daily rollups of sales for the analytics queries (see rollups.js).
+// - daily_user_sales: each user's sale count and revenue per day with sales
+// - daily_group_sales: the same per group, crediting each sale to the groups its user belonged to that
+//   day. split_revenue divides a sale equally between those groups (attribution=split).
+// - Triggers keep both up to date: each change to sales adds or subtracts its row's figures, and each
+//   change to user_groups recomputes the group rows of the days the member made sales in the membership.
+//   Group recomputes lock daily_group_sales so they can't miss a concurrent sale.
+// - Existing sales are rolled up here
+module.exports = {
+  up: `
+    CREATE TABLE "daily_user_sales" (
+      "user_id" INTEGER NOT NULL,
+      "date" DATE NOT NULL,
+      "sale_count" INTEGER NOT NULL,
+      "total_revenue" BIGINT NOT NULL,
+      PRIMARY KEY ("user_id", "date")
+    );
+    CREATE INDEX "daily_user_sales_date_idx" ON "daily_user_sales" ("date");
+
+    CREATE TABLE "daily_group_sales" (
+      "group_id" INTEGER NOT NULL,
+      "date" DATE NOT NULL,
+      "sale_count" INTEGER NOT NULL,
+      "total_revenue" BIGINT NOT NULL,
+      "split_revenue" NUMERIC NOT NULL,
+      PRIMARY KEY ("group_id", "date")
+    );
+    CREATE INDEX "daily_group_sales_date_idx" ON "daily_group_sales" ("date");
+
+    CREATE FUNCTION "rollup_add_sales"(p_user_id INTEGER, p_date DATE, p_sale_count INTEGER, p_revenue BIGINT)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+      END IF;
+
+      INSERT INTO "daily_user_sales" AS d ("user_id", "date", "sale_count", "total_revenue")
+      VALUES (p_user_id, p_date, p_sale_count, p_revenue)
+      ON CONFLICT ("user_id", "date") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue";
+      DELETE FROM "daily_user_sales" WHERE "user_id" = p_user_id AND "date" = p_date AND "sale_count" = 0;
+
+      INSERT INTO "daily_group_sales" AS d ("group_id", "date", "sale_count", "total_revenue", "split_revenue")
+      SELECT ug."group_id", p_date, p_sale_count, p_revenue, p_revenue::numeric / COUNT(*) OVER ()
+      FROM "user_groups" ug
+      WHERE ug."user_id" = p_user_id AND daterange(ug."valid_from", ug."valid_to", '[]') @> p_date
+      ON CONFLICT ("group_id", "date") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue",
+        "split_revenue" = d."split_revenue" + EXCLUDED."split_revenue";
+      DELETE FROM "daily_group_sales" WHERE "date" = p_date AND "sale_count" = 0;
+    END;
+    $$;
+
+    -- Recomputes the group rows of the days between p_from and p_to (NULL for an open end) on which
+    -- p_user_id made sales, or of every day in the range if p_user_id is NULL
+    CREATE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" ("group_id", "date", "sale_count", "total_revenue", "split_revenue")
+      SELECT credited."group_id", credited."date", SUM(credited."sale_count"), SUM(credited."total_revenue"),
+        SUM(credited."total_revenue"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."sale_count", d."total_revenue",
+          COUNT(*) OVER (PARTITION BY d."user_id", d."date") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date";
+    END;
+    $$;
+
+    CREATE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", -1, -COALESCE(OLD."amount", 0));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", 1, COALESCE(NEW."amount", 0));
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE FUNCTION "sales_rollup_truncate_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      TRUNCATE "daily_user_sales", "daily_group_sales";
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE FUNCTION "user_groups_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_refresh_groups"(OLD."user_id", OLD."valid_from", OLD."valid_to");
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_refresh_groups"(NEW."user_id", NEW."valid_from", NEW."valid_to");
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup" AFTER INSERT OR UPDATE OF "user_id", "amount", "date" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+    CREATE TRIGGER "sales_rollup_truncate" AFTER TRUNCATE ON "sales"
+      FOR EACH STATEMENT EXECUTE FUNCTION "sales_rollup_truncate_trigger"();
+    CREATE TRIGGER "user_groups_rollup" AFTER INSERT OR UPDATE OF "user_id", "group_id", "valid_from", "valid_to" OR DELETE ON "user_groups"
+      FOR EACH ROW EXECUTE FUNCTION "user_groups_rollup_trigger"();
+
+    INSERT INTO "daily_user_sales" ("user_id", "date", "sale_count", "total_revenue")
+    SELECT "user_id", "date", COUNT(*), COALESCE(SUM("amount"), 0)
+    FROM "sales"
+    WHERE "user_id" IS NOT NULL AND "date" IS NOT NULL
+    GROUP BY "user_id", "date";
+    SELECT "rollup_refresh_groups"(NULL, NULL, NULL);
+  `,
+
+  down: `
+    DROP TRIGGER IF EXISTS "user_groups_rollup" ON "user_groups";
+    DROP TRIGGER IF EXISTS "sales_rollup_truncate" ON "sales";
+    DROP TRIGGER IF EXISTS "sales_rollup" ON "sales";
+    DROP FUNCTION IF EXISTS "user_groups_rollup_trigger"();
+    DROP FUNCTION IF EXISTS "sales_rollup_truncate_trigger"();
+    DROP FUNCTION IF EXISTS "sales_rollup_trigger"();
+    DROP FUNCTION IF EXISTS "rollup_refresh_groups"(INTEGER, DATE, DATE);
+    DROP FUNCTION IF EXISTS "rollup_add_sales"(INTEGER, DATE, INTEGER, BIGINT);
+    DROP TABLE IF EXISTS "daily_group_sales";
+    DROP TABLE IF EXISTS "daily_user_sales";
+  `
+};
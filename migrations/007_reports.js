@@ -0,0 +1,55 @@
+'use strict';
+
+// Scheduled reports (see reports.js).
+// - reports: a user's report definitions: a cron schedule (UTC), the reporting period, the analytics
+//   sections to include, the output format and where to deliver it. next_run_at is when it is next due,
+//   NULL while disabled.
+// - report_runs: the history of each report's runs, scheduled or manual, with their outcome. A scheduled
+//   run is recorded once per report and time slot, so several servers never deliver the same run twice.
+module.exports = {
+  up: `
+    CREATE TABLE "reports" (
+      "id" SERIAL,
+      "owner_id" INTEGER NOT NULL REFERENCES "users" ("id") ON DELETE CASCADE,
+      "name" VARCHAR(100) NOT NULL,
+      "schedule" VARCHAR(100) NOT NULL,
+      "period" VARCHAR(20) NOT NULL,
+      "sections" JSONB NOT NULL,
+      "format" VARCHAR(10) NOT NULL,
+      "destination" JSONB NOT NULL,
+      "enabled" BOOLEAN NOT NULL DEFAULT TRUE,
+      "next_run_at" TIMESTAMPTZ,
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "updated_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("id"),
+      CONSTRAINT "reports_format_check" CHECK ("format" IN ('json', 'csv', 'html'))
+    );
+    CREATE INDEX "reports_owner_idx" ON "reports" ("owner_id");
+    CREATE INDEX "reports_next_run_idx" ON "reports" ("next_run_at") WHERE "enabled";
+
+    CREATE TABLE "report_runs" (
+      "id" SERIAL,
+      "report_id" INTEGER NOT NULL REFERENCES "reports" ("id") ON DELETE CASCADE,
+      "trigger" VARCHAR(10) NOT NULL,
+      "scheduled_for" TIMESTAMPTZ,
+      "period_start" DATE NOT NULL,
+      "period_end" DATE NOT NULL,
+      "status" VARCHAR(10) NOT NULL DEFAULT 'running',
+      "started_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "finished_at" TIMESTAMPTZ,
+      "location" TEXT,
+      "error" TEXT,
+      PRIMARY KEY ("id"),
+      CONSTRAINT "report_runs_trigger_check" CHECK ("trigger" IN ('schedule', 'manual')),
+      CONSTRAINT "report_runs_status_check" CHECK ("status" IN ('running', 'succeeded', 'failed'))
+    );
+    CREATE UNIQUE INDEX "report_runs_slot_idx" ON "report_runs" ("report_id", "scheduled_for")
+      WHERE "scheduled_for" IS NOT NULL;
+    CREATE INDEX "report_runs_report_idx" ON "report_runs" ("report_id", "started_at");
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS "report_runs";
+    DROP TABLE IF EXISTS "reports";
+  `
+};
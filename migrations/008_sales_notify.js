@@ -0,0 +1,23 @@
+'use strict';
+
+// Notifies listeners of newly recorded sales for the live feed (see live.js).
+// - Each inserted sale sends its id on the "sales_recorded" channel. Notifications are delivered when the
+//   transaction commits, so listeners only hear of sales they can read.
+module.exports = {
+  up: `
+    CREATE FUNCTION "sales_notify_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      PERFORM pg_notify('sales_recorded', NEW."id"::text);
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_notify" AFTER INSERT ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_notify_trigger"();
+  `,
+
+  down: `
+    DROP TRIGGER IF EXISTS "sales_notify" ON "sales";
+    DROP FUNCTION IF EXISTS "sales_notify_trigger"();
+  `
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+const dailyRollups = require('./006_daily_rollups');
+
+// Multi-currency sales (see currency.js).
+// - sales.currency is an ISO 4217 code; existing sales are in USD
+// - exchange_rates holds the value in USD of one unit of each other currency, per date
+// - usd_rate and exchange_factor look up the rate for a date: the latest from the 7 days up to it (rates
+//   aren't published on weekends and holidays), NULL if there is none
+// - sales_in, daily_user_sales_in and daily_group_sales_in read sales and the rollups converted to a
+//   currency, leaving out what can't be converted. They are plain SQL so the planner inlines them and
+//   filters on the underlying tables as before.
+// - The daily rollups are now kept per currency, so that converting each day's total gives the same figure
+//   as converting each sale
+module.exports = {
+  up: `
+    ALTER TABLE "sales" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+    ALTER TABLE "sales" ADD CONSTRAINT "sales_currency_check" CHECK ("currency" ~ '^[A-Z]{3}$');
+
+    CREATE TABLE "exchange_rates" (
+      "currency" CHAR(3) NOT NULL,
+      "date" DATE NOT NULL,
+      "rate" NUMERIC(20, 10) NOT NULL,
+      PRIMARY KEY ("currency", "date"),
+      CONSTRAINT "exchange_rates_currency_check" CHECK ("currency" ~ '^[A-Z]{3}$' AND "currency" <> 'USD'),
+      CONSTRAINT "exchange_rates_rate_check" CHECK ("rate" > 0)
+    );
+
+    CREATE FUNCTION "usd_rate"(p_currency TEXT, p_date DATE) RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+      SELECT CASE WHEN p_currency = 'USD' THEN 1::numeric ELSE (
+        SELECT r."rate" FROM "exchange_rates" r
+        WHERE r."currency" = p_currency AND r."date" BETWEEN p_date - 6 AND p_date
+        ORDER BY r."date" DESC
+        LIMIT 1
+      ) END
+    $$;
+
+    CREATE FUNCTION "exchange_factor"(p_from TEXT, p_to TEXT, p_date DATE) RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+      SELECT CASE WHEN p_from = p_to THEN 1::numeric ELSE ROUND("usd_rate"(p_from, p_date) / "usd_rate"(p_to, p_date), 10) END
+    $$;
+
+    -- Sales rollups, now per currency
+    ALTER TABLE "daily_user_sales" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+    ALTER TABLE "daily_user_sales" DROP CONSTRAINT "daily_user_sales_pkey";
+    ALTER TABLE "daily_user_sales" ADD PRIMARY KEY ("user_id", "date", "currency");
+    ALTER TABLE "daily_group_sales" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+    ALTER TABLE "daily_group_sales" DROP CONSTRAINT "daily_group_sales_pkey";
+    ALTER TABLE "daily_group_sales" ADD PRIMARY KEY ("group_id", "date", "currency");
+
+    DROP TRIGGER "sales_rollup" ON "sales";
+    DROP FUNCTION "sales_rollup_trigger"();
+    DROP FUNCTION "rollup_add_sales"(INTEGER, DATE, INTEGER, BIGINT);
+    DROP FUNCTION "rollup_refresh_groups"(INTEGER, DATE, DATE);
+
+    CREATE FUNCTION "rollup_add_sales"(p_user_id INTEGER, p_date DATE, p_currency CHAR(3), p_sale_count INTEGER, p_revenue BIGINT)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+      END IF;
+
+      INSERT INTO "daily_user_sales" AS d ("user_id", "date", "currency", "sale_count", "total_revenue")
+      VALUES (p_user_id, p_date, p_currency, p_sale_count, p_revenue)
+      ON CONFLICT ("user_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue";
+      DELETE FROM "daily_user_sales"
+      WHERE "user_id" = p_user_id AND "date" = p_date AND "currency" = p_currency AND "sale_count" = 0;
+
+      INSERT INTO "daily_group_sales" AS d ("group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue")
+      SELECT ug."group_id", p_date, p_currency, p_sale_count, p_revenue, p_revenue::numeric / COUNT(*) OVER ()
+      FROM "user_groups" ug
+      WHERE ug."user_id" = p_user_id AND daterange(ug."valid_from", ug."valid_to", '[]') @> p_date
+      ON CONFLICT ("group_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue",
+        "split_revenue" = d."split_revenue" + EXCLUDED."split_revenue";
+      DELETE FROM "daily_group_sales" WHERE "date" = p_date AND "currency" = p_currency AND "sale_count" = 0;
+    END;
+    $$;
+
+    CREATE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" ("group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue")
+      SELECT credited."group_id", credited."date", credited."currency", SUM(credited."sale_count"),
+        SUM(credited."total_revenue"), SUM(credited."total_revenue"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."currency", d."sale_count", d."total_revenue",
+          COUNT(*) OVER (PARTITION BY d."user_id", d."date", d."currency") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date", credited."currency";
+    END;
+    $$;
+
+    CREATE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -COALESCE(OLD."amount", 0));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0));
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup" AFTER INSERT OR UPDATE OF "user_id", "amount", "date", "currency" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+
+    -- Converted views of sales and the rollups
+    CREATE FUNCTION "sales_in"(p_currency TEXT)
+    RETURNS TABLE ("id" INTEGER, "user_id" INTEGER, "amount" NUMERIC, "date" DATE, "currency" CHAR(3))
+    LANGUAGE sql STABLE AS $$
+      SELECT s."id", s."user_id", s."amount" * fx."factor", s."date", s."currency"
+      FROM "sales" s
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, s."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    CREATE FUNCTION "daily_user_sales_in"(p_currency TEXT)
+    RETURNS TABLE ("user_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC)
+    LANGUAGE sql STABLE AS $$
+      SELECT d."user_id", d."date", d."sale_count", d."total_revenue" * fx."factor"
+      FROM "daily_user_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    CREATE FUNCTION "daily_group_sales_in"(p_currency TEXT)
+    RETURNS TABLE ("group_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC, "split_revenue" NUMERIC)
+    LANGUAGE sql STABLE AS $$
+      SELECT d."group_id", d."date", d."sale_count", d."total_revenue" * fx."factor", d."split_revenue" * fx."factor"
+      FROM "daily_group_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+  `,
+
+  // Rebuilds the rollups as migration 006 left them. Sales in other currencies can't be kept without their
+  // currency, so rolling back refuses to run while there are any rather than deleting them.
+  down: `
+    DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM "sales" WHERE "currency" <> 'USD') THEN
+        RAISE EXCEPTION 'Cannot roll back currencies while there are sales in currencies other than USD';
+      END IF;
+    END;
+    $$;
+
+    DROP FUNCTION IF EXISTS "daily_group_sales_in"(TEXT);
+    DROP FUNCTION IF EXISTS "daily_user_sales_in"(TEXT);
+    DROP FUNCTION IF EXISTS "sales_in"(TEXT);
+    DROP FUNCTION IF EXISTS "rollup_add_sales"(INTEGER, DATE, CHAR(3), INTEGER, BIGINT);
+    ${dailyRollups.down}
+    DROP FUNCTION IF EXISTS "exchange_factor"(TEXT, TEXT, DATE);
+    DROP FUNCTION IF EXISTS "usd_rate"(TEXT, DATE);
+    DROP TABLE IF EXISTS "exchange_rates";
+    ALTER TABLE "sales" DROP COLUMN "currency";
+    ${dailyRollups.up}
+  `
+};
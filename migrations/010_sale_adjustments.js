@@ -0,0 +1,178 @@
+'use strict';
+
+// Refunds, partial refunds and cancellations of sales (see adjustments.js).
+// - sale_adjustments records each adjustment against its sale, in the sale's currency. Sales with
+//   adjustments can't be deleted, so their history is kept.
+// - sales.adjusted_amount (the total of the sale's adjustments) and sales.status are kept up to date by a
+//   trigger on sale_adjustments
+// - The daily rollups now hold revenue net of adjustments, counted on the day of the sale, with the
+//   adjustments themselves in daily_user_sales.adjustment_total
+// - sales_in takes the period adjustments count in: 'sale' nets them off the sale's amount, 'adjustment'
+//   lists them as rows of their own (id NULL, adjustment_id set) dated when they were made. Both have
+//   gross_amount and adjustment_amount columns alongside the net amount.
+module.exports = {
+  up: `
+    ALTER TABLE "sales" ADD COLUMN "adjusted_amount" INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE "sales" ADD COLUMN "status" VARCHAR(20) NOT NULL DEFAULT 'completed';
+    ALTER TABLE "sales" ADD CONSTRAINT "sales_status_check"
+      CHECK ("status" IN ('completed', 'partially_refunded', 'refunded', 'cancelled'));
+
+    CREATE TABLE "sale_adjustments" (
+      "id" SERIAL PRIMARY KEY,
+      "sale_id" INTEGER NOT NULL REFERENCES "sales" ("id"),
+      "type" VARCHAR(20) NOT NULL,
+      "amount" INTEGER NOT NULL,
+      "date" DATE NOT NULL,
+      "reason" TEXT,
+      "recorded_by" INTEGER REFERENCES "users" ("id") ON DELETE SET NULL,
+      "created_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CONSTRAINT "sale_adjustments_type_check" CHECK ("type" IN ('refund', 'partial_refund', 'cancellation')),
+      CONSTRAINT "sale_adjustments_amount_check" CHECK ("amount" > 0)
+    );
+    CREATE INDEX "sale_adjustments_sale_id_idx" ON "sale_adjustments" ("sale_id");
+    CREATE INDEX "sale_adjustments_date_idx" ON "sale_adjustments" ("date");
+
+    -- A sale is cancelled once it has a cancellation, refunded once its adjustments cover its amount
+    CREATE FUNCTION "sale_adjustments_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      UPDATE "sales" s SET ("adjusted_amount", "status") = (
+        SELECT
+          COALESCE(SUM(a."amount"), 0),
+          CASE
+            WHEN bool_or(a."type" = 'cancellation') THEN 'cancelled'
+            WHEN COALESCE(SUM(a."amount"), 0) >= s."amount" THEN 'refunded'
+            WHEN COUNT(a."id") > 0 THEN 'partially_refunded'
+            ELSE 'completed'
+          END
+        FROM "sale_adjustments" a
+        WHERE a."sale_id" = s."id"
+      )
+      WHERE s."id" IN (
+        CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN OLD."sale_id" END,
+        CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN NEW."sale_id" END
+      );
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sale_adjustments_apply" AFTER INSERT OR UPDATE OR DELETE ON "sale_adjustments"
+      FOR EACH ROW EXECUTE FUNCTION "sale_adjustments_trigger"();
+
+    -- Rollups of net revenue
+    ALTER TABLE "daily_user_sales" ADD COLUMN "adjustment_total" BIGINT NOT NULL DEFAULT 0;
+
+    DROP TRIGGER "sales_rollup" ON "sales";
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE "daily_user_sales" SET "adjustment_total" = "adjustment_total" - OLD."adjusted_amount"
+        WHERE "user_id" = OLD."user_id" AND "date" = OLD."date" AND "currency" = OLD."currency";
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -(COALESCE(OLD."amount", 0) - OLD."adjusted_amount"));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0) - NEW."adjusted_amount");
+        UPDATE "daily_user_sales" SET "adjustment_total" = "adjustment_total" + NEW."adjusted_amount"
+        WHERE "user_id" = NEW."user_id" AND "date" = NEW."date" AND "currency" = NEW."currency";
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup" AFTER INSERT OR UPDATE OF "user_id", "amount", "adjusted_amount", "date", "currency" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+
+    -- Converted views of sales and the rollups, net of adjustments
+    DROP FUNCTION "sales_in"(TEXT);
+    DROP FUNCTION "daily_user_sales_in"(TEXT);
+
+    CREATE FUNCTION "sales_in"(p_currency TEXT, p_adjustment_period TEXT)
+    RETURNS TABLE (
+      "id" INTEGER, "adjustment_id" INTEGER, "user_id" INTEGER, "amount" NUMERIC, "gross_amount" NUMERIC,
+      "adjustment_amount" NUMERIC, "date" DATE, "currency" CHAR(3)
+    )
+    LANGUAGE sql STABLE AS $$
+      SELECT
+        s."id",
+        NULL::integer,
+        s."user_id",
+        (s."amount" - CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."amount" * fx."factor",
+        (CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."date",
+        s."currency"
+      FROM "sales" s
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, s."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+      UNION ALL
+      SELECT NULL, a."id", s."user_id", -a."amount" * fx."factor", 0, a."amount" * fx."factor", a."date", s."currency"
+      FROM "sale_adjustments" a
+      JOIN "sales" s ON s."id" = a."sale_id"
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, a."date") as "factor") fx
+      WHERE p_adjustment_period = 'adjustment' AND fx."factor" IS NOT NULL
+    $$;
+
+    CREATE FUNCTION "daily_user_sales_in"(p_currency TEXT)
+    RETURNS TABLE (
+      "user_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC, "gross_revenue" NUMERIC,
+      "adjustment_total" NUMERIC
+    )
+    LANGUAGE sql STABLE AS $$
+      SELECT d."user_id", d."date", d."sale_count", d."total_revenue" * fx."factor",
+        (d."total_revenue" + d."adjustment_total") * fx."factor", d."adjustment_total" * fx."factor"
+      FROM "daily_user_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+  `,
+
+  // Drops the adjustments and restores gross revenue in the rollups
+  down: `
+    DROP FUNCTION IF EXISTS "daily_user_sales_in"(TEXT);
+    DROP FUNCTION IF EXISTS "sales_in"(TEXT, TEXT);
+
+    CREATE FUNCTION "sales_in"(p_currency TEXT)
+    RETURNS TABLE ("id" INTEGER, "user_id" INTEGER, "amount" NUMERIC, "date" DATE, "currency" CHAR(3))
+    LANGUAGE sql STABLE AS $$
+      SELECT s."id", s."user_id", s."amount" * fx."factor", s."date", s."currency"
+      FROM "sales" s
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, s."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    CREATE FUNCTION "daily_user_sales_in"(p_currency TEXT)
+    RETURNS TABLE ("user_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC)
+    LANGUAGE sql STABLE AS $$
+      SELECT d."user_id", d."date", d."sale_count", d."total_revenue" * fx."factor"
+      FROM "daily_user_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    DROP TRIGGER IF EXISTS "sales_rollup" ON "sales";
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -COALESCE(OLD."amount", 0));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0));
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup" AFTER INSERT OR UPDATE OF "user_id", "amount", "date", "currency" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+
+    UPDATE "daily_user_sales" SET "total_revenue" = "total_revenue" + "adjustment_total" WHERE "adjustment_total" <> 0;
+    ALTER TABLE "daily_user_sales" DROP COLUMN "adjustment_total";
+    SELECT "rollup_refresh_groups"(NULL, NULL, NULL);
+
+    DROP TABLE IF EXISTS "sale_adjustments";
+    DROP FUNCTION IF EXISTS "sale_adjustments_trigger"();
+    ALTER TABLE "sales" DROP COLUMN "status";
+    ALTER TABLE "sales" DROP COLUMN "adjusted_amount";
+  `
+};
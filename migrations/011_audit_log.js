@@ -0,0 +1,109 @@
+'use strict';
+
+// Audit log of every change to the data the API manages (see audit.js).
+// - audit_log holds one entry per row inserted, updated or deleted: the action, the entity (its type and
+//   key), its row before and after, and who made the change in which request. Entries are append-only.
+// - Triggers write the entries, so they commit or roll back with the change itself, including rows
+//   deleted by cascade and sales updated by their adjustments. Updates that change nothing are skipped.
+// - The actor and request come from the audit.context setting of the connection (see audit.setContext);
+//   changes made without it, e.g. by scripts, have no actor.
+// - Derived tables (rollups, commission line items, report runs, idempotency keys) are not audited, nor
+//   changes to a report's next run time alone.
+const AUDITED_TABLES = [
+  ['users', 'user', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['groups', 'group', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['user_groups', 'membership', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['sales', 'sale', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['sale_adjustments', 'sale_adjustment', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['targets', 'target', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['commission_plans', 'commission_plan', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  ['commission_plan_assignments', 'commission_assignment', 'AFTER INSERT OR UPDATE OR DELETE', ['user_id']],
+  ['commission_statements', 'commission_statement', 'AFTER INSERT OR UPDATE OR DELETE', ['id']],
+  [
+    'reports',
+    'report',
+    'AFTER INSERT OR UPDATE OF "owner_id", "name", "schedule", "period", "sections", "format", "destination", "enabled" OR DELETE',
+    ['id']
+  ],
+  ['exchange_rates', 'exchange_rate', 'AFTER INSERT OR UPDATE OR DELETE', ['currency', 'date']]
+];
+
+module.exports = {
+  up: `
+    CREATE TABLE "audit_log" (
+      "id" SERIAL PRIMARY KEY,
+      "occurred_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      -- Not a foreign key: entries outlive the users who made them
+      "actor_id" INTEGER,
+      "action" VARCHAR(10) NOT NULL,
+      "entity_type" VARCHAR(40) NOT NULL,
+      "entity_id" TEXT NOT NULL,
+      "before" JSONB,
+      "after" JSONB,
+      "request" JSONB,
+      CONSTRAINT "audit_log_action_check" CHECK ("action" IN ('create', 'update', 'delete'))
+    );
+    CREATE INDEX "audit_log_entity_idx" ON "audit_log" ("entity_type", "entity_id", "id");
+    CREATE INDEX "audit_log_actor_idx" ON "audit_log" ("actor_id", "id");
+    CREATE INDEX "audit_log_occurred_at_idx" ON "audit_log" ("occurred_at");
+
+    CREATE FUNCTION "audit_log_append_only_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$;
+
+    CREATE TRIGGER "audit_log_append_only" BEFORE UPDATE OR DELETE ON "audit_log"
+      FOR EACH ROW EXECUTE FUNCTION "audit_log_append_only_trigger"();
+    CREATE TRIGGER "audit_log_no_truncate" BEFORE TRUNCATE ON "audit_log"
+      FOR EACH STATEMENT EXECUTE FUNCTION "audit_log_append_only_trigger"();
+
+    -- Arguments: the entity type, then the columns of the entity's key (joined with ':' in entity_id)
+    CREATE FUNCTION "audit_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    DECLARE
+      v_context JSONB := NULLIF(current_setting('audit.context', true), '')::jsonb;
+      v_before JSONB;
+      v_after JSONB;
+      v_key TEXT[] := '{}';
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        v_before := to_jsonb(OLD);
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        v_after := to_jsonb(NEW);
+      END IF;
+      IF v_before = v_after THEN
+        RETURN NULL;
+      END IF;
+
+      FOR i IN 1 .. TG_NARGS - 1 LOOP
+        v_key := v_key || (COALESCE(v_after, v_before) ->> TG_ARGV[i]);
+      END LOOP;
+
+      INSERT INTO "audit_log" ("actor_id", "action", "entity_type", "entity_id", "before", "after", "request")
+      VALUES (
+        (v_context ->> 'actorId')::integer,
+        CASE TG_OP WHEN 'INSERT' THEN 'create' WHEN 'UPDATE' THEN 'update' ELSE 'delete' END,
+        TG_ARGV[0],
+        array_to_string(v_key, ':'),
+        v_before,
+        v_after,
+        v_context -> 'request'
+      );
+      RETURN NULL;
+    END;
+    $$;
+
+    ${AUDITED_TABLES.map(([table, entityType, events, keyColumns]) => `
+    CREATE TRIGGER "${table}_audit" ${events} ON "${table}"
+      FOR EACH ROW EXECUTE FUNCTION "audit_trigger"('${entityType}', ${keyColumns.map(column => `'${column}'`).join(', ')});`).join('')}
+  `,
+
+  down: `
+    ${AUDITED_TABLES.map(([table]) => `
+    DROP TRIGGER IF EXISTS "${table}_audit" ON "${table}";`).join('')}
+    DROP FUNCTION IF EXISTS "audit_trigger"();
+    DROP TABLE IF EXISTS "audit_log";
+    DROP FUNCTION IF EXISTS "audit_log_append_only_trigger"();
+  `
+};
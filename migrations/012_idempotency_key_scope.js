@@ -0,0 +1,24 @@
+'use strict';
+
+// Idempotency keys are unique per route rather than globally (see sales.recordSales). The route names the
+// endpoint and the caller (e.g. "single:7"), so two callers can use the same key without one getting the
+// other's response or a mismatch error. Keys stored before this have no route and are no longer matched.
+module.exports = {
+  up: `
+    ALTER TABLE "idempotency_keys" ADD COLUMN "route" VARCHAR(100) NOT NULL DEFAULT '';
+    ALTER TABLE "idempotency_keys" ALTER COLUMN "route" DROP DEFAULT;
+    ALTER TABLE "idempotency_keys" DROP CONSTRAINT "idempotency_keys_pkey";
+    ALTER TABLE "idempotency_keys" ADD PRIMARY KEY ("route", "key");
+  `,
+
+  // Keeps the first use of each key
+  down: `
+    DELETE FROM "idempotency_keys" k
+    USING "idempotency_keys" earlier
+    WHERE earlier."key" = k."key"
+      AND (earlier."created_at", earlier."route") < (k."created_at", k."route");
+    ALTER TABLE "idempotency_keys" DROP CONSTRAINT "idempotency_keys_pkey";
+    ALTER TABLE "idempotency_keys" DROP COLUMN "route";
+    ALTER TABLE "idempotency_keys" ADD PRIMARY KEY ("key");
+  `
+};
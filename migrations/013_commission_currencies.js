@@ -0,0 +1,40 @@
+'use strict';
+
+// Commission statements in USD (see commissions.calculateStatements). Plans, tiers and quotas are in USD,
+// so sales are converted at the rate for their date before commission is calculated on them.
+// - commission_line_items.amount is the sale converted into USD, to the cent; currency and original_amount
+//   are the sale's own. Items calculated before this were never converted and are marked USD.
+// - Statement and recalculation revenue are sums of converted amounts, so they take cents too
+// - Sales without a rate are left out of a statement and counted in unconverted_sale_count, with their
+//   currencies in unconverted_currencies
+module.exports = {
+  up: `
+    ALTER TABLE "commission_line_items" ALTER COLUMN "amount" TYPE NUMERIC(14,2);
+    ALTER TABLE "commission_line_items" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+    ALTER TABLE "commission_line_items" ADD COLUMN "original_amount" INTEGER;
+    UPDATE "commission_line_items" SET "original_amount" = "amount";
+    ALTER TABLE "commission_line_items" ALTER COLUMN "original_amount" SET NOT NULL;
+    ALTER TABLE "commission_line_items" ALTER COLUMN "currency" DROP DEFAULT;
+
+    ALTER TABLE "commission_statements" ALTER COLUMN "revenue" TYPE NUMERIC(16,2);
+    ALTER TABLE "commission_statements" ADD COLUMN "unconverted_sale_count" INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE "commission_statements" ADD COLUMN "unconverted_currencies" TEXT[] NOT NULL DEFAULT '{}';
+
+    ALTER TABLE "commission_recalculations" ALTER COLUMN "previous_revenue" TYPE NUMERIC(16,2);
+    ALTER TABLE "commission_recalculations" ALTER COLUMN "revenue" TYPE NUMERIC(16,2);
+  `,
+
+  // Rounds converted amounts back to whole units
+  down: `
+    ALTER TABLE "commission_recalculations" ALTER COLUMN "revenue" TYPE BIGINT USING ROUND("revenue");
+    ALTER TABLE "commission_recalculations" ALTER COLUMN "previous_revenue" TYPE BIGINT USING ROUND("previous_revenue");
+
+    ALTER TABLE "commission_statements" DROP COLUMN "unconverted_currencies";
+    ALTER TABLE "commission_statements" DROP COLUMN "unconverted_sale_count";
+    ALTER TABLE "commission_statements" ALTER COLUMN "revenue" TYPE BIGINT USING ROUND("revenue");
+
+    ALTER TABLE "commission_line_items" DROP COLUMN "original_amount";
+    ALTER TABLE "commission_line_items" DROP COLUMN "currency";
+    ALTER TABLE "commission_line_items" ALTER COLUMN "amount" TYPE INTEGER USING ROUND("amount");
+  `
+};
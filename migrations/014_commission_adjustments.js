@@ -0,0 +1,16 @@
+'use strict';
+
+// Commissions net of refunds (see commissions.calculateStatements). A line item's amount is now the sale's
+// amount less its adjustments at the time of calculation, converted into USD; adjusted_amount records
+// those adjustments in the sale's currency, so each item still traces back to the sale as recorded.
+// Cancelled sales get no line item. Items calculated before this had no adjustments taken off.
+module.exports = {
+  up: `
+    ALTER TABLE "commission_line_items" ADD COLUMN "adjusted_amount" INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE "commission_line_items" ALTER COLUMN "adjusted_amount" DROP DEFAULT;
+  `,
+
+  down: `
+    ALTER TABLE "commission_line_items" DROP COLUMN "adjusted_amount";
+  `
+};
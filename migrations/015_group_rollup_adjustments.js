@@ -0,0 +1,169 @@
+'use strict';
+
+// Adjustments in the group rollups, so group figures can be broken down into gross revenue and adjustments
+// like user figures (see migrations/010_sale_adjustments.js).
+// - daily_group_sales.adjustment_total is the total of the adjustments to the sales credited to the group
+//   that day, split_adjustment_total the same divided between the groups of each sale's user (as
+//   split_revenue divides net revenue). Gross revenue is net revenue plus adjustments.
+// - rollup_add_adjustments adds a sale's adjustments to the user and group rows of its day; the sales
+//   trigger calls it in place of updating daily_user_sales alone
+// - daily_group_sales_in has gross_revenue, adjustment_total and their split counterparts
+// - Existing group rows are recomputed here
+module.exports = {
+  up: `
+    ALTER TABLE "daily_group_sales" ADD COLUMN "adjustment_total" BIGINT NOT NULL DEFAULT 0;
+    ALTER TABLE "daily_group_sales" ADD COLUMN "split_adjustment_total" NUMERIC NOT NULL DEFAULT 0;
+
+    CREATE FUNCTION "rollup_add_adjustments"(p_user_id INTEGER, p_date DATE, p_currency CHAR(3), p_amount BIGINT)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      IF p_user_id IS NULL OR p_date IS NULL OR p_amount = 0 THEN
+        RETURN;
+      END IF;
+
+      UPDATE "daily_user_sales" SET "adjustment_total" = "adjustment_total" + p_amount
+      WHERE "user_id" = p_user_id AND "date" = p_date AND "currency" = p_currency;
+
+      UPDATE "daily_group_sales" d SET
+        "adjustment_total" = d."adjustment_total" + p_amount,
+        "split_adjustment_total" = d."split_adjustment_total" + p_amount::numeric / credited."group_count"
+      FROM (
+        SELECT ug."group_id", COUNT(*) OVER () as "group_count"
+        FROM "user_groups" ug
+        WHERE ug."user_id" = p_user_id AND daterange(ug."valid_from", ug."valid_to", '[]') @> p_date
+      ) credited
+      WHERE d."group_id" = credited."group_id" AND d."date" = p_date AND d."currency" = p_currency;
+    END;
+    $$;
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_adjustments"(OLD."user_id", OLD."date", OLD."currency", -OLD."adjusted_amount");
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -(COALESCE(OLD."amount", 0) - OLD."adjusted_amount"));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0) - NEW."adjusted_amount");
+        PERFORM "rollup_add_adjustments"(NEW."user_id", NEW."date", NEW."currency", NEW."adjusted_amount");
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE OR REPLACE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" (
+        "group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue", "adjustment_total",
+        "split_adjustment_total"
+      )
+      SELECT credited."group_id", credited."date", credited."currency", SUM(credited."sale_count"),
+        SUM(credited."total_revenue"), SUM(credited."total_revenue"::numeric / credited."group_count"),
+        SUM(credited."adjustment_total"), SUM(credited."adjustment_total"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."currency", d."sale_count", d."total_revenue", d."adjustment_total",
+          COUNT(*) OVER (PARTITION BY d."user_id", d."date", d."currency") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date", credited."currency";
+    END;
+    $$;
+
+    DROP FUNCTION "daily_group_sales_in"(TEXT);
+
+    CREATE FUNCTION "daily_group_sales_in"(p_currency TEXT)
+    RETURNS TABLE (
+      "group_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC, "split_revenue" NUMERIC,
+      "gross_revenue" NUMERIC, "split_gross_revenue" NUMERIC, "adjustment_total" NUMERIC, "split_adjustment_total" NUMERIC
+    )
+    LANGUAGE sql STABLE AS $$
+      SELECT d."group_id", d."date", d."sale_count", d."total_revenue" * fx."factor", d."split_revenue" * fx."factor",
+        (d."total_revenue" + d."adjustment_total") * fx."factor", (d."split_revenue" + d."split_adjustment_total") * fx."factor",
+        d."adjustment_total" * fx."factor", d."split_adjustment_total" * fx."factor"
+      FROM "daily_group_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    SELECT "rollup_refresh_groups"(NULL, NULL, NULL);
+  `,
+
+  // Restores the functions as migrations 009 and 010 left them
+  down: `
+    DROP FUNCTION IF EXISTS "daily_group_sales_in"(TEXT);
+
+    CREATE FUNCTION "daily_group_sales_in"(p_currency TEXT)
+    RETURNS TABLE ("group_id" INTEGER, "date" DATE, "sale_count" INTEGER, "total_revenue" NUMERIC, "split_revenue" NUMERIC)
+    LANGUAGE sql STABLE AS $$
+      SELECT d."group_id", d."date", d."sale_count", d."total_revenue" * fx."factor", d."split_revenue" * fx."factor"
+      FROM "daily_group_sales" d
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(d."currency", p_currency, d."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+    $$;
+
+    CREATE OR REPLACE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" ("group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue")
+      SELECT credited."group_id", credited."date", credited."currency", SUM(credited."sale_count"),
+        SUM(credited."total_revenue"), SUM(credited."total_revenue"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."currency", d."sale_count", d."total_revenue",
+          COUNT(*) OVER (PARTITION BY d."user_id", d."date", d."currency") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date", credited."currency";
+    END;
+    $$;
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE "daily_user_sales" SET "adjustment_total" = "adjustment_total" - OLD."adjusted_amount"
+        WHERE "user_id" = OLD."user_id" AND "date" = OLD."date" AND "currency" = OLD."currency";
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -(COALESCE(OLD."amount", 0) - OLD."adjusted_amount"));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0) - NEW."adjusted_amount");
+        UPDATE "daily_user_sales" SET "adjustment_total" = "adjustment_total" + NEW."adjusted_amount"
+        WHERE "user_id" = NEW."user_id" AND "date" = NEW."date" AND "currency" = NEW."currency";
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    DROP FUNCTION IF EXISTS "rollup_add_adjustments"(INTEGER, DATE, CHAR(3), BIGINT);
+    ALTER TABLE "daily_group_sales" DROP COLUMN "split_adjustment_total";
+    ALTER TABLE "daily_group_sales" DROP COLUMN "adjustment_total";
+  `
+};
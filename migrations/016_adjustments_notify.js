@@ -0,0 +1,24 @@
+'use strict';
+
+// Notifies listeners of adjustments to sales for the live feed (see live.js), which recomputes the
+// leaderboards the adjusted sales are on.
+// - Each adjustment inserted, updated or deleted sends its sale's id on the "sales_adjusted" channel.
+//   As with "sales_recorded", notifications are delivered when the transaction commits.
+module.exports = {
+  up: `
+    CREATE FUNCTION "sale_adjustments_notify_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      PERFORM pg_notify('sales_adjusted', (CASE WHEN TG_OP = 'DELETE' THEN OLD."sale_id" ELSE NEW."sale_id" END)::text);
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sale_adjustments_notify" AFTER INSERT OR UPDATE OR DELETE ON "sale_adjustments"
+      FOR EACH ROW EXECUTE FUNCTION "sale_adjustments_notify_trigger"();
+  `,
+
+  down: `
+    DROP TRIGGER IF EXISTS "sale_adjustments_notify" ON "sale_adjustments";
+    DROP FUNCTION IF EXISTS "sale_adjustments_notify_trigger"();
+  `
+};
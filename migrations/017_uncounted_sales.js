@@ -0,0 +1,275 @@
+'use strict';
+
+// Cancelled and fully refunded sales left out of sale counts (see adjustments.js). Their revenue nets to
+// nothing, so counting them only pulled averages down; their gross amounts and adjustments still count.
+// - sales_in has a sale_count column: 1 for sales that count, 0 for cancelled and refunded sales and for
+//   adjustment rows. Sale counts and averages sum it rather than counting ids.
+// - The daily rollups' sale_count leaves them out too; uncounted_sale_count keeps their number, so a day
+//   whose only sales were cancelled still has its row, with its gross revenue and adjustments
+// - The sales trigger also fires on status changes, and existing rollups are rebuilt here
+module.exports = {
+  up: `
+    ALTER TABLE "daily_user_sales" ADD COLUMN "uncounted_sale_count" INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE "daily_group_sales" ADD COLUMN "uncounted_sale_count" INTEGER NOT NULL DEFAULT 0;
+
+    DROP TRIGGER "sales_rollup" ON "sales";
+    DROP FUNCTION "rollup_add_sales"(INTEGER, DATE, CHAR(3), INTEGER, BIGINT);
+
+    CREATE FUNCTION "rollup_add_sales"(
+      p_user_id INTEGER, p_date DATE, p_currency CHAR(3), p_sale_count INTEGER, p_uncounted_sale_count INTEGER,
+      p_revenue BIGINT
+    )
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+      END IF;
+
+      INSERT INTO "daily_user_sales" AS d ("user_id", "date", "currency", "sale_count", "uncounted_sale_count", "total_revenue")
+      VALUES (p_user_id, p_date, p_currency, p_sale_count, p_uncounted_sale_count, p_revenue)
+      ON CONFLICT ("user_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "uncounted_sale_count" = d."uncounted_sale_count" + EXCLUDED."uncounted_sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue";
+      DELETE FROM "daily_user_sales"
+      WHERE "user_id" = p_user_id AND "date" = p_date AND "currency" = p_currency
+        AND "sale_count" = 0 AND "uncounted_sale_count" = 0;
+
+      INSERT INTO "daily_group_sales" AS d (
+        "group_id", "date", "currency", "sale_count", "uncounted_sale_count", "total_revenue", "split_revenue"
+      )
+      SELECT ug."group_id", p_date, p_currency, p_sale_count, p_uncounted_sale_count, p_revenue,
+        p_revenue::numeric / COUNT(*) OVER ()
+      FROM "user_groups" ug
+      WHERE ug."user_id" = p_user_id AND daterange(ug."valid_from", ug."valid_to", '[]') @> p_date
+      ON CONFLICT ("group_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "uncounted_sale_count" = d."uncounted_sale_count" + EXCLUDED."uncounted_sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue",
+        "split_revenue" = d."split_revenue" + EXCLUDED."split_revenue";
+      DELETE FROM "daily_group_sales"
+      WHERE "date" = p_date AND "currency" = p_currency AND "sale_count" = 0 AND "uncounted_sale_count" = 0;
+    END;
+    $$;
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_adjustments"(OLD."user_id", OLD."date", OLD."currency", -OLD."adjusted_amount");
+        PERFORM "rollup_add_sales"(
+          OLD."user_id", OLD."date", OLD."currency",
+          CASE WHEN OLD."status" IN ('cancelled', 'refunded') THEN 0 ELSE -1 END,
+          CASE WHEN OLD."status" IN ('cancelled', 'refunded') THEN -1 ELSE 0 END,
+          -(COALESCE(OLD."amount", 0) - OLD."adjusted_amount")
+        );
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(
+          NEW."user_id", NEW."date", NEW."currency",
+          CASE WHEN NEW."status" IN ('cancelled', 'refunded') THEN 0 ELSE 1 END,
+          CASE WHEN NEW."status" IN ('cancelled', 'refunded') THEN 1 ELSE 0 END,
+          COALESCE(NEW."amount", 0) - NEW."adjusted_amount"
+        );
+        PERFORM "rollup_add_adjustments"(NEW."user_id", NEW."date", NEW."currency", NEW."adjusted_amount");
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup"
+      AFTER INSERT OR UPDATE OF "user_id", "amount", "adjusted_amount", "status", "date", "currency" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+
+    CREATE OR REPLACE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" (
+        "group_id", "date", "currency", "sale_count", "uncounted_sale_count", "total_revenue", "split_revenue",
+        "adjustment_total", "split_adjustment_total"
+      )
+      SELECT credited."group_id", credited."date", credited."currency", SUM(credited."sale_count"),
+        SUM(credited."uncounted_sale_count"), SUM(credited."total_revenue"),
+        SUM(credited."total_revenue"::numeric / credited."group_count"), SUM(credited."adjustment_total"),
+        SUM(credited."adjustment_total"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."currency", d."sale_count", d."uncounted_sale_count", d."total_revenue",
+          d."adjustment_total", COUNT(*) OVER (PARTITION BY d."user_id", d."date", d."currency") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date", credited."currency";
+    END;
+    $$;
+
+    DROP FUNCTION "sales_in"(TEXT, TEXT);
+
+    CREATE FUNCTION "sales_in"(p_currency TEXT, p_adjustment_period TEXT)
+    RETURNS TABLE (
+      "id" INTEGER, "adjustment_id" INTEGER, "user_id" INTEGER, "sale_count" INTEGER, "amount" NUMERIC,
+      "gross_amount" NUMERIC, "adjustment_amount" NUMERIC, "date" DATE, "currency" CHAR(3)
+    )
+    LANGUAGE sql STABLE AS $$
+      SELECT
+        s."id",
+        NULL::integer,
+        s."user_id",
+        CASE WHEN s."status" IN ('cancelled', 'refunded') THEN 0 ELSE 1 END,
+        (s."amount" - CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."amount" * fx."factor",
+        (CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."date",
+        s."currency"
+      FROM "sales" s
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, s."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+      UNION ALL
+      SELECT NULL, a."id", s."user_id", 0, -a."amount" * fx."factor", 0, a."amount" * fx."factor", a."date", s."currency"
+      FROM "sale_adjustments" a
+      JOIN "sales" s ON s."id" = a."sale_id"
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, a."date") as "factor") fx
+      WHERE p_adjustment_period = 'adjustment' AND fx."factor" IS NOT NULL
+    $$;
+
+    LOCK TABLE "daily_user_sales", "daily_group_sales" IN EXCLUSIVE MODE;
+    DELETE FROM "daily_user_sales";
+    INSERT INTO "daily_user_sales" ("user_id", "date", "currency", "sale_count", "uncounted_sale_count", "total_revenue", "adjustment_total")
+    SELECT "user_id", "date", "currency", COUNT(*) FILTER (WHERE "status" NOT IN ('cancelled', 'refunded')),
+      COUNT(*) FILTER (WHERE "status" IN ('cancelled', 'refunded')), COALESCE(SUM("amount" - "adjusted_amount"), 0),
+      SUM("adjusted_amount")
+    FROM "sales"
+    WHERE "user_id" IS NOT NULL AND "date" IS NOT NULL
+    GROUP BY "user_id", "date", "currency";
+    SELECT "rollup_refresh_groups"(NULL, NULL, NULL);
+  `,
+
+  // Restores the functions as migrations 010 and 015 left them, counting every sale again
+  down: `
+    DROP FUNCTION IF EXISTS "sales_in"(TEXT, TEXT);
+
+    CREATE FUNCTION "sales_in"(p_currency TEXT, p_adjustment_period TEXT)
+    RETURNS TABLE (
+      "id" INTEGER, "adjustment_id" INTEGER, "user_id" INTEGER, "amount" NUMERIC, "gross_amount" NUMERIC,
+      "adjustment_amount" NUMERIC, "date" DATE, "currency" CHAR(3)
+    )
+    LANGUAGE sql STABLE AS $$
+      SELECT
+        s."id",
+        NULL::integer,
+        s."user_id",
+        (s."amount" - CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."amount" * fx."factor",
+        (CASE WHEN p_adjustment_period = 'sale' THEN s."adjusted_amount" ELSE 0 END) * fx."factor",
+        s."date",
+        s."currency"
+      FROM "sales" s
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, s."date") as "factor") fx
+      WHERE fx."factor" IS NOT NULL
+      UNION ALL
+      SELECT NULL, a."id", s."user_id", -a."amount" * fx."factor", 0, a."amount" * fx."factor", a."date", s."currency"
+      FROM "sale_adjustments" a
+      JOIN "sales" s ON s."id" = a."sale_id"
+      CROSS JOIN LATERAL (SELECT "exchange_factor"(s."currency", p_currency, a."date") as "factor") fx
+      WHERE p_adjustment_period = 'adjustment' AND fx."factor" IS NOT NULL
+    $$;
+
+    CREATE OR REPLACE FUNCTION "rollup_refresh_groups"(p_user_id INTEGER, p_from DATE, p_to DATE)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      LOCK TABLE "daily_group_sales" IN SHARE ROW EXCLUSIVE MODE;
+
+      DELETE FROM "daily_group_sales"
+      WHERE "date" IN (
+        SELECT "date" FROM "daily_user_sales"
+        WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+          AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+      );
+
+      INSERT INTO "daily_group_sales" (
+        "group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue", "adjustment_total",
+        "split_adjustment_total"
+      )
+      SELECT credited."group_id", credited."date", credited."currency", SUM(credited."sale_count"),
+        SUM(credited."total_revenue"), SUM(credited."total_revenue"::numeric / credited."group_count"),
+        SUM(credited."adjustment_total"), SUM(credited."adjustment_total"::numeric / credited."group_count")
+      FROM (
+        SELECT ug."group_id", d."date", d."currency", d."sale_count", d."total_revenue", d."adjustment_total",
+          COUNT(*) OVER (PARTITION BY d."user_id", d."date", d."currency") as "group_count"
+        FROM "daily_user_sales" d
+        JOIN "user_groups" ug ON ug."user_id" = d."user_id" AND daterange(ug."valid_from", ug."valid_to", '[]') @> d."date"
+        WHERE d."date" IN (
+          SELECT "date" FROM "daily_user_sales"
+          WHERE (p_user_id IS NULL OR "user_id" = p_user_id)
+            AND "date" BETWEEN COALESCE(p_from, '-infinity') AND COALESCE(p_to, 'infinity')
+        )
+      ) credited
+      GROUP BY credited."group_id", credited."date", credited."currency";
+    END;
+    $$;
+
+    DROP TRIGGER IF EXISTS "sales_rollup" ON "sales";
+    DROP FUNCTION IF EXISTS "rollup_add_sales"(INTEGER, DATE, CHAR(3), INTEGER, INTEGER, BIGINT);
+
+    CREATE FUNCTION "rollup_add_sales"(p_user_id INTEGER, p_date DATE, p_currency CHAR(3), p_sale_count INTEGER, p_revenue BIGINT)
+    RETURNS void LANGUAGE plpgsql AS $$
+    BEGIN
+      IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+      END IF;
+
+      INSERT INTO "daily_user_sales" AS d ("user_id", "date", "currency", "sale_count", "total_revenue")
+      VALUES (p_user_id, p_date, p_currency, p_sale_count, p_revenue)
+      ON CONFLICT ("user_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue";
+      DELETE FROM "daily_user_sales"
+      WHERE "user_id" = p_user_id AND "date" = p_date AND "currency" = p_currency AND "sale_count" = 0;
+
+      INSERT INTO "daily_group_sales" AS d ("group_id", "date", "currency", "sale_count", "total_revenue", "split_revenue")
+      SELECT ug."group_id", p_date, p_currency, p_sale_count, p_revenue, p_revenue::numeric / COUNT(*) OVER ()
+      FROM "user_groups" ug
+      WHERE ug."user_id" = p_user_id AND daterange(ug."valid_from", ug."valid_to", '[]') @> p_date
+      ON CONFLICT ("group_id", "date", "currency") DO UPDATE SET
+        "sale_count" = d."sale_count" + EXCLUDED."sale_count",
+        "total_revenue" = d."total_revenue" + EXCLUDED."total_revenue",
+        "split_revenue" = d."split_revenue" + EXCLUDED."split_revenue";
+      DELETE FROM "daily_group_sales" WHERE "date" = p_date AND "currency" = p_currency AND "sale_count" = 0;
+    END;
+    $$;
+
+    CREATE OR REPLACE FUNCTION "sales_rollup_trigger"() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "rollup_add_adjustments"(OLD."user_id", OLD."date", OLD."currency", -OLD."adjusted_amount");
+        PERFORM "rollup_add_sales"(OLD."user_id", OLD."date", OLD."currency", -1, -(COALESCE(OLD."amount", 0) - OLD."adjusted_amount"));
+      END IF;
+      IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "rollup_add_sales"(NEW."user_id", NEW."date", NEW."currency", 1, COALESCE(NEW."amount", 0) - NEW."adjusted_amount");
+        PERFORM "rollup_add_adjustments"(NEW."user_id", NEW."date", NEW."currency", NEW."adjusted_amount");
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER "sales_rollup" AFTER INSERT OR UPDATE OF "user_id", "amount", "adjusted_amount", "date", "currency" OR DELETE ON "sales"
+      FOR EACH ROW EXECUTE FUNCTION "sales_rollup_trigger"();
+
+    UPDATE "daily_user_sales" SET "sale_count" = "sale_count" + "uncounted_sale_count" WHERE "uncounted_sale_count" <> 0;
+    ALTER TABLE "daily_user_sales" DROP COLUMN "uncounted_sale_count";
+    ALTER TABLE "daily_group_sales" DROP COLUMN "uncounted_sale_count";
+    SELECT "rollup_refresh_groups"(NULL, NULL, NULL);
+  `
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// Keyset (cursor) pagination for ranked listings.
+//
+// A cursor records the sort key of the last row on a page (its sort value and id) together with the sort
+// it was issued for. The next page continues with WHERE (value, id) < (cursor value, cursor id), which,
+// unlike OFFSET, doesn't skip or repeat rows when sales are recorded between requests. Cursors are
+// base64url-encoded JSON and are not signed: all one can do is move where a page starts.
+
+const ORDERS = ['desc', 'asc'];
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function encodeCursor({ sortBy, order, value, id }) {
+  return Buffer.from(JSON.stringify([sortBy, order, String(value), id])).toString('base64url');
+}
+
+// Returns { sortBy, order, value, id }, or null if the cursor is malformed
+function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 4) {
+    return null;
+  }
+  const [sortBy, order, value, id] = decoded;
+  if (typeof sortBy !== 'string' || !ORDERS.includes(order) || typeof value !== 'string' ||
+      !NUMERIC_PATTERN.test(value) || !Number.isInteger(id)) {
+    return null;
+  }
+  return { sortBy, order, value, id };
+}
+
+// Cross-field validation rule: a cursor only makes sense for the sort it was issued for
+function cursorMatchesSort(values) {
+  const { cursor, sortBy, order } = values;
+  if (cursor && (cursor.sortBy !== sortBy || cursor.order !== order)) {
+    return [{ field: 'cursor', message: 'was issued for a different sortBy or order' }];
+  }
+  return [];
+}
+
+// SQL condition selecting the rows after the cursor, appending its values to params. Rows must be
+// ordered by (valueColumn, idColumn) in the cursor's direction.
+function afterCursor(cursor, params, valueColumn, idColumn) {
+  params.push(cursor.value, cursor.id);
+  const operator = cursor.order === 'asc' ? '>' : '<';
+  return `(${valueColumn}, ${idColumn}) ${operator} ($${params.length - 1}::numeric, $${params.length}::int)`;
+}
+
+// Splits rows fetched with LIMIT limit + 1 into the page and the cursor for the next one (null on the
+// last page). `keyOf` returns the { value, id } sort key of a row.
+function paginate(rows, { limit, sortBy, order }, keyOf) {
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit
+    ? encodeCursor({ sortBy, order, ...keyOf(page[page.length - 1]) })
+    : null;
+  return { rows: page, nextCursor };
+}
+
+module.exports = {
+  ORDERS,
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesSort,
+  afterCursor,
+  paginate
+};
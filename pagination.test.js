@@ -0,0 +1,45 @@
+'use strict';
+
+const pagination = require('./pagination');
+
+describe('Cursor pagination', () => {
+    const key = { sortBy: 'totalRevenue', order: 'desc', value: '674667', id: 9 };
+
+    test('should round-trip cursors', () => {
+        expect(pagination.decodeCursor(pagination.encodeCursor(key))).toEqual(key);
+    });
+
+    test('should reject malformed cursors', () => {
+        expect(pagination.decodeCursor('not a cursor')).toBeNull();
+        expect(pagination.decodeCursor(Buffer.from('{"a":1}').toString('base64url'))).toBeNull();
+        expect(pagination.decodeCursor(pagination.encodeCursor({ ...key, value: '1; DROP TABLE sales' }))).toBeNull();
+        expect(pagination.decodeCursor(pagination.encodeCursor({ ...key, order: 'sideways' }))).toBeNull();
+    });
+
+    test('should only accept a cursor for the sort it was issued for', () => {
+        expect(pagination.cursorMatchesSort({ cursor: key, sortBy: 'totalRevenue', order: 'desc' })).toEqual([]);
+        expect(pagination.cursorMatchesSort({ cursor: key, sortBy: 'saleCount', order: 'desc' })).toEqual([
+            { field: 'cursor', message: 'was issued for a different sortBy or order' }
+        ]);
+    });
+
+    test('should continue after the cursor in its direction', () => {
+        const params = ['2021-01-01'];
+
+        expect(pagination.afterCursor(key, params, 'f.sort_value', 'f.id')).toBe('(f.sort_value, f.id) < ($2::numeric, $3::int)');
+        expect(params).toEqual(['2021-01-01', '674667', 9]);
+        expect(pagination.afterCursor({ ...key, order: 'asc' }, [], 'v', 'id')).toBe('(v, id) > ($1::numeric, $2::int)');
+    });
+
+    test('should only hand out a next cursor when there are more rows', () => {
+        const rows = [{ id: 1, v: '30' }, { id: 2, v: '20' }, { id: 3, v: '10' }];
+        const keyOf = row => ({ value: row.v, id: row.id });
+
+        const first = pagination.paginate(rows, { limit: 2, sortBy: 'saleCount', order: 'desc' }, keyOf);
+        const last = pagination.paginate(rows.slice(2), { limit: 2, sortBy: 'saleCount', order: 'desc' }, keyOf);
+
+        expect(first.rows).toHaveLength(2);
+        expect(pagination.decodeCursor(first.nextCursor)).toEqual({ sortBy: 'saleCount', order: 'desc', value: '20', id: 2 });
+        expect(last.nextCursor).toBeNull();
+    });
+});
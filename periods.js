@@ -0,0 +1,101 @@
+'use strict';
+
+// SQL helpers for bucketing sales into calendar periods.
+//
+// sales.date is a calendar date in the call center's local time, so buckets are computed on local
+// timestamps (DATE_TRUNC of date::timestamp) and only converted to an instant at the end with
+// AT TIME ZONE, which makes each period start at local midnight in the requested timezone.
+
+// generate_series steps per interval. Postgres intervals have no "quarter" unit.
+const INTERVAL_STEPS = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+  quarter: '3 months',
+  year: '1 year'
+};
+
+// Local bucket a sale date falls into
+function bucketOf(interval, dateColumn) {
+  return `DATE_TRUNC('${interval}', ${dateColumn}::timestamp)`;
+}
+
+// Every bucket between two date parameters (inclusive), as a set-returning expression, so periods
+// without sales still appear in the series. The parameters are cast via date so Postgres deduces the
+// same type for them here as in the s.date filters. `extraPeriods` (an SQL integer expression) extends
+// the series past the end, e.g. for forecasts.
+function bucketSeries(interval, startParam, endParam, extraPeriods = null) {
+  const extension = extraPeriods ? ` + ${extraPeriods} * '${INTERVAL_STEPS[interval]}'::interval` : '';
+  return `generate_series(
+    DATE_TRUNC('${interval}', ${startParam}::date::timestamp),
+    DATE_TRUNC('${interval}', ${endParam}::date::timestamp)${extension},
+    '${INTERVAL_STEPS[interval]}'::interval
+  )`;
+}
+
+// The local timestamp a bucket ends at (exclusive), i.e. the start of the next bucket
+function bucketEnd(interval, bucketColumn) {
+  return `${bucketColumn} + '${INTERVAL_STEPS[interval]}'::interval`;
+}
+
+// Converts a local bucket to the instant it starts at in the given timezone parameter
+function periodStart(bucketColumn, timezoneParam) {
+  return `${bucketColumn} AT TIME ZONE ${timezoneParam}`;
+}
+
+// Date helpers for YYYY-MM-DD strings, computed in UTC so the server timezone doesn't matter
+const toDate = value => new Date(value + 'T00:00:00Z');
+const toDateString = date => date.toISOString().split('T')[0];
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const DAY_MS = 86400000;
+
+// Moves a date by whole months, clamping the day to the target month (e.g. Mar 31 - 1 month = Feb 28)
+function shiftMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+  return new Date(Date.UTC(year, month, day));
+}
+
+// The window a date range is compared against:
+// - previous: the window just before. Ranges made of whole calendar months (e.g. 2021-03-01 to 2021-03-31)
+//   compare against the same number of whole months; other ranges against the same number of days.
+// - yearAgo: the same range one year earlier
+// Returns { startDate, endDate }.
+function comparisonWindow(startDate, endDate, compareTo) {
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  const wholeMonths = start.getUTCDate() === 1 &&
+    end.getUTCDate() === daysInMonth(end.getUTCFullYear(), end.getUTCMonth());
+
+  let months;
+  if (compareTo === 'yearAgo') {
+    months = 12;
+  } else if (wholeMonths) {
+    months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1;
+  } else {
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    return {
+      startDate: toDateString(new Date(start.getTime() - days * DAY_MS)),
+      endDate: toDateString(new Date(start.getTime() - DAY_MS))
+    };
+  }
+
+  const shiftedEnd = shiftMonths(end, -months);
+  return {
+    startDate: toDateString(shiftMonths(start, -months)),
+    // Keep whole-month windows whole, e.g. Mar 2021 a year earlier ends on Mar 31, Feb 2024 on Feb 28 2023
+    endDate: toDateString(wholeMonths
+      ? new Date(Date.UTC(shiftedEnd.getUTCFullYear(), shiftedEnd.getUTCMonth() + 1, 0))
+      : shiftedEnd)
+  };
+}
+
+module.exports = {
+  INTERVAL_STEPS,
+  comparisonWindow,
+  bucketOf,
+  bucketSeries,
+  bucketEnd,
+  periodStart
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+const periods = require('./periods');
+const { INTERVALS } = require('./validation');
+
+describe('Period bucketing', () => {
+    test('should have a generate_series step for every interval', () => {
+        expect(Object.keys(periods.INTERVAL_STEPS).sort()).toEqual([...INTERVALS].sort());
+    });
+
+    test('should step quarters by three months', () => {
+        const sql = periods.bucketSeries('quarter', '$1', '$2').replace(/\s+/g, ' ');
+
+        expect(sql).toBe(
+            "generate_series( DATE_TRUNC('quarter', $1::date::timestamp), DATE_TRUNC('quarter', $2::date::timestamp), '3 months'::interval )"
+        );
+    });
+
+    test('should extend the series by extra periods', () => {
+        const sql = periods.bucketSeries('month', '$1', '$2', '$3').replace(/\s+/g, ' ');
+
+        expect(sql).toContain("DATE_TRUNC('month', $2::date::timestamp) + $3 * '1 month'::interval,");
+    });
+
+    test('should bucket sale dates as local timestamps and report them in the requested timezone', () => {
+        expect(periods.bucketOf('week', 's.date')).toBe("DATE_TRUNC('week', s.date::timestamp)");
+        expect(periods.periodStart('b.bucket', '$4')).toBe('b.bucket AT TIME ZONE $4');
+    });
+
+    describe('comparisonWindow', () => {
+        test('should compare a calendar month with the month before', () => {
+            expect(periods.comparisonWindow('2021-03-01', '2021-03-31', 'previous'))
+                .toEqual({ startDate: '2021-02-01', endDate: '2021-02-28' });
+        });
+
+        test('should compare whole quarters with the quarter before', () => {
+            expect(periods.comparisonWindow('2021-04-01', '2021-06-30', 'previous'))
+                .toEqual({ startDate: '2021-01-01', endDate: '2021-03-31' });
+        });
+
+        test('should compare other ranges with the same number of days before', () => {
+            expect(periods.comparisonWindow('2021-03-10', '2021-03-16', 'previous'))
+                .toEqual({ startDate: '2021-03-03', endDate: '2021-03-09' });
+        });
+
+        test('should compare with the same range a year earlier', () => {
+            expect(periods.comparisonWindow('2021-03-10', '2021-03-16', 'yearAgo'))
+                .toEqual({ startDate: '2020-03-10', endDate: '2020-03-16' });
+            expect(periods.comparisonWindow('2024-02-01', '2024-02-29', 'yearAgo'))
+                .toEqual({ startDate: '2023-02-01', endDate: '2023-02-28' });
+        });
+    });
+});
@@ -0,0 +1,285 @@
+'use strict';
+
+const periods = require('./periods');
+const { memberOn, memberDuring } = require('./directory');
+const { salesIn } = require('./currency');
+
+// Queries behind the agent profile endpoint (GET /api/sales-analytics/users/:id).
+//
+// Each section is its own query over the same sales/users/user_groups tables the analytics handlers use.
+// "Window" figures cover startDate to endDate; lifetime figures cover every sale the user has made.
+// Revenue is converted into the requested currency, leaving out sales without a rate (see currency.js), and
+// net of adjustments, counted in the requested adjustment period (see adjustments.js). Adjustments listed
+// as rows of their own, and cancelled and refunded sales, have a sale_count of 0 and only count towards
+// revenue.
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Rounds a revenue figure (numeric string) to cents. Converted amounts have fractions.
+const roundMoney = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Returns { id, name, role, groups: [{ groupId, name }] } or null if the user doesn't exist
+async function loadUser(client, userId) {
+  const result = await client.query(`
+    SELECT
+      u.id,
+      u.name,
+      u.role,
+      COALESCE(
+        json_agg(json_build_object('groupId', g.id, 'name', g.name) ORDER BY g.name) FILTER (WHERE g.id IS NOT NULL),
+        '[]'::json
+      ) as groups
+    FROM users u
+    LEFT JOIN user_groups ug ON u.id = ug.user_id AND ${memberOn('ug', 'CURRENT_DATE')}
+    LEFT JOIN groups g ON ug.group_id = g.id
+    WHERE u.id = $1
+    GROUP BY u.id, u.name, u.role;
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+const mapTotals = (row, prefix = '') => ({
+  saleCount: parseInt(row[prefix + 'sale_count']),
+  totalRevenue: roundMoney(row[prefix + 'total_revenue']),
+  grossRevenue: roundMoney(row[prefix + 'gross_revenue']),
+  adjustments: roundMoney(row[prefix + 'adjustments']),
+  averageRevenue: parseFloat(row[prefix + 'avg_revenue']) || 0,
+  activeDays: parseInt(row[prefix + 'active_days'])
+});
+
+// Lifetime and in-window totals. Dates are returned as text so they stay calendar dates in JSON.
+async function totals(client, userId, { startDate, endDate, currency, adjustmentPeriod }) {
+  const inWindow = 's.date BETWEEN $2 AND $3';
+  const result = await client.query(`
+    SELECT
+      COALESCE(SUM(s.sale_count), 0) as sale_count,
+      COALESCE(SUM(s.amount), 0) as total_revenue,
+      SUM(s.gross_amount) as gross_revenue,
+      SUM(s.adjustment_amount) as adjustments,
+      (SUM(s.amount) / NULLIF(SUM(s.sale_count), 0))::numeric(10,2) as avg_revenue,
+      COUNT(DISTINCT s.date) FILTER (WHERE s.sale_count > 0) as active_days,
+      (MIN(s.date) FILTER (WHERE s.sale_count > 0))::text as first_sale_date,
+      (MAX(s.date) FILTER (WHERE s.sale_count > 0))::text as last_sale_date,
+      COALESCE(SUM(s.sale_count) FILTER (WHERE ${inWindow}), 0) as window_sale_count,
+      COALESCE(SUM(s.amount) FILTER (WHERE ${inWindow}), 0) as window_total_revenue,
+      SUM(s.gross_amount) FILTER (WHERE ${inWindow}) as window_gross_revenue,
+      SUM(s.adjustment_amount) FILTER (WHERE ${inWindow}) as window_adjustments,
+      (SUM(s.amount) FILTER (WHERE ${inWindow}) / NULLIF(SUM(s.sale_count) FILTER (WHERE ${inWindow}), 0))::numeric(10,2) as window_avg_revenue,
+      COUNT(DISTINCT s.date) FILTER (WHERE s.sale_count > 0 AND ${inWindow}) as window_active_days
+    FROM ${salesIn(currency, adjustmentPeriod)} s
+    WHERE s.user_id = $1;
+  `, [userId, startDate, endDate]);
+
+  const row = result.rows[0];
+  return {
+    lifetime: { ...mapTotals(row), firstSaleDate: row.first_sale_date, lastSaleDate: row.last_sale_date },
+    window: mapTotals(row, 'window_')
+  };
+}
+
+// The day and the calendar month with the most revenue in the window (earliest wins ties), or null
+async function bestPeriods(client, userId, { startDate, endDate, currency, adjustmentPeriod }) {
+  const best = async (bucket, format) => {
+    const result = await client.query(`
+      SELECT
+        to_char(${bucket}, '${format}') as period,
+        COALESCE(SUM(s.sale_count), 0) as sale_count,
+        SUM(s.amount) as total_revenue
+      FROM ${salesIn(currency, adjustmentPeriod)} s
+      WHERE s.user_id = $1 AND s.date BETWEEN $2 AND $3
+      GROUP BY ${bucket}
+      ORDER BY SUM(s.amount) DESC, ${bucket} ASC
+      LIMIT 1;
+    `, [userId, startDate, endDate]);
+    const row = result.rows[0];
+    return row
+      ? { period: row.period, saleCount: parseInt(row.sale_count), totalRevenue: roundMoney(row.total_revenue) }
+      : null;
+  };
+
+  const bestDay = await best('s.date', 'YYYY-MM-DD');
+  const bestMonth = await best(`DATE_TRUNC('month', s.date)`, 'YYYY-MM');
+  return {
+    bestDay: bestDay && { date: bestDay.period, saleCount: bestDay.saleCount, totalRevenue: bestDay.totalRevenue },
+    bestMonth: bestMonth && { month: bestMonth.period, saleCount: bestMonth.saleCount, totalRevenue: bestMonth.totalRevenue }
+  };
+}
+
+// Picks the current and longest streaks from runs of consecutive selling days ({ startDate, endDate,
+// length }, in any order). The current streak is the run ending on asOf or the day before, so a day
+// without sales yet doesn't break it; the longest is the most recent of the longest runs.
+function pickStreaks(runs, asOf) {
+  const none = { length: 0, startDate: null, endDate: null };
+  const dayBefore = new Date(Date.parse(asOf + 'T00:00:00Z') - 86400000).toISOString().split('T')[0];
+
+  const current = runs.find(run => run.endDate === asOf || run.endDate === dayBefore) || none;
+  const longest = runs.reduce((best, run) => (
+    run.length > best.length || (run.length === best.length && run.endDate > best.endDate) ? run : best
+  ), none);
+  return { current, longest };
+}
+
+// Selling streaks (consecutive days with at least one sale, in any currency and neither cancelled nor refunded)
+// up to endDate
+async function streaks(client, userId, { endDate }) {
+  // Query explanation:
+  // - days CTE lists the distinct days the user sold on, up to endDate
+  // - Subtracting each day's row number from the date gives the same value for every day in a run of
+  //   consecutive days ("gaps and islands"), so grouping by it yields one row per run
+  const result = await client.query(`
+    WITH days AS (
+      SELECT DISTINCT s.date
+      FROM sales s
+      WHERE s.user_id = $1 AND s.date <= $2 AND s.status NOT IN ('cancelled', 'refunded')
+    ),
+    islands AS (
+      SELECT date, date - (ROW_NUMBER() OVER (ORDER BY date))::int as island
+      FROM days
+    )
+    SELECT MIN(date)::text as start_date, MAX(date)::text as end_date, COUNT(*) as length
+    FROM islands
+    GROUP BY island;
+  `, [userId, endDate]);
+
+  const runs = result.rows.map(row => ({
+    length: parseInt(row.length),
+    startDate: row.start_date,
+    endDate: row.end_date
+  }));
+  return pickStreaks(runs, endDate);
+}
+
+// Sales per ISO day of week (Monday first) in the window. Every day is listed, including days without sales.
+async function dayOfWeekPattern(client, userId, { startDate, endDate, currency, adjustmentPeriod }) {
+  const result = await client.query(`
+    WITH stats AS (
+      SELECT
+        EXTRACT(ISODOW FROM s.date)::int as day_of_week,
+        COALESCE(SUM(s.sale_count), 0) as sale_count,
+        SUM(s.amount) as total_revenue,
+        SUM(s.gross_amount) as gross_revenue,
+        SUM(s.adjustment_amount) as adjustments,
+        (SUM(s.amount) / NULLIF(SUM(s.sale_count), 0))::numeric(10,2) as avg_revenue,
+        COUNT(DISTINCT s.date) FILTER (WHERE s.sale_count > 0) as active_days
+      FROM ${salesIn(currency, adjustmentPeriod)} s
+      WHERE s.user_id = $1 AND s.date BETWEEN $2 AND $3
+      GROUP BY 1
+    )
+    SELECT
+      d.day_of_week,
+      COALESCE(st.sale_count, 0) as sale_count,
+      COALESCE(st.total_revenue, 0) as total_revenue,
+      COALESCE(st.gross_revenue, 0) as gross_revenue,
+      COALESCE(st.adjustments, 0) as adjustments,
+      COALESCE(st.avg_revenue, 0) as avg_revenue,
+      COALESCE(st.active_days, 0) as active_days
+    FROM generate_series(1, 7) as d(day_of_week)
+    LEFT JOIN stats st ON st.day_of_week = d.day_of_week
+    ORDER BY d.day_of_week;
+  `, [userId, startDate, endDate]);
+
+  return result.rows.map(row => ({
+    dayOfWeek: row.day_of_week,
+    day: DAY_NAMES[row.day_of_week - 1],
+    ...mapTotals(row)
+  }));
+}
+
+// The user's revenue rank among the members of each of their groups, per period of the window
+async function groupRanks(client, userId, { startDate, endDate, interval, timezone, currency, adjustmentPeriod }) {
+  // Query explanation:
+  // - buckets CTE lists every period between startDate and endDate
+  // - members CTE lists the memberships of the user's groups during the window
+  // - member_periods CTE pairs each group with the members it had in each period, so members without sales
+  //   rank (jointly) last and members who joined or left only rank in the periods they were there for
+  // - member_sales CTE sums each member's revenue per local period
+  // - ranked CTE ranks members by revenue within each group and period
+  // - The main query keeps the user's own rows
+  const result = await client.query(`
+    WITH buckets AS (
+      SELECT ${periods.bucketSeries(interval, '$2', '$3')} as bucket
+    ),
+    members AS (
+      SELECT ug.group_id, ug.user_id, ug.valid_from, ug.valid_to
+      FROM user_groups ug
+      WHERE ug.group_id IN (SELECT group_id FROM user_groups mine WHERE mine.user_id = $1 AND ${memberDuring('mine', '$2', '$3')})
+        AND ${memberDuring('ug', '$2', '$3')}
+    ),
+    member_periods AS (
+      SELECT DISTINCT m.group_id, m.user_id, b.bucket
+      FROM members m
+      JOIN buckets b ON ${memberDuring('m', 'b.bucket', `${periods.bucketEnd(interval, 'b.bucket')} - interval '1 day'`)}
+    ),
+    member_sales AS (
+      SELECT s.user_id, ${periods.bucketOf(interval, 's.date')} as bucket, SUM(s.amount) as total_revenue
+      FROM ${salesIn(currency, adjustmentPeriod)} s
+      WHERE s.user_id IN (SELECT user_id FROM members) AND s.date BETWEEN $2 AND $3
+      GROUP BY 1, 2
+    ),
+    ranked AS (
+      SELECT
+        mp.group_id,
+        mp.user_id,
+        mp.bucket,
+        COALESCE(ms.total_revenue, 0) as total_revenue,
+        RANK() OVER (PARTITION BY mp.group_id, mp.bucket ORDER BY COALESCE(ms.total_revenue, 0) DESC) as group_rank,
+        COUNT(*) OVER (PARTITION BY mp.group_id, mp.bucket) as member_count
+      FROM member_periods mp
+      LEFT JOIN member_sales ms ON ms.user_id = mp.user_id AND ms.bucket = mp.bucket
+    )
+    SELECT
+      r.group_id,
+      g.name,
+      ${periods.periodStart('r.bucket', '$4')} as period,
+      r.total_revenue,
+      r.group_rank,
+      r.member_count
+    FROM ranked r
+    JOIN groups g ON r.group_id = g.id
+    WHERE r.user_id = $1
+    ORDER BY g.name, r.group_id, r.bucket;
+  `, [userId, startDate, endDate, timezone]);
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    if (!groups.has(row.group_id)) {
+      groups.set(row.group_id, { groupId: row.group_id, name: row.name, series: [] });
+    }
+    groups.get(row.group_id).series.push({
+      period: row.period,
+      totalRevenue: roundMoney(row.total_revenue),
+      rank: parseInt(row.group_rank),
+      memberCount: parseInt(row.member_count)
+    });
+  }
+  return [...groups.values()];
+}
+
+// Builds the full profile, or returns null if the user doesn't exist.
+// options: { startDate, endDate, interval, timezone, currency, adjustmentPeriod }
+async function loadProfile(client, userId, options) {
+  const user = await loadUser(client, userId);
+  if (!user) {
+    return null;
+  }
+
+  return {
+    userId: user.id,
+    name: user.name,
+    role: user.role,
+    groups: user.groups,
+    startDate: options.startDate,
+    endDate: options.endDate,
+    ...(await totals(client, userId, options)),
+    ...(await bestPeriods(client, userId, options)),
+    streaks: await streaks(client, userId, options),
+    dayOfWeek: await dayOfWeekPattern(client, userId, options),
+    groupRanks: await groupRanks(client, userId, options)
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  pickStreaks,
+  loadProfile
+};
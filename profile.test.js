@@ -0,0 +1,44 @@
+'use strict';
+
+const profile = require('./profile');
+
+describe('Agent profile', () => {
+    describe('pickStreaks', () => {
+        const runs = [
+            { length: 3, startDate: '2021-01-04', endDate: '2021-01-06' },
+            { length: 5, startDate: '2021-02-01', endDate: '2021-02-05' },
+            { length: 5, startDate: '2021-02-20', endDate: '2021-02-24' },
+            { length: 2, startDate: '2021-02-27', endDate: '2021-02-28' }
+        ];
+
+        test('should pick the most recent of the longest runs', () => {
+            expect(profile.pickStreaks(runs, '2021-03-31').longest).toEqual(runs[2]);
+        });
+
+        test('should keep a streak going until the day after its last sale', () => {
+            expect(profile.pickStreaks(runs, '2021-02-28').current).toEqual(runs[3]);
+            expect(profile.pickStreaks(runs, '2021-03-01').current).toEqual(runs[3]);
+            expect(profile.pickStreaks(runs, '2021-03-02').current).toEqual({ length: 0, startDate: null, endDate: null });
+        });
+
+        test('should report empty streaks for users without sales', () => {
+            expect(profile.pickStreaks([], '2021-03-01')).toEqual({
+                current: { length: 0, startDate: null, endDate: null },
+                longest: { length: 0, startDate: null, endDate: null }
+            });
+        });
+    });
+
+    describe('loadProfile', () => {
+        test('should return null for unknown users without running the other queries', async () => {
+            const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+            const result = await profile.loadProfile(mockClient, 99, {
+                startDate: '2021-01-01', endDate: '2021-12-31', interval: 'month', timezone: 'UTC'
+            });
+
+            expect(result).toBeNull();
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+});
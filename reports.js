@@ -0,0 +1,732 @@
+'use strict';
+
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const auth = require('./auth');
+const exporter = require('./exporter');
+
+// Scheduled reports (see migrations/007_reports.js).
+//
+// A report combines sections, each the response of an analytics endpoint (e.g. the top users, the group
+// summary and the trends) for a reporting period such as last month. The scheduler runs each enabled report
+// when its cron schedule comes due, fetching the sections with the owner's access (so a report shows what
+// its owner would see on the dashboard), renders them as JSON, CSV or HTML and writes the result to the
+// reports directory or POSTs it to a webhook. Every run is recorded in report_runs with its outcome.
+// Only admins set up webhooks, which must be on public addresses (see isPublicAddress).
+//
+// Schedules are standard 5-field cron expressions (minute hour day-of-month month day-of-week) in UTC, with
+// *, lists, ranges and steps, or one of the shortcuts below. Periods are UTC calendar dates relative to the
+// day the run was scheduled for, so a late run still covers the period it was due for.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SECTIONS = 10;
+const FORMATS = ['json', 'csv', 'html'];
+const CONTENT_TYPES = { json: 'application/json', csv: 'text/csv', html: 'text/html' };
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEFAULT_RUN_LIMIT = 20;
+
+// Section types: the endpoint each reads and the query parameters a report may set for it. The report sets
+// startDate and endDate from its period.
+const SECTIONS = {
+  topUsers: {
+    title: 'Top users',
+    path: '/api/sales-analytics/users',
+    params: ['limit', 'sortBy', 'order', 'role', 'groupId', 'compareTo', 'currency', 'adjustmentPeriod']
+  },
+  groupSummary: {
+    title: 'Group summary',
+    path: '/api/sales-analytics/groups',
+    params: ['attribution', 'compareTo', 'currency', 'adjustmentPeriod']
+  },
+  trends: {
+    title: 'Trends',
+    path: '/api/sales-analytics/trends',
+    params: ['interval', 'timezone', 'currency', 'adjustmentPeriod']
+  },
+  timeSeries: {
+    title: 'Time series',
+    path: '/api/sales-analytics/time-series',
+    params: ['interval', 'userId', 'groupId', 'metric', 'timezone', 'breakdownBy', 'top', 'includeOther', 'currency', 'adjustmentPeriod']
+  }
+};
+
+// Dates as YYYY-MM-DD, computed in UTC
+const formatDate = date => date.toISOString().split('T')[0];
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// Reporting periods: each maps the day a run is for to the { startDate, endDate } it covers
+const PERIODS = {
+  yesterday: day => {
+    const date = utcDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - 1);
+    return { startDate: formatDate(date), endDate: formatDate(date) };
+  },
+  // The previous Monday to Sunday
+  lastWeek: day => {
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    const start = utcDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - daysSinceMonday - 7);
+    const end = utcDate(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 6);
+    return { startDate: formatDate(start), endDate: formatDate(end) };
+  },
+  lastMonth: day => ({
+    startDate: formatDate(utcDate(day.getUTCFullYear(), day.getUTCMonth() - 1, 1)),
+    endDate: formatDate(utcDate(day.getUTCFullYear(), day.getUTCMonth(), 0))
+  }),
+  lastQuarter: day => {
+    const quarterStart = day.getUTCMonth() - day.getUTCMonth() % 3;
+    return {
+      startDate: formatDate(utcDate(day.getUTCFullYear(), quarterStart - 3, 1)),
+      endDate: formatDate(utcDate(day.getUTCFullYear(), quarterStart, 0))
+    };
+  },
+  // From the start of the month to the day before the run (the whole previous month on the 1st)
+  monthToDate: day => {
+    const yesterday = utcDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - 1);
+    return {
+      startDate: formatDate(utcDate(yesterday.getUTCFullYear(), yesterday.getUTCMonth(), 1)),
+      endDate: formatDate(yesterday)
+    };
+  }
+};
+
+// Schedules
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 1',
+  '@monthly': '0 0 1 * *'
+};
+
+// [name, min, max] of each cron field; day of week 7 is Sunday, like 0
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['dayOfMonth', 1, 31], ['month', 1, 12], ['dayOfWeek', 0, 7]];
+
+// Parses one cron field ("*", "5", "1-5", "*/15", "0-30/10", "1,15") into the set of values it allows,
+// or null if it is invalid
+function parseCronField(text, min, max) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      return null;
+    }
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] !== undefined ? max : start);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parses a cron expression. Returns null if it is invalid.
+function parseSchedule(expression) {
+  if (typeof expression !== 'string') {
+    return null;
+  }
+  const fieldTexts = (SHORTCUTS[expression.trim()] || expression).trim().split(/\s+/);
+  if (fieldTexts.length !== CRON_FIELDS.length) {
+    return null;
+  }
+  const schedule = {};
+  for (let i = 0; i < CRON_FIELDS.length; i++) {
+    const [name, min, max] = CRON_FIELDS[i];
+    const values = parseCronField(fieldTexts[i], min, max);
+    if (!values) {
+      return null;
+    }
+    schedule[name] = values;
+  }
+  if (schedule.dayOfWeek.delete(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  // As in cron, when both day fields are restricted (don't start with *) a day matching either one is due
+  schedule.eitherDay = !fieldTexts[2].startsWith('*') && !fieldTexts[4].startsWith('*');
+  return schedule;
+}
+
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  return schedule.eitherDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// The first time strictly after `after` (a Date) that a parsed schedule is due, or null if it never is
+// (e.g. February 31st)
+function nextRun(schedule, after) {
+  const time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+  // Skipping a month, day, hour or minute at a time finds any real date within a few thousand steps
+  for (let step = 0; step < 20000; step++) {
+    if (!schedule.month.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+// Webhook addresses
+
+// Addresses webhooks can't be sent to: this host, private networks, link-local addresses (such as cloud
+// metadata services at 169.254.169.254) and multicast. IPv4-mapped IPv6 addresses are checked as the IPv4
+// addresses they map.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPublicAddress = address => !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// The host of a URL without the brackets of IPv6 addresses
+const hostOf = url => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Whether a webhook URL's host is obviously not public: a local name or a non-public IP address. Names are
+// checked again when the report is delivered, against the addresses they resolve to then.
+function isLocalHost(url) {
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    return !isPublicAddress(host);
+  }
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+// Validation
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isParamValue = value => ['string', 'number', 'boolean'].includes(typeof value);
+
+function validateSections(sections) {
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    return [{ field: 'sections', message: `must be an array of 1 to ${MAX_SECTIONS} sections` }];
+  }
+  const errors = [];
+  sections.forEach((section, i) => {
+    const field = `sections[${i}]`;
+    if (!isPlainObject(section) || !SECTIONS[section.type]) {
+      errors.push({ field: `${field}.type`, message: `must be one of: ${Object.keys(SECTIONS).join(', ')}` });
+      return;
+    }
+    if (section.title !== undefined && (typeof section.title !== 'string' || section.title.length > MAX_NAME_LENGTH)) {
+      errors.push({ field: `${field}.title`, message: `must be a string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+    if (section.params === undefined) {
+      return;
+    }
+    if (!isPlainObject(section.params)) {
+      errors.push({ field: `${field}.params`, message: 'must be an object' });
+      return;
+    }
+    for (const [name, value] of Object.entries(section.params)) {
+      if (!SECTIONS[section.type].params.includes(name)) {
+        errors.push({ field: `${field}.params.${name}`, message: `is not supported; use one of: ${SECTIONS[section.type].params.join(', ')}` });
+      } else if (!isParamValue(value) && !(Array.isArray(value) && value.length > 0 && value.every(isParamValue))) {
+        errors.push({ field: `${field}.params.${name}`, message: 'must be a string, number or boolean, or an array of them' });
+      }
+    }
+  });
+  return errors;
+}
+
+function validateDestination(destination) {
+  if (isPlainObject(destination) && destination.type === 'file' && Object.keys(destination).length === 1) {
+    return [];
+  }
+  if (isPlainObject(destination) && destination.type === 'webhook') {
+    let url = null;
+    try {
+      url = new URL(destination.url);
+    } catch (err) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return [{ field: 'destination.url', message: 'must be an http or https URL' }];
+    }
+    return isLocalHost(url)
+      ? [{ field: 'destination.url', message: 'must not point to a private, loopback or link-local address' }]
+      : [];
+  }
+  return [{ field: 'destination', message: 'must be { "type": "file" } or { "type": "webhook", "url": "https://..." }' }];
+}
+
+// Validates a report ({ name, schedule, period?, sections, format?, destination, enabled? }) or, with
+// `partial`, the fields of one to update
+function validateReport(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+  const errors = [];
+  const given = field => !partial || body[field] !== undefined;
+
+  for (const field of ['name', 'schedule', 'sections', 'destination']) {
+    if (!partial && body[field] === undefined) {
+      errors.push({ field, message: 'is required' });
+    }
+  }
+  if (body.name !== undefined && (typeof body.name !== 'string' || body.name.trim() === '' || body.name.length > MAX_NAME_LENGTH)) {
+    errors.push({ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (body.schedule !== undefined) {
+    const schedule = parseSchedule(body.schedule);
+    if (!schedule) {
+      errors.push({ field: 'schedule', message: `must be a cron expression (minute hour day-of-month month day-of-week) or one of: ${Object.keys(SHORTCUTS).join(', ')}` });
+    } else if (!nextRun(schedule, new Date())) {
+      errors.push({ field: 'schedule', message: 'never comes due' });
+    }
+  }
+  if (body.period !== undefined && !PERIODS[body.period]) {
+    errors.push({ field: 'period', message: `must be one of: ${Object.keys(PERIODS).join(', ')}` });
+  }
+  if (body.sections !== undefined) {
+    errors.push(...validateSections(body.sections));
+  }
+  if (body.format !== undefined && !FORMATS.includes(body.format)) {
+    errors.push({ field: 'format', message: `must be one of: ${FORMATS.join(', ')}` });
+  }
+  if (body.destination !== undefined) {
+    errors.push(...validateDestination(body.destination));
+  }
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'must be a boolean' });
+  }
+  if (partial && errors.length === 0 && !['name', 'schedule', 'period', 'sections', 'format', 'destination', 'enabled'].some(given)) {
+    errors.push({ field: 'body', message: 'must include at least one report field' });
+  }
+  return errors;
+}
+
+// Storage
+
+const REPORT_COLUMNS = `id, owner_id, name, schedule, period, sections, format, destination, enabled, next_run_at,
+  created_at, updated_at`;
+const RUN_COLUMNS = `id, report_id, trigger, scheduled_for, to_char(period_start, 'YYYY-MM-DD') as period_start,
+  to_char(period_end, 'YYYY-MM-DD') as period_end, status, started_at, finished_at, location, error`;
+
+const formatReport = row => ({
+  id: row.id,
+  ownerId: row.owner_id,
+  name: row.name,
+  schedule: row.schedule,
+  period: row.period,
+  sections: row.sections,
+  format: row.format,
+  destination: row.destination,
+  enabled: row.enabled,
+  nextRunAt: row.next_run_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatRun = row => ({
+  id: row.id,
+  reportId: row.report_id,
+  trigger: row.trigger,
+  scheduledFor: row.scheduled_for,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  status: row.status,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  location: row.location,
+  error: row.error
+});
+
+// When a report with these settings is next due, or null while it is disabled
+const nextRunAt = ({ schedule, enabled }, now) => (enabled ? nextRun(parseSchedule(schedule), now) : null);
+
+// Owners manage their own reports, admins everyone's
+const canAccess = (user, report) => auth.isAdmin(user) || report.ownerId === user.id;
+
+// Only admins send reports to webhooks; everyone else writes them to the reports directory
+const canUseDestination = (user, destination) => auth.isAdmin(user) || !destination || destination.type !== 'webhook';
+
+// Reports matching SQL conditions on reports r, by id
+async function listReports(db, conditions, params) {
+  const result = await db.query(`
+    SELECT ${REPORT_COLUMNS} FROM reports r
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY r.id ASC;
+  `, params);
+  return result.rows.map(formatReport);
+}
+
+async function getReport(db, id) {
+  const reports = await listReports(db, ['r.id = $1'], [id]);
+  return reports[0] || null;
+}
+
+async function createReport(db, ownerId, body, now = new Date()) {
+  const report = { period: 'lastMonth', format: 'json', enabled: true, ...body };
+  const result = await db.query(`
+    INSERT INTO reports (owner_id, name, schedule, period, sections, format, destination, enabled, next_run_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING ${REPORT_COLUMNS};
+  `, [
+    ownerId, report.name, report.schedule, report.period, JSON.stringify(report.sections), report.format,
+    JSON.stringify(report.destination), report.enabled, nextRunAt(report, now)
+  ]);
+  return formatReport(result.rows[0]);
+}
+
+// Applies changes to a report, rescheduling it from now. Returns the updated report.
+async function updateReport(db, report, changes, now = new Date()) {
+  const updated = { ...report, ...changes };
+  const result = await db.query(`
+    UPDATE reports SET name = $2, schedule = $3, period = $4, sections = $5, format = $6, destination = $7,
+      enabled = $8, next_run_at = $9, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${REPORT_COLUMNS};
+  `, [
+    report.id, updated.name, updated.schedule, updated.period, JSON.stringify(updated.sections), updated.format,
+    JSON.stringify(updated.destination), updated.enabled, nextRunAt(updated, now)
+  ]);
+  return result.rows[0] ? formatReport(result.rows[0]) : null;
+}
+
+// Deletes a report with its run history. Returns true if it existed.
+async function deleteReport(db, id) {
+  const result = await db.query('DELETE FROM reports WHERE id = $1;', [id]);
+  return result.rowCount > 0;
+}
+
+// A report's latest runs, newest first
+async function listRuns(db, reportId, limit = DEFAULT_RUN_LIMIT) {
+  const result = await db.query(`
+    SELECT ${RUN_COLUMNS} FROM report_runs
+    WHERE report_id = $1
+    ORDER BY started_at DESC, id DESC
+    LIMIT $2;
+  `, [reportId, limit]);
+  return result.rows.map(formatRun);
+}
+
+// Rendering
+
+// The columns of a section's rows: every key, in order of first appearance
+function columnsOf(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+  return columns;
+}
+
+const toCsvLine = values => values.map(exporter.toCsvValue).join(',') + '\r\n';
+
+// A value as table cell text, written as in CSV exports: lists of names joined, other objects as JSON
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.join('; ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Renders a report document ({ report, period, generatedAt, sections: [{ title, data }] }) in a format.
+// CSV has a block per section: its title, a header line and its rows, separated by blank lines.
+function render(document, format) {
+  if (format === 'json') {
+    return JSON.stringify(document, null, 2);
+  }
+  const sections = document.sections.map(section => {
+    const rows = Array.isArray(section.data) ? section.data : [section.data];
+    return { title: section.title, rows, columns: columnsOf(rows) };
+  });
+  const heading = `${document.report.name}: ${document.period.startDate} to ${document.period.endDate}`;
+
+  if (format === 'csv') {
+    return toCsvLine([heading]) + sections.map(({ title, rows, columns }) => (
+      '\r\n' + toCsvLine([title]) + toCsvLine(columns) + rows.map(row => toCsvLine(columns.map(column => row[column]))).join('')
+    )).join('');
+  }
+
+  const tables = sections.map(({ title, rows, columns }) => `
+<h2>${escapeHtml(title)}</h2>
+<table>
+<tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(cellText(row[column]))}</td>`).join('')}</tr>`).join('\n')}
+</table>`).join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(heading)}</title></head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<p>Generated ${escapeHtml(document.generatedAt)}</p>
+${tables}
+</body>
+</html>
+`;
+}
+
+// Delivery
+
+// Writes or posts a rendered report. Returns where it went: the file's path or the webhook URL.
+async function deliver(report, run, content, { reportsDir }) {
+  if (report.destination.type === 'file') {
+    await fs.promises.mkdir(reportsDir, { recursive: true });
+    const file = path.resolve(reportsDir,
+      `report-${report.id}-${run.periodStart}-to-${run.periodEnd}-run-${run.id}.${report.format}`);
+    await fs.promises.writeFile(file, content);
+    return file;
+  }
+
+  const status = await postWebhook(report.destination.url, {
+    'Content-Type': `${CONTENT_TYPES[report.format]}; charset=utf-8`,
+    'X-Report-Id': String(report.id),
+    'X-Report-Run-Id': String(run.id)
+  }, content);
+  if (status < 200 || status >= 300) {
+    throw new Error(`webhook responded with ${status}`);
+  }
+  return report.destination.url;
+}
+
+// dns.lookup for webhook connections that fails for hosts resolving to non-public addresses. It runs as the
+// connection is made, so a host can't pass a check and then resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const resolved = Array.isArray(address) ? address : [{ address, family }];
+    const refused = resolved.find(entry => !isPublicAddress(entry.address));
+    if (refused) {
+      return callback(new Error(`${hostname} resolves to ${refused.address}, which is not a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POSTs content to a webhook URL and resolves to the response status. Redirects aren't followed, so a
+// webhook can't send the request on to an address it couldn't be set to.
+function postWebhook(url, headers, content) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (isLocalHost(target)) {
+      return reject(new Error(`${hostOf(target)} is not a public address`));
+    }
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers,
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(content);
+  });
+}
+
+// Fetches sections from the analytics endpoints of the server at baseUrl, as the report's owner. Returns
+// fetchSection(ownerId, path, query), which resolves to the response body.
+function httpFetcher(baseUrl) {
+  return async (ownerId, endpoint, query) => {
+    const search = new URLSearchParams();
+    for (const [name, value] of Object.entries(query)) {
+      search.set(name, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    const response = await fetch(`${baseUrl}${endpoint}?${search}`, {
+      headers: { Authorization: `Bearer ${auth.signToken(ownerId, { expiresIn: '5m' })}`, Accept: 'application/json' }
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const details = body && body.details ? ': ' + body.details.map(d => `${d.field} ${d.message}`).join('; ') : '';
+      throw new Error(`${endpoint} responded with ${response.status} ${(body && body.error) || ''}${details}`.trim());
+    }
+    return body;
+  };
+}
+
+// Runs
+
+// Records the start of a run for the period due on `day`. Scheduled runs are recorded once per time slot;
+// returns null if this slot has already been run.
+async function startRun(db, report, { trigger, scheduledFor = null, day }) {
+  const { startDate, endDate } = PERIODS[report.period](day);
+  const result = await db.query(`
+    INSERT INTO report_runs (report_id, trigger, scheduled_for, period_start, period_end)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (report_id, scheduled_for) WHERE scheduled_for IS NOT NULL DO NOTHING
+    RETURNING ${RUN_COLUMNS};
+  `, [report.id, trigger, scheduledFor, startDate, endDate]);
+  return result.rows[0] ? formatRun(result.rows[0]) : null;
+}
+
+// Generates and delivers a started run, then records its outcome. Returns the finished run.
+async function executeRun(db, report, run, { fetchSection, reportsDir, now = () => new Date() }) {
+  let location = null;
+  let error = null;
+  try {
+    const sections = [];
+    for (const section of report.sections) {
+      const type = SECTIONS[section.type];
+      const query = { ...section.params, startDate: run.periodStart, endDate: run.periodEnd };
+      const body = await fetchSection(report.ownerId, type.path, query);
+      sections.push({ type: section.type, title: section.title || type.title, params: query, data: body.data });
+    }
+    const document = {
+      report: { id: report.id, name: report.name },
+      period: { startDate: run.periodStart, endDate: run.periodEnd },
+      generatedAt: now().toISOString(),
+      sections
+    };
+    location = await deliver(report, run, render(document, report.format), { reportsDir });
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  const result = await db.query(`
+    UPDATE report_runs SET status = $2, finished_at = NOW(), location = $3, error = $4
+    WHERE id = $1
+    RETURNING ${RUN_COLUMNS};
+  `, [run.id, error ? 'failed' : 'succeeded', location, error]);
+  return formatRun(result.rows[0]);
+}
+
+// Runs a report now, for the period ending before today. Returns the finished run.
+async function runNow(db, report, options) {
+  const now = (options.now || (() => new Date()))();
+  const run = await startRun(db, report, { trigger: 'manual', day: now });
+  return executeRun(db, report, run, options);
+}
+
+// Claims the reports that are due: records a run for each one's due slot and moves it to its next slot,
+// in one transaction that skips reports another server is claiming. Missed slots (e.g. while the server
+// was down) are caught up with a single run for the earliest.
+async function claimDueRuns(pool, now) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const due = await client.query(`
+      SELECT ${REPORT_COLUMNS} FROM reports
+      WHERE enabled AND next_run_at <= $1
+      ORDER BY next_run_at
+      FOR UPDATE SKIP LOCKED;
+    `, [now]);
+    const claimed = [];
+    for (const row of due.rows) {
+      const report = formatReport(row);
+      const run = await startRun(client, report, { trigger: 'schedule', scheduledFor: report.nextRunAt, day: report.nextRunAt });
+      await client.query('UPDATE reports SET next_run_at = $2 WHERE id = $1;', [report.id, nextRunAt(report, now)]);
+      if (run) {
+        claimed.push({ report, run });
+      }
+    }
+    await client.query('COMMIT');
+    return claimed;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Checks for due reports every intervalMs and runs them one at a time. fetchSection loads a section (see
+// httpFetcher); reportsDir is where file reports are written.
+function createScheduler({ pool, fetchSection, reportsDir, intervalMs = 60000, now = () => new Date() }) {
+  let timer = null;
+  let ticking = null;
+
+  async function runDue() {
+    const claimed = await claimDueRuns(pool, now());
+    const finished = [];
+    for (const { report, run } of claimed) {
+      finished.push(await executeRun(pool, report, run, { fetchSection, reportsDir, now }));
+    }
+    return finished;
+  }
+
+  return {
+    // Runs the reports that are due. Resolves to their finished runs; overlapping calls share one pass.
+    tick() {
+      if (!ticking) {
+        ticking = runDue().finally(() => {
+          ticking = null;
+        });
+      }
+      return ticking;
+    },
+
+    // Runs the reports that are due now (e.g. missed while the server was down), then checks periodically
+    start() {
+      if (!timer) {
+        const tick = () => this.tick().catch(err => console.error('Report scheduler error:', err));
+        timer = setInterval(tick, intervalMs);
+        timer.unref();
+        tick();
+      }
+    },
+
+    // Stops checking for due reports and waits for any runs in progress
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await (ticking || Promise.resolve()).catch(() => {});
+    }
+  };
+}
+
+module.exports = {
+  SECTIONS,
+  PERIODS,
+  FORMATS,
+  parseSchedule,
+  nextRun,
+  validateReport,
+  canAccess,
+  canUseDestination,
+  listReports,
+  getReport,
+  createReport,
+  updateReport,
+  deleteReport,
+  listRuns,
+  render,
+  httpFetcher,
+  executeRun,
+  runNow,
+  createScheduler
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const reports = require('./reports');
+
+describe('Scheduled reports', () => {
+    describe('schedules', () => {
+        const next = (expression, after) => reports.nextRun(reports.parseSchedule(expression), new Date(after)).toISOString();
+
+        test('should find the next time a schedule is due, in UTC', () => {
+            expect(next('0 6 1 * *', '2021-11-15T12:00:00Z')).toBe('2021-12-01T06:00:00.000Z');
+            expect(next('0 6 1 * *', '2021-12-01T06:00:00Z')).toBe('2022-01-01T06:00:00.000Z');
+            expect(next('*/15 9-17 * * 1-5', '2021-11-19T17:50:00Z')).toBe('2021-11-22T09:00:00.000Z');
+            expect(next('@monthly', '2021-12-31T23:59:30Z')).toBe('2022-01-01T00:00:00.000Z');
+            expect(next('0 0 29 2 *', '2021-03-01T00:00:00Z')).toBe('2024-02-29T00:00:00.000Z');
+        });
+
+        test('should match either day field when both are restricted', () => {
+            // The 13th, or any Friday (day 7 is Sunday, like 0)
+            expect(next('0 0 13 * 5', '2021-11-01T00:00:00Z')).toBe('2021-11-05T00:00:00.000Z');
+            expect(next('0 0 * * 7', '2021-11-01T00:00:00Z')).toBe('2021-11-07T00:00:00.000Z');
+        });
+
+        test('should reject invalid expressions and report schedules that never come due', () => {
+            for (const expression of ['', '* * * *', '60 * * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *', 42]) {
+                expect(reports.parseSchedule(expression)).toBeNull();
+            }
+            expect(reports.nextRun(reports.parseSchedule('0 0 31 2 *'), new Date())).toBeNull();
+        });
+    });
+
+    describe('periods', () => {
+        const period = (name, day) => reports.PERIODS[name](new Date(day));
+
+        test('should cover the period before the day of the run', () => {
+            expect(period('lastMonth', '2021-01-01T06:00:00Z')).toEqual({ startDate: '2020-12-01', endDate: '2020-12-31' });
+            expect(period('lastQuarter', '2021-05-20T00:00:00Z')).toEqual({ startDate: '2021-01-01', endDate: '2021-03-31' });
+            expect(period('lastWeek', '2021-11-24T00:00:00Z')).toEqual({ startDate: '2021-11-15', endDate: '2021-11-21' });
+            expect(period('yesterday', '2021-03-01T00:00:00Z')).toEqual({ startDate: '2021-02-28', endDate: '2021-02-28' });
+            expect(period('monthToDate', '2021-11-24T00:00:00Z')).toEqual({ startDate: '2021-11-01', endDate: '2021-11-23' });
+            expect(period('monthToDate', '2021-12-01T00:00:00Z')).toEqual({ startDate: '2021-11-01', endDate: '2021-11-30' });
+        });
+    });
+
+    describe('validateReport', () => {
+        const report = {
+            name: 'Monthly digest',
+            schedule: '0 6 1 * *',
+            sections: [{ type: 'topUsers', params: { limit: 5 } }, { type: 'groupSummary' }],
+            destination: { type: 'webhook', url: 'https://example.com/hooks/reports' }
+        };
+
+        test('should accept a valid report', () => {
+            expect(reports.validateReport(report)).toEqual([]);
+            expect(reports.validateReport({ ...report, destination: { type: 'file' }, format: 'csv', period: 'lastWeek' })).toEqual([]);
+        });
+
+        test('should require the report fields and check each section', () => {
+            expect(reports.validateReport({})).toEqual([
+                { field: 'name', message: 'is required' },
+                { field: 'schedule', message: 'is required' },
+                { field: 'sections', message: 'is required' },
+                { field: 'destination', message: 'is required' }
+            ]);
+            expect(reports.validateReport({
+                ...report,
+                sections: [{ type: 'trends', params: { startDate: '2021-01-01', interval: { week: true } } }]
+            })).toEqual([
+                { field: 'sections[0].params.startDate', message: 'is not supported; use one of: interval, timezone, currency, adjustmentPeriod' },
+                { field: 'sections[0].params.interval', message: 'must be a string, number or boolean, or an array of them' }
+            ]);
+        });
+
+        test('should only deliver to the reports directory or http(s) webhooks', () => {
+            expect(reports.validateReport({ ...report, destination: { type: 'file', path: '/etc' } })).toEqual([
+                { field: 'destination', message: 'must be { "type": "file" } or { "type": "webhook", "url": "https://..." }' }
+            ]);
+            expect(reports.validateReport({ ...report, destination: { type: 'webhook', url: 'file:///etc/passwd' } })).toEqual([
+                { field: 'destination.url', message: 'must be an http or https URL' }
+            ]);
+        });
+
+        test('should refuse webhooks on loopback, private and link-local addresses', () => {
+            const refused = { field: 'destination.url', message: 'must not point to a private, loopback or link-local address' };
+            for (const url of [
+                'http://localhost:3000/hook', 'http://api.localhost/hook', 'http://127.0.0.1/hook', 'http://2130706433/hook',
+                'http://10.1.2.3/hook', 'http://172.20.0.1/hook', 'http://192.168.1.1/hook', 'http://169.254.169.254/latest/meta-data',
+                'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://[fd00::1]/hook', 'http://[fe80::1]/hook'
+            ]) {
+                expect(reports.validateReport({ ...report, destination: { type: 'webhook', url } })).toEqual([refused]);
+            }
+            expect(reports.validateReport({ ...report, destination: { type: 'webhook', url: 'https://93.184.216.34/hook' } })).toEqual([]);
+        });
+
+        test('should only let admins deliver to webhooks', () => {
+            const admin = { id: 2, role: 'Admin' };
+            const agent = { id: 1, role: 'Call Center Agent' };
+
+            expect(reports.canUseDestination(admin, report.destination)).toBe(true);
+            expect(reports.canUseDestination(agent, report.destination)).toBe(false);
+            expect(reports.canUseDestination(agent, { type: 'file' })).toBe(true);
+            expect(reports.canUseDestination(agent, undefined)).toBe(true);
+        });
+
+        test('should accept partial updates with at least one field', () => {
+            expect(reports.validateReport({ enabled: false }, { partial: true })).toEqual([]);
+            expect(reports.validateReport({}, { partial: true })).toEqual([
+                { field: 'body', message: 'must include at least one report field' }
+            ]);
+        });
+    });
+
+    describe('render', () => {
+        const document = {
+            report: { id: 1, name: 'Digest <Q4>' },
+            period: { startDate: '2021-11-01', endDate: '2021-11-30' },
+            generatedAt: '2021-12-01T06:00:00.000Z',
+            sections: [
+                { title: 'Top users', data: [{ name: 'Alice', groups: ['North', 'Digital'] }, { name: 'Bob, Jr.', totalRevenue: 10 }] }
+            ]
+        };
+
+        test('should write a CSV block per section', () => {
+            expect(reports.render(document, 'csv')).toBe(
+                'Digest <Q4>: 2021-11-01 to 2021-11-30\r\n' +
+                '\r\nTop users\r\n' +
+                'name,groups,totalRevenue\r\n' +
+                'Alice,North; Digital,\r\n' +
+                '"Bob, Jr.",,10\r\n'
+            );
+        });
+
+        test('should write an HTML table per section, escaping text', () => {
+            const html = reports.render(document, 'html');
+            expect(html).toContain('<h1>Digest &lt;Q4&gt;: 2021-11-01 to 2021-11-30</h1>');
+            expect(html).toContain('<tr><th>name</th><th>groups</th><th>totalRevenue</th></tr>');
+            expect(html).toContain('<tr><td>Alice</td><td>North; Digital</td><td></td></tr>');
+        });
+
+        test('should write JSON as is', () => {
+            expect(JSON.parse(reports.render(document, 'json'))).toEqual(document);
+        });
+    });
+
+    describe('executeRun', () => {
+        let reportsDir;
+
+        beforeEach(() => {
+            reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(reportsDir, { recursive: true, force: true });
+        });
+
+        const report = {
+            id: 7,
+            ownerId: 21,
+            name: 'Monthly digest',
+            sections: [{ type: 'topUsers', params: { limit: 3 } }, { type: 'trends', title: 'Weekly trend', params: { interval: 'week' } }],
+            format: 'json',
+            destination: { type: 'file' }
+        };
+        const run = { id: 3, periodStart: '2021-11-01', periodEnd: '2021-11-30' };
+        // Records the outcome it is given, as report_runs would
+        const db = { query: jest.fn(async (sql, [id, status, location, error]) => ({ rows: [{ id, status, location, error }] })) };
+
+        test('should fetch each section as the owner and write the report to a file', async () => {
+            const fetchSection = jest.fn(async (ownerId, endpoint) => ({ data: [{ endpoint }] }));
+            const finished = await reports.executeRun(db, report, run, {
+                fetchSection, reportsDir, now: () => new Date('2021-12-01T06:00:00Z')
+            });
+
+            expect(fetchSection.mock.calls).toEqual([
+                [21, '/api/sales-analytics/users', { limit: 3, startDate: '2021-11-01', endDate: '2021-11-30' }],
+                [21, '/api/sales-analytics/trends', { interval: 'week', startDate: '2021-11-01', endDate: '2021-11-30' }]
+            ]);
+            const file = path.join(reportsDir, 'report-7-2021-11-01-to-2021-11-30-run-3.json');
+            expect(finished).toEqual({ id: 3, status: 'succeeded', location: file, error: null });
+            const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+            expect(written.generatedAt).toBe('2021-12-01T06:00:00.000Z');
+            expect(written.sections.map(section => section.title)).toEqual(['Top users', 'Weekly trend']);
+        });
+
+        test('should record a failed run with its error', async () => {
+            const fetchSection = jest.fn().mockRejectedValue(new Error('/api/sales-analytics/users responded with 403 Forbidden'));
+            const finished = await reports.executeRun(db, report, run, { fetchSection, reportsDir });
+
+            expect(finished).toEqual({
+                id: 3, status: 'failed', location: null, error: '/api/sales-analytics/users responded with 403 Forbidden'
+            });
+            expect(fs.readdirSync(reportsDir)).toEqual([]);
+        });
+
+        test('should not deliver to webhooks whose host resolves to a non-public address', async () => {
+            const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => (
+                options.all ? callback(null, [{ address: '10.0.0.5', family: 4 }]) : callback(null, '10.0.0.5', 4)
+            ));
+            const fetchSection = jest.fn(async () => ({ data: [] }));
+            const webhookReport = { ...report, destination: { type: 'webhook', url: 'http://hooks.example.com/reports' } };
+
+            const finished = await reports.executeRun(db, webhookReport, run, { fetchSection, reportsDir });
+            lookup.mockRestore();
+
+            expect(finished).toEqual({
+                id: 3, status: 'failed', location: null, error: 'hooks.example.com resolves to 10.0.0.5, which is not a public address'
+            });
+        });
+    });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { Client } = require('pg');
+const { connectionConfig } = require('./db');
+const currency = require('./currency');
+const { DEFAULT_ADJUSTMENT_PERIOD } = require('./adjustments');
+
+// Daily sales rollups (see migrations/006_daily_rollups.js).
+//
+// daily_user_sales holds each user's sale count, revenue and adjustments per day, daily_group_sales the same
+// per group for the groups the user belonged to that day. Triggers on sales and user_groups keep them up to
+// date as rows change, so they never lag behind the tables they summarize.
+//
+// The analytics queries read sales as `s` from a source: `sales` (one row per sale) or `daily` (one row per
+// user and day with sales). Every interval is at least a day, so `daily` serves any of them; only per-sale
+// figures, such as amount distributions, need `sales`. Counts of distinct users or days work on both.
+// Both are kept per currency, and sourceFor reads them converted into a reporting currency (see currency.js).
+// Revenue is net of adjustments (see adjustments.js), which the rollups count on the day of the sale; the
+// `adjustment` period needs `sales`, where adjustments are rows of their own without a sale id.
+// Cancelled and fully refunded sales add to gross revenue and adjustments but not to sale counts: both
+// sources have a sale_count column, which is 0 for them (and for adjustment rows).
+
+const filterClause = filter => (filter ? ` FILTER (WHERE ${filter})` : '');
+
+const SOURCES = {
+  sales: {
+    name: 'sales',
+    table: 'sales',
+    // Columns to carry through a CTE so the aggregates below still apply to its rows
+    columns: alias => `${alias}.id, ${alias}.sale_count, ${alias}.amount, ${alias}.gross_amount, ${alias}.adjustment_amount`,
+    // Condition selecting the rows with sales that count (and `filter`), e.g. to count active days
+    saleRows: (alias, filter) => `${alias}.sale_count > 0${filter ? ` AND ${filter}` : ''}`,
+    saleCount: (alias, filter) => `COALESCE(SUM(${alias}.sale_count)${filterClause(filter)}, 0)`,
+    revenue: (alias, filter) => `SUM(${alias}.amount)${filterClause(filter)}`,
+    grossRevenue: (alias, filter) => `SUM(${alias}.gross_amount)${filterClause(filter)}`,
+    adjustments: (alias, filter) => `SUM(${alias}.adjustment_amount)${filterClause(filter)}`,
+    averageRevenue: (alias, filter) => (
+      `((SUM(${alias}.amount)${filterClause(filter)})::numeric / NULLIF(SUM(${alias}.sale_count)${filterClause(filter)}, 0))`
+    )
+  },
+  daily: {
+    name: 'daily',
+    table: 'daily_user_sales',
+    columns: alias => `${alias}.sale_count, ${alias}.total_revenue, ${alias}.gross_revenue, ${alias}.adjustment_total`,
+    saleRows: (alias, filter) => `${alias}.sale_count > 0${filter ? ` AND ${filter}` : ''}`,
+    saleCount: (alias, filter) => `COALESCE(SUM(${alias}.sale_count)${filterClause(filter)}, 0)`,
+    revenue: (alias, filter) => `SUM(${alias}.total_revenue)${filterClause(filter)}`,
+    grossRevenue: (alias, filter) => `SUM(${alias}.gross_revenue)${filterClause(filter)}`,
+    adjustments: (alias, filter) => `SUM(${alias}.adjustment_total)${filterClause(filter)}`,
+    averageRevenue: (alias, filter) => (
+      `((SUM(${alias}.total_revenue)${filterClause(filter)})::numeric / NULLIF(SUM(${alias}.sale_count)${filterClause(filter)}, 0))`
+    )
+  }
+};
+
+// The source to read sales from, converted into `currency` with adjustments counted in
+// `adjustmentPeriod`: `daily` when rollups are enabled and the query needs no per-sale figures or
+// adjustments on their own dates. Its `table` replaces the source's own; `groupTable` is daily_group_sales
+// converted likewise.
+function sourceFor({
+  enabled = true,
+  perSale = false,
+  currency: code = currency.DEFAULT_CURRENCY,
+  adjustmentPeriod = DEFAULT_ADJUSTMENT_PERIOD
+} = {}) {
+  const template = enabled && !perSale && adjustmentPeriod === DEFAULT_ADJUSTMENT_PERIOD ? SOURCES.daily : SOURCES.sales;
+  return {
+    ...template,
+    table: template === SOURCES.daily ? currency.dailyUserSalesIn(code) : currency.salesIn(code, adjustmentPeriod),
+    groupTable: currency.dailyGroupSalesIn(code),
+    currency: code,
+    adjustmentPeriod
+  };
+}
+
+// Rebuilds both rollups from scratch, e.g. after loading sales with the triggers disabled
+async function rebuild(client) {
+  await client.query('BEGIN');
+  try {
+    await client.query('LOCK TABLE daily_user_sales, daily_group_sales IN EXCLUSIVE MODE;');
+    await client.query('DELETE FROM daily_group_sales;');
+    await client.query('DELETE FROM daily_user_sales;');
+    await client.query(`
+      INSERT INTO daily_user_sales (user_id, date, currency, sale_count, uncounted_sale_count, total_revenue, adjustment_total)
+      SELECT user_id, date, currency, COUNT(*) FILTER (WHERE status NOT IN ('cancelled', 'refunded')),
+        COUNT(*) FILTER (WHERE status IN ('cancelled', 'refunded')), COALESCE(SUM(amount - adjusted_amount), 0),
+        SUM(adjusted_amount)
+      FROM sales
+      WHERE user_id IS NOT NULL AND date IS NOT NULL
+      GROUP BY user_id, date, currency;
+    `);
+    await client.query('SELECT rollup_refresh_groups(NULL, NULL, NULL);');
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Compares the rollups with the sales they summarize. Returns the number of user days and group days whose
+// figures differ (split revenue to the cent), which should both be 0.
+async function check(client) {
+  const result = await client.query(`
+    WITH expected_users AS (
+      SELECT user_id, date, currency, COUNT(*) FILTER (WHERE status NOT IN ('cancelled', 'refunded')) as sale_count,
+        COUNT(*) FILTER (WHERE status IN ('cancelled', 'refunded')) as uncounted_sale_count,
+        COALESCE(SUM(amount - adjusted_amount), 0) as total_revenue, SUM(adjusted_amount) as adjustment_total
+      FROM sales
+      WHERE user_id IS NOT NULL AND date IS NOT NULL
+      GROUP BY user_id, date, currency
+    ),
+    credited AS (
+      SELECT ug.group_id, s.date, s.currency, s.amount - s.adjusted_amount as amount, s.adjusted_amount,
+        s.status IN ('cancelled', 'refunded') as uncounted, COUNT(*) OVER (PARTITION BY s.id) as group_count
+      FROM sales s
+      JOIN user_groups ug ON ug.user_id = s.user_id AND daterange(ug.valid_from, ug.valid_to, '[]') @> s.date
+    ),
+    expected_groups AS (
+      SELECT group_id, date, currency, COUNT(*) FILTER (WHERE NOT uncounted) as sale_count,
+        COUNT(*) FILTER (WHERE uncounted) as uncounted_sale_count, COALESCE(SUM(amount), 0) as total_revenue,
+        COALESCE(SUM(amount::numeric / group_count), 0) as split_revenue, SUM(adjusted_amount) as adjustment_total,
+        SUM(adjusted_amount::numeric / group_count) as split_adjustment_total
+      FROM credited
+      GROUP BY group_id, date, currency
+    )
+    SELECT
+      (SELECT COUNT(*) FROM expected_users e
+        FULL JOIN daily_user_sales d ON d.user_id = e.user_id AND d.date = e.date AND d.currency = e.currency
+        WHERE d.sale_count IS DISTINCT FROM e.sale_count OR d.uncounted_sale_count IS DISTINCT FROM e.uncounted_sale_count
+          OR d.total_revenue IS DISTINCT FROM e.total_revenue OR d.adjustment_total IS DISTINCT FROM e.adjustment_total
+      ) as user_days,
+      (SELECT COUNT(*) FROM expected_groups e
+        FULL JOIN daily_group_sales d ON d.group_id = e.group_id AND d.date = e.date AND d.currency = e.currency
+        WHERE d.sale_count IS DISTINCT FROM e.sale_count OR d.uncounted_sale_count IS DISTINCT FROM e.uncounted_sale_count
+          OR d.total_revenue IS DISTINCT FROM e.total_revenue OR ROUND(d.split_revenue, 2) IS DISTINCT FROM ROUND(e.split_revenue, 2)
+          OR d.adjustment_total IS DISTINCT FROM e.adjustment_total
+          OR ROUND(d.split_adjustment_total, 2) IS DISTINCT FROM ROUND(e.split_adjustment_total, 2)
+      ) as group_days;
+  `);
+  return { userDays: parseInt(result.rows[0].user_days), groupDays: parseInt(result.rows[0].group_days) };
+}
+
+async function main([command]) {
+  const client = new Client(connectionConfig);
+  await client.connect();
+  try {
+    if (command === 'rebuild') {
+      await rebuild(client);
+      console.log('Rebuilt daily rollups.');
+    } else if (command === 'check') {
+      const mismatches = await check(client);
+      console.log(`Mismatched user days: ${mismatches.userDays}, group days: ${mismatches.groupDays}`);
+      if (mismatches.userDays > 0 || mismatches.groupDays > 0) {
+        process.exitCode = 1;
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use rebuild or check.`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+// CLI: node rollups.js rebuild|check
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SOURCES,
+  sourceFor,
+  rebuild,
+  check
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const rollups = require('./rollups');
+
+describe('Daily rollups', () => {
+    const { sales, daily } = rollups.SOURCES;
+
+    describe('sourceFor', () => {
+        test('should read the rollups unless per-sale figures are needed or they are disabled', () => {
+            expect(rollups.sourceFor().name).toBe('daily');
+            expect(rollups.sourceFor({ perSale: true }).name).toBe('sales');
+            expect(rollups.sourceFor({ enabled: false }).name).toBe('sales');
+        });
+
+        test('should read sales when adjustments count in the period they were made', () => {
+            expect(rollups.sourceFor({ adjustmentPeriod: 'adjustment' })).toMatchObject({
+                name: 'sales',
+                table: "sales_in('USD', 'adjustment')",
+                adjustmentPeriod: 'adjustment'
+            });
+        });
+
+        test('should read sales converted into the reporting currency, USD by default', () => {
+            expect(rollups.sourceFor()).toEqual({
+                ...daily,
+                table: "daily_user_sales_in('USD')",
+                groupTable: "daily_group_sales_in('USD')",
+                currency: 'USD',
+                adjustmentPeriod: 'sale'
+            });
+            expect(rollups.sourceFor({ perSale: true, currency: 'EUR' })).toMatchObject({
+                table: "sales_in('EUR', 'sale')",
+                groupTable: "daily_group_sales_in('EUR')",
+                currency: 'EUR'
+            });
+            expect(() => rollups.sourceFor({ currency: "EUR') --" })).toThrow('Invalid currency code');
+        });
+    });
+
+    describe('sources', () => {
+        test('should aggregate individual sales', () => {
+            expect(sales.table).toBe('sales');
+            expect(sales.saleCount('s')).toBe('COALESCE(SUM(s.sale_count), 0)');
+            expect(sales.revenue('s', 's.date BETWEEN $1 AND $2')).toBe('SUM(s.amount) FILTER (WHERE s.date BETWEEN $1 AND $2)');
+            expect(sales.averageRevenue('k')).toBe('((SUM(k.amount))::numeric / NULLIF(SUM(k.sale_count), 0))');
+            expect(sales.grossRevenue('s')).toBe('SUM(s.gross_amount)');
+            expect(sales.saleRows('s', 's.date <= $2')).toBe('s.sale_count > 0 AND s.date <= $2');
+            expect(sales.columns('s')).toBe('s.id, s.sale_count, s.amount, s.gross_amount, s.adjustment_amount');
+        });
+
+        test('should aggregate daily totals, weighting averages by sale count', () => {
+            expect(daily.table).toBe('daily_user_sales');
+            expect(daily.saleCount('s')).toBe('COALESCE(SUM(s.sale_count), 0)');
+            expect(daily.revenue('k')).toBe('SUM(k.total_revenue)');
+            expect(daily.averageRevenue('s', 's.date <= $2')).toBe(
+                '((SUM(s.total_revenue) FILTER (WHERE s.date <= $2))::numeric / ' +
+                'NULLIF(SUM(s.sale_count) FILTER (WHERE s.date <= $2), 0))'
+            );
+            expect(daily.adjustments('s')).toBe('SUM(s.adjustment_total)');
+            expect(daily.saleRows('s')).toBe('s.sale_count > 0');
+            expect(daily.columns('s')).toBe('s.sale_count, s.total_revenue, s.gross_revenue, s.adjustment_total');
+        });
+    });
+});
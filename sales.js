@@ -0,0 +1,178 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isValidDate, isValidCurrency } = require('./validation');
+const { BASE_CURRENCY } = require('./currency');
+
+// Limits for the write API
+const MAX_BULK_SALES = 1000;
+const MAX_AMOUNT = 2147483647; // sales.amount is a Postgres INTEGER
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Validates a single sale payload ({ userId, amount, date, currency? }, in USD if no currency is given).
+// Returns a list of { field, message } errors (empty if valid).
+// `prefix` is prepended to field names so bulk errors can point at e.g. sales[3].amount
+function validateSale(sale, prefix = '') {
+  if (sale === null || typeof sale !== 'object' || Array.isArray(sale)) {
+    return [{ field: prefix || 'body', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { userId, amount, date, currency } = sale;
+
+  if (!Number.isInteger(userId) || userId < 1) {
+    errors.push({ field: prefix + 'userId', message: 'must be a positive integer' });
+  }
+  if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT) {
+    errors.push({ field: prefix + 'amount', message: `must be an integer between 1 and ${MAX_AMOUNT}` });
+  }
+  if (!isValidDate(date)) {
+    errors.push({ field: prefix + 'date', message: 'must be a valid date in YYYY-MM-DD format' });
+  }
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    errors.push({ field: prefix + 'currency', message: 'must be a three-letter ISO 4217 currency code, e.g. EUR' });
+  }
+
+  return errors;
+}
+
+// Validates the body of a bulk request ({ sales: [...] })
+function validateBulkSales(body) {
+  const sales = body && body.sales;
+  if (!Array.isArray(sales) || sales.length === 0) {
+    return [{ field: 'sales', message: 'must be a non-empty array' }];
+  }
+  if (sales.length > MAX_BULK_SALES) {
+    return [{ field: 'sales', message: `must contain at most ${MAX_BULK_SALES} sales` }];
+  }
+  return sales.flatMap((sale, i) => validateSale(sale, `sales[${i}].`));
+}
+
+// Validates the Idempotency-Key header, which is optional
+function validateIdempotencyKey(key) {
+  if (key === undefined) {
+    return [];
+  }
+  if (key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return [{ field: 'Idempotency-Key', message: `must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` }];
+  }
+  return [];
+}
+
+// Hash of the request an idempotency key was first used with, so a key reused for a
+// different payload is rejected instead of silently replaying the wrong response.
+// USD sales hash as they did before sales had currencies, so keys from then still match.
+function hashRequest(route, sales) {
+  const normalized = sales.map(({ userId, amount, date, currency = BASE_CURRENCY }) => (
+    currency === BASE_CURRENCY ? [userId, amount, date] : [userId, amount, date, currency]
+  ));
+  return crypto.createHash('sha256').update(JSON.stringify([route, normalized])).digest('hex');
+}
+
+function formatSale(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    amount: row.amount,
+    currency: row.currency,
+    date: row.date
+  };
+}
+
+// Inserts sales in a single transaction and returns { status, body, replayed }.
+//
+// If an idempotency key is given it is claimed on the route (which names the endpoint and the caller, so
+// callers can't collide) in the same transaction as the insert:
+// - INSERT ... ON CONFLICT DO NOTHING blocks while another request holds the same key, so
+//   concurrent retries can't both insert
+// - If the key was already used, the stored response is replayed and nothing is inserted
+// - If the transaction rolls back (e.g. unknown user), the key is released and can be retried
+//
+// `single` controls whether the response body holds one sale or an array of sales.
+async function recordSales(client, sales, { idempotencyKey, route, single = false } = {}) {
+  const requestHash = idempotencyKey ? hashRequest(route, sales) : null;
+
+  await client.query('BEGIN');
+  try {
+    if (idempotencyKey) {
+      const claimed = await client.query(
+        `INSERT INTO idempotency_keys (route, key, request_hash) VALUES ($1, $2, $3)
+         ON CONFLICT (route, key) DO NOTHING
+         RETURNING key;`,
+        [route, idempotencyKey, requestHash]
+      );
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return replayResponse(client, route, idempotencyKey, requestHash);
+      }
+    }
+
+    // Every referenced user must exist; report the unknown ones by index
+    const userIds = [...new Set(sales.map(sale => sale.userId))];
+    const existing = await client.query('SELECT id FROM users WHERE id = ANY($1::int[]);', [userIds]);
+    const existingIds = new Set(existing.rows.map(row => row.id));
+    const errors = sales
+      .map((sale, i) => ({ sale, i }))
+      .filter(({ sale }) => !existingIds.has(sale.userId))
+      .map(({ i }) => ({ field: single ? 'userId' : `sales[${i}].userId`, message: 'user does not exist' }));
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return { status: 400, body: { error: 'Invalid request', details: errors }, replayed: false };
+    }
+
+    // UNNEST inserts every sale in one statement; WITH ORDINALITY keeps the request order
+    const inserted = await client.query(
+      `INSERT INTO sales (user_id, amount, date, currency)
+       SELECT user_id, amount, date, currency
+       FROM UNNEST($1::int[], $2::int[], $3::date[], $4::text[]) WITH ORDINALITY AS t(user_id, amount, date, currency, ord)
+       ORDER BY ord
+       RETURNING id, user_id, amount, currency, to_char(date, 'YYYY-MM-DD') as date;`,
+      [sales.map(s => s.userId), sales.map(s => s.amount), sales.map(s => s.date), sales.map(s => s.currency || BASE_CURRENCY)]
+    );
+
+    const data = inserted.rows.map(formatSale);
+    const body = { data: single ? data[0] : data };
+
+    if (idempotencyKey) {
+      await client.query(
+        'UPDATE idempotency_keys SET status_code = $3, response = $4 WHERE route = $1 AND key = $2;',
+        [route, idempotencyKey, 201, JSON.stringify(body)]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { status: 201, body, replayed: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Returns the stored response for an idempotency key that was already used on the route
+async function replayResponse(client, route, idempotencyKey, requestHash) {
+  const result = await client.query(
+    'SELECT request_hash, status_code, response FROM idempotency_keys WHERE route = $1 AND key = $2;',
+    [route, idempotencyKey]
+  );
+  const stored = result.rows[0];
+
+  if (!stored || stored.request_hash !== requestHash) {
+    return {
+      status: 422,
+      body: { error: 'Idempotency-Key was already used with a different request' },
+      replayed: false
+    };
+  }
+
+  return { status: stored.status_code, body: stored.response, replayed: true };
+}
+
+module.exports = {
+  MAX_BULK_SALES,
+  validateSale,
+  validateBulkSales,
+  validateIdempotencyKey,
+  recordSales
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+const sales = require('./sales');
+
+describe('Sales write API', () => {
+    let mockClient;
+
+    beforeEach(() => {
+        mockClient = {
+            query: jest.fn(),
+            release: jest.fn(),
+        };
+    });
+
+    // Returns the SQL statements sent to the mock client, whitespace-collapsed for matching
+    const executedQueries = () => mockClient.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+    describe('validateSale', () => {
+        test('should accept a valid sale', () => {
+            expect(sales.validateSale({ userId: 7, amount: 12000, date: '2021-03-15' })).toEqual([]);
+        });
+
+        test('should report every invalid field', () => {
+            const errors = sales.validateSale({ userId: 'abc', amount: -5, date: '2021-02-30' });
+
+            expect(errors.map(e => e.field)).toEqual(['userId', 'amount', 'date']);
+        });
+
+        test('should reject non-integer amounts', () => {
+            const errors = sales.validateSale({ userId: 1, amount: 10.5, date: '2021-03-15' });
+
+            expect(errors).toEqual([{ field: 'amount', message: expect.any(String) }]);
+        });
+
+        test('should accept an optional currency code', () => {
+            expect(sales.validateSale({ userId: 7, amount: 12000, date: '2021-03-15', currency: 'EUR' })).toEqual([]);
+            expect(sales.validateSale({ userId: 7, amount: 12000, date: '2021-03-15', currency: 'eur' })).toEqual([
+                { field: 'currency', message: expect.any(String) }
+            ]);
+        });
+
+        test('should reject a body that is not an object', () => {
+            expect(sales.validateSale(null)).toEqual([{ field: 'body', message: 'must be an object' }]);
+        });
+    });
+
+    describe('validateBulkSales', () => {
+        test('should prefix errors with the index of the sale', () => {
+            const errors = sales.validateBulkSales({
+                sales: [
+                    { userId: 1, amount: 100, date: '2021-01-01' },
+                    { userId: 1, amount: 0, date: '2021-01-01' }
+                ]
+            });
+
+            expect(errors).toEqual([{ field: 'sales[1].amount', message: expect.any(String) }]);
+        });
+
+        test('should reject an empty list', () => {
+            expect(sales.validateBulkSales({ sales: [] })).toHaveLength(1);
+        });
+
+        test('should reject more than the bulk limit', () => {
+            const tooMany = Array.from({ length: sales.MAX_BULK_SALES + 1 }, () => ({ userId: 1, amount: 1, date: '2021-01-01' }));
+
+            expect(sales.validateBulkSales({ sales: tooMany })).toEqual([{ field: 'sales', message: expect.any(String) }]);
+        });
+    });
+
+    describe('recordSales', () => {
+        const sale = { userId: 7, amount: 12000, date: '2021-03-15' };
+
+        test('should insert sales and return the created rows', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // users lookup
+                .mockResolvedValueOnce({ rows: [{ id: 501, user_id: 7, amount: 12000, currency: 'USD', date: '2021-03-15' }] })
+                .mockResolvedValueOnce({}); // COMMIT
+
+            const result = await sales.recordSales(mockClient, [sale], { single: true });
+
+            expect(result).toEqual({
+                status: 201,
+                body: { data: { id: 501, userId: 7, amount: 12000, currency: 'USD', date: '2021-03-15' } },
+                replayed: false
+            });
+            expect(executedQueries()[3]).toBe('COMMIT');
+        });
+
+        test('should record sales in USD unless a currency is given', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // users lookup
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({}); // COMMIT
+
+            await sales.recordSales(mockClient, [sale, { ...sale, currency: 'EUR' }]);
+
+            expect(mockClient.query.mock.calls[2][1][3]).toEqual(['USD', 'EUR']);
+        });
+
+        test('should roll back and report unknown users', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // users lookup
+                .mockResolvedValueOnce({}); // ROLLBACK
+
+            const result = await sales.recordSales(mockClient, [sale, { ...sale, userId: 99 }]);
+
+            expect(result.status).toBe(400);
+            expect(result.body.details).toEqual([{ field: 'sales[1].userId', message: 'user does not exist' }]);
+            expect(executedQueries()).toContain('ROLLBACK');
+            expect(executedQueries().some(sql => sql.startsWith('INSERT INTO sales'))).toBe(false);
+        });
+
+        test('should store the response under the idempotency key', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockResolvedValueOnce({ rows: [{ key: 'abc' }] }) // key claimed
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // users lookup
+                .mockResolvedValueOnce({ rows: [{ id: 501, user_id: 7, amount: 12000, date: '2021-03-15' }] })
+                .mockResolvedValueOnce({}) // store response
+                .mockResolvedValueOnce({}); // COMMIT
+
+            const result = await sales.recordSales(mockClient, [sale], { idempotencyKey: 'abc', route: 'bulk' });
+
+            expect(result.status).toBe(201);
+            const [, params] = mockClient.query.mock.calls[4];
+            expect(params.slice(0, 2)).toEqual(['bulk', 'abc']);
+            expect(JSON.parse(params[3])).toEqual(result.body);
+        });
+
+        test('should claim the key on the route only', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await sales.recordSales(mockClient, [sale], { idempotencyKey: 'abc', route: 'single:7', single: true });
+
+            const [sql, params] = mockClient.query.mock.calls[1];
+            expect(sql).toContain('ON CONFLICT (route, key) DO NOTHING');
+            expect(params.slice(0, 2)).toEqual(['single:7', 'abc']);
+            const [replaySql, replayParams] = mockClient.query.mock.calls[3];
+            expect(replaySql).toContain('WHERE route = $1 AND key = $2');
+            expect(replayParams).toEqual(['single:7', 'abc']);
+        });
+
+        test('should replay the stored response when a key is reused', async () => {
+            let storedHash;
+            mockClient.query.mockImplementation(async (sql, params) => {
+                if (sql.includes('INSERT INTO idempotency_keys')) {
+                    storedHash = params[2];
+                    return { rows: [] }; // key already taken
+                }
+                if (sql.includes('SELECT request_hash')) {
+                    return { rows: [{ request_hash: storedHash, status_code: 201, response: { data: [] } }] };
+                }
+                return {};
+            });
+
+            const result = await sales.recordSales(mockClient, [sale], { idempotencyKey: 'abc', route: 'bulk' });
+
+            expect(result).toEqual({ status: 201, body: { data: [] }, replayed: true });
+            expect(executedQueries().some(sql => sql.startsWith('INSERT INTO sales'))).toBe(false);
+        });
+
+        test('should treat an explicit USD currency as the same request', async () => {
+            const hashes = [];
+            mockClient.query.mockImplementation(async (sql, params) => {
+                if (sql.includes('INSERT INTO idempotency_keys')) {
+                    hashes.push(params[2]);
+                    return { rows: [] };
+                }
+                if (sql.includes('SELECT request_hash')) {
+                    return { rows: [{ request_hash: hashes[0], status_code: 201, response: { data: [] } }] };
+                }
+                return {};
+            });
+
+            await sales.recordSales(mockClient, [sale], { idempotencyKey: 'abc', route: 'bulk' });
+            await sales.recordSales(mockClient, [{ ...sale, currency: 'USD' }], { idempotencyKey: 'abc', route: 'bulk' });
+            await sales.recordSales(mockClient, [{ ...sale, currency: 'EUR' }], { idempotencyKey: 'abc', route: 'bulk' });
+
+            expect(hashes[1]).toBe(hashes[0]);
+            expect(hashes[2]).not.toBe(hashes[0]);
+        });
+
+        test('should reject a key reused with a different request', async () => {
+            mockClient.query.mockImplementation(async (sql) => {
+                if (sql.includes('INSERT INTO idempotency_keys')) {
+                    return { rows: [] };
+                }
+                if (sql.includes('SELECT request_hash')) {
+                    return { rows: [{ request_hash: 'other', status_code: 201, response: { data: [] } }] };
+                }
+                return {};
+            });
+
+            const result = await sales.recordSales(mockClient, [sale], { idempotencyKey: 'abc', route: 'bulk' });
+
+            expect(result.status).toBe(422);
+        });
+
+        test('should roll back when an insert fails', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({}) // BEGIN
+                .mockRejectedValueOnce(new Error('Database error'))
+                .mockResolvedValueOnce({}); // ROLLBACK
+
+            await expect(sales.recordSales(mockClient, [sale])).rejects.toThrow('Database error');
+            expect(executedQueries()).toContain('ROLLBACK');
+        });
+    });
+});
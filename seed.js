@@ -1,98 +1,92 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const { Client } = require('pg');
-const fs = require("fs");
-const groupsSqlInsert = fs.readFileSync("seedGroups.sql").toString();
-const userGroupsSqlInsert = fs.readFileSync("seedUserGroups.sql").toString();
-const usersSqlInsert = fs.readFileSync("seedUsers.sql").toString();
-const salesSqlInsert = fs.readFileSync("seedSales.sql").toString();
-
-const pgclient = new Client({
-  host: 'db',
-  port: '5432',
-  user: 'user',
-  password: 'pass',
-  database: 'actifai'
-});
-
-pgclient.connect();
-
-// Create tables
-const createUsersTableQuery = `
-    CREATE TABLE IF NOT EXISTS "users" (
-	    "id" SERIAL,
-	    "name" VARCHAR(50) NOT NULL,
-	    "role" VARCHAR(50) NOT NULL,
-	    PRIMARY KEY ("id")
-    );`;
-
-const createGroupsTableQuery = `
-    CREATE TABLE IF NOT EXISTS "groups" (
-	    "id" SERIAL,
-	    "name" VARCHAR(50) NOT NULL,
-	    PRIMARY KEY ("id")
-    );`;
-
-const createUserGroupsTableQuery = `
-    CREATE TABLE IF NOT EXISTS "user_groups" (
-	    "user_id" SERIAL,
-	    "group_id" SERIAL,
-	    FOREIGN KEY(user_id) REFERENCES users(id),
-	    FOREIGN KEY(group_id) REFERENCES groups(id)
-    );`;
-
-const createSalesTableQuery = `
-    CREATE TABLE IF NOT EXISTS "sales" (
-      "id" SERIAL,
-	    "user_id" SERIAL,
-	    "amount" INTEGER,
-	    "date" DATE,
-	    FOREIGN KEY(user_id) REFERENCES users(id),
-	    PRIMARY KEY ("id")
-    );`;
-
-const seedDatabase = async function() {
-
-  const usersTableExistsResult = await pgclient.query("SELECT EXISTS (SELECT FROM pg_tables WHERE schemaname = 'public' AND tablename = 'users');");
-  const usersTableExists = usersTableExistsResult.rows[0].exists;
-
-  // Check if users table exists already. If so, we assume the seeders have already run successfully
-  if (usersTableExists) {
+const { connectionConfig } = require('./db');
+const migrator = require('./migrate');
+
+const readSeedFile = file => fs.readFileSync(path.join(__dirname, file)).toString();
+const groupsSqlInsert = readSeedFile('seedGroups.sql');
+const userGroupsSqlInsert = readSeedFile('seedUserGroups.sql');
+const usersSqlInsert = readSeedFile('seedUsers.sql');
+const salesSqlInsert = readSeedFile('seedSales.sql');
+
+// The seed data, like any rows inserted with explicit ids, leaves the id sequences behind. Move each one
+// past the highest id so rows created through the API don't collide with existing ones. Sequences that are
+// already ahead are left alone, so the ids of deleted rows aren't handed out again.
+const SEQUENCED_TABLES = ['users', 'groups', 'sales'];
+
+const syncIdSequencesQuery = SEQUENCED_TABLES.map(table => `
+    SELECT setval(pg_get_serial_sequence('${table}', 'id'), MAX(id)) FROM ${table}
+    HAVING MAX(id) > COALESCE(pg_sequence_last_value(pg_get_serial_sequence('${table}', 'id')::regclass), 0);`).join('');
+
+// Runs on every start, as databases loaded by other means can have the same problem
+const syncIdSequences = async function(client) {
+  await client.query(syncIdSequencesQuery);
+}
+
+// Loads the sample data into an already migrated database.
+// Skips seeding if any users exist, so it is safe to run on every start.
+const seedDatabase = async function(client) {
+
+  const usersResult = await client.query('SELECT EXISTS (SELECT FROM users) as has_users;');
+
+  if (usersResult.rows[0].has_users) {
     console.log('Skipping seeders.')
-    pgclient.end();
     return;
   } else {
     console.log('Seeding database...')
   }
 
-  await pgclient.query(createUsersTableQuery);
-  console.log('Created users table.');
-
-  await pgclient.query(usersSqlInsert);
-  console.log('Seeded users table.');
+  await client.query('BEGIN');
+  try {
+    await client.query(usersSqlInsert);
+    console.log('Seeded users table.');
 
-  await pgclient.query(createGroupsTableQuery);
-  console.log('Created groups table.');
+    await client.query(groupsSqlInsert);
+    console.log('Seeded groups table.');
 
-  await pgclient.query(groupsSqlInsert);
-  console.log('Seeded groups table.');
+    await client.query(userGroupsSqlInsert);
+    console.log('Seeded user_group table.');
 
-  await pgclient.query(createUserGroupsTableQuery);
-  console.log('Created user_groups table.');
+    await client.query(salesSqlInsert);
+    console.log('Seeded sales table.');
 
-  await pgclient.query(userGroupsSqlInsert);
-  console.log('Seeded user_group table.');
+    await syncIdSequences(client);
 
-  await pgclient.query(createSalesTableQuery);
-  console.log('Created sales table.');
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
 
-  await pgclient.query(salesSqlInsert);
-  console.log('Seeded sales table.');
+}
 
-  pgclient.end();
+// CLI: node seed.js
+// Refuses to run until every migration has been applied, since the seed data targets the latest schema.
+async function main() {
+  const client = new Client(connectionConfig);
+  await client.connect();
+  try {
+    const pending = await migrator.pendingMigrations(client);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) pending. Run "npm run migrate" first.`);
+    }
+    await seedDatabase(client);
+  } finally {
+    await client.end();
+  }
+}
 
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
 }
 
 module.exports = {
-  seedDatabase
+  seedDatabase,
+  syncIdSequences
 }
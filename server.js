@@ -2,25 +2,223 @@
 
 const express = require('express');
 const { Pool } = require('pg');
+const { connectionConfig } = require('./db');
+const migrator = require('./migrate');
 const seeder = require('./seed');
+const sales = require('./sales');
+const exporter = require('./exporter');
+const auth = require('./auth');
+const periods = require('./periods');
+const profile = require('./profile');
+const distribution = require('./distribution');
+const forecast = require('./forecast');
+const anomalies = require('./anomalies');
+const targets = require('./targets');
+const directory = require('./directory');
+const commissions = require('./commissions');
+const pagination = require('./pagination');
+const cache = require('./cache');
+const rollups = require('./rollups');
+const graphqlApi = require('./graphqlApi');
+const reports = require('./reports');
+const live = require('./live');
+const currency = require('./currency');
+const adjustments = require('./adjustments');
+const audit = require('./audit');
+const { fields, validate, validateInput, dateRange, today, INTERVALS } = require('./validation');
 
 // Constants
 const PORT = 3000;
 const HOST = '0.0.0.0';
 
+// Query parameters shared by the analytics endpoints
+const DEFAULT_START_DATE = '2021-01-01';
+const METRICS = ['all', 'totalRevenue', 'avgRevenue', 'saleCount'];
+
+// Every analytics endpoint converts sales into this currency before summing them (see currency.js)
+const reportingCurrency = fields.currency({ default: currency.DEFAULT_CURRENCY });
+
+// Revenue is net of refunds and cancellations, counted in the period of the sale they adjust unless this is
+// 'adjustment' (see adjustments.js)
+const adjustmentPeriod = fields.oneOf(adjustments.ADJUSTMENT_PERIODS, { default: adjustments.DEFAULT_ADJUSTMENT_PERIOD });
+
+const dateRangeQuery = {
+  startDate: fields.date({ default: DEFAULT_START_DATE }),
+  endDate: fields.date({ default: today }), // Default to today if endDate not provided
+  format: fields.oneOf(exporter.FORMATS),
+  currency: reportingCurrency,
+  adjustmentPeriod
+};
+
+// Period-over-period comparison (compareTo) for the users and groups endpoints
+const COMPARISONS = ['previous', 'yearAgo'];
+
+// Per-user metrics, which the users endpoint can sort by and compares between windows:
+// response field name -> [current column, comparison column]
+const USER_METRICS = {
+  saleCount: ['sale_count', 'prev_sale_count'],
+  totalRevenue: ['total_revenue', 'prev_total_revenue'],
+  averageRevenue: ['avg_revenue', 'prev_avg_revenue'],
+  activeDays: ['active_days', 'prev_active_days']
+};
+
+const GROUP_COMPARISON_METRICS = {
+  saleCount: ['sale_count', 'prev_sale_count'],
+  totalRevenue: ['total_revenue', 'prev_total_revenue'],
+  avgRevenuePerSale: ['avg_revenue_per_sale', 'prev_avg_revenue_per_sale'],
+  avgRevenuePerMember: ['avg_revenue_per_member', 'prev_avg_revenue_per_member']
+};
+
+// How the revenue of members of several groups is credited to their groups:
+// - full: each of their groups is credited with all of it, so group totals can add up to more than the
+//   company total (a member of two groups counts twice)
+// - split: it is divided equally between their groups, so group totals add up to the company total
+// "Their groups" are the groups they belonged to on the day of each sale. Sale counts always count each
+// member's sales in full. Expressions over sale_groups sg (see directory.saleGroupsCte).
+const ATTRIBUTION_WEIGHTS = {
+  full: '1',
+  split: '(1.0 / sg.group_count)'
+};
+
+// Rounds a revenue figure (number or numeric string) to cents. Split attribution and currency conversion
+// produce fractions.
+const roundMoney = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// SQL conditions on sales s (and their users u) selecting the sales an analytics response covers, for
+// salesSummary: those made in one of `windows` ([startDate, endDate] pairs; pairs of nulls are skipped),
+// extended back to the start of the `periodOf` interval containing their start if given, within `scope`
+// (see auth.resolveScope) and the userIds, groupIds and role filters. Without windows, all dates.
+function coveredSales({ windows = [], periodOf = null, scope = null, userIds = [], groupIds = [], role = null }) {
+  const params = [];
+  const conditions = [];
+  const ranges = windows.filter(([startDate]) => startDate).map(([startDate, endDate]) => {
+    params.push(startDate, endDate);
+    const start = periodOf ? `DATE_TRUNC('${periodOf}', $${params.length - 1}::date::timestamp)` : `$${params.length - 1}`;
+    return `s.date BETWEEN ${start} AND $${params.length}`;
+  });
+  if (ranges.length) {
+    conditions.push(`(${ranges.join(' OR ')})`);
+  }
+  if (scope) {
+    conditions.push(...auth.scopeConditions(scope, params, 's.user_id'));
+  }
+  if (userIds.length) {
+    params.push(userIds);
+    conditions.push(`s.user_id = ANY($${params.length}::int[])`);
+  }
+  if (groupIds.length) {
+    params.push(groupIds);
+    conditions.push(directory.soldInGroups('s', `$${params.length}::int[]`));
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`u.role = $${params.length}`);
+  }
+  return { conditions, params };
+}
+
+// The reporting currency and adjustment period of an analytics response (from its validated `currency`
+// and `adjustmentPeriod`), the covered sales (see coveredSales) it leaves out for want of an exchange rate,
+// likewise the adjustments when they count on their own dates (converted at those dates' rates), and the
+// gross revenue, adjustments and net revenue of those in `revenueCovered`, by default the same sales (null
+// leaves `revenue` to the caller, for figures weighted by attribution). JSON responses include all of it;
+// exports, whose bodies are only rows, send it in headers instead (see setSummaryHeaders).
+async function salesSummary(client, { currency: code, adjustmentPeriod: period }, covered, revenueCovered = covered) {
+  return {
+    currency: code,
+    adjustmentPeriod: period,
+    unconvertedSales: await currency.unconvertedSales(client, code, covered.conditions, covered.params),
+    unconvertedAdjustments: period === 'adjustment'
+      ? await currency.unconvertedAdjustments(client, code, covered.conditions, covered.params)
+      : { count: 0, currencies: [] },
+    ...(revenueCovered ? {
+      revenue: await adjustments.revenueSummary(
+        client, currency.salesIn(code, period), revenueCovered.conditions, revenueCovered.params
+      )
+    } : {})
+  };
+}
+
+const setSummaryHeaders = (res, summary) => res.set({
+  'X-Currency': summary.currency,
+  'X-Unconverted-Sales': String(summary.unconvertedSales.count),
+  'X-Unconverted-Adjustments': String(summary.unconvertedAdjustments.count),
+  'X-Adjustment-Period': summary.adjustmentPeriod,
+  'X-Gross-Revenue': String(summary.revenue.gross),
+  'X-Adjustments': String(summary.revenue.adjustments),
+  'X-Net-Revenue': String(summary.revenue.net)
+});
+
+// Builds the comparison fields for a row: each metric's comparison value, absolute change and
+// percentage change (null when the comparison value is 0), plus the overall rank in both windows and the
+// change in rank (positive when the entity moved up). Fields are flat so they export cleanly to CSV.
+function comparisonFields(row, metrics) {
+  const fields = {};
+  for (const [name, [currentColumn, previousColumn]] of Object.entries(metrics)) {
+    const current = parseFloat(row[currentColumn]) || 0;
+    const previous = parseFloat(row[previousColumn]) || 0;
+    const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+    fields['comparison' + suffix] = roundMoney(previous);
+    fields[name + 'Change'] = parseFloat((current - previous).toFixed(2));
+    fields[name + 'ChangePercentage'] = previous !== 0
+      ? parseFloat(((current - previous) / previous * 100).toFixed(2))
+      : null;
+  }
+  fields.rank = parseInt(row.overall_rank);
+  fields.comparisonRank = parseInt(row.prev_overall_rank);
+  fields.rankChange = fields.comparisonRank - fields.rank;
+  return fields;
+}
+
+// The names of the fields comparisonFields adds, in the same order, for export column lists
+function comparisonColumns(metrics) {
+  return [
+    ...Object.keys(metrics).flatMap(name => {
+      const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+      return ['comparison' + suffix, name + 'Change', name + 'ChangePercentage'];
+    }),
+    'rank',
+    'comparisonRank',
+    'rankChange'
+  ];
+}
+
+// The time-series, users, groups and trends endpoints read the daily rollups instead of individual sales
+// unless they need per-sale figures (see rollups.js). ANALYTICS_ROLLUPS=false makes them read sales.
+const ROLLUPS_ENABLED = process.env.ANALYTICS_ROLLUPS !== 'false';
+const salesSource = ({ perSale = false, currency: code, adjustmentPeriod: period } = {}) => (
+  rollups.sourceFor({ enabled: ROLLUPS_ENABLED, perSale, currency: code, adjustmentPeriod: period })
+);
+
+// Analytics responses, shared by every request this process serves (see cache.js)
+const responseCache = cache.createCache({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || cache.DEFAULT_MAX_ENTRIES,
+  ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS) || cache.DEFAULT_TTL_SECONDS
+});
+
+// Scheduled reports (see reports.js): where file reports are written, and REPORT_SCHEDULER=false stops this
+// process running them (e.g. when another instance does)
+const REPORTS_DIR = process.env.REPORTS_DIR || 'reports';
+const SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER !== 'false';
+
 // Database pool configuration
 const pool = new Pool({
-  host: 'db',
-  port: '5432',
-  user: 'user',
-  password: 'pass',
-  database: 'actifai',
+  ...connectionConfig,
   max: 20,                       // Maximum number of clients in the pool
   idleTimeoutMillis: 30000,      // Time (ms) before idle clients are closed
   connectionTimeoutMillis: 2000, // Time (ms) to wait for a connection before timeout
 });
 
+// Changes are attributed to the request that made them through a setting on their connection (see audit.js),
+// which must not carry over to the connection's next request
+pool.on('acquire', audit.forgetContext);
+
 async function start() {
+  // Fail fast rather than rejecting every request later
+  if (!process.env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET must be set');
+  }
+
   // Test database connection
   const client = await pool.connect();
   try {
@@ -30,76 +228,323 @@ async function start() {
     client.release(); // Release the client back to the pool
   }
 
-  // Seed the database with initial data
-  await seeder.seedDatabase();
+  // Bring the schema up to date, optionally load the sample data (SEED_DATABASE=true) and catch the id
+  // sequences up with rows inserted with explicit ids
+  const migrationClient = await pool.connect();
+  try {
+    await migrator.migrateUp(migrationClient);
+    if (process.env.SEED_DATABASE === 'true') {
+      await seeder.seedDatabase(migrationClient);
+    }
+    await seeder.syncIdSequences(migrationClient);
+  } finally {
+    migrationClient.release();
+  }
 
   // App
   const app = express();
+  app.use(express.json());
 
   // Health check endpoint
   app.get('/health', (req, res) => {
     res.send('Hello World');
   });
 
+  // Everything under /api requires a bearer token; handlers read the caller from req.user
+  app.use('/api', auth.authenticate(pool));
+
+  // Caches an analytics route's JSON responses (CSV/NDJSON exports stream straight from the database).
+  // Admins see the same data so they share entries; anyone else's responses depend on who they are.
+  const cached = (options = {}) => cache.middleware(responseCache, {
+    scopeKey: req => (auth.isAdmin(req.user) ? 'admin' : `user:${req.user.id}`),
+    cacheable: req => exporter.negotiateFormat(req) === 'json',
+    ...options
+  });
+
+  // Clears the response cache after a successful change that can affect any analytics response, such as
+  // a group membership or a target. Sales invalidate only the entries covering their dates instead.
+  const clearsCache = (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 300) {
+        responseCache.clear();
+      }
+    });
+    next();
+  };
+
+  // Connects for a request that changes data, so the audit log records who made the changes in which
+  // request. The request id is returned as X-Request-Id to match entries with the response.
+  async function connectForChange(req, res) {
+    const context = audit.requestContext(req);
+    res.set('X-Request-Id', context.request.id);
+    const client = await pool.connect();
+    try {
+      await audit.setContext(client, context);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    return client;
+  }
+
+  // Cache range of routes that also read the compareTo window, which always precedes the requested one
+  const withComparisonWindow = values => ({
+    startDate: values.compareTo
+      ? periods.comparisonWindow(values.startDate, values.endDate, values.compareTo).startDate
+      : values.startDate,
+    endDate: values.endDate
+  });
+
   // 1. Time series sales analytics endpoint
-  app.get('/api/sales-analytics/time-series', async (req, res) => {
+  //    With `breakdownBy` it returns one series per user, group or role instead of a single aggregate line
+  const BREAKDOWNS = {
+    // series_key is text so user/group ids and role names share a column with the "other" series
+    user: { key: 'u.id::text', name: 'u.name', join: '' },
+    role: { key: 'u.role', name: 'u.role', join: '' },
+    group: {
+      key: 'g.id::text',
+      name: 'g.name',
+      // Each sale counts towards the groups its user belonged to on the day of the sale
+      join: `JOIN user_groups ug ON u.id = ug.user_id AND ${directory.memberOn('ug', 's.date')} JOIN groups g ON ug.group_id = g.id`
+    }
+  };
+
+  const timeSeriesQuery = {
+    ...dateRangeQuery,
+    interval: fields.oneOf(INTERVALS, { default: 'month' }),
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    metric: fields.oneOf(METRICS, { default: 'all' }),
+    timezone: fields.timezone({ default: 'UTC' }),
+    breakdownBy: fields.oneOf(Object.keys(BREAKDOWNS)),
+    top: fields.integer({ min: 1, max: 100, default: 10 }),
+    includeOther: fields.boolean({ default: false })
+  };
+
+  app.get('/api/sales-analytics/time-series', validate(timeSeriesQuery), cached(), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
     const client = await pool.connect();
     try {
-      const { startDate = '2021-01-01', endDate, interval = 'month', userId, groupId, metric = 'all' } = req.query;
-      const end = endDate || new Date().toISOString().split('T')[0]; // Default to today if endDate not provided
-      const validIntervals = ['day', 'week', 'month', 'quarter', 'year'];
-      const timeInterval = validIntervals.includes(interval) ? interval : 'month'; // Ensure valid interval
+      const {
+        startDate, endDate, interval, userId: userIds, groupId: groupIds, metric, timezone, breakdownBy, top, includeOther,
+        currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
 
       let whereClauses = ['s.date >= $1', 's.date <= $2']; // Base WHERE conditions for date range
-      const params = [startDate, end];
+      const params = [startDate, endDate];
 
-      if (userId) {
-        whereClauses.push('s.user_id = $' + (params.length + 1)); // Filter by user ID
-        params.push(parseInt(userId));
+      if (userIds.length) {
+        params.push(userIds);
+        whereClauses.push(`s.user_id = ANY($${params.length}::int[])`); // Filter by user IDs
       }
-      if (groupId) {
-        whereClauses.push('ug.group_id = $' + (params.length + 1)); // Filter by group ID
-        params.push(parseInt(groupId));
+      if (groupIds.length) {
+        // Filter by group IDs: sales made while the user was in one of the groups, each counted once
+        params.push(groupIds);
+        whereClauses.push(directory.soldInGroups('s', `$${params.length}::int[]`));
       }
 
-      // Query explanation:
-      // - DATE_TRUNC groups sales by the specified time interval (e.g., month)
-      // - COUNT(s.id) counts total sales per period
-      // - SUM(s.amount) calculates total revenue per period
-      // - AVG(s.amount) computes average sale amount, rounded to 2 decimal places
-      // - COUNT(DISTINCT s.user_id) counts unique users making sales
-      // - JOIN with users table to get user details
-      // - Optional JOIN with user_groups if groupId filter is applied
-      // - WHERE clause filters by date range and optional user/group conditions
-      // - GROUP BY aggregates data by time period
-      // - ORDER BY ensures chronological order
-      const query = `
-        SELECT 
-          DATE_TRUNC('${timeInterval}', s.date) as period,
-          COUNT(s.id) as sale_count,
-          SUM(s.amount) as total_revenue,
-          AVG(s.amount)::numeric(10,2) as avg_revenue,
-          COUNT(DISTINCT s.user_id) as active_users
-        FROM sales s
-        JOIN users u ON s.user_id = u.id
-        ${groupId ? 'JOIN user_groups ug ON u.id = ug.user_id' : ''} 
-        WHERE ${whereClauses.join(' AND ')}
-        GROUP BY DATE_TRUNC('${timeInterval}', s.date)
-        ORDER BY period ASC;
-      `;
+      // Restrict to the sales the caller may see (403 if they asked for someone else's)
+      const scope = await auth.resolveScope(client, req.user, { userIds, groupIds });
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      whereClauses.push(...auth.scopeConditions(scope, params, 's.user_id'));
+      const conversion = await salesSummary(client, req.validated, { conditions: [...whereClauses], params: [...params] });
 
-      const result = await client.query(query, params);
+      // Per-group series only cover the requested groups, or the groups the caller may see
+      const seriesGroupIds = groupIds.length ? groupIds : scope.groupIds;
+      if (breakdownBy === 'group' && seriesGroupIds) {
+        params.push(seriesGroupIds);
+        whereClauses.push(`ug.group_id = ANY($${params.length}::int[])`);
+      }
+
+      params.push(timezone);
+      const timezoneParam = '$' + params.length;
+      const source = salesSource({ currency: currencyCode, adjustmentPeriod: period });
+
+      // Metrics shared by the single series and the breakdown, over sales s read from the source:
+      // - saleCount counts total sales per period, leaving out cancelled and refunded ones
+      // - revenue calculates total (net) revenue per period, grossRevenue and adjustments what it's made of
+      // - averageRevenue computes average sale amount, rounded to 2 decimal places
+      // - COUNT(DISTINCT s.user_id) counts unique users making sales (not those with only adjustments)
+      let query;
+      if (!breakdownBy) {
+        // Query explanation:
+        // - buckets CTE lists every period between startDate and endDate, so empty periods are returned too
+        // - stats CTE aggregates sales per local period:
+        //   - DATE_TRUNC groups sales by the specified time interval (e.g., month)
+        //   - JOIN with users table to get user details
+        //   - WHERE clause filters by date range and optional user/group conditions
+        // - LEFT JOIN of buckets to stats fills periods without sales with zeros
+        // - AT TIME ZONE reports each period as local midnight in the requested timezone
+        // - ORDER BY ensures chronological order
+        query = `
+          WITH buckets AS (
+            SELECT ${periods.bucketSeries(interval, '$1', '$2')} as bucket
+          ),
+          stats AS (
+            SELECT 
+              ${periods.bucketOf(interval, 's.date')} as bucket,
+              ${source.saleCount('s')} as sale_count,
+              ${source.revenue('s')} as total_revenue,
+              ${source.grossRevenue('s')} as gross_revenue,
+              ${source.adjustments('s')} as adjustments,
+              (${source.averageRevenue('s')})::numeric(10,2) as avg_revenue,
+              COUNT(DISTINCT s.user_id) FILTER (WHERE ${source.saleRows('s')}) as active_users
+            FROM ${source.table} s
+            JOIN users u ON s.user_id = u.id
+            WHERE ${whereClauses.join(' AND ')}
+            GROUP BY 1
+          )
+          SELECT
+            ${periods.periodStart('b.bucket', timezoneParam)} as period,
+            COALESCE(st.sale_count, 0) as sale_count,
+            COALESCE(st.total_revenue, 0) as total_revenue,
+            COALESCE(st.gross_revenue, 0) as gross_revenue,
+            COALESCE(st.adjustments, 0) as adjustments,
+            COALESCE(st.avg_revenue, 0) as avg_revenue,
+            COALESCE(st.active_users, 0) as active_users
+          FROM buckets b
+          LEFT JOIN stats st ON st.bucket = b.bucket
+          ORDER BY b.bucket ASC;
+        `;
+      } else {
+        const breakdown = BREAKDOWNS[breakdownBy];
+        params.push(top, includeOther);
+        const topParam = `$${params.length - 1}::int`;
+        const includeOtherParam = `$${params.length}::boolean`;
 
-      // Transform result to include only requested metrics
-      const responseData = result.rows.map(row => ({
+        // Query explanation:
+        // - buckets CTE lists every period between startDate and endDate
+        // - keyed CTE tags each matching sale with its series (user, group or role) and local period.
+        //   With breakdownBy=group a member of several groups counts towards each of their groups.
+        // - ranked CTE orders series by total revenue over the whole window
+        // - series CTE keeps the top N series, plus one "other" series for the rest when includeOther=true
+        // - stats CTE aggregates per series and period, folding series beyond the top N into "other"
+        // - CROSS JOIN of series and buckets, LEFT JOINed to stats, gives every series a full, zero-filled
+        //   list of periods
+        // - ORDER BY returns series by rank, each in chronological order
+        query = `
+          WITH buckets AS (
+            SELECT ${periods.bucketSeries(interval, '$1', '$2')} as bucket
+          ),
+          keyed AS (
+            SELECT
+              ${breakdown.key} as series_key,
+              ${breakdown.name} as series_name,
+              ${periods.bucketOf(interval, 's.date')} as bucket,
+              ${source.columns('s')},
+              s.user_id,
+              ${source.saleRows('s')} as is_sale
+            FROM ${source.table} s
+            JOIN users u ON s.user_id = u.id
+            ${breakdown.join}
+            WHERE ${whereClauses.join(' AND ')}
+          ),
+          ranked AS (
+            SELECT
+              k.series_key,
+              k.series_name,
+              ROW_NUMBER() OVER (ORDER BY ${source.revenue('k')} DESC, k.series_name, k.series_key) as series_rank
+            FROM keyed k
+            GROUP BY k.series_key, k.series_name
+          ),
+          series AS (
+            SELECT series_key, series_name, series_rank FROM ranked WHERE series_rank <= ${topParam}
+            UNION ALL
+            SELECT 'other', 'Other', ${topParam} + 1
+            FROM ranked
+            WHERE ${includeOtherParam} AND series_rank > ${topParam}
+            HAVING COUNT(*) > 0
+          ),
+          stats AS (
+            SELECT
+              CASE WHEN r.series_rank <= ${topParam} THEN k.series_key ELSE 'other' END as series_key,
+              k.bucket,
+              ${source.saleCount('k')} as sale_count,
+              ${source.revenue('k')} as total_revenue,
+              ${source.grossRevenue('k')} as gross_revenue,
+              ${source.adjustments('k')} as adjustments,
+              (${source.averageRevenue('k')})::numeric(10,2) as avg_revenue,
+              COUNT(DISTINCT k.user_id) FILTER (WHERE k.is_sale) as active_users
+            FROM keyed k
+            JOIN ranked r ON r.series_key = k.series_key
+            GROUP BY 1, 2
+          )
+          SELECT
+            se.series_key,
+            se.series_name,
+            se.series_rank,
+            ${periods.periodStart('b.bucket', timezoneParam)} as period,
+            COALESCE(st.sale_count, 0) as sale_count,
+            COALESCE(st.total_revenue, 0) as total_revenue,
+            COALESCE(st.gross_revenue, 0) as gross_revenue,
+            COALESCE(st.adjustments, 0) as adjustments,
+            COALESCE(st.avg_revenue, 0) as avg_revenue,
+            COALESCE(st.active_users, 0) as active_users
+          FROM series se
+          CROSS JOIN buckets b
+          LEFT JOIN stats st ON st.series_key = se.series_key AND st.bucket = b.bucket
+          ORDER BY se.series_rank ASC, b.bucket ASC;
+        `;
+      }
+
+      // Transform rows to include only requested metrics
+      const mapMetrics = row => ({
         period: row.period,
-        ...(metric === 'all' || metric === 'totalRevenue' ? { totalRevenue: parseFloat(row.total_revenue) } : {}),
+        ...(metric === 'all' || metric === 'totalRevenue' ? {
+          totalRevenue: roundMoney(row.total_revenue),
+          grossRevenue: roundMoney(row.gross_revenue),
+          adjustments: roundMoney(row.adjustments)
+        } : {}),
         ...(metric === 'all' || metric === 'avgRevenue' ? { averageRevenue: parseFloat(row.avg_revenue) } : {}),
         ...(metric === 'all' || metric === 'saleCount' ? { saleCount: parseInt(row.sale_count) } : {}),
         ...(metric === 'all' ? { activeUsers: parseInt(row.active_users) } : {})
-      }));
+      });
+
+      // Series keys are user/group ids as numbers, role names as strings, or "other"
+      const seriesKey = row => (
+        row.series_key === 'other' || breakdownBy === 'role' ? row.series_key : parseInt(row.series_key)
+      );
+
+      // Exports are flat, one row per series and period
+      const mapRow = breakdownBy
+        ? row => ({ key: seriesKey(row), name: row.series_name, ...mapMetrics(row) })
+        : mapMetrics;
+
+      if (format !== 'json') {
+        const filename = `sales-time-series-${breakdownBy ? 'by-' + breakdownBy + '-' : ''}${interval}-${startDate}-to-${endDate}`;
+        const columns = [
+          ...(breakdownBy ? ['key', 'name'] : []),
+          'period',
+          ...(metric === 'all' || metric === 'totalRevenue' ? ['totalRevenue', 'grossRevenue', 'adjustments'] : []),
+          ...(metric === 'all' || metric === 'avgRevenue' ? ['averageRevenue'] : []),
+          ...(metric === 'all' || metric === 'saleCount' ? ['saleCount'] : []),
+          ...(metric === 'all' ? ['activeUsers'] : [])
+        ];
+        setSummaryHeaders(res, conversion);
+        return await exporter.streamQuery(client, res, { query, params, mapRow, columns, format, filename });
+      }
 
-      res.json({ data: responseData });
+      const result = await client.query(query, params);
+      if (!breakdownBy) {
+        return res.json({ ...conversion, data: result.rows.map(mapRow) });
+      }
+
+      // Group rows into one entry per series, keeping the rank order from the query
+      const series = new Map();
+      for (const row of result.rows) {
+        if (!series.has(row.series_key)) {
+          series.set(row.series_key, {
+            key: seriesKey(row),
+            name: row.series_name,
+            rank: parseInt(row.series_rank),
+            series: []
+          });
+        }
+        series.get(row.series_key).series.push(mapMetrics(row));
+      }
+      res.json({ ...conversion, breakdownBy, data: [...series.values()] });
     } catch (err) {
       console.error(err);
       res.status(500).json({ error: 'Internal server error' });
@@ -108,58 +553,210 @@ async function start() {
     }
   });
 
-  // 2. User performance analysis endpoint
-  app.get('/api/sales-analytics/users', async (req, res) => {
+  // 2. User performance analysis endpoint (the leaderboard)
+  //    Ranks are overall: each user's position among all users by the sort metric, whatever the filters,
+  //    and their percentile among the members of each of their groups
+  const usersQuery = {
+    ...dateRangeQuery,
+    limit: fields.integer({ min: 1, max: 1000, default: 10 }),
+    compareTo: fields.oneOf(COMPARISONS),
+    sortBy: fields.oneOf(Object.keys(USER_METRICS), { default: 'totalRevenue' }),
+    order: fields.oneOf(pagination.ORDERS, { default: 'desc' }),
+    role: fields.text(),
+    groupId: fields.ids(),
+    cursor: fields.cursor(),
+    includeDistribution: fields.boolean({ default: false })
+  };
+
+  app.get('/api/sales-analytics/users', validate(usersQuery, [dateRange, pagination.cursorMatchesSort]), cached({ range: withComparisonWindow }), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
     const client = await pool.connect();
     try {
-      const { startDate = '2021-01-01', endDate, limit = 10 } = req.query;
-      const end = endDate || new Date().toISOString().split('T')[0];
+      const {
+        startDate, endDate, limit, compareTo, sortBy, order, role, groupId: groupIds, cursor, includeDistribution,
+        currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+      const comparison = compareTo ? periods.comparisonWindow(startDate, endDate, compareTo) : null;
+      const [sortColumn, prevSortColumn] = USER_METRICS[sortBy];
+
+      // Agents only see their own row, group leads see their groups' members (403 for other groups)
+      const scope = await auth.resolveScope(client, req.user, { groupIds });
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      const conversion = await salesSummary(client, req.validated, coveredSales({
+        windows: [[startDate, endDate], [comparison && comparison.startDate, comparison && comparison.endDate]],
+        scope,
+        groupIds,
+        role
+      }), coveredSales({ windows: [[startDate, endDate]], scope, groupIds, role }));
+
+      // Conditions on users u selecting the rows to list, shared by the page and total count queries.
+      // The group filter selects users who were members at some point in the window, which both put in $1
+      // and $2.
+      const userFilters = params => {
+        const clauses = auth.scopeConditions(scope, params, 'u.id');
+        if (role) {
+          params.push(role);
+          clauses.push(`u.role = $${params.length}`);
+        }
+        if (groupIds.length) {
+          params.push(groupIds);
+          clauses.push(`u.id IN (
+            SELECT user_id FROM user_groups ug
+            WHERE group_id = ANY($${params.length}::int[]) AND ${directory.memberDuring('ug', '$1', '$2')}
+          )`);
+        }
+        return clauses;
+      };
+
+      const params = [startDate, endDate, comparison && comparison.startDate, comparison && comparison.endDate];
+      const whereClauses = userFilters(params);
+      // With a group filter, users are credited with the sales they made while in the groups
+      let salesInGroups = '';
+      if (groupIds.length) {
+        params.push(groupIds);
+        salesInGroups = 'AND ' + directory.soldInGroups('s', `$${params.length}::int[]`);
+      }
+      if (cursor) {
+        whereClauses.push(pagination.afterCursor(cursor, params, 'r.sort_value', 'r.id'));
+      }
+      // One extra row tells the JSON response whether there is a next page
+      params.push(format === 'json' ? limit + 1 : limit);
+      const direction = order.toUpperCase();
+
+      // Amount distributions need individual sales; everything else can come from the daily rollups
+      const source = salesSource({ perSale: includeDistribution, currency: currencyCode, adjustmentPeriod: period });
+      const current = 's.date BETWEEN $1 AND $2';
+      const previous = 's.date BETWEEN $3 AND $4';
 
       // Query explanation:
-      // - SELECT includes user details (id, name, role) and performance metrics
-      // - COUNT(s.id) counts total sales per user
-      // - SUM(s.amount) calculates total revenue per user
-      // - AVG(s.amount) computes average sale amount per user
-      // - COUNT(DISTINCT DATE_TRUNC) counts unique days with sales (active days)
-      // - json_agg(g.name) aggregates group names into a JSON array
-      // - LEFT JOIN with sales filters by date range and allows users with 0 sales
-      // - LEFT JOIN with user_groups and groups to get group affiliations
-      // - GROUP BY user details to aggregate per user
-      // - ORDER BY total_revenue DESC prioritizes top performers (NULLS LAST handles users with no sales)
-      // - LIMIT restricts to top N users
+      // - user_stats CTE computes performance metrics for every user for the selected window ($1-$2) and,
+      //   with compareTo, the comparison window ($3-$4; both NULL otherwise so nothing matches)
+      //   - saleCount counts total sales per user
+      //   - revenue calculates total (net) revenue per user, grossRevenue and adjustments what it's made of
+      //   - averageRevenue computes average sale amount per user
+      //   - COUNT(DISTINCT s.date) counts unique days with sales (active days)
+      //   - with includeDistribution, percentiles, min/max and standard deviation of sale amounts
+      //   - FILTER splits each metric between the two windows
+      //   - LEFT JOIN with sales filters by date range and allows users with 0 sales. With groupId, only
+      //     sales made while the user was in one of the groups count.
+      // - ranked CTE ranks all users by the sort metric in each window, before any filtering
+      // - user_group_stats CTE gives each user's groups during the window and their CUME_DIST percentile
+      //   among each group's members in the window (100 = top of the group). It's joined after aggregating
+      //   so members of several groups don't have their sales counted once per group.
+      // - Main query:
+      //   - WHERE restricts to the users the caller may see and the role/group filters, and continues
+      //     after the cursor's (sort value, id)
+      //   - ORDER BY sort_value, id gives a stable order for keyset pagination
+      //   - LIMIT restricts to one page
       const query = `
-        SELECT 
-          u.id,
-          u.name,
-          u.role,
-          COUNT(s.id) as sale_count,
-          SUM(s.amount) as total_revenue,
-          AVG(s.amount)::numeric(10,2) as avg_revenue,
-          COUNT(DISTINCT DATE_TRUNC('day', s.date)) as active_days,
-          json_agg(g.name) as groups
-        FROM users u
-        LEFT JOIN sales s ON u.id = s.user_id AND s.date BETWEEN $1 AND $2
-        LEFT JOIN user_groups ug ON u.id = ug.user_id
-        LEFT JOIN groups g ON ug.group_id = g.id
-        GROUP BY u.id, u.name, u.role
-        ORDER BY total_revenue DESC NULLS LAST
-        LIMIT $3;
+        WITH user_stats AS (
+          SELECT 
+            u.id,
+            u.name,
+            u.role,
+            ${source.saleCount('s', current)} as sale_count,
+            COALESCE(${source.revenue('s', current)}, 0) as total_revenue,
+            COALESCE(${source.grossRevenue('s', current)}, 0) as gross_revenue,
+            COALESCE(${source.adjustments('s', current)}, 0) as adjustments,
+            COALESCE(${source.averageRevenue('s', current)}, 0)::numeric(10,2) as avg_revenue,
+            COUNT(DISTINCT s.date) FILTER (WHERE ${source.saleRows('s', current)}) as active_days,
+            ${source.saleCount('s', previous)} as prev_sale_count,
+            COALESCE(${source.revenue('s', previous)}, 0) as prev_total_revenue,
+            COALESCE(${source.averageRevenue('s', previous)}, 0)::numeric(10,2) as prev_avg_revenue,
+            COUNT(DISTINCT s.date) FILTER (WHERE ${source.saleRows('s', previous)}) as prev_active_days
+            ${includeDistribution ? ',' + distribution.statsColumns('s.amount', source.saleRows('s', current)) : ''}
+          FROM users u
+          LEFT JOIN ${source.table} s ON u.id = s.user_id AND (s.date BETWEEN $1 AND $2 OR s.date BETWEEN $3 AND $4) ${salesInGroups}
+          GROUP BY u.id, u.name, u.role
+        ),
+        ranked AS (
+          SELECT
+            us.*,
+            us.${sortColumn}::numeric as sort_value,
+            RANK() OVER (ORDER BY us.${sortColumn} DESC) as overall_rank,
+            RANK() OVER (ORDER BY us.${prevSortColumn} DESC) as prev_overall_rank
+          FROM user_stats us
+        ),
+        user_group_stats AS (
+          SELECT
+            gp.user_id,
+            json_agg(gp.group_name ORDER BY gp.group_name) as groups,
+            json_agg(json_build_object(
+              'groupId', gp.group_id, 'name', gp.group_name, 'percentile', gp.percentile
+            ) ORDER BY gp.group_name) as group_percentiles
+          FROM (
+            SELECT
+              ug.user_id,
+              g.id as group_id,
+              g.name as group_name,
+              ROUND((CUME_DIST() OVER (PARTITION BY g.id ORDER BY us.${sortColumn}) * 100)::numeric, 2) as percentile
+            FROM (
+              SELECT DISTINCT ug.user_id, ug.group_id FROM user_groups ug WHERE ${directory.memberDuring('ug', '$1', '$2')}
+            ) ug
+            JOIN groups g ON ug.group_id = g.id
+            JOIN user_stats us ON ug.user_id = us.id
+          ) gp
+          GROUP BY gp.user_id
+        )
+        SELECT
+          r.*,
+          COALESCE(ugs.groups, '[]'::json) as groups,
+          COALESCE(ugs.group_percentiles, '[]'::json) as group_percentiles
+        FROM ranked r
+        JOIN users u ON r.id = u.id
+        LEFT JOIN user_group_stats ugs ON r.id = ugs.user_id
+        ${whereClauses.length ? 'WHERE ' + whereClauses.join(' AND ') : ''}
+        ORDER BY r.sort_value ${direction}, r.id ${direction}
+        LIMIT $${params.length};
       `;
 
-      const result = await client.query(query, [startDate, end, parseInt(limit)]);
+      // Transform rows to clean up data types
+      const mapRow = row => ({
+        userId: row.id,
+        name: row.name,
+        role: row.role,
+        saleCount: parseInt(row.sale_count),
+        totalRevenue: roundMoney(row.total_revenue),
+        grossRevenue: roundMoney(row.gross_revenue),
+        adjustments: roundMoney(row.adjustments),
+        averageRevenue: parseFloat(row.avg_revenue) || 0,
+        activeDays: parseInt(row.active_days),
+        groups: row.groups,
+        rank: parseInt(row.overall_rank),
+        groupPercentiles: row.group_percentiles,
+        ...(includeDistribution ? { amountDistribution: distribution.mapStats(row) } : {}),
+        ...(compareTo ? comparisonFields(row, USER_METRICS) : {})
+      });
+
+      if (format !== 'json') {
+        const filename = `sales-users-${startDate}-to-${endDate}${compareTo ? '-vs-' + compareTo : ''}`;
+        // rank is among the comparison fields too, but keeps its place
+        const columns = [...new Set([
+          'userId', 'name', 'role', 'saleCount', 'totalRevenue', 'grossRevenue', 'adjustments', 'averageRevenue',
+          'activeDays', 'groups', 'rank', 'groupPercentiles',
+          ...(includeDistribution ? ['amountDistribution'] : []),
+          ...(compareTo ? comparisonColumns(USER_METRICS) : [])
+        ])];
+        setSummaryHeaders(res, conversion);
+        return await exporter.streamQuery(client, res, { query, params, mapRow, columns, format, filename });
+      }
+
+      const countParams = groupIds.length ? [startDate, endDate] : [];
+      const countClauses = userFilters(countParams);
+      const result = await client.query(query, params);
+      const countResult = await client.query(`
+        SELECT COUNT(*) as total FROM users u
+        ${countClauses.length ? 'WHERE ' + countClauses.join(' AND ') : ''};
+      `, countParams);
+      const page = pagination.paginate(result.rows, { limit, sortBy, order }, row => ({ value: row.sort_value, id: row.id }));
 
-      // Transform result to clean up data types and filter null groups
       res.json({
-        data: result.rows.map(row => ({
-          userId: row.id,
-          name: row.name,
-          role: row.role,
-          saleCount: parseInt(row.sale_count),
-          totalRevenue: parseFloat(row.total_revenue) || 0,
-          averageRevenue: parseFloat(row.avg_revenue) || 0,
-          activeDays: parseInt(row.active_days),
-          groups: row.groups.filter(g => g !== null) // Remove nulls from users not in groups
-        }))
+        ...conversion,
+        ...(comparison ? { comparison: { compareTo, ...comparison } } : {}),
+        data: page.rows.map(mapRow),
+        pagination: { total: parseInt(countResult.rows[0].total), limit, nextCursor: page.nextCursor }
       });
     } catch (err) {
       console.error(err);
@@ -169,52 +766,383 @@ async function start() {
     }
   });
 
+  // 2b. Agent profile endpoint
+  //     Lifetime and in-window totals, best day and month, selling streaks, day-of-week patterns and rank
+  //     within each of the user's groups over time (see profile.js)
+  // Lifetime figures and streaks read all of the user's sales, so any new sale invalidates cached profiles
+  const userProfileQuery = {
+    startDate: fields.date({ default: DEFAULT_START_DATE }),
+    endDate: fields.date({ default: today }),
+    interval: fields.oneOf(INTERVALS, { default: 'month' }),
+    timezone: fields.timezone({ default: 'UTC' }),
+    currency: reportingCurrency,
+    adjustmentPeriod
+  };
+
+  app.get('/api/sales-analytics/users/:id', validate(userProfileQuery), cached({ range: () => null }), async (req, res) => {
+    const { values: { id: userId }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await pool.connect();
+    try {
+      // Agents may view their own profile, group leads their members', admins anyone's
+      if (!(await auth.resolveScope(client, req.user, { userIds: [userId] }))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const userProfile = await profile.loadProfile(client, userId, req.validated);
+      if (!userProfile) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      // Lifetime figures cover all of the user's sales
+      const conversion = await salesSummary(client, req.validated, coveredSales({ userIds: [userId] }));
+      res.json({ ...conversion, ...userProfile });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
   // 3. Group performance comparison endpoint
-  app.get('/api/sales-analytics/groups', async (req, res) => {
+  const groupsQuery = {
+    ...dateRangeQuery,
+    compareTo: fields.oneOf(COMPARISONS),
+    attribution: fields.oneOf(Object.keys(ATTRIBUTION_WEIGHTS), { default: 'full' }),
+    includeDistribution: fields.boolean({ default: false })
+  };
+
+  app.get('/api/sales-analytics/groups', validate(groupsQuery), cached({ range: withComparisonWindow }), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
     const client = await pool.connect();
     try {
-      const { startDate = '2021-01-01', endDate } = req.query;
-      const end = endDate || new Date().toISOString().split('T')[0];
+      const {
+        startDate, endDate, compareTo, attribution, includeDistribution, currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+      const comparison = compareTo ? periods.comparisonWindow(startDate, endDate, compareTo) : null;
+      const weight = ATTRIBUTION_WEIGHTS[attribution];
+
+      // Non-admins only see the groups they belong to
+      const params = [startDate, endDate, comparison && comparison.startDate, comparison && comparison.endDate];
+      const groupIds = auth.visibleGroupIds(req.user);
+      if (groupIds) {
+        params.push(groupIds);
+      }
+      const conversion = await salesSummary(client, req.validated, coveredSales({
+        windows: [[startDate, endDate], [params[2], params[3]]],
+        groupIds: groupIds || []
+      }), coveredSales({ windows: [[startDate, endDate]], groupIds: groupIds || [] }));
+
+      // Sales credited to groups, as sg: daily_group_sales, or with includeDistribution (which needs
+      // individual amounts) the sale_groups CTE crediting each sale to the groups its user belonged to
+      // that day
+      const inWindows = alias => `(${alias}.date BETWEEN $1 AND $2 OR ${alias}.date BETWEEN $3 AND $4)`;
+      const source = salesSource({ perSale: includeDistribution, currency: currencyCode, adjustmentPeriod: period });
+      const groupSales = source.name === 'daily'
+        ? {
+          cte: '',
+          join: `LEFT JOIN ${source.groupTable} sg ON g.id = sg.group_id AND ${inWindows('sg')}`,
+          saleCount: filter => `COALESCE(SUM(sg.sale_count) FILTER (WHERE ${filter}), 0)`,
+          revenue: filter => `SUM(sg.${attribution === 'split' ? 'split_revenue' : 'total_revenue'}) FILTER (WHERE ${filter})`,
+          grossRevenue: filter => `SUM(sg.${attribution === 'split' ? 'split_gross_revenue' : 'gross_revenue'}) FILTER (WHERE ${filter})`,
+          adjustments: filter => `SUM(sg.${attribution === 'split' ? 'split_adjustment_total' : 'adjustment_total'}) FILTER (WHERE ${filter})`,
+          averageRevenue: filter => `(SUM(sg.total_revenue) FILTER (WHERE ${filter}))::numeric / NULLIF(SUM(sg.sale_count) FILTER (WHERE ${filter}), 0)`
+        }
+        : {
+          cte: directory.saleGroupsCte(inWindows('s'), source.table) + ',',
+          join: 'LEFT JOIN sale_groups sg ON g.id = sg.group_id',
+          saleCount: filter => `COALESCE(SUM(sg.sale_count) FILTER (WHERE ${filter}), 0)`,
+          revenue: filter => `SUM(sg.amount * ${weight}) FILTER (WHERE ${filter})`,
+          grossRevenue: filter => `SUM(sg.gross_amount * ${weight}) FILTER (WHERE ${filter})`,
+          adjustments: filter => `SUM(sg.adjustment_amount * ${weight}) FILTER (WHERE ${filter})`,
+          averageRevenue: filter => (
+            `(SUM(sg.amount) FILTER (WHERE ${filter}))::numeric / NULLIF(SUM(sg.sale_count) FILTER (WHERE ${filter}), 0)`
+          )
+        };
+      const current = 'sg.date BETWEEN $1 AND $2';
+      const previous = 'sg.date BETWEEN $3 AND $4';
 
       // Query explanation:
-      // - SELECT includes group details (id, name) and performance metrics
-      // - COUNT(DISTINCT ug.user_id) counts unique members per group
-      // - COUNT(s.id) counts total sales per group
-      // - SUM(s.amount) calculates total revenue per group
-      // - AVG(s.amount) computes average sale amount
-      // - SUM(s.amount) / COUNT(DISTINCT ug.user_id) calculates revenue per member
-      // - LEFT JOIN ensures all groups are included, even those with no sales
-      // - WHERE filters sales by date range
-      // - GROUP BY aggregates by group
-      // - ORDER BY total_revenue DESC prioritizes top-performing groups (NULLS LAST for no sales)
+      // - group_members CTE counts the distinct users who were members at some point in each window
+      // - group_stats CTE computes metrics per group for the selected window ($1-$2) and, with compareTo,
+      //   the comparison window ($3-$4; both NULL otherwise so nothing matches)
+      //   - saleCount counts total sales credited to each group
+      //   - revenue calculates the (net) revenue attributed to each group, grossRevenue and adjustments what
+      //     it's made of
+      //   - averageRevenue computes average sale amount
+      //   - with includeDistribution, percentiles, min/max and standard deviation of the sale amounts
+      //   - FILTER splits each metric between the two windows
+      //   - LEFT JOINs ensure all groups are included, even those with no members or sales
+      //   - WHERE g.id = ANY restricts to the caller's groups for non-admins
+      // - Main query:
+      //   - total_revenue / member_count calculates revenue per member
+      //   - RANK orders groups by total revenue in each window
+      //   - ORDER BY total_revenue DESC prioritizes top-performing groups
       const query = `
-        SELECT 
-          g.id,
-          g.name,
-          COUNT(DISTINCT ug.user_id) as member_count,
-          COUNT(s.id) as sale_count,
-          SUM(s.amount) as total_revenue,
-          AVG(s.amount)::numeric(10,2) as avg_revenue_per_sale,
-          SUM(s.amount)::numeric / COUNT(DISTINCT ug.user_id) as avg_revenue_per_member
-        FROM groups g
-        LEFT JOIN user_groups ug ON g.id = ug.group_id
-        LEFT JOIN sales s ON ug.user_id = s.user_id AND s.date BETWEEN $1 AND $2
-        GROUP BY g.id, g.name
-        ORDER BY total_revenue DESC NULLS LAST;
+        WITH ${groupSales.cte}
+        group_members AS (
+          SELECT
+            ug.group_id,
+            COUNT(DISTINCT ug.user_id) FILTER (WHERE ${directory.memberDuring('ug', '$1', '$2')}) as member_count,
+            COUNT(DISTINCT ug.user_id) FILTER (
+              WHERE $3::date IS NOT NULL AND ${directory.memberDuring('ug', '$3', '$4')}
+            ) as prev_member_count
+          FROM user_groups ug
+          GROUP BY ug.group_id
+        ),
+        group_stats AS (
+          SELECT 
+            g.id,
+            g.name,
+            COALESCE(gm.member_count, 0) as member_count,
+            COALESCE(gm.prev_member_count, 0) as prev_member_count,
+            ${groupSales.saleCount(current)} as sale_count,
+            COALESCE(${groupSales.revenue(current)}, 0) as total_revenue,
+            COALESCE(${groupSales.grossRevenue(current)}, 0) as gross_revenue,
+            COALESCE(${groupSales.adjustments(current)}, 0) as adjustments,
+            (${groupSales.averageRevenue(current)})::numeric(10,2) as avg_revenue_per_sale,
+            ${groupSales.saleCount(previous)} as prev_sale_count,
+            COALESCE(${groupSales.revenue(previous)}, 0) as prev_total_revenue,
+            (${groupSales.averageRevenue(previous)})::numeric(10,2) as prev_avg_revenue_per_sale
+            ${includeDistribution ? ',' + distribution.statsColumns('sg.amount', `sg.sale_count > 0 AND ${current}`) : ''}
+          FROM groups g
+          LEFT JOIN group_members gm ON g.id = gm.group_id
+          ${groupSales.join}
+          ${groupIds ? 'WHERE g.id = ANY($5::int[])' : ''}
+          GROUP BY g.id, g.name, gm.member_count, gm.prev_member_count
+        )
+        SELECT
+          gs.*,
+          gs.total_revenue::numeric / NULLIF(gs.member_count, 0) as avg_revenue_per_member,
+          gs.prev_total_revenue::numeric / NULLIF(gs.prev_member_count, 0) as prev_avg_revenue_per_member,
+          RANK() OVER (ORDER BY gs.total_revenue DESC) as overall_rank,
+          RANK() OVER (ORDER BY gs.prev_total_revenue DESC) as prev_overall_rank
+        FROM group_stats gs
+        ORDER BY gs.total_revenue DESC, gs.id ASC;
       `;
 
-      const result = await client.query(query, [startDate, end]);
+      // Transform rows to clean up data types
+      const mapRow = row => ({
+        groupId: row.id,
+        name: row.name,
+        memberCount: parseInt(row.member_count),
+        saleCount: parseInt(row.sale_count),
+        totalRevenue: roundMoney(row.total_revenue),
+        grossRevenue: roundMoney(row.gross_revenue),
+        adjustments: roundMoney(row.adjustments),
+        avgRevenuePerSale: parseFloat(row.avg_revenue_per_sale) || 0,
+        avgRevenuePerMember: parseFloat(row.avg_revenue_per_member) || 0,
+        ...(includeDistribution ? { amountDistribution: distribution.mapStats(row) } : {}),
+        ...(compareTo ? comparisonFields(row, GROUP_COMPARISON_METRICS) : {})
+      });
+
+      if (format !== 'json') {
+        const filename = `sales-groups-${startDate}-to-${endDate}${compareTo ? '-vs-' + compareTo : ''}`;
+        const columns = [
+          'groupId', 'name', 'memberCount', 'saleCount', 'totalRevenue', 'grossRevenue', 'adjustments',
+          'avgRevenuePerSale', 'avgRevenuePerMember',
+          ...(includeDistribution ? ['amountDistribution'] : []),
+          ...(compareTo ? comparisonColumns(GROUP_COMPARISON_METRICS) : [])
+        ];
+        setSummaryHeaders(res, conversion);
+        return await exporter.streamQuery(client, res, { query, params, mapRow, columns, format, filename });
+      }
 
-      // Transform result to clean up data types
+      const result = await client.query(query, params);
       res.json({
-        data: result.rows.map(row => ({
-          groupId: row.id,
-          name: row.name,
-          memberCount: parseInt(row.member_count),
+        ...conversion,
+        attribution,
+        ...(comparison ? { comparison: { compareTo, ...comparison } } : {}),
+        data: result.rows.map(mapRow)
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 3b. Group drill-down endpoint
+  //     Members with their share of the group's revenue, the group's time series, and its best and worst
+  //     performers. Member figures are only visible to admins and the group's leads.
+  const groupDetailQuery = {
+    startDate: fields.date({ default: DEFAULT_START_DATE }),
+    endDate: fields.date({ default: today }),
+    interval: fields.oneOf(INTERVALS, { default: 'month' }),
+    timezone: fields.timezone({ default: 'UTC' }),
+    attribution: fields.oneOf(Object.keys(ATTRIBUTION_WEIGHTS), { default: 'full' }),
+    performers: fields.integer({ min: 1, max: 100, default: 3 }),
+    currency: reportingCurrency,
+    adjustmentPeriod
+  };
+
+  app.get('/api/sales-analytics/groups/:id', validate(groupDetailQuery), cached(), async (req, res) => {
+    const { values: { id: groupId }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await pool.connect();
+    try {
+      const {
+        startDate, endDate, interval, timezone, attribution, performers, currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+      const weight = ATTRIBUTION_WEIGHTS[attribution];
+      const convertedSales = currency.salesIn(currencyCode, period);
+
+      if (!(await auth.resolveScope(client, req.user, { groupIds: [groupId] }))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const groupResult = await client.query('SELECT id, name FROM groups WHERE id = $1;', [groupId]);
+      if (groupResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      // Query explanation:
+      // - sale_groups CTE credits each sale in the date range to the groups its user belonged to that day
+      // - members CTE lists everyone who was a member of group $3 at some point in the date range
+      // - For each member:
+      //   - SUM(sg.sale_count) counts their sales made while in the group, less cancelled and refunded ones
+      //   - SUM(sg.amount) is their own revenue from those sales; weighted, the revenue attributed to the group,
+      //     along with the gross revenue and adjustments it's made of
+      //   - group_count is the number of groups they belonged to during the date range
+      //   - LEFT JOIN keeps members without sales
+      // - revenue_share is the member's percentage of the group's attributed revenue
+      // - ORDER BY attributed_revenue DESC lists the best performers first
+      const membersQuery = `
+        WITH ${directory.saleGroupsCte('s.date BETWEEN $1 AND $2', convertedSales)},
+        members AS (
+          SELECT DISTINCT ug.user_id
+          FROM user_groups ug
+          WHERE ug.group_id = $3 AND ${directory.memberDuring('ug', '$1', '$2')}
+        ),
+        member_stats AS (
+          SELECT
+            u.id,
+            u.name,
+            u.role,
+            (
+              SELECT COUNT(DISTINCT ug.group_id) FROM user_groups ug
+              WHERE ug.user_id = u.id AND ${directory.memberDuring('ug', '$1', '$2')}
+            ) as group_count,
+            COALESCE(SUM(sg.sale_count), 0) as sale_count,
+            COALESCE(SUM(sg.amount), 0) as own_revenue,
+            COALESCE(SUM(sg.amount * ${weight}), 0) as attributed_revenue,
+            COALESCE(SUM(sg.gross_amount * ${weight}), 0) as attributed_gross_revenue,
+            COALESCE(SUM(sg.adjustment_amount * ${weight}), 0) as attributed_adjustments
+          FROM members m
+          JOIN users u ON m.user_id = u.id
+          LEFT JOIN sale_groups sg ON sg.user_id = u.id AND sg.group_id = $3
+          GROUP BY u.id, u.name, u.role
+        )
+        SELECT
+          ms.*,
+          ms.attributed_revenue * 100 / NULLIF(SUM(ms.attributed_revenue) OVER (), 0) as revenue_share
+        FROM member_stats ms
+        ORDER BY ms.attributed_revenue DESC, ms.id ASC;
+      `;
+
+      // Query explanation:
+      // - buckets CTE lists every period between startDate and endDate, so empty periods are returned too
+      // - stats CTE aggregates the sales credited to the group per local period, weighted by attribution
+      // - LEFT JOIN of buckets to stats fills periods without sales with zeros
+      // - AT TIME ZONE reports each period as local midnight in the requested timezone
+      const seriesQuery = `
+        WITH ${directory.saleGroupsCte('s.date BETWEEN $1 AND $2', convertedSales)},
+        buckets AS (
+          SELECT ${periods.bucketSeries(interval, '$1', '$2')} as bucket
+        ),
+        stats AS (
+          SELECT
+            ${periods.bucketOf(interval, 'sg.date')} as bucket,
+            SUM(sg.sale_count) as sale_count,
+            SUM(sg.amount * ${weight}) as total_revenue,
+            SUM(sg.gross_amount * ${weight}) as gross_revenue,
+            SUM(sg.adjustment_amount * ${weight}) as adjustments,
+            COUNT(DISTINCT sg.user_id) FILTER (WHERE sg.sale_count > 0) as active_members
+          FROM sale_groups sg
+          WHERE sg.group_id = $3
+          GROUP BY 1
+        )
+        SELECT
+          ${periods.periodStart('b.bucket', '$4')} as period,
+          COALESCE(st.sale_count, 0) as sale_count,
+          COALESCE(st.total_revenue, 0) as total_revenue,
+          COALESCE(st.gross_revenue, 0) as gross_revenue,
+          COALESCE(st.adjustments, 0) as adjustments,
+          COALESCE(st.active_members, 0) as active_members
+        FROM buckets b
+        LEFT JOIN stats st ON st.bucket = b.bucket
+        ORDER BY b.bucket ASC;
+      `;
+
+      const membersResult = await client.query(membersQuery, [startDate, endDate, groupId]);
+      const seriesResult = await client.query(seriesQuery, [startDate, endDate, groupId, timezone]);
+      const conversion = await salesSummary(client, req.validated, coveredSales({
+        windows: [[startDate, endDate]],
+        groupIds: [groupId]
+      }), null);
+
+      const members = membersResult.rows.map(row => ({
+        userId: row.id,
+        name: row.name,
+        role: row.role,
+        groupCount: parseInt(row.group_count),
+        // The share of the member's revenue credited to the group, which varies with the number of groups
+        // they were in on each sale's date; without sales, as if they were in all of them at once
+        attributionShare: parseFloat((parseFloat(row.own_revenue) > 0
+          ? row.attributed_revenue / row.own_revenue
+          : (attribution === 'split' ? 1 / parseInt(row.group_count) : 1)).toFixed(4)),
+        saleCount: parseInt(row.sale_count),
+        ownRevenue: roundMoney(row.own_revenue),
+        totalRevenue: roundMoney(row.attributed_revenue),
+        grossRevenue: roundMoney(row.attributed_gross_revenue),
+        adjustments: roundMoney(row.attributed_adjustments),
+        revenueShare: row.revenue_share === null ? 0 : parseFloat(parseFloat(row.revenue_share).toFixed(2))
+      }));
+
+      // Performers are ranked on their own revenue, so splitting doesn't count against multi-group members
+      const byOwnRevenue = [...members].sort((a, b) => b.ownRevenue - a.ownRevenue || a.userId - b.userId);
+
+      const saleCount = members.reduce((sum, member) => sum + member.saleCount, 0);
+      const ownRevenue = members.reduce((sum, member) => sum + member.ownRevenue, 0);
+      const totalRevenue = roundMoney(members.reduce((sum, member) => sum + member.totalRevenue, 0));
+      const grossRevenue = roundMoney(members.reduce((sum, member) => sum + member.grossRevenue, 0));
+      const adjustments = roundMoney(members.reduce((sum, member) => sum + member.adjustments, 0));
+
+      res.json({
+        ...conversion,
+        // The group's revenue as attributed to it, like the summary
+        revenue: { gross: grossRevenue, adjustments, net: totalRevenue },
+        groupId,
+        name: groupResult.rows[0].name,
+        startDate,
+        endDate,
+        attribution,
+        summary: {
+          memberCount: members.length,
+          saleCount,
+          totalRevenue,
+          grossRevenue,
+          adjustments,
+          avgRevenuePerSale: saleCount ? roundMoney(ownRevenue / saleCount) : 0,
+          avgRevenuePerMember: members.length ? roundMoney(totalRevenue / members.length) : 0
+        },
+        members,
+        bestPerformers: byOwnRevenue.slice(0, performers),
+        worstPerformers: byOwnRevenue.slice(-performers).reverse(),
+        series: seriesResult.rows.map(row => ({
+          period: row.period,
           saleCount: parseInt(row.sale_count),
-          totalRevenue: parseFloat(row.total_revenue) || 0,
-          avgRevenuePerSale: parseFloat(row.avg_revenue_per_sale) || 0,
-          avgRevenuePerMember: parseFloat(row.avg_revenue_per_member) || 0
+          totalRevenue: roundMoney(row.total_revenue),
+          grossRevenue: roundMoney(row.gross_revenue),
+          adjustments: roundMoney(row.adjustments),
+          activeMembers: parseInt(row.active_members)
         }))
       });
     } catch (err) {
@@ -226,58 +1154,230 @@ async function start() {
   });
 
   // 4. Sales trends and statistics endpoint
-  app.get('/api/sales-analytics/trends', async (req, res) => {
+  const trendsQuery = {
+    ...dateRangeQuery,
+    interval: fields.oneOf(INTERVALS, { default: 'month' }),
+    timezone: fields.timezone({ default: 'UTC' })
+  };
+
+  app.get('/api/sales-analytics/trends', validate(trendsQuery), cached(), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
     const client = await pool.connect();
     try {
-      const { startDate = '2021-01-01', endDate, interval = 'month' } = req.query;
-      const end = endDate || new Date().toISOString().split('T')[0];
-      const validIntervals = ['day', 'week', 'month', 'quarter', 'year'];
-      const timeInterval = validIntervals.includes(interval) ? interval : 'month';
+      const { startDate, endDate, interval, timezone, currency: currencyCode, adjustmentPeriod: period } = req.validated;
+
+      // Agents see trends for their own sales, group leads for their groups' sales
+      const params = [startDate, endDate];
+      const scope = await auth.resolveScope(client, req.user);
+      const whereClauses = ['s.date BETWEEN $1 AND $2', ...auth.scopeConditions(scope, params, 's.user_id')];
+      const conversion = await salesSummary(client, req.validated, { conditions: whereClauses, params: [...params] });
+      params.push(timezone);
+      const source = salesSource({ currency: currencyCode, adjustmentPeriod: period });
 
       // Query explanation:
-      // - WITH stats CTE (Common Table Expression) calculates base metrics per period
+      // - buckets CTE lists every period between startDate and endDate
+      // - stats CTE (Common Table Expression) calculates base metrics per period
       //   - DATE_TRUNC groups sales by time interval
-      //   - SUM(s.amount) computes total revenue
-      //   - COUNT(s.id) counts sales
-      //   - LAG(SUM(s.amount)) gets the previous period's revenue for growth calculation
-      // - Main query:
-      //   - Selects period, revenue, and sale count
-      //   - CASE calculates growth percentage: (current - previous) / previous * 100
+      //   - revenue computes total (net) revenue, grossRevenue and adjustments what it's made of
+      //   - saleCount counts sales
       //   - WHERE filters by date range
+      // - filled CTE LEFT JOINs buckets to stats so periods without sales count as zero
+      // - Main query:
+      //   - Selects period (local midnight in the requested timezone), revenue, and sale count
+      //   - LAG gets the previous calendar period's revenue, which may be zero
+      //   - CASE calculates growth percentage: (current - previous) / previous * 100,
+      //     or NULL when there is no previous period or it had no revenue
       //   - ORDER BY ensures chronological order
       const query = `
-        WITH stats AS (
+        WITH buckets AS (
+          SELECT ${periods.bucketSeries(interval, '$1', '$2')} as bucket
+        ),
+        stats AS (
           SELECT 
-            DATE_TRUNC('${timeInterval}', s.date) as period,
-            SUM(s.amount) as total_revenue,
-            COUNT(s.id) as sale_count,
-            LAG(SUM(s.amount)) OVER (ORDER BY DATE_TRUNC('${timeInterval}', s.date)) as prev_revenue
-          FROM sales s
-          WHERE s.date BETWEEN $1 AND $2
-          GROUP BY DATE_TRUNC('${timeInterval}', s.date)
+            ${periods.bucketOf(interval, 's.date')} as bucket,
+            ${source.revenue('s')} as total_revenue,
+            ${source.grossRevenue('s')} as gross_revenue,
+            ${source.adjustments('s')} as adjustments,
+            ${source.saleCount('s')} as sale_count
+          FROM ${source.table} s
+          WHERE ${whereClauses.join(' AND ')}
+          GROUP BY 1
+        ),
+        filled AS (
+          SELECT
+            b.bucket,
+            COALESCE(st.total_revenue, 0) as total_revenue,
+            COALESCE(st.gross_revenue, 0) as gross_revenue,
+            COALESCE(st.adjustments, 0) as adjustments,
+            COALESCE(st.sale_count, 0) as sale_count,
+            LAG(COALESCE(st.total_revenue, 0)) OVER (ORDER BY b.bucket) as prev_revenue
+          FROM buckets b
+          LEFT JOIN stats st ON st.bucket = b.bucket
         )
         SELECT 
-          period,
+          ${periods.periodStart('bucket', '$' + params.length)} as period,
           total_revenue,
+          gross_revenue,
+          adjustments,
           sale_count,
           CASE 
-            WHEN prev_revenue IS NOT NULL 
-            THEN ((total_revenue - prev_revenue) / prev_revenue * 100)::numeric(10,2)
+            WHEN prev_revenue > 0 
+            THEN ((total_revenue - prev_revenue)::numeric / prev_revenue * 100)::numeric(10,2)
             ELSE NULL 
           END as growth_percentage
-        FROM stats
-        ORDER BY period ASC;
+        FROM filled
+        ORDER BY bucket ASC;
+      `;
+
+      // Transform rows to clean up data types
+      const mapRow = row => ({
+        period: row.period,
+        totalRevenue: roundMoney(row.total_revenue),
+        grossRevenue: roundMoney(row.gross_revenue),
+        adjustments: roundMoney(row.adjustments),
+        saleCount: parseInt(row.sale_count),
+        growthPercentage: row.growth_percentage !== null ? parseFloat(row.growth_percentage) : null
+      });
+
+      if (format !== 'json') {
+        const filename = `sales-trends-${interval}-${startDate}-to-${endDate}`;
+        const columns = ['period', 'totalRevenue', 'grossRevenue', 'adjustments', 'saleCount', 'growthPercentage'];
+        setSummaryHeaders(res, conversion);
+        return await exporter.streamQuery(client, res, { query, params, mapRow, columns, format, filename });
+      }
+
+      const result = await client.query(query, params);
+      res.json({ ...conversion, data: result.rows.map(mapRow) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 4b. Sale-amount distribution endpoint
+  //     Median, percentiles, spread and a histogram of sale amounts for the filtered sales
+  const distributionQuery = {
+    startDate: fields.date({ default: DEFAULT_START_DATE }),
+    endDate: fields.date({ default: today }),
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    role: fields.text(),
+    bins: fields.integer({ min: 1, max: distribution.MAX_BINS, default: 10 }),
+    currency: reportingCurrency,
+    adjustmentPeriod
+  };
+
+  app.get('/api/sales-analytics/distribution', validate(distributionQuery), cached(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const {
+        startDate, endDate, userId: userIds, groupId: groupIds, role, bins, currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+
+      const whereClauses = ['s.date >= $1', 's.date <= $2'];
+      const params = [startDate, endDate, bins];
+
+      if (userIds.length) {
+        params.push(userIds);
+        whereClauses.push(`s.user_id = ANY($${params.length}::int[])`);
+      }
+      if (groupIds.length) {
+        // Sales made while the user was in one of the groups, each counted once
+        params.push(groupIds);
+        whereClauses.push(directory.soldInGroups('s', `$${params.length}::int[]`));
+      }
+      if (role) {
+        params.push(role);
+        whereClauses.push(`u.role = $${params.length}`);
+      }
+
+      // Restrict to the sales the caller may see (403 if they asked for someone else's)
+      const scope = await auth.resolveScope(client, req.user, { userIds, groupIds });
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      whereClauses.push(...auth.scopeConditions(scope, params, 's.user_id'));
+      const conversion = await salesSummary(client, req.validated, coveredSales({
+        windows: [[startDate, endDate]],
+        scope,
+        userIds,
+        groupIds,
+        role
+      }));
+
+      // Query explanation:
+      // - filtered CTE selects the amounts of the matching sales, converted (net of adjustments with the
+      //   'sale' adjustment period, as made with 'adjustment', whose adjustment rows are left out).
+      //   Cancelled and refunded sales are left out too, rather than counted as sales of 0.
+      // - stats CTE computes count, mean and the distribution statistics (percentile_cont etc.)
+      // - binned CTE assigns each sale to one of $3 equal-width bins between the smallest and largest
+      //   amount with width_bucket. The largest amount lands in bin $3 + 1, so LEAST folds it into the
+      //   last bin. When every sale has the same amount there is a single bin.
+      // - generate_series lists every bin, so empty bins are returned with a count of 0
+      // - No rows are returned when there are no sales
+      const query = `
+        WITH filtered AS (
+          SELECT s.amount
+          FROM ${currency.salesIn(currencyCode, period)} s
+          JOIN users u ON s.user_id = u.id
+          WHERE s.sale_count > 0 AND ${whereClauses.join(' AND ')}
+        ),
+        stats AS (
+          SELECT
+            COUNT(*) as sale_count,
+            AVG(f.amount)::numeric(10,2) as mean,
+            ${distribution.statsColumns('f.amount')}
+          FROM filtered f
+        ),
+        bounds AS (
+          SELECT
+            st.dist_min as lo,
+            st.dist_max as hi,
+            CASE WHEN st.dist_min = st.dist_max THEN 1 ELSE $3::int END as bin_count
+          FROM stats st
+        ),
+        binned AS (
+          SELECT
+            CASE WHEN b.bin_count = 1 THEN 1 ELSE LEAST(width_bucket(f.amount, b.lo, b.hi, b.bin_count), b.bin_count) END as bin,
+            COUNT(*) as sale_count
+          FROM filtered f
+          CROSS JOIN bounds b
+          GROUP BY 1
+        )
+        SELECT
+          st.*,
+          gs.bin,
+          b.lo + (b.hi - b.lo) * (gs.bin - 1) / b.bin_count::numeric as bin_lower,
+          b.lo + (b.hi - b.lo) * gs.bin / b.bin_count::numeric as bin_upper,
+          COALESCE(bn.sale_count, 0) as bin_sale_count
+        FROM stats st
+        CROSS JOIN bounds b
+        CROSS JOIN generate_series(1, b.bin_count) as gs(bin)
+        LEFT JOIN binned bn ON bn.bin = gs.bin
+        WHERE st.sale_count > 0
+        ORDER BY gs.bin ASC;
       `;
 
-      const result = await client.query(query, [startDate, end]);
+      const result = await client.query(query, params);
+      const first = result.rows[0];
 
-      // Transform result to clean up data types
+      // Bins include their lower bound; the last bin also includes its upper bound
       res.json({
-        data: result.rows.map(row => ({
-          period: row.period,
-          totalRevenue: parseFloat(row.total_revenue),
-          saleCount: parseInt(row.sale_count),
-          growthPercentage: row.growth_percentage !== null ? parseFloat(row.growth_percentage) : null
+        ...conversion,
+        startDate,
+        endDate,
+        summary: {
+          saleCount: first ? parseInt(first.sale_count) : 0,
+          mean: first ? parseFloat(first.mean) : null,
+          ...distribution.mapStats(first || {})
+        },
+        histogram: result.rows.map(row => ({
+          bin: row.bin,
+          lower: parseFloat(parseFloat(row.bin_lower).toFixed(2)),
+          upper: parseFloat(parseFloat(row.bin_upper).toFixed(2)),
+          saleCount: parseInt(row.bin_sale_count)
         }))
       });
     } catch (err) {
@@ -288,19 +1388,1817 @@ async function start() {
     }
   });
 
-  // Handle server shutdown gracefully
-  process.on('SIGTERM', async () => {
-    await pool.end();
-    process.exit(0);
-  });
+  // 4c. Revenue forecast endpoint
+  //     Projects revenue and sale count for the next `horizon` periods for the company, a group or a user,
+  //     from the complete periods of history between startDate and endDate (see forecast.js). History starts
+  //     at the beginning of the period containing startDate, so cached forecasts are invalidated by any sale.
+  const forecastQuery = {
+    startDate: fields.date({ default: DEFAULT_START_DATE }),
+    endDate: fields.date({ default: today }),
+    interval: fields.oneOf(INTERVALS, { default: 'month' }),
+    timezone: fields.timezone({ default: 'UTC' }),
+    userId: fields.id(),
+    groupId: fields.id(),
+    horizon: fields.integer({ min: 1, max: 24, default: 3 }),
+    model: fields.oneOf(forecast.MODELS, { default: 'auto' }),
+    confidence: fields.oneOf(Object.keys(forecast.Z_SCORES), { default: '95' }),
+    currency: reportingCurrency,
+    adjustmentPeriod
+  };
 
-  process.on('SIGINT', async () => {
-    await pool.end();
-    process.exit(0);
+  app.get('/api/sales-analytics/forecast', validate(forecastQuery), cached({ range: () => null }), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const {
+        startDate, endDate, interval, timezone, userId, groupId, horizon, model, confidence, currency: currencyCode,
+        adjustmentPeriod: period
+      } = req.validated;
+
+      const whereClauses = [`s.date >= DATE_TRUNC('${interval}', $1::date::timestamp)`, 's.date <= $2'];
+      const params = [startDate, endDate, horizon, timezone];
+
+      if (userId) {
+        params.push(userId);
+        whereClauses.push(`s.user_id = $${params.length}`);
+      }
+      if (groupId) {
+        params.push(groupId);
+        whereClauses.push(directory.soldInGroups('s', `ARRAY[$${params.length}::int]`));
+      }
+
+      // Restrict to the sales the caller may see (403 if they asked for someone else's)
+      const scope = await auth.resolveScope(client, req.user, {
+        userIds: userId ? [userId] : [],
+        groupIds: groupId ? [groupId] : []
+      });
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      whereClauses.push(...auth.scopeConditions(scope, params, 's.user_id'));
+      const conversion = await salesSummary(client, req.validated, coveredSales({
+        windows: [[startDate, endDate]],
+        periodOf: interval,
+        scope,
+        userIds: userId ? [userId] : [],
+        groupIds: groupId ? [groupId] : []
+      }));
+
+      // Query explanation:
+      // - buckets CTE lists every period from the one containing startDate to `horizon` periods past the
+      //   one containing endDate
+      // - stats CTE aggregates sales per local period. Sales are taken from the start of startDate's
+      //   period so the first period is complete.
+      // - state marks each period as complete history, partial (contains endDate but ends after it) or
+      //   future (starts after endDate)
+      // - LEFT JOIN of buckets to stats fills periods without sales with zeros
+      const query = `
+        WITH buckets AS (
+          SELECT ${periods.bucketSeries(interval, '$1', '$2', '$3::int')} as bucket
+        ),
+        stats AS (
+          SELECT
+            ${periods.bucketOf(interval, 's.date')} as bucket,
+            SUM(s.sale_count) as sale_count,
+            SUM(s.amount) as total_revenue
+          FROM ${currency.salesIn(currencyCode, period)} s
+          JOIN users u ON s.user_id = u.id
+          WHERE ${whereClauses.join(' AND ')}
+          GROUP BY 1
+        )
+        SELECT
+          ${periods.periodStart('b.bucket', '$4')} as period,
+          CASE
+            WHEN b.bucket > $2::date::timestamp THEN 'future'
+            WHEN ${periods.bucketEnd(interval, 'b.bucket')} > ($2::date + 1)::timestamp THEN 'partial'
+            ELSE 'complete'
+          END as state,
+          COALESCE(st.sale_count, 0) as sale_count,
+          COALESCE(st.total_revenue, 0) as total_revenue
+        FROM buckets b
+        LEFT JOIN stats st ON st.bucket = b.bucket
+        ORDER BY b.bucket ASC;
+      `;
+
+      const result = await client.query(query, params);
+      const history = result.rows.filter(row => row.state === 'complete');
+      // The period containing endDate, if it isn't over, is forecast rather than used as history
+      const upcoming = result.rows.filter(row => row.state !== 'complete').slice(0, horizon);
+
+      const options = { model, horizon, seasonLength: forecast.SEASON_LENGTHS[interval], confidence, min: 0 };
+      const revenue = forecast.forecastSeries(history.map(row => roundMoney(row.total_revenue)), options);
+      const saleCount = forecast.forecastSeries(history.map(row => parseInt(row.sale_count)), options);
+      if (!revenue || !saleCount) {
+        const needed = forecast.minimumPoints(model === 'auto' ? 'linear' : model, options.seasonLength);
+        return res.status(400).json({
+          error: 'Invalid request',
+          details: [{
+            field: 'startDate',
+            message: options.seasonLength || model !== 'seasonal'
+              ? `must leave at least ${needed} complete ${interval} periods of history before endDate`
+              : `the seasonal model isn't available for the ${interval} interval`
+          }]
+        });
+      }
+
+      // Backtest points are the last periods of history, forecast from the periods before them
+      const backtestResult = score => score && {
+        ...score,
+        points: score.points.map((point, i) => ({
+          period: history[history.length - score.holdout + i].period,
+          ...point
+        }))
+      };
+
+      res.json({
+        ...conversion,
+        interval,
+        horizon,
+        confidence: Number(confidence),
+        models: { totalRevenue: revenue.model, saleCount: saleCount.model },
+        history: history.map(row => ({
+          period: row.period,
+          totalRevenue: roundMoney(row.total_revenue),
+          saleCount: parseInt(row.sale_count)
+        })),
+        forecast: upcoming.map((row, i) => ({
+          period: row.period,
+          totalRevenue: revenue.points[i].value,
+          totalRevenueLower: revenue.points[i].lower,
+          totalRevenueUpper: revenue.points[i].upper,
+          saleCount: saleCount.points[i].value,
+          saleCountLower: saleCount.points[i].lower,
+          saleCountUpper: saleCount.points[i].upper,
+          // Sales already recorded in a period that isn't over yet
+          ...(row.state === 'partial' ? {
+            totalRevenueToDate: roundMoney(row.total_revenue),
+            saleCountToDate: parseInt(row.sale_count)
+          } : {})
+        })),
+        backtest: {
+          totalRevenue: backtestResult(revenue.backtest),
+          saleCount: backtestResult(saleCount.backtest)
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
   });
 
-  app.listen(PORT, HOST);
-  console.log(`Server is running on http://${HOST}:${PORT}`);
+  // 4d. Anomaly detection endpoint
+  //     Flags revenue spikes and drops, inactive periods and extreme single sales, each against the
+  //     user's or group's own baseline over the window (see anomalies.js)
+  // salesJoin joins entities e to their sales s, read from salesTable
+  const ANOMALY_SUBJECTS = {
+    user: {
+      entities: 'SELECT u.id, u.name FROM users u',
+      salesJoin: salesTable => `JOIN ${salesTable} s ON s.user_id = e.id`
+    },
+    // Group baselines cover the sales made by their members while in the group
+    group: {
+      entities: 'SELECT g.id, g.name FROM groups g',
+      salesJoin: salesTable => (
+        `JOIN user_groups ug ON ug.group_id = e.id JOIN ${salesTable} s ON s.user_id = ug.user_id AND ${directory.memberOn('ug', 's.date')}`
+      )
+    }
+  };
+
+  const anomaliesQuery = {
+    ...dateRangeQuery,
+    interval: fields.oneOf(INTERVALS, { default: 'week' }),
+    timezone: fields.timezone({ default: 'UTC' }),
+    by: fields.oneOf(Object.keys(ANOMALY_SUBJECTS), { default: 'user' }),
+    method: fields.oneOf(anomalies.METHODS, { default: 'zscore' }),
+    threshold: fields.number({ min: 0.5, max: 10 }),
+    type: fields.oneOf(anomalies.TYPES),
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    limit: fields.integer({ min: 1, max: 1000, default: 100 })
+  };
+
+  // Group baselines can't be narrowed to users
+  const userIdOnlyByUser = values => (
+    values.by === 'group' && values.userId.length ? [{ field: 'userId', message: 'only applies with by=user' }] : []
+  );
+
+  app.get('/api/sales-analytics/anomalies', validate(anomaliesQuery, [dateRange, userIdOnlyByUser]), cached(), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
+    const client = await pool.connect();
+    try {
+      const {
+        startDate, endDate, interval, timezone, by, method, type, userId: userIds, groupId: groupIds, limit,
+        currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+      const threshold = req.validated.threshold || anomalies.DEFAULT_THRESHOLDS[method];
+      const subject = ANOMALY_SUBJECTS[by];
+
+      const params = [startDate, endDate, threshold, timezone];
+      const entityClauses = [];
+      let covered;
+
+      if (by === 'user') {
+        if (userIds.length) {
+          params.push(userIds);
+          entityClauses.push(`u.id = ANY($${params.length}::int[])`);
+        }
+        if (groupIds.length) {
+          params.push(groupIds);
+          entityClauses.push(`u.id IN (
+            SELECT user_id FROM user_groups ug
+            WHERE group_id = ANY($${params.length}::int[]) AND ${directory.memberDuring('ug', '$1', '$2')}
+          )`);
+        }
+        // Restrict to the users the caller may see (403 if they asked for someone else)
+        const scope = await auth.resolveScope(client, req.user, { userIds, groupIds });
+        if (!scope) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+        entityClauses.push(...auth.scopeConditions(scope, params, 'u.id'));
+        covered = coveredSales({ windows: [[startDate, endDate]], scope, userIds, groupIds });
+      } else {
+        // Non-admins only see the groups they belong to, as on the groups endpoint
+        const visible = auth.visibleGroupIds(req.user);
+        if (visible && !groupIds.every(id => visible.includes(id))) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+        const selected = groupIds.length ? groupIds : visible;
+        if (selected) {
+          params.push(selected);
+          entityClauses.push(`g.id = ANY($${params.length}::int[])`);
+        }
+        covered = coveredSales({ windows: [[startDate, endDate]], groupIds: selected || [] });
+      }
+      const conversion = await salesSummary(client, req.validated, covered);
+
+      let typeClause = '';
+      if (type) {
+        params.push(type);
+        typeClause = `WHERE f.type = $${params.length}`;
+      }
+      params.push(limit);
+
+      const thresholdParam = '$3::numeric';
+      const revenue = anomalies.checks(method, 'ps.total_revenue', 'revenue', thresholdParam);
+      const count = anomalies.checks(method, 'ps.sale_count', 'count', thresholdParam);
+      const amount = anomalies.checks(method, 'es.amount', 'amount', thresholdParam);
+
+      // Query explanation:
+      // - buckets CTE lists the periods lying entirely within the window. Periods cut off by startDate or
+      //   endDate would otherwise look like drops.
+      // - entities CTE lists the users or groups to check
+      // - entity_sales CTE lists each entity's sales in the window with their local period (and, with the
+      //   'adjustment' period, their adjustments, which have no sale_id and only count towards revenue).
+      //   Cancelled and refunded sales have a sale_count of 0 too, so they aren't counted or checked as sales.
+      // - period_stats CTE gives each entity's revenue and sale count in every period, zero-filled so
+      //   inactive periods count towards (and can be flagged against) the baseline
+      // - period_baselines / sale_baselines CTEs compute each entity's mean, standard deviation and
+      //   quartiles per period and per sale
+      // - period_checks / sale_checks CTEs compare every value with its entity's baseline: expected value,
+      //   spread (standard deviation or IQR), flagging bounds and signed score
+      // - flags CTE keeps the outliers:
+      //   - revenue_spike: period revenue above the upper bound
+      //   - revenue_drop: period revenue below the lower bound, with some sales
+      //   - inactivity: a period without sales when the sale count's lower bound is above zero
+      //   - extreme_sale: a single sale amount outside the bounds
+      // - ORDER BY puts the strongest deviations first
+      const query = `
+        WITH buckets AS (
+          SELECT bucket
+          FROM ${periods.bucketSeries(interval, '$1', '$2')} as bucket
+          WHERE bucket >= $1::date::timestamp AND ${periods.bucketEnd(interval, 'bucket')} <= ($2::date + 1)::timestamp
+        ),
+        entities AS (
+          ${subject.entities}
+          ${entityClauses.length ? 'WHERE ' + entityClauses.join(' AND ') : ''}
+        ),
+        entity_sales AS (
+          SELECT e.id as entity_id, s.id as sale_id, s.sale_count, s.date, s.amount,
+            ${periods.bucketOf(interval, 's.date')} as bucket
+          FROM entities e
+          ${subject.salesJoin(currency.salesIn(currencyCode, period))}
+          WHERE s.date BETWEEN $1 AND $2
+        ),
+        period_stats AS (
+          SELECT
+            e.id as entity_id,
+            b.bucket,
+            COALESCE(SUM(es.sale_count), 0) as sale_count,
+            COALESCE(SUM(es.amount), 0) as total_revenue
+          FROM entities e
+          CROSS JOIN buckets b
+          LEFT JOIN entity_sales es ON es.entity_id = e.id AND es.bucket = b.bucket
+          GROUP BY e.id, b.bucket
+        ),
+        period_baselines AS (
+          SELECT
+            entity_id,
+            ${anomalies.baselineColumns('total_revenue', 'revenue')},
+            ${anomalies.baselineColumns('sale_count', 'count')}
+          FROM period_stats
+          GROUP BY entity_id
+        ),
+        sale_baselines AS (
+          SELECT entity_id, ${anomalies.baselineColumns('amount', 'amount')}
+          FROM entity_sales
+          WHERE sale_count > 0
+          GROUP BY entity_id
+        ),
+        period_checks AS (
+          SELECT
+            ps.entity_id,
+            ps.bucket,
+            ps.total_revenue,
+            ps.sale_count,
+            ${revenue.expected} as revenue_expected,
+            ${revenue.spread} as revenue_spread,
+            ${revenue.lower} as revenue_lower,
+            ${revenue.upper} as revenue_upper,
+            ${revenue.score} as revenue_score,
+            ${count.expected} as count_expected,
+            ${count.spread} as count_spread,
+            ${count.lower} as count_lower,
+            ${count.upper} as count_upper,
+            ${count.score} as count_score
+          FROM period_stats ps
+          JOIN period_baselines pb ON pb.entity_id = ps.entity_id
+        ),
+        sale_checks AS (
+          SELECT
+            es.entity_id,
+            es.bucket,
+            es.sale_id,
+            es.date,
+            es.amount,
+            ${amount.expected} as amount_expected,
+            ${amount.spread} as amount_spread,
+            ${amount.lower} as amount_lower,
+            ${amount.upper} as amount_upper,
+            ${amount.score} as amount_score
+          FROM entity_sales es
+          JOIN sale_baselines sb ON sb.entity_id = es.entity_id
+          WHERE es.sale_count > 0
+        ),
+        flags AS (
+          SELECT 'revenue_spike' as type, entity_id, bucket, NULL::int as sale_id, NULL::text as sale_date,
+            total_revenue::numeric as value, revenue_expected as expected, revenue_lower as lower_bound,
+            revenue_upper as upper_bound, revenue_score as score
+          FROM period_checks
+          WHERE revenue_spread > 0 AND total_revenue > revenue_upper
+          UNION ALL
+          SELECT 'revenue_drop', entity_id, bucket, NULL, NULL,
+            total_revenue, revenue_expected, revenue_lower, revenue_upper, revenue_score
+          FROM period_checks
+          WHERE revenue_spread > 0 AND sale_count > 0 AND total_revenue < revenue_lower
+          UNION ALL
+          SELECT 'inactivity', entity_id, bucket, NULL, NULL,
+            sale_count, count_expected, count_lower, count_upper, count_score
+          FROM period_checks
+          WHERE count_spread > 0 AND sale_count = 0 AND count_lower > 0
+          UNION ALL
+          SELECT 'extreme_sale', entity_id, bucket, sale_id, date::text,
+            amount, amount_expected, amount_lower, amount_upper, amount_score
+          FROM sale_checks
+          WHERE amount_spread > 0 AND (amount > amount_upper OR amount < amount_lower)
+        )
+        SELECT
+          f.*,
+          e.name,
+          ${periods.periodStart('f.bucket', '$4')} as period
+        FROM flags f
+        JOIN entities e ON e.id = f.entity_id
+        ${typeClause}
+        ORDER BY ABS(f.score) DESC, f.bucket ASC, f.entity_id ASC
+        LIMIT $${params.length};
+      `;
+
+      const round = value => Math.round(parseFloat(value) * 100) / 100;
+      const mapRow = row => {
+        const anomaly = {
+          type: row.type,
+          by,
+          entityId: row.entity_id,
+          name: row.name,
+          period: row.period,
+          saleId: row.sale_id,
+          saleDate: row.sale_date,
+          value: round(row.value),
+          expected: round(row.expected),
+          lowerBound: round(row.lower_bound),
+          upperBound: round(row.upper_bound),
+          score: round(row.score)
+        };
+        return { ...anomaly, reason: anomalies.reason(anomaly, { method, by, interval }) };
+      };
+
+      if (format !== 'json') {
+        const filename = `sales-anomalies-${by}-${startDate}-to-${endDate}`;
+        const columns = [
+          'type', 'by', 'entityId', 'name', 'period', 'saleId', 'saleDate', 'value', 'expected', 'lowerBound',
+          'upperBound', 'score', 'reason'
+        ];
+        setSummaryHeaders(res, conversion);
+        return await exporter.streamQuery(client, res, { query, params, mapRow, columns, format, filename });
+      }
+
+      const result = await client.query(query, params);
+      res.json({ ...conversion, method, threshold, interval, by, data: result.rows.map(mapRow) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 4e. Target attainment endpoint
+  //     Progress of each visible target for the month or quarter containing asOf: revenue and sales so far,
+  //     percentage attained, gap remaining, pace versus elapsed time and projected end-of-period attainment
+  //     (see targets.attainment). Targets are set in USD; in another currency they are converted at the rate
+  //     on asOf (or the period end), and sales each at their own date's rate.
+  const attainmentQuery = {
+    periodType: fields.oneOf(targets.PERIOD_TYPES, { default: 'month' }),
+    asOf: fields.date({ default: today }),
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    attribution: fields.oneOf(Object.keys(ATTRIBUTION_WEIGHTS), { default: 'full' }),
+    currency: reportingCurrency,
+    adjustmentPeriod
+  };
+
+  // Only sales in the period containing asOf count towards its targets
+  const attainmentPeriod = ({ periodType, asOf }) => {
+    const startDate = targets.periodStartOf(periodType, asOf);
+    return { startDate, endDate: targets.periodEnd(periodType, startDate) };
+  };
+
+  app.get('/api/sales-analytics/attainment', validate(attainmentQuery), cached({ range: attainmentPeriod }), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const {
+        periodType, asOf, userId, groupId, attribution, currency: currencyCode, adjustmentPeriod: period
+      } = req.validated;
+      const convertedSales = currency.salesIn(currencyCode, period);
+      const periodStart = targets.periodStartOf(periodType, asOf);
+      const periodEnd = targets.periodEnd(periodType, periodStart);
+      const through = asOf < periodEnd ? asOf : periodEnd;
+
+      const factorResult = await client.query('SELECT exchange_factor($1, $2, $3) as factor;', [
+        currency.BASE_CURRENCY, currencyCode, through
+      ]);
+      const targetFactor = factorResult.rows[0].factor === null ? null : parseFloat(factorResult.rows[0].factor);
+      if (targetFactor === null) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          details: [{ field: 'currency', message: `has no exchange rate on ${through} to convert the targets with` }]
+        });
+      }
+
+      const params = [periodType, periodStart, through];
+      const conditions = ['t.period_type = $1', 't.period_start = $2', ...targets.visibilityConditions(req.user, params)];
+      if (userId.length || groupId.length) {
+        params.push(userId, groupId);
+        conditions.push(`(t.user_id = ANY($${params.length - 1}::int[]) OR t.group_id = ANY($${params.length}::int[]))`);
+      }
+
+      // Query explanation:
+      // - sale_groups CTE credits each sale from the start of the period through asOf or the period end
+      //   ($2-$3) to the groups its user belonged to that day
+      // - For each target of the period ($1, starting $2) the caller may see, the credited sales are the
+      //   target user's own sales (weight 1), or the sales credited to the target group weighted by the
+      //   attribution policy. COUNT counts each sale in full, as on the groups endpoint.
+      // - LEFT JOINs pick up the user's or group's name
+      const result = await client.query(`
+        WITH ${directory.saleGroupsCte('s.date BETWEEN $2 AND $3', convertedSales)}
+        SELECT
+          t.id,
+          t.user_id,
+          u.name as user_name,
+          t.group_id,
+          g.name as group_name,
+          t.period_type,
+          to_char(t.period_start, 'YYYY-MM-DD') as period_start,
+          t.revenue_target,
+          t.sale_count_target,
+          actuals.revenue,
+          actuals.sale_count
+        FROM targets t
+        LEFT JOIN users u ON u.id = t.user_id
+        LEFT JOIN groups g ON g.id = t.group_id
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(SUM(c.amount * c.weight), 0) as revenue, COALESCE(SUM(c.sale_count), 0) as sale_count
+          FROM (
+            SELECT s.sale_count, s.amount, 1 as weight
+            FROM ${convertedSales} s
+            WHERE s.user_id = t.user_id AND s.date BETWEEN $2 AND $3
+            UNION ALL
+            SELECT sg.sale_count, sg.amount, ${ATTRIBUTION_WEIGHTS[attribution]}
+            FROM sale_groups sg
+            WHERE sg.group_id = t.group_id
+          ) c
+        ) actuals
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY t.group_id ASC NULLS LAST, u.name ASC, t.id ASC;
+      `, params);
+
+      // The sales counting towards the targets listed: their users' own, and those credited to their groups
+      const conversion = await salesSummary(client, req.validated, {
+        conditions: [
+          's.date BETWEEN $1 AND $2',
+          `(s.user_id = ANY($3::int[]) OR ${directory.soldInGroups('s', '$4::int[]')})`
+        ],
+        params: [
+          periodStart,
+          through,
+          result.rows.filter(row => row.user_id).map(row => row.user_id),
+          result.rows.filter(row => row.group_id).map(row => row.group_id)
+        ]
+      });
+
+      res.json({
+        ...conversion,
+        periodType,
+        periodStart,
+        periodEnd,
+        asOf,
+        attribution,
+        data: result.rows.map(row => {
+          const formatted = targets.formatTarget(row);
+          const target = { ...formatted, revenueTarget: roundMoney(formatted.revenueTarget * targetFactor) };
+          return {
+            targetId: target.id,
+            userId: target.userId,
+            userName: row.user_name,
+            groupId: target.groupId,
+            groupName: row.group_name,
+            revenueTarget: target.revenueTarget,
+            saleCountTarget: target.saleCountTarget,
+            ...targets.attainment(target, { revenue: roundMoney(row.revenue), saleCount: parseInt(row.sale_count) }, asOf)
+          };
+        })
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 5. Record a single sale
+  app.post('/api/sales', async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    const errors = [...sales.validateIdempotencyKey(idempotencyKey), ...sales.validateSale(req.body)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const { userId, amount, date, currency: saleCurrency } = req.body;
+
+      // Agents record their own sales, group leads also their members', admins anyone's
+      if (!(await auth.canActForUsers(client, req.user, [userId]))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      // Idempotency keys are namespaced per caller so one user can't replay another's response
+      const result = await sales.recordSales(client, [{ userId, amount, date, currency: saleCurrency }], {
+        idempotencyKey,
+        route: `single:${req.user.id}`,
+        single: true
+      });
+      if (result.status === 201 && !result.replayed) {
+        responseCache.invalidateDates([date]);
+      }
+
+      if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 6. Record many sales at once. All sales are inserted in one transaction, so either every sale
+  //    in the request is recorded or none is.
+  app.post('/api/sales/bulk', async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    const errors = [...sales.validateIdempotencyKey(idempotencyKey), ...sales.validateBulkSales(req.body)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const salesToRecord = req.body.sales.map(({ userId, amount, date, currency: saleCurrency }) => ({
+        userId, amount, date, currency: saleCurrency
+      }));
+
+      if (!(await auth.canActForUsers(client, req.user, salesToRecord.map(sale => sale.userId)))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const result = await sales.recordSales(client, salesToRecord, { idempotencyKey, route: `bulk:${req.user.id}` });
+      if (result.status === 201 && !result.replayed) {
+        responseCache.invalidateDates(salesToRecord.map(sale => sale.date));
+      }
+
+      if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 6b. A sale with its status and adjustments (refunds, partial refunds and cancellations, see
+  //     adjustments.js), which are recorded by whoever could record the sale itself
+  const saleIdParams = { id: fields.id({ required: true }) };
+
+  app.get('/api/sales/:id', async (req, res) => {
+    const { values: { id: saleId }, errors } = validateInput(req.params, saleIdParams);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await pool.connect();
+    try {
+      const sale = await adjustments.loadSale(client, saleId);
+      if (!sale) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      if (!(await auth.resolveScope(client, req.user, { userIds: [sale.userId] }))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      res.json({ data: sale });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Records an adjustment ({ type, amount?, date, reason? }); only partial refunds take an amount
+  app.post('/api/sales/:id/adjustments', async (req, res) => {
+    const { values: { id: saleId }, errors: paramErrors } = validateInput(req.params, saleIdParams);
+    const errors = [...paramErrors, ...adjustments.validateAdjustment(req.body)];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const sale = await adjustments.loadSale(client, saleId);
+      if (!sale) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      if (!(await auth.canActForUsers(client, req.user, [sale.userId]))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const result = await adjustments.recordAdjustment(client, saleId, req.body, { recordedBy: req.user.id });
+      if (result.status === 201) {
+        // Cached figures count the adjustment on the sale's date or, by adjustment period, its own
+        responseCache.invalidateDates([sale.date, req.body.date]);
+      }
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 7. Sales targets (quotas) per user or group and month or quarter. Everyone can read the targets they
+  //    can see (see targets.visibilityConditions); admins manage any target, group leads those of their
+  //    groups and members.
+  const targetsQuery = {
+    startDate: fields.date(),
+    endDate: fields.date(),
+    periodType: fields.oneOf(targets.PERIOD_TYPES),
+    userId: fields.ids(),
+    groupId: fields.ids()
+  };
+
+  app.get('/api/targets', validate(targetsQuery), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const { startDate, endDate, periodType, userId, groupId } = req.validated;
+
+      // startDate/endDate select the targets whose period starts in the range
+      const params = [];
+      const conditions = targets.visibilityConditions(req.user, params);
+      if (startDate) {
+        params.push(startDate);
+        conditions.push(`t.period_start >= $${params.length}`);
+      }
+      if (endDate) {
+        params.push(endDate);
+        conditions.push(`t.period_start <= $${params.length}`);
+      }
+      if (periodType) {
+        params.push(periodType);
+        conditions.push(`t.period_type = $${params.length}`);
+      }
+      if (userId.length || groupId.length) {
+        params.push(userId, groupId);
+        conditions.push(`(t.user_id = ANY($${params.length - 1}::int[]) OR t.group_id = ANY($${params.length}::int[]))`);
+      }
+
+      res.json({ data: await targets.listTargets(client, conditions, params) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/targets', clearsCache, async (req, res) => {
+    const errors = targets.validateTarget(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const { userId, groupId } = req.body;
+      const subject = userId !== undefined ? { userIds: [userId] } : { groupIds: [groupId] };
+      if (!(await auth.canManage(client, req.user, subject))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const result = await targets.createTarget(client, req.body);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Loads the target named in the path for the routes below. Answers 400 for malformed ids and 404 for
+  // targets that don't exist or that the caller can't see, and returns null in both cases.
+  async function findTarget(client, req, res) {
+    const { values: { id }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid request', details: errors });
+      return null;
+    }
+    const target = await targets.getTarget(client, id);
+    if (!target || !(await targets.canView(client, req.user, target))) {
+      res.status(404).json({ error: 'Not found' });
+      return null;
+    }
+    return target;
+  }
+
+  const targetSubject = target => (target.userId ? { userIds: [target.userId] } : { groupIds: [target.groupId] });
+
+  app.get('/api/targets/:id', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const target = await findTarget(client, req, res);
+      if (target) {
+        res.json({ data: target });
+      }
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/targets/:id', clearsCache, async (req, res) => {
+    const errors = targets.validateTarget(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const target = await findTarget(client, req, res);
+      if (!target) {
+        return;
+      }
+      if (!(await auth.canManage(client, req.user, targetSubject(target)))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const updated = await targets.updateTarget(client, target.id, req.body);
+      if (!updated) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: updated });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/targets/:id', clearsCache, async (req, res) => {
+    const client = await connectForChange(req, res);
+    try {
+      const target = await findTarget(client, req, res);
+      if (!target) {
+        return;
+      }
+      if (!(await auth.canManage(client, req.user, targetSubject(target)))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      await targets.deleteTarget(client, target.id);
+      res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 8. Commission plans and payout statements (see commissions.js). Only admins manage plans and calculate
+  //    or close statements; everyone can read the statements within their scope, as for sales.
+  app.get('/api/commissions/plans', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const client = await pool.connect();
+    try {
+      res.json({ data: await commissions.listPlans(client) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/commissions/plans', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = commissions.validatePlan(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await commissions.createPlan(client, req.body);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/commissions/plans/:id', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const { values: { id }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    errors.push(...commissions.validatePlan(req.body, { partial: true }));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await commissions.updatePlan(client, id, req.body);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // The plan each user is paid under, and whether it was assigned to them or is their role's default
+  app.get('/api/commissions/assignments', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const client = await pool.connect();
+    try {
+      res.json({ data: await commissions.effectivePlans(client, null) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Assigns a plan to a user ({ planId }), or with { planId: null } reverts them to their role's default
+  app.put('/api/commissions/assignments/:userId', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const { values: { userId }, errors } = validateInput(req.params, { userId: fields.id({ required: true }) });
+    const planId = req.body && req.body.planId;
+    if (planId !== null && !(Number.isInteger(planId) && planId >= 1 && planId <= 2147483647)) {
+      errors.push({ field: 'planId', message: 'must be a positive integer or null' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await commissions.assignPlan(client, userId, planId);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Calculates the statements of a period ({ periodType, periodStart, userIds? }). Closed statements are
+  // only recalculated with { recalculate: true, reason }, which is recorded on each statement changed.
+  app.post('/api/commissions/statements', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = commissions.validatePeriodRequest(req.body, { calculate: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const { periodType, periodStart, userIds, recalculate, reason } = req.body;
+      const result = await commissions.calculateStatements(client, {
+        periodType,
+        periodStart,
+        userIds: userIds ? [...new Set(userIds)] : null,
+        recalculate: recalculate === true,
+        reason,
+        actorId: req.user.id
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Closes a period's statements ({ periodType, periodStart }) once they have been paid
+  app.post('/api/commissions/statements/close', async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = commissions.validatePeriodRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const { periodType, periodStart } = req.body;
+      const closed = await commissions.closePeriod(client, { periodType, periodStart, actorId: req.user.id });
+      res.json({ periodType, periodStart, closed });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  const statementsQuery = {
+    startDate: fields.date(),
+    endDate: fields.date(),
+    periodType: fields.oneOf(targets.PERIOD_TYPES),
+    status: fields.oneOf(['open', 'closed']),
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    format: fields.oneOf(exporter.FORMATS)
+  };
+
+  app.get('/api/commissions/statements', validate(statementsQuery), async (req, res) => {
+    const format = exporter.negotiateFormat(req);
+    const client = await pool.connect();
+    try {
+      const { startDate, endDate, periodType, status, userId, groupId } = req.validated;
+
+      const scope = await auth.resolveScope(client, req.user, { userIds: userId, groupIds: groupId });
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      // startDate/endDate select the statements whose period starts in the range
+      const params = [];
+      const conditions = auth.scopeConditions(scope, params, 'cs.user_id');
+      if (userId.length > 0) {
+        params.push(userId);
+        conditions.push(`cs.user_id = ANY($${params.length}::int[])`);
+      }
+      if (groupId.length > 0) {
+        params.push(groupId);
+        // Statements of users who were in one of the groups during the statement's period
+        const periodEnd = "cs.period_start + (CASE cs.period_type WHEN 'quarter' THEN 3 ELSE 1 END) * interval '1 month' - interval '1 day'";
+        conditions.push(`cs.user_id IN (
+          SELECT user_id FROM user_groups ug
+          WHERE group_id = ANY($${params.length}::int[]) AND ${directory.memberDuring('ug', 'cs.period_start', periodEnd)}
+        )`);
+      }
+      for (const [value, condition] of [
+        [startDate, 'cs.period_start >= $'],
+        [endDate, 'cs.period_start <= $'],
+        [periodType, 'cs.period_type = $'],
+        [status, 'cs.status = $']
+      ]) {
+        if (value) {
+          params.push(value);
+          conditions.push(condition + params.length);
+        }
+      }
+
+      const query = commissions.statementsQuery(conditions);
+      if (format !== 'json') {
+        const mapRow = row => {
+          const { plan, ...statement } = commissions.formatStatement(row);
+          return { ...statement, planName: plan.name };
+        };
+        const columns = [
+          'id', 'userId', 'userName', 'periodType', 'periodStart', 'periodEnd', 'quota', 'saleCount', 'revenue',
+          'commission', 'unconvertedSales', 'status', 'calculatedAt', 'closedAt', 'closedBy', 'planName'
+        ];
+        return await exporter.streamQuery(client, res, {
+          query, params, mapRow, columns, format, filename: 'commission-statements'
+        });
+      }
+
+      const result = await client.query(query, params);
+      res.json({ data: result.rows.map(commissions.formatStatement) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // A statement with its line items, each traced to a row in sales, and its recalculation history
+  app.get('/api/commissions/statements/:id', async (req, res) => {
+    const { values: { id }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await pool.connect();
+    try {
+      const statement = await commissions.getStatement(client, id);
+      if (!statement || !(await auth.resolveScope(client, req.user, { userIds: [statement.userId] }))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: statement });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 9. Users, groups and effective-dated group memberships (see directory.js). Everyone can read the users
+  //    and groups within their scope; only admins change them.
+
+  // Reads the id path parameter, answering 400 and returning null if it's malformed
+  function pathId(req, res) {
+    const { values: { id }, errors } = validateInput(req.params, { id: fields.id({ required: true }) });
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid request', details: errors });
+      return null;
+    }
+    return id;
+  }
+
+  app.get('/api/users', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const scope = await auth.resolveScope(client, req.user);
+      const params = [];
+      const conditions = auth.scopeConditions(scope, params, 'u.id');
+      res.json({ data: await directory.listUsers(client, conditions, params) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/users', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = directory.validateUser(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      res.status(201).json({ data: await directory.createUser(client, req.body) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Users outside the caller's scope answer 404, as if they didn't exist
+  app.get('/api/users/:id', async (req, res) => {
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      const user = await directory.getUser(client, id);
+      if (!user || !(await auth.resolveScope(client, req.user, { userIds: [id] }))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: user });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/users/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+    const errors = directory.validateUser(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const user = await directory.updateUser(client, id, req.body);
+      if (!user) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: user });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Users with sales or commission statements can't be deleted (409); end their memberships instead
+  app.delete('/api/users/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await directory.deleteUser(client, id);
+      if (result.status === 204) {
+        return res.status(204).end();
+      }
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/api/users/:id/memberships', async (req, res) => {
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      const user = await directory.getUser(client, id);
+      if (!user || !(await auth.resolveScope(client, req.user, { userIds: [id] }))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: await directory.listMemberships(client, ['ug.user_id = $1'], [id]) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Only the groups whose summaries the caller may see (see auth.visibleGroupIds)
+  app.get('/api/groups', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const visible = auth.visibleGroupIds(req.user);
+      const conditions = visible ? ['g.id = ANY($1::int[])'] : [];
+      res.json({ data: await directory.listGroups(client, conditions, visible ? [visible] : []) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/groups', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = directory.validateGroup(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      res.status(201).json({ data: await directory.createGroup(client, req.body) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  const canSeeGroup = (user, groupId) => {
+    const visible = auth.visibleGroupIds(user);
+    return !visible || visible.includes(groupId);
+  };
+
+  app.get('/api/groups/:id', async (req, res) => {
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      const group = canSeeGroup(req.user, id) ? await directory.getGroup(client, id) : null;
+      if (!group) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: group });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/groups/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+    const errors = directory.validateGroup(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const group = await directory.updateGroup(client, id, req.body);
+      if (!group) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: group });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/groups/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      if (!(await directory.deleteGroup(client, id))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // The group's memberships, past, current and future
+  app.get('/api/groups/:id/memberships', async (req, res) => {
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      const group = canSeeGroup(req.user, id) ? await directory.getGroup(client, id) : null;
+      if (!group) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: await directory.listMemberships(client, ['ug.group_id = $1'], [id]) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Moving an agent to another group is two requests: set validTo on the old membership and create the
+  // new one from the next day, so sales keep being credited to the group the agent was in at the time.
+  app.post('/api/memberships', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = directory.validateMembership(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await directory.createMembership(client, req.body);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/memberships/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+    const errors = directory.validateMembership(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const result = await directory.updateMembership(client, id, req.body);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/memberships/:id', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const id = pathId(req, res);
+    if (id === null) {
+      return;
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      if (!(await directory.deleteMembership(client, id))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 10. Response cache statistics: hits, misses, entries dropped by invalidation or eviction, and size
+  app.get('/api/cache/stats', (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.json({ data: responseCache.stats() });
+  });
+
+  // 11. GraphQL API over users, groups and their sales analytics (see graphqlApi.js), in the caller's scope.
+  // Takes { query, variables, operationName } and answers in the GraphQL response shape ({ data, errors })
+  // rather than the REST endpoints' one.
+  app.post('/api/graphql', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const result = await graphqlApi.run(client, req.user, req.body, { sourceFor: salesSource });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ errors: [{ message: 'Internal server error' }] });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 12. Scheduled reports (see reports.js). Everyone can schedule reports, which contain what their owner
+  //     can see; owners manage their own reports and admins everyone's. Only admins deliver reports to
+  //     webhooks.
+
+  // Loads the report named by the id path parameter, answering 400 or 404 and returning null if it is
+  // malformed or not the caller's
+  async function findReport(client, req, res) {
+    const id = pathId(req, res);
+    if (id === null) {
+      return null;
+    }
+    const report = await reports.getReport(client, id);
+    if (!report || !reports.canAccess(req.user, report)) {
+      res.status(404).json({ error: 'Not found' });
+      return null;
+    }
+    return report;
+  }
+
+  // Fetches report sections from this server's own analytics endpoints
+  const reportOptions = {
+    fetchSection: reports.httpFetcher(`http://127.0.0.1:${PORT}`),
+    reportsDir: REPORTS_DIR
+  };
+
+  app.get('/api/reports', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const mine = !auth.isAdmin(req.user);
+      const data = await reports.listReports(client, mine ? ['r.owner_id = $1'] : [], mine ? [req.user.id] : []);
+      res.json({ data });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/reports', async (req, res) => {
+    const errors = reports.validateReport(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+    if (!reports.canUseDestination(req.user, req.body.destination)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      res.status(201).json({ data: await reports.createReport(client, req.user.id, req.body) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/api/reports/:id', async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const report = await findReport(client, req, res);
+      if (report) {
+        res.json({ data: report });
+      }
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.patch('/api/reports/:id', async (req, res) => {
+    const errors = reports.validateReport(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+    if (!reports.canUseDestination(req.user, req.body.destination)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      const report = await findReport(client, req, res);
+      if (!report) {
+        return;
+      }
+      const updated = await reports.updateReport(client, report, req.body);
+      if (!updated) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data: updated });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/reports/:id', async (req, res) => {
+    const client = await connectForChange(req, res);
+    try {
+      const report = await findReport(client, req, res);
+      if (!report) {
+        return;
+      }
+      await reports.deleteReport(client, report.id);
+      res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Runs a report now, for its period ending before today, and answers with the finished run. A failed
+  // generation or delivery is a run with status "failed" and its error, not an error response.
+  app.post('/api/reports/:id/runs', async (req, res) => {
+    const client = await pool.connect();
+    let report;
+    try {
+      report = await findReport(client, req, res);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+    if (!report) {
+      return;
+    }
+
+    // The run fetches its sections from this server, so it mustn't hold a pooled client meanwhile
+    try {
+      res.status(201).json({ data: await reports.runNow(pool, report, reportOptions) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  const reportRunsQuery = {
+    limit: fields.integer({ min: 1, max: 100, default: 20 })
+  };
+
+  // A report's run history, newest first
+  app.get('/api/reports/:id/runs', validate(reportRunsQuery), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const report = await findReport(client, req, res);
+      if (report) {
+        res.json({ data: await reports.listRuns(client, report.id, req.validated.limit) });
+      }
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 13. Live sales feed (see live.js): a Server-Sent Events stream of newly recorded sales and the
+  //     leaderboard and group totals they change, for the current period to date. userId and groupId filter
+  //     the stream (groups by their current members); a reconnecting client's Last-Event-ID header (or
+  //     lastEventId parameter) resumes it after the last event it received.
+  const liveFeed = live.createFeed({ pool, sourceFor: code => salesSource({ currency: code }) });
+
+  const liveQuery = {
+    userId: fields.ids(),
+    groupId: fields.ids(),
+    period: fields.oneOf(live.PERIODS, { default: 'month' }),
+    limit: fields.integer({ min: 1, max: 100, default: 10 }),
+    lastEventId: fields.id(),
+    currency: reportingCurrency
+  };
+
+  app.get('/api/sales-analytics/live', validate(liveQuery), async (req, res) => {
+    const { userId, groupId, period, limit, lastEventId, currency: currencyCode } = req.validated;
+
+    let scope;
+    const client = await pool.connect();
+    try {
+      scope = await auth.resolveScope(client, req.user, { userIds: userId, groupIds: groupId });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+    if (!scope) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const headerId = live.parseLastEventId(req.get('Last-Event-ID'));
+    await live.stream(req, res, liveFeed, {
+      scope,
+      userIds: userId,
+      groupIds: groupId,
+      visibleGroupIds: auth.visibleGroupIds(req.user),
+      period,
+      limit,
+      currency: currencyCode,
+      lastEventId: headerId !== null ? headerId : (lastEventId === undefined ? null : lastEventId)
+    });
+  });
+
+  // 14. Exchange rates (see currency.js): the value in USD of one unit of each other currency, per date. The
+  //     analytics endpoints convert sales with them, so everyone can read them; only admins set them.
+  //     Changing a rate can change any response in another currency, so it clears the response cache.
+  const exchangeRatesQuery = {
+    currency: fields.currency(),
+    startDate: fields.date({ default: DEFAULT_START_DATE }),
+    endDate: fields.date({ default: today })
+  };
+
+  app.get('/api/exchange-rates', validate(exchangeRatesQuery), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      res.json({ data: await currency.listRates(client, req.validated) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Adds or replaces rates ({ rates: [{ currency, date, rate }] })
+  app.put('/api/exchange-rates', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const errors = currency.validateRates(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      res.json({ data: await currency.upsertRates(client, req.body.rates) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/exchange-rates/:currency/:date', clearsCache, async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const { values, errors } = validateInput(req.params, {
+      currency: fields.currency({ required: true }),
+      date: fields.date({ required: true })
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const client = await connectForChange(req, res);
+    try {
+      if (!(await currency.deleteRate(client, values.currency, values.date))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // 15. Audit log (see audit.js): who changed what and when, newest first. Only admins can read it.
+  const auditLogQuery = {
+    entityType: fields.oneOf(audit.ENTITY_TYPES),
+    entityId: fields.text(),
+    actorId: fields.id(),
+    action: fields.oneOf(audit.ACTIONS),
+    startDate: fields.date(),
+    endDate: fields.date(),
+    limit: fields.integer({ min: 1, max: 1000, default: 50 }),
+    cursor: fields.cursor()
+  };
+
+  app.get('/api/audit-log', validate(auditLogQuery, [dateRange, audit.cursorMatchesOrder]), async (req, res) => {
+    if (!auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { rows, nextCursor } = await audit.listEntries(client, req.validated);
+      res.json({ data: rows, pagination: { limit: req.validated.limit, nextCursor } });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Report malformed JSON bodies as 400s in the same shape as other errors
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  const scheduler = reports.createScheduler({ pool, ...reportOptions });
+
+  // Handle server shutdown gracefully
+  process.on('SIGTERM', async () => {
+    await scheduler.stop();
+    await liveFeed.stop();
+    await pool.end();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    await scheduler.stop();
+    await liveFeed.stop();
+    await pool.end();
+    process.exit(0);
+  });
+
+  app.listen(PORT, HOST);
+  console.log(`Server is running on http://${HOST}:${PORT}`);
+  if (SCHEDULER_ENABLED) {
+    scheduler.start();
+  }
+  await liveFeed.start();
 }
 
 start().catch(async (err) => {
@@ -19,6 +19,7 @@ jest.mock('pg', () => {
 
 jest.mock('./seed', () => ({
     seedDatabase: jest.fn().mockResolvedValue(),
+    syncIdSequences: jest.fn().mockResolvedValue(),
 }));
 
 // Store original process.env
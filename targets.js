@@ -0,0 +1,261 @@
+'use strict';
+
+const auth = require('./auth');
+const { memberOn } = require('./directory');
+const { isValidDate } = require('./validation');
+
+// Sales targets (quotas) and attainment.
+//
+// A target sets the revenue (and optionally the number of sales) a user or a group is expected to reach
+// in a calendar month or quarter. Targets are identified by their subject and period, which can't be
+// changed after creation; only the target figures can.
+
+const PERIOD_TYPES = ['month', 'quarter'];
+const PERIOD_MONTHS = { month: 1, quarter: 3 };
+
+const MAX_REVENUE_TARGET = Number.MAX_SAFE_INTEGER; // revenue_target is a Postgres BIGINT
+const MAX_SALE_COUNT_TARGET = 2147483647;
+
+const DAY_MS = 86400000;
+
+const isPositiveInteger = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+// Returns true if date (YYYY-MM-DD) is the first day of a period of the given type
+function isPeriodStart(periodType, date) {
+  const [, month, day] = date.split('-').map(Number);
+  return day === 1 && (month - 1) % PERIOD_MONTHS[periodType] === 0;
+}
+
+// First day of the period of the given type containing date (YYYY-MM-DD)
+function periodStartOf(periodType, date) {
+  const [year, month] = date.split('-').map(Number);
+  const startMonth = month - (month - 1) % PERIOD_MONTHS[periodType];
+  return `${year}-${String(startMonth).padStart(2, '0')}-01`;
+}
+
+// Last day of the period starting on periodStart (YYYY-MM-DD)
+function periodEnd(periodType, periodStart) {
+  const [year, month] = periodStart.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + PERIOD_MONTHS[periodType], 0)).toISOString().split('T')[0];
+}
+
+// Validates a target payload. Returns a list of { field, message } errors (empty if valid).
+// With `partial` (updates), only the target figures may be given.
+function validateTarget(body, { partial = false } = {}) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { userId, groupId, periodType, periodStart, revenueTarget, saleCountTarget } = body;
+
+  if (partial) {
+    for (const field of ['userId', 'groupId', 'periodType', 'periodStart']) {
+      if (body[field] !== undefined) {
+        errors.push({ field, message: 'cannot be changed; delete the target and create a new one' });
+      }
+    }
+    if (revenueTarget === undefined && saleCountTarget === undefined) {
+      errors.push({ field: 'body', message: 'must include revenueTarget or saleCountTarget' });
+    }
+  } else {
+    if ((userId === undefined) === (groupId === undefined)) {
+      errors.push({ field: 'userId', message: 'exactly one of userId and groupId is required' });
+    } else if (userId !== undefined && !isPositiveInteger(userId, 2147483647)) {
+      errors.push({ field: 'userId', message: 'must be a positive integer' });
+    } else if (groupId !== undefined && !isPositiveInteger(groupId, 2147483647)) {
+      errors.push({ field: 'groupId', message: 'must be a positive integer' });
+    }
+    if (!PERIOD_TYPES.includes(periodType)) {
+      errors.push({ field: 'periodType', message: `must be one of: ${PERIOD_TYPES.join(', ')}` });
+    } else if (!isValidDate(periodStart)) {
+      errors.push({ field: 'periodStart', message: 'must be a valid date in YYYY-MM-DD format' });
+    } else if (!isPeriodStart(periodType, periodStart)) {
+      errors.push({ field: 'periodStart', message: `must be the first day of a ${periodType}` });
+    }
+  }
+
+  if ((!partial || revenueTarget !== undefined) && !isPositiveInteger(revenueTarget, MAX_REVENUE_TARGET)) {
+    errors.push({ field: 'revenueTarget', message: 'must be a positive integer' });
+  }
+  if (saleCountTarget !== undefined && saleCountTarget !== null && !isPositiveInteger(saleCountTarget, MAX_SALE_COUNT_TARGET)) {
+    errors.push({ field: 'saleCountTarget', message: 'must be a positive integer or null' });
+  }
+
+  return errors;
+}
+
+// SQL conditions on targets t restricting them to those the caller may see, appending their values to
+// params: their own targets and their groups' targets, plus for group leads their current members' targets.
+// Admins see every target.
+function visibilityConditions(user, params) {
+  if (auth.isAdmin(user)) {
+    return [];
+  }
+  params.push(user.id, user.groupIds);
+  const userParam = `$${params.length - 1}`;
+  const groupsParam = `$${params.length}::int[]`;
+  const members = auth.isGroupLead(user)
+    ? ` OR t.user_id IN (
+        SELECT user_id FROM user_groups ug WHERE group_id = ANY(${groupsParam}) AND ${memberOn('ug', 'CURRENT_DATE')}
+      )`
+    : '';
+  return [`(t.user_id = ${userParam} OR t.group_id = ANY(${groupsParam})${members})`];
+}
+
+// Returns true if the caller may see the target (see visibilityConditions)
+async function canView(client, user, target) {
+  if (target.groupId) {
+    return auth.isAdmin(user) || user.groupIds.includes(target.groupId);
+  }
+  return (await auth.resolveScope(client, user, { userIds: [target.userId] })) !== null;
+}
+
+function formatTarget(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    groupId: row.group_id,
+    periodType: row.period_type,
+    periodStart: row.period_start,
+    periodEnd: periodEnd(row.period_type, row.period_start),
+    revenueTarget: parseInt(row.revenue_target),
+    saleCountTarget: row.sale_count_target
+  };
+}
+
+const TARGET_COLUMNS = `id, user_id, group_id, period_type, to_char(period_start, 'YYYY-MM-DD') as period_start,
+  revenue_target, sale_count_target`;
+
+async function getTarget(client, id) {
+  const result = await client.query(`SELECT ${TARGET_COLUMNS} FROM targets WHERE id = $1;`, [id]);
+  return result.rows[0] ? formatTarget(result.rows[0]) : null;
+}
+
+// Lists targets matching SQL conditions on targets t (see the targets endpoint), earliest period first
+async function listTargets(client, conditions, params) {
+  const result = await client.query(`
+    SELECT ${TARGET_COLUMNS}
+    FROM targets t
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY t.period_start ASC, t.group_id ASC NULLS LAST, t.user_id ASC;
+  `, params);
+  return result.rows.map(formatTarget);
+}
+
+// Creates a target. Returns { status, body }: 201 with the target, 400 if the user or group doesn't
+// exist, or 409 if the subject already has a target for the period.
+async function createTarget(client, { userId, groupId, periodType, periodStart, revenueTarget, saleCountTarget }) {
+  const subject = userId !== undefined
+    ? { field: 'userId', table: 'users', id: userId, name: 'user' }
+    : { field: 'groupId', table: 'groups', id: groupId, name: 'group' };
+
+  const exists = await client.query(`SELECT 1 FROM ${subject.table} WHERE id = $1;`, [subject.id]);
+  if (exists.rows.length === 0) {
+    return { status: 400, body: { error: 'Invalid request', details: [{ field: subject.field, message: `${subject.name} does not exist` }] } };
+  }
+
+  // ON CONFLICT DO NOTHING rather than catching the unique violation keeps the caller's transaction usable
+  const result = await client.query(`
+    INSERT INTO targets (user_id, group_id, period_type, period_start, revenue_target, sale_count_target)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT DO NOTHING
+    RETURNING ${TARGET_COLUMNS};
+  `, [userId || null, groupId || null, periodType, periodStart, revenueTarget, saleCountTarget || null]);
+
+  if (result.rows.length === 0) {
+    return {
+      status: 409,
+      body: {
+        error: 'Conflict',
+        details: [{ field: 'periodStart', message: `the ${subject.name} already has a ${periodType} target for this period` }]
+      }
+    };
+  }
+  return { status: 201, body: { data: formatTarget(result.rows[0]) } };
+}
+
+// Updates the target figures. Returns the updated target, or null if it doesn't exist.
+async function updateTarget(client, id, { revenueTarget, saleCountTarget }) {
+  const result = await client.query(`
+    UPDATE targets
+    SET
+      revenue_target = COALESCE($2, revenue_target),
+      sale_count_target = CASE WHEN $3::boolean THEN $4::int ELSE sale_count_target END,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${TARGET_COLUMNS};
+  `, [id, revenueTarget === undefined ? null : revenueTarget, saleCountTarget !== undefined, saleCountTarget || null]);
+  return result.rows[0] ? formatTarget(result.rows[0]) : null;
+}
+
+// Returns true if a target was deleted
+async function deleteTarget(client, id) {
+  const result = await client.query('DELETE FROM targets WHERE id = $1;', [id]);
+  return result.rowCount > 0;
+}
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+// Progress towards a target as of a date, given the revenue and sales so far in the period:
+// - attainmentPercentage: share of the target reached
+// - gapRemaining: revenue still needed (0 once reached)
+// - elapsedPercentage: share of the period's days elapsed, counting asOf
+// - paceRatio: attainment relative to elapsed time (1 = on pace, null before the period starts)
+// - projectedRevenue / projectedAttainmentPercentage: end-of-period figures at the current run rate
+// - requiredDailyRevenue: revenue needed per remaining day (null once the period is over)
+// - status: achieved, on_track, behind, missed (period over without reaching it) or not_started
+function attainment(target, { revenue, saleCount }, asOf) {
+  const start = Date.parse(target.periodStart + 'T00:00:00Z');
+  const end = Date.parse(target.periodEnd + 'T00:00:00Z');
+  const totalDays = Math.round((end - start) / DAY_MS) + 1;
+  const elapsedDays = Math.min(Math.max(Math.round((Date.parse(asOf + 'T00:00:00Z') - start) / DAY_MS) + 1, 0), totalDays);
+  const remainingDays = totalDays - elapsedDays;
+  const elapsed = elapsedDays / totalDays;
+  const attained = revenue / target.revenueTarget;
+
+  let status;
+  if (attained >= 1) {
+    status = 'achieved';
+  } else if (elapsedDays === 0) {
+    status = 'not_started';
+  } else if (remainingDays === 0) {
+    status = 'missed';
+  } else {
+    status = attained >= elapsed ? 'on_track' : 'behind';
+  }
+
+  const projectedRevenue = elapsed > 0 ? revenue / elapsed : null;
+  return {
+    revenue,
+    attainmentPercentage: round(attained * 100),
+    gapRemaining: Math.max(target.revenueTarget - revenue, 0),
+    saleCount,
+    saleCountAttainmentPercentage: target.saleCountTarget ? round(saleCount / target.saleCountTarget * 100) : null,
+    elapsedDays,
+    totalDays,
+    elapsedPercentage: round(elapsed * 100),
+    paceRatio: elapsed > 0 ? round(attained / elapsed) : null,
+    projectedRevenue: round(projectedRevenue),
+    projectedAttainmentPercentage: projectedRevenue === null ? null : round(projectedRevenue / target.revenueTarget * 100),
+    requiredDailyRevenue: remainingDays > 0 ? round(Math.max(target.revenueTarget - revenue, 0) / remainingDays) : null,
+    status
+  };
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  isPeriodStart,
+  periodStartOf,
+  periodEnd,
+  validateTarget,
+  visibilityConditions,
+  canView,
+  formatTarget,
+  getTarget,
+  listTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  attainment
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const targets = require('./targets');
+
+describe('Sales targets', () => {
+    describe('periods', () => {
+        test('should find the period containing a date', () => {
+            expect(targets.periodStartOf('month', '2024-02-17')).toBe('2024-02-01');
+            expect(targets.periodStartOf('quarter', '2024-11-30')).toBe('2024-10-01');
+        });
+
+        test('should end periods on their last day', () => {
+            expect(targets.periodEnd('month', '2024-02-01')).toBe('2024-02-29');
+            expect(targets.periodEnd('quarter', '2024-10-01')).toBe('2024-12-31');
+        });
+    });
+
+    describe('validateTarget', () => {
+        const valid = { userId: 1, periodType: 'quarter', periodStart: '2024-04-01', revenueTarget: 500000 };
+
+        test('should accept a valid target', () => {
+            expect(targets.validateTarget(valid)).toEqual([]);
+            expect(targets.validateTarget({ ...valid, userId: undefined, groupId: 2, saleCountTarget: 20 })).toEqual([]);
+        });
+
+        test('should require exactly one subject', () => {
+            expect(targets.validateTarget({ ...valid, groupId: 2 })).toEqual([
+                { field: 'userId', message: 'exactly one of userId and groupId is required' }
+            ]);
+        });
+
+        test('should require periods to start on a period boundary', () => {
+            expect(targets.validateTarget({ ...valid, periodStart: '2024-05-01' })).toEqual([
+                { field: 'periodStart', message: 'must be the first day of a quarter' }
+            ]);
+        });
+
+        test('should require positive integer figures', () => {
+            expect(targets.validateTarget({ ...valid, revenueTarget: 10.5, saleCountTarget: 0 })).toEqual([
+                { field: 'revenueTarget', message: 'must be a positive integer' },
+                { field: 'saleCountTarget', message: 'must be a positive integer or null' }
+            ]);
+        });
+
+        test('should only allow updating the figures', () => {
+            expect(targets.validateTarget({ saleCountTarget: null }, { partial: true })).toEqual([]);
+            expect(targets.validateTarget({ periodStart: '2024-07-01', revenueTarget: 1 }, { partial: true })).toEqual([
+                { field: 'periodStart', message: 'cannot be changed; delete the target and create a new one' }
+            ]);
+        });
+    });
+
+    describe('attainment', () => {
+        const target = { periodStart: '2024-06-01', periodEnd: '2024-06-30', revenueTarget: 300000, saleCountTarget: 20 };
+
+        test('should compare progress with the elapsed part of the period', () => {
+            const result = targets.attainment(target, { revenue: 90000, saleCount: 5 }, '2024-06-10');
+
+            expect(result).toEqual({
+                revenue: 90000,
+                attainmentPercentage: 30,
+                gapRemaining: 210000,
+                saleCount: 5,
+                saleCountAttainmentPercentage: 25,
+                elapsedDays: 10,
+                totalDays: 30,
+                elapsedPercentage: 33.33,
+                paceRatio: 0.9,
+                projectedRevenue: 270000,
+                projectedAttainmentPercentage: 90,
+                requiredDailyRevenue: 10500,
+                status: 'behind'
+            });
+        });
+
+        test('should report targets on pace as on track', () => {
+            expect(targets.attainment(target, { revenue: 150000, saleCount: 9 }, '2024-06-15').status).toBe('on_track');
+        });
+
+        test('should report the outcome once the period is over', () => {
+            const missed = targets.attainment(target, { revenue: 250000, saleCount: 18 }, '2024-07-04');
+
+            expect(missed).toMatchObject({ elapsedDays: 30, status: 'missed', requiredDailyRevenue: null, projectedRevenue: 250000 });
+            expect(targets.attainment(target, { revenue: 310000, saleCount: 18 }, '2024-07-04').status).toBe('achieved');
+        });
+
+        test('should not project periods that have not started', () => {
+            const result = targets.attainment(target, { revenue: 0, saleCount: 0 }, '2024-05-20');
+
+            expect(result).toMatchObject({ elapsedDays: 0, paceRatio: null, projectedRevenue: null, status: 'not_started' });
+        });
+    });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+// Shared request validation for the API.
+//
+// A schema maps each query parameter to a field validator. A validator takes the raw value and returns
+// { value } on success or { error } with a message. `validate(schema)` builds middleware that runs every
+// field, collects all errors, and either answers 400 with the full list or stores the parsed values on
+// req.validated for the handler.
+
+const { decodeCursor } = require('./pagination');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Returns true if value is a real calendar date in YYYY-MM-DD form (rejects e.g. 2021-02-30)
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const parsed = new Date(value + 'T00:00:00Z');
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+// Returns true if value is an IANA timezone name such as America/New_York
+function isValidTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Returns true if value is a three-letter ISO 4217 currency code such as EUR (upper case)
+function isValidCurrency(value) {
+  return typeof value === 'string' && CURRENCY_PATTERN.test(value);
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Builds a field validator. `parse` receives a single string value and returns { value } or { error }.
+// Missing values fall back to `options.default` (which may be a function, evaluated per request).
+function field(parse, options = {}) {
+  return raw => {
+    if (raw === undefined || raw === '') {
+      if (options.required) {
+        return { error: 'is required' };
+      }
+      const fallback = typeof options.default === 'function' ? options.default() : options.default;
+      return { value: fallback };
+    }
+    if (Array.isArray(raw) || typeof raw !== 'string') {
+      return { error: 'must be given once' };
+    }
+    return parse(raw);
+  };
+}
+
+// Field validators for query parameters
+const fields = {
+  date: (options) => field(raw => (
+    isValidDate(raw) ? { value: raw } : { error: 'must be a valid date in YYYY-MM-DD format' }
+  ), options),
+
+  oneOf: (allowed, options) => field(raw => (
+    allowed.includes(raw) ? { value: raw } : { error: `must be one of: ${allowed.join(', ')}` }
+  ), options),
+
+  integer: ({ min = -Infinity, max = Infinity, ...options } = {}) => field(raw => {
+    const value = Number(raw);
+    if (!/^-?\d+$/.test(raw) || value < min || value > max) {
+      const range = [min !== -Infinity && `>= ${min}`, max !== Infinity && `<= ${max}`].filter(Boolean);
+      return { error: `must be an integer${range.length ? ' ' + range.join(' and ') : ''}` };
+    }
+    return { value };
+  }, options),
+
+  number: ({ min = -Infinity, max = Infinity, ...options } = {}) => field(raw => {
+    const value = Number(raw);
+    if (!/^-?\d+(\.\d+)?$/.test(raw) || value < min || value > max) {
+      const range = [min !== -Infinity && `>= ${min}`, max !== Infinity && `<= ${max}`].filter(Boolean);
+      return { error: `must be a number${range.length ? ' ' + range.join(' and ') : ''}` };
+    }
+    return { value };
+  }, options),
+
+  id: (options) => fields.integer({ min: 1, max: 2147483647, ...options }),
+
+  // A list of ids, given comma-separated (userId=1,2) and/or repeated (userId=1&userId=2).
+  // Defaults to an empty list.
+  ids: ({ max = 100 } = {}) => raw => {
+    if (raw === undefined || raw === '') {
+      return { value: [] };
+    }
+    const parts = [].concat(raw).flatMap(value => String(value).split(','));
+    if (parts.length > max) {
+      return { error: `must list at most ${max} ids` };
+    }
+    if (!parts.every(part => /^\d+$/.test(part) && Number(part) >= 1 && Number(part) <= 2147483647)) {
+      return { error: 'must be positive integers, comma-separated' };
+    }
+    return { value: [...new Set(parts.map(Number))] };
+  },
+
+  boolean: (options) => field(raw => (
+    ['true', 'false'].includes(raw) ? { value: raw === 'true' } : { error: 'must be true or false' }
+  ), options),
+
+  timezone: (options) => field(raw => (
+    isValidTimezone(raw) ? { value: raw } : { error: 'must be an IANA timezone name, e.g. America/New_York' }
+  ), options),
+
+  // Case-insensitive, parsed to upper case
+  currency: (options) => field(raw => (
+    isValidCurrency(raw.toUpperCase())
+      ? { value: raw.toUpperCase() }
+      : { error: 'must be a three-letter ISO 4217 currency code, e.g. EUR' }
+  ), options),
+
+  text: ({ maxLength = 100, ...options } = {}) => field(raw => (
+    raw.length <= maxLength ? { value: raw } : { error: `must be at most ${maxLength} characters` }
+  ), options),
+
+  // An opaque pagination cursor from a previous page (see pagination.js), parsed to its sort key
+  cursor: (options) => field(raw => {
+    const value = decodeCursor(raw);
+    return value ? { value } : { error: 'must be a cursor returned by a previous page' };
+  }, options)
+};
+
+// Cross-field rule: startDate must not be after endDate
+function dateRange(values) {
+  if (values.startDate && values.endDate && values.startDate > values.endDate) {
+    return [{ field: 'startDate', message: 'must be on or before endDate' }];
+  }
+  return [];
+}
+
+// Validates `input` against `schema`, then runs the cross-field `rules` if every field parsed.
+// Returns { values, errors } where errors is a list of { field, message }.
+function validateInput(input, schema, rules = []) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, validator] of Object.entries(schema)) {
+    const result = validator(input[name]);
+    if (result.error) {
+      errors.push({ field: name, message: result.error });
+    } else {
+      values[name] = result.value;
+    }
+  }
+
+  if (errors.length === 0) {
+    for (const rule of rules) {
+      errors.push(...rule(values));
+    }
+  }
+
+  return { values, errors };
+}
+
+// Express middleware validating req.query. Parsed values are available as req.validated.
+function validate(schema, rules = [dateRange]) {
+  return (req, res, next) => {
+    const { values, errors } = validateInput(req.query, schema, rules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+    req.validated = values;
+    next();
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  isValidDate,
+  isValidTimezone,
+  isValidCurrency,
+  today,
+  fields,
+  dateRange,
+  validateInput,
+  validate
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const { fields, validate, validateInput, isValidDate, INTERVALS } = require('./validation');
+const { encodeCursor } = require('./pagination');
+
+describe('Request validation', () => {
+    const schema = {
+        startDate: fields.date({ default: '2021-01-01' }),
+        endDate: fields.date({ default: '2021-12-31' }),
+        interval: fields.oneOf(INTERVALS, { default: 'month' }),
+        userId: fields.id(),
+        limit: fields.integer({ min: 1, max: 1000, default: 10 })
+    };
+
+    let app;
+
+    beforeEach(() => {
+        app = express();
+        app.get('/test', validate(schema), (req, res) => {
+            res.json({ validated: req.validated });
+        });
+    });
+
+    describe('isValidDate', () => {
+        test('should accept real calendar dates', () => {
+            expect(isValidDate('2024-02-29')).toBe(true);
+        });
+
+        test('should reject impossible or badly formatted dates', () => {
+            expect(isValidDate('2021-02-30')).toBe(false);
+            expect(isValidDate('2021-1-5')).toBe(false);
+            expect(isValidDate('yesterday')).toBe(false);
+        });
+    });
+
+    describe('fields.timezone', () => {
+        const timezone = fields.timezone({ default: 'UTC' });
+
+        test('should accept IANA timezone names', () => {
+            expect(timezone('America/New_York')).toEqual({ value: 'America/New_York' });
+            expect(timezone(undefined)).toEqual({ value: 'UTC' });
+        });
+
+        test('should reject unknown timezones', () => {
+            expect(timezone('Mars/Olympus_Mons').error).toMatch(/IANA timezone/);
+        });
+    });
+
+    describe('fields.currency', () => {
+        const currency = fields.currency({ default: 'USD' });
+
+        test('should accept currency codes in either case', () => {
+            expect(currency('eur')).toEqual({ value: 'EUR' });
+            expect(currency(undefined)).toEqual({ value: 'USD' });
+        });
+
+        test('should reject anything but three letters', () => {
+            expect(currency('EURO').error).toMatch(/ISO 4217/);
+            expect(currency('E1R').error).toMatch(/ISO 4217/);
+        });
+    });
+
+    describe('fields.number', () => {
+        const number = fields.number({ min: 0.5, max: 10 });
+
+        test('should accept decimals within range', () => {
+            expect(number('2.5')).toEqual({ value: 2.5 });
+            expect(number('3')).toEqual({ value: 3 });
+        });
+
+        test('should reject non-numbers and out-of-range values', () => {
+            expect(number('1e3').error).toBe('must be a number >= 0.5 and <= 10');
+            expect(number('0.1').error).toBe('must be a number >= 0.5 and <= 10');
+        });
+    });
+
+    describe('fields.ids', () => {
+        const ids = fields.ids({ max: 3 });
+
+        test('should accept comma-separated and repeated ids', () => {
+            expect(ids('1,2')).toEqual({ value: [1, 2] });
+            expect(ids(['1', '2,3'])).toEqual({ value: [1, 2, 3] });
+            expect(ids(undefined)).toEqual({ value: [] });
+        });
+
+        test('should reject non-numeric ids and long lists', () => {
+            expect(ids('1,abc').error).toBeDefined();
+            expect(ids('1,2,3,4').error).toBe('must list at most 3 ids');
+        });
+    });
+
+    describe('fields.cursor', () => {
+        test('should parse cursors and reject anything else', () => {
+            const cursor = fields.cursor();
+            const key = { sortBy: 'saleCount', order: 'asc', value: '12', id: 3 };
+
+            expect(cursor(encodeCursor(key))).toEqual({ value: key });
+            expect(cursor('abc').error).toBe('must be a cursor returned by a previous page');
+        });
+    });
+
+    describe('validate middleware', () => {
+        test('should apply defaults and parse values', async () => {
+            const response = await request(app).get('/test').query({ userId: '7', limit: '25' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.validated).toEqual({
+                startDate: '2021-01-01',
+                endDate: '2021-12-31',
+                interval: 'month',
+                userId: 7,
+                limit: 25
+            });
+        });
+
+        test('should list every invalid field in a 400 response', async () => {
+            const response = await request(app)
+                .get('/test')
+                .query({ startDate: '2021-13-01', interval: 'fortnight', userId: 'abc', limit: 'abc' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid request');
+            expect(response.body.details.map(d => d.field)).toEqual(['startDate', 'interval', 'userId', 'limit']);
+        });
+
+        test('should reject a start date after the end date', async () => {
+            const response = await request(app)
+                .get('/test')
+                .query({ startDate: '2021-06-01', endDate: '2021-05-01' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual([{ field: 'startDate', message: 'must be on or before endDate' }]);
+        });
+
+        test('should reject out-of-range limits', async () => {
+            const response = await request(app).get('/test').query({ limit: '0' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details[0]).toEqual({ field: 'limit', message: 'must be an integer >= 1 and <= 1000' });
+        });
+
+        test('should reject a parameter given more than once', async () => {
+            const response = await request(app).get('/test?userId=1&userId=2');
+
+            expect(response.status).toBe(400);
+            expect(response.body.details[0]).toEqual({ field: 'userId', message: 'must be given once' });
+        });
+    });
+
+    describe('validateInput', () => {
+        test('should report required fields', () => {
+            const { errors } = validateInput({}, { groupId: fields.id({ required: true }) });
+
+            expect(errors).toEqual([{ field: 'groupId', message: 'is required' }]);
+        });
+    });
+});